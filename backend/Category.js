@@ -119,7 +119,7 @@ class Category {
                 params.push(filters.offset);
             }
             
-            const [categories] = await db.query(sql, params);
+            const categories = await db.query(sql, params);
             
             // Handle language translation
             if (filters.language === 'sw') {
@@ -145,7 +145,7 @@ class Category {
      */
     static async getById(id, options = {}) {
         try {
-            const [categories] = await db.query(
+            const categories = await db.query(
                 `SELECT 
                     c.*,
                     r.name as restaurant_name,
@@ -166,7 +166,7 @@ class Category {
             
             if (category && options.with_items) {
                 // Get menu items in this category
-                const [items] = await db.query(
+                const items = await db.query(
                     `SELECT 
                         mi.*,
                         r.name as restaurant_name,
@@ -201,7 +201,7 @@ class Category {
     static async getWithItems(categoryId, filters = {}) {
         try {
             // Get category details
-            const [categories] = await db.query(
+            const categories = await db.query(
                 `SELECT 
                     c.*,
                     r.name as restaurant_name
@@ -293,7 +293,7 @@ class Category {
                 params.push(filters.offset);
             }
             
-            const [items] = await db.query(sql, params);
+            const items = await db.query(sql, params);
             
             return {
                 ...category,
@@ -322,7 +322,7 @@ class Category {
             // Set default values
             if (!categoryData.sort_order) {
                 // Get max sort order for this restaurant
-                const [maxOrder] = await db.query(
+                const maxOrder = await db.query(
                     `SELECT MAX(sort_order) as max_order 
                      FROM categories 
                      WHERE (restaurant_id = ? OR (? IS NULL AND restaurant_id IS NULL))`,
@@ -336,7 +336,8 @@ class Category {
             categoryData.created_at = new Date();
             categoryData.updated_at = new Date();
             
-            const [result] = await db.query(
+            // SET ? and IN (?) are expanded client-side by the text protocol, so writes use db.pool
+            const [result] = await db.pool.query(
                 'INSERT INTO categories SET ?',
                 [categoryData]
             );
@@ -363,7 +364,7 @@ class Category {
             // Update timestamp
             updateData.updated_at = new Date();
             
-            const [result] = await db.query(
+            const [result] = await db.pool.query(
                 'UPDATE categories SET ? WHERE id = ?',
                 [updateData, id]
             );
@@ -383,7 +384,7 @@ class Category {
      */
     static async updateSortOrder(id, sortOrder) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE categories SET sort_order = ?, updated_at = NOW() WHERE id = ?',
                 [sortOrder, id]
             );
@@ -403,7 +404,7 @@ class Category {
      */
     static async updateStatus(id, isActive) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE categories SET is_active = ?, updated_at = NOW() WHERE id = ?',
                 [isActive ? 1 : 0, id]
             );
@@ -423,7 +424,7 @@ class Category {
      */
     static async toggleFeatured(id, isFeatured) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE categories SET is_featured = ?, updated_at = NOW() WHERE id = ?',
                 [isFeatured ? 1 : 0, id]
             );
@@ -444,7 +445,7 @@ class Category {
     static async delete(id, options = {}) {
         try {
             // Check if category has menu items
-            const [items] = await db.query(
+            const items = await db.query(
                 'SELECT COUNT(*) as count FROM menu_items WHERE category_id = ?',
                 [id]
             );
@@ -461,7 +462,7 @@ class Category {
                 }
             }
             
-            const [result] = await db.query(
+            const result = await db.query(
                 'DELETE FROM categories WHERE id = ?',
                 [id]
             );
@@ -485,7 +486,7 @@ class Category {
      */
     static async reassignItems(fromCategoryId, toCategoryId) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE menu_items SET category_id = ?, updated_at = NOW() WHERE category_id = ?',
                 [toCategoryId, fromCategoryId]
             );
@@ -539,7 +540,7 @@ class Category {
             sql += ' GROUP BY c.id ORDER BY order_count DESC, items_sold DESC, revenue DESC LIMIT ?';
             params.push(limit);
             
-            const [categories] = await db.query(sql, params);
+            const categories = await db.query(sql, params);
             return categories;
         } catch (error) {
             console.error('❌ Category.getPopular Error:', error);
@@ -555,7 +556,7 @@ class Category {
     static async getCategoryTree(restaurantId = null) {
         try {
             // Get all categories for this restaurant
-            const [allCategories] = await db.query(
+            const allCategories = await db.query(
                 `SELECT * FROM categories 
                  WHERE restaurant_id = ? OR (restaurant_id IS NULL AND ? IS NULL)
                  ORDER BY sort_order, name`,
@@ -592,7 +593,7 @@ class Category {
      */
     static async getStatistics(categoryId) {
         try {
-            const [stats] = await db.query(
+            const stats = await db.query(
                 `SELECT 
                     (SELECT COUNT(*) FROM menu_items WHERE category_id = ?) as total_items,
                     (SELECT COUNT(*) FROM menu_items WHERE category_id = ? AND is_available = TRUE) as active_items,
@@ -664,7 +665,7 @@ class Category {
      */
     static async bulkDelete(ids) {
         try {
-            const [result] = await db.query(
+            const [result] = await db.pool.query(
                 'DELETE FROM categories WHERE id IN (?)',
                 [ids]
             );
@@ -735,7 +736,7 @@ class Category {
             
             sql += ' GROUP BY c.id ORDER BY c.sort_order, c.name LIMIT 50';
             
-            const [categories] = await db.query(sql, params);
+            const categories = await db.query(sql, params);
             return categories;
         } catch (error) {
             console.error('❌ Category.search Error:', error);
@@ -768,7 +769,7 @@ class Category {
             
             sql += ' GROUP BY c.id ORDER BY c.sort_order, c.name';
             
-            const [categories] = await db.query(sql, params);
+            const categories = await db.query(sql, params);
             return categories;
         } catch (error) {
             console.error('❌ Category.getByRestaurant Error:', error);
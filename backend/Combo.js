@@ -0,0 +1,325 @@
+/**
+ * Combo Model
+ * Handles combo meals (e.g. Burger + Fries + Drink) sold at a bundle price
+ *
+ * - a combo is a list of component slots, each an existing menu item and a quantity
+ * - a slot may list substitutes (e.g. Onion Rings for Fries) with their own price_delta
+ * - the customer pays the combo price plus the deltas of any substitutes chosen;
+ *   components are cooked and counted as the menu items they are
+ */
+
+const db = require('../config/database');
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class Combo {
+    /**
+     * Attach component slots (with substitutes) and pricing to combos
+     * @param {Array<Object>} combos - Combo rows
+     * @param {Object} filters - include_unavailable (owners see sold-out substitutes too)
+     * @returns {Promise<Array>} - Combos with items, regular_price and savings
+     */
+    static async attachItems(combos, filters = {}) {
+        try {
+            if (combos.length === 0) {
+                return combos;
+            }
+
+            // IN (?) lists only expand in the text protocol, so these skip db.query
+            const [slots] = await db.pool.query(
+                `SELECT ci.*, mi.name, mi.is_available, mi.preparation_time,
+                    COALESCE(mi.discounted_price, mi.price) as price
+                FROM combo_items ci
+                INNER JOIN menu_items mi ON ci.menu_item_id = mi.id
+                WHERE ci.combo_id IN (?)
+                ORDER BY ci.sort_order, ci.id`,
+                [combos.map(combo => combo.id)]
+            );
+
+            let substitutes = [];
+
+            if (slots.length > 0) {
+                let sql = `SELECT cs.*, mi.name, mi.is_available
+                    FROM combo_item_substitutes cs
+                    INNER JOIN menu_items mi ON cs.menu_item_id = mi.id
+                    WHERE cs.combo_item_id IN (?)`;
+
+                if (!filters.include_unavailable) {
+                    sql += ' AND mi.is_available = TRUE';
+                }
+
+                sql += ' ORDER BY cs.id';
+
+                [substitutes] = await db.pool.query(sql, [slots.map(slot => slot.id)]);
+            }
+
+            for (const slot of slots) {
+                slot.substitutes = substitutes
+                    .filter(substitute => substitute.combo_item_id === slot.id)
+                    .map(substitute => ({
+                        menu_item_id: substitute.menu_item_id,
+                        name: substitute.name,
+                        price_delta: parseFloat(substitute.price_delta) || 0,
+                        is_available: !!substitute.is_available
+                    }));
+            }
+
+            for (const combo of combos) {
+                combo.items = slots.filter(slot => slot.combo_id === combo.id);
+
+                // What the components would cost ordered separately
+                const regularPrice = combo.items.reduce((sum, slot) => sum + parseFloat(slot.price) * slot.quantity, 0);
+                combo.regular_price = Math.round(regularPrice * 100) / 100;
+                combo.savings = Math.max(Math.round((regularPrice - parseFloat(combo.price)) * 100) / 100, 0);
+
+                // Orderable when every slot has something available to serve
+                combo.is_orderable = !!combo.is_available && combo.items.length > 0 && combo.items.every(slot =>
+                    slot.is_available || slot.substitutes.some(substitute => substitute.is_available));
+            }
+
+            return combos;
+        } catch (error) {
+            console.error('Combo.attachItems Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get combos for a restaurant
+     * @param {number} restaurantId - Restaurant ID
+     * @param {Object} filters - include_unavailable
+     * @returns {Promise<Array>} - Combos with items
+     */
+    static async getByRestaurant(restaurantId, filters = {}) {
+        try {
+            let sql = 'SELECT * FROM combos WHERE restaurant_id = ?';
+
+            if (!filters.include_unavailable) {
+                sql += ' AND is_available = TRUE';
+            }
+
+            sql += ' ORDER BY sort_order, name';
+
+            const combos = await db.query(sql, [restaurantId]);
+            const withItems = await Combo.attachItems(combos, filters);
+
+            return filters.include_unavailable
+                ? withItems
+                : withItems.filter(combo => combo.is_orderable);
+        } catch (error) {
+            console.error('Combo.getByRestaurant Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get combos by IDs
+     * @param {Array<number>} comboIds - Combo IDs
+     * @returns {Promise<Array>} - Combos with items (including unavailable substitutes)
+     */
+    static async getByIds(comboIds) {
+        try {
+            if (!comboIds || comboIds.length === 0) {
+                return [];
+            }
+
+            const [combos] = await db.pool.query('SELECT * FROM combos WHERE id IN (?)', [comboIds]);
+
+            return Combo.attachItems(combos, { include_unavailable: true });
+        } catch (error) {
+            console.error('Combo.getByIds Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get combo by ID
+     * @param {number} comboId - Combo ID
+     * @returns {Promise<Object|null>} - Combo with items
+     */
+    static async getById(comboId) {
+        const [combo] = await Combo.getByIds([comboId]);
+        return combo || null;
+    }
+
+    /**
+     * Check a customer's substitutions for a combo and price them
+     * @param {Object} combo - Combo with items (from getById)
+     * @param {Object} substitutions - { combo_item_id: menu_item_id } for swapped slots
+     * @returns {Object} - { components, price_delta, substitutions, signature }
+     * @throws {Error} - statusCode 400 when a swap isn't offered or an item is sold out
+     */
+    static resolveSelection(combo, substitutions = {}) {
+        if (substitutions && (typeof substitutions !== 'object' || Array.isArray(substitutions))) {
+            throw badRequest('substitutions must be an object of { combo_item_id: menu_item_id }');
+        }
+
+        const requested = new Map();
+
+        for (const [slotId, menuItemId] of Object.entries(substitutions || {})) {
+            const slot = combo.items.find(item => item.id === parseInt(slotId));
+
+            if (!slot) {
+                throw badRequest(`"${combo.name}" has no component ${slotId}`);
+            }
+
+            requested.set(slot.id, parseInt(menuItemId));
+        }
+
+        const components = [];
+        const swaps = {};
+        let priceDelta = 0;
+
+        for (const slot of combo.items) {
+            const chosenId = requested.get(slot.id);
+
+            if (chosenId && chosenId !== slot.menu_item_id) {
+                const substitute = slot.substitutes.find(item => item.menu_item_id === chosenId);
+
+                if (!substitute) {
+                    throw badRequest(`"${slot.name}" can't be swapped for item ${chosenId} in "${combo.name}"`);
+                }
+
+                if (!substitute.is_available) {
+                    throw badRequest(`"${substitute.name}" is not available`);
+                }
+
+                components.push({
+                    combo_item_id: slot.id,
+                    menu_item_id: substitute.menu_item_id,
+                    menu_item_name: substitute.name,
+                    quantity: slot.quantity,
+                    price_delta: substitute.price_delta,
+                    replaces: slot.name
+                });
+
+                swaps[slot.id] = substitute.menu_item_id;
+                priceDelta += substitute.price_delta;
+                continue;
+            }
+
+            if (!slot.is_available) {
+                throw badRequest(`"${slot.name}" in "${combo.name}" is not available${slot.substitutes.length > 0 ? '. Please choose a swap.' : ''}`);
+            }
+
+            components.push({
+                combo_item_id: slot.id,
+                menu_item_id: slot.menu_item_id,
+                menu_item_name: slot.name,
+                quantity: slot.quantity,
+                price_delta: 0
+            });
+        }
+
+        return {
+            components,
+            price_delta: Math.round(priceDelta * 100) / 100,
+            substitutions: swaps,
+            signature: Object.keys(swaps)
+                .sort((a, b) => a - b)
+                .map(slotId => `${slotId}:${swaps[slotId]}`)
+                .join(',')
+        };
+    }
+
+    /**
+     * Insert a combo's component slots and substitutes
+     * @param {Object} connection - Transaction connection
+     * @param {number} comboId - Combo ID
+     * @param {Array<Object>} items - [{ menu_item_id, quantity, substitutes: [{ menu_item_id, price_delta }] }]
+     */
+    static async insertItems(connection, comboId, items) {
+        for (const [index, item] of items.entries()) {
+            const [result] = await connection.query(
+                'INSERT INTO combo_items SET ?',
+                [{
+                    combo_id: comboId,
+                    menu_item_id: item.menu_item_id,
+                    quantity: item.quantity || 1,
+                    sort_order: index
+                }]
+            );
+
+            if (item.substitutes && item.substitutes.length > 0) {
+                await connection.query(
+                    'INSERT INTO combo_item_substitutes (combo_item_id, menu_item_id, price_delta) VALUES ?',
+                    [item.substitutes.map(substitute => [result.insertId, substitute.menu_item_id, substitute.price_delta || 0])]
+                );
+            }
+        }
+    }
+
+    /**
+     * Create combo with its components
+     * @param {number} restaurantId - Restaurant ID
+     * @param {Object} data - name, description, image_url, price, is_available, sort_order
+     * @param {Array<Object>} items - Components (see insertItems)
+     * @returns {Promise<number>} - New combo ID
+     */
+    static async create(restaurantId, data, items) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [result] = await connection.query(
+                    'INSERT INTO combos SET ?',
+                    [{ ...data, restaurant_id: restaurantId }]
+                );
+
+                await Combo.insertItems(connection, result.insertId, items);
+
+                return result.insertId;
+            });
+        } catch (error) {
+            console.error('Combo.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update combo; items, when given, replace all components
+     * (cart lines with swaps for removed components are rejected at checkout)
+     * @param {number} comboId - Combo ID
+     * @param {Object} data - Combo fields
+     * @param {Array<Object>|null} items - Components (see insertItems)
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async update(comboId, data, items = null) {
+        try {
+            return await db.transaction(async (connection) => {
+                if (Object.keys(data).length > 0) {
+                    await connection.query('UPDATE combos SET ? WHERE id = ?', [data, comboId]);
+                }
+
+                if (items) {
+                    await connection.query('DELETE FROM combo_items WHERE combo_id = ?', [comboId]);
+                    await Combo.insertItems(connection, comboId, items);
+                }
+
+                return true;
+            });
+        } catch (error) {
+            console.error('Combo.update Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete combo (past orders keep their snapshot)
+     * @param {number} comboId - Combo ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async delete(comboId) {
+        try {
+            const result = await db.query('DELETE FROM combos WHERE id = ?', [comboId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Combo.delete Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Combo;
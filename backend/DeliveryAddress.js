@@ -0,0 +1,289 @@
+/**
+ * Delivery Address Model
+ * A customer's saved address book
+ *
+ * Exactly one of a customer's addresses is the default while they have any:
+ * the first address saved becomes the default, making another one the default
+ * clears the flag everywhere else, and deleting the default hands it to the
+ * most recently added address left.
+ */
+
+const db = require('../config/database');
+
+// Columns a customer may set
+const FIELDS = [
+    'label', 'address_line1', 'address_line2', 'city', 'state',
+    'postal_code', 'country', 'latitude', 'longitude'
+];
+const REQUIRED_FIELDS = ['label', 'address_line1', 'city'];
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class DeliveryAddress {
+    /**
+     * Validate address input
+     * @param {Object} input - Request body
+     * @param {boolean} partial - Update (only the fields given) instead of create
+     * @returns {Object} - delivery_addresses columns (without is_default)
+     * @throws {Error} - statusCode 400 for missing fields or bad coordinates
+     */
+    static parse(input, partial = false) {
+        const data = {};
+
+        for (const field of FIELDS) {
+            if (input[field] === undefined) {
+                continue;
+            }
+
+            const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+            data[field] = value === '' ? null : value;
+        }
+
+        for (const field of REQUIRED_FIELDS) {
+            if ((!partial || field in data) && !data[field]) {
+                throw badRequest('Label, address line 1, and city are required');
+            }
+        }
+
+        for (const [field, limit] of [['latitude', 90], ['longitude', 180]]) {
+            if (data[field] === undefined || data[field] === null) {
+                continue;
+            }
+
+            const value = parseFloat(data[field]);
+
+            if (isNaN(value) || Math.abs(value) > limit) {
+                throw badRequest(`${field} must be a number between -${limit} and ${limit}`);
+            }
+
+            data[field] = value;
+        }
+
+        // Coordinates only make sense as a pair
+        if (('latitude' in data) !== ('longitude' in data) || (data.latitude === null) !== (data.longitude === null)) {
+            throw badRequest('latitude and longitude must be given together');
+        }
+
+        if (!partial && !data.country) {
+            data.country = 'Tanzania';
+        }
+
+        return data;
+    }
+
+    /**
+     * Get a customer's addresses (default first, then newest)
+     * @param {number} userId - Customer ID
+     * @returns {Promise<Array>} - Addresses
+     */
+    static async getByUser(userId) {
+        try {
+            const addresses = await db.query(
+                `SELECT * FROM delivery_addresses
+                WHERE user_id = ?
+                ORDER BY is_default DESC, created_at DESC, id DESC`,
+                [userId]
+            );
+
+            return addresses;
+        } catch (error) {
+            console.error('❌ DeliveryAddress.getByUser Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one of a customer's addresses
+     * @param {number} id - Address ID
+     * @param {number} userId - Customer ID (addresses of other customers are not found)
+     * @returns {Promise<Object|null>} - Address or null
+     */
+    static async getById(id, userId) {
+        try {
+            const addresses = await db.query(
+                'SELECT * FROM delivery_addresses WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+
+            return addresses[0] || null;
+        } catch (error) {
+            console.error('❌ DeliveryAddress.getById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a new address
+     * @param {number} userId - Customer ID
+     * @param {Object} data - Parsed address (see parse)
+     * @param {boolean} makeDefault - Make it the default (always true for the first address)
+     * @returns {Promise<Object>} - { id, is_default }
+     */
+    static async create(userId, data, makeDefault = false) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [existing] = await connection.query(
+                    'SELECT id FROM delivery_addresses WHERE user_id = ? LIMIT 1 FOR UPDATE',
+                    [userId]
+                );
+
+                const isDefault = makeDefault || existing.length === 0;
+
+                if (isDefault) {
+                    await connection.query(
+                        'UPDATE delivery_addresses SET is_default = FALSE WHERE user_id = ?',
+                        [userId]
+                    );
+                }
+
+                const [result] = await connection.query(
+                    'INSERT INTO delivery_addresses SET ?',
+                    [{ ...data, user_id: userId, is_default: isDefault }]
+                );
+
+                return { id: result.insertId, is_default: isDefault };
+            });
+        } catch (error) {
+            console.error('❌ DeliveryAddress.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update an address
+     * @param {number} id - Address ID
+     * @param {number} userId - Customer ID
+     * @param {Object} data - Parsed fields (see parse with partial)
+     * @returns {Promise<boolean>} - False when the address isn't the customer's
+     */
+    static async update(id, userId, data) {
+        try {
+            if (Object.keys(data).length === 0) {
+                return (await DeliveryAddress.getById(id, userId)) !== null;
+            }
+
+            // SET ? expands objects only in the text protocol, so this skips db.query
+            const [result] = await db.pool.query(
+                'UPDATE delivery_addresses SET ? WHERE id = ? AND user_id = ?',
+                [data, id, userId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ DeliveryAddress.update Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make an address the customer's default
+     * @param {number} id - Address ID
+     * @param {number} userId - Customer ID
+     * @returns {Promise<boolean>} - False when the address isn't the customer's
+     */
+    static async setDefault(id, userId) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [addresses] = await connection.query(
+                    'SELECT id FROM delivery_addresses WHERE user_id = ? FOR UPDATE',
+                    [userId]
+                );
+
+                if (!addresses.some(address => address.id === parseInt(id))) {
+                    return false;
+                }
+
+                await connection.query(
+                    'UPDATE delivery_addresses SET is_default = (id = ?) WHERE user_id = ?',
+                    [id, userId]
+                );
+
+                return true;
+            });
+        } catch (error) {
+            console.error('❌ DeliveryAddress.setDefault Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an address (the newest remaining address takes over as default)
+     * @param {number} id - Address ID
+     * @param {number} userId - Customer ID
+     * @returns {Promise<Object|null>} - { default_address_id } or null when the address isn't the customer's
+     */
+    static async delete(id, userId) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [addresses] = await connection.query(
+                    `SELECT id, is_default FROM delivery_addresses
+                    WHERE user_id = ?
+                    ORDER BY created_at DESC, id DESC
+                    FOR UPDATE`,
+                    [userId]
+                );
+
+                const address = addresses.find(row => row.id === parseInt(id));
+
+                if (!address) {
+                    return null;
+                }
+
+                await connection.query('DELETE FROM delivery_addresses WHERE id = ?', [address.id]);
+
+                const remaining = addresses.filter(row => row.id !== address.id);
+                let defaultAddress = remaining.find(row => row.is_default);
+
+                if (!defaultAddress && remaining.length > 0) {
+                    defaultAddress = remaining[0];
+
+                    await connection.query(
+                        'UPDATE delivery_addresses SET is_default = TRUE WHERE id = ?',
+                        [defaultAddress.id]
+                    );
+                }
+
+                return { default_address_id: defaultAddress ? defaultAddress.id : null };
+            });
+        } catch (error) {
+            console.error('❌ DeliveryAddress.delete Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Snapshot an address onto an order, so later edits to the address book don't change it
+     * @param {Object} address - delivery_addresses row
+     * @returns {Object} - orders columns (delivery_address text plus structured fields and coordinates)
+     */
+    static toOrderFields(address) {
+        const cityLine = [address.city, address.postal_code].filter(Boolean).join(' ');
+
+        return {
+            delivery_address: [
+                address.address_line1,
+                address.address_line2,
+                cityLine,
+                address.state,
+                address.country
+            ].filter(Boolean).join(', '),
+            delivery_address_id: address.id,
+            delivery_address_line1: address.address_line1,
+            delivery_address_line2: address.address_line2 || null,
+            delivery_city: address.city,
+            delivery_state: address.state || null,
+            delivery_postal_code: address.postal_code || null,
+            delivery_country: address.country || null,
+            delivery_latitude: address.latitude,
+            delivery_longitude: address.longitude
+        };
+    }
+}
+
+DeliveryAddress.FIELDS = FIELDS;
+
+module.exports = DeliveryAddress;
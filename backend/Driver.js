@@ -0,0 +1,928 @@
+/**
+ * Driver Model
+ * Handles delivery driver accounts, availability and assignments
+ *
+ * Drivers are users with role = 'delivery'. Vehicle and availability data
+ * lives in driver_profiles, and every order handed to a driver is recorded
+ * in driver_assignments (orders.assigned_driver_id points at the current one).
+ */
+
+const db = require('../config/database');
+
+// Assignment states that still occupy the driver
+const ACTIVE_ASSIGNMENT_STATUSES = ['assigned', 'accepted', 'picked_up'];
+
+// Orders that can no longer be handed to a driver
+const CLOSED_ORDER_STATUSES = ['delivered', 'cancelled', 'refunded'];
+
+// One ? per value for IN lists (db.query prepares statements, which don't expand arrays)
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const conflict = (message, statusCode = 409) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class Driver {
+    /**
+     * Get all drivers with filters
+     * @param {Object} filters - Filter options
+     * @returns {Promise<Object>} - Drivers and total count
+     */
+    static async getAll(filters = {}) {
+        try {
+            let where = ` WHERE u.role = 'delivery'`;
+            const params = [];
+
+            if (filters.status) {
+                where += ' AND u.status = ?';
+                params.push(filters.status);
+            }
+
+            if (filters.availability_status) {
+                where += ' AND dp.availability_status = ?';
+                params.push(filters.availability_status);
+            }
+
+            if (filters.search) {
+                where += ' AND (u.name LIKE ? OR u.email LIKE ? OR u.phone LIKE ? OR dp.vehicle_number LIKE ?)';
+                const searchTerm = `%${filters.search}%`;
+                params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+            }
+
+            const drivers = await db.query(
+                `SELECT
+                    u.id,
+                    u.name,
+                    u.email,
+                    u.phone,
+                    u.status,
+                    u.last_login,
+                    u.created_at,
+                    dp.vehicle_type,
+                    dp.vehicle_number,
+                    dp.license_number,
+                    dp.availability_status,
+                    dp.current_latitude,
+                    dp.current_longitude,
+                    dp.last_location_at,
+                    (SELECT COUNT(*) FROM driver_assignments da
+                     WHERE da.driver_id = u.id AND da.status IN (${placeholders(ACTIVE_ASSIGNMENT_STATUSES)})) as active_assignments
+                FROM users u
+                LEFT JOIN driver_profiles dp ON dp.user_id = u.id
+                ${where}
+                ORDER BY u.name ASC
+                LIMIT ? OFFSET ?`,
+                [...ACTIVE_ASSIGNMENT_STATUSES, ...params, parseInt(filters.limit) || 20, parseInt(filters.offset) || 0]
+            );
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) as total
+                FROM users u
+                LEFT JOIN driver_profiles dp ON dp.user_id = u.id
+                ${where}`,
+                params
+            );
+
+            return {
+                drivers,
+                total: countResult[0].total
+            };
+        } catch (error) {
+            console.error('Driver.getAll Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get driver by user ID
+     * @param {number} id - Driver user ID
+     * @returns {Promise<Object|null>} - Driver or null
+     */
+    static async getById(id) {
+        try {
+            const drivers = await db.query(
+                `SELECT
+                    u.id,
+                    u.name,
+                    u.email,
+                    u.phone,
+                    u.status,
+                    u.profile_picture,
+                    u.last_login,
+                    u.created_at,
+                    dp.vehicle_type,
+                    dp.vehicle_number,
+                    dp.license_number,
+                    dp.availability_status,
+                    dp.current_latitude,
+                    dp.current_longitude,
+                    dp.last_location_at
+                FROM users u
+                LEFT JOIN driver_profiles dp ON dp.user_id = u.id
+                WHERE u.id = ? AND u.role = 'delivery'`,
+                [id]
+            );
+
+            return drivers[0] || null;
+        } catch (error) {
+            console.error('Driver.getById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create driver account with profile
+     * @param {Object} userData - name, email, phone, password (already hashed)
+     * @param {Object} profileData - vehicle_type, vehicle_number, license_number
+     * @returns {Promise<number>} - New driver user ID
+     */
+    static async create(userData, profileData = {}) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [userResult] = await connection.query(
+                    `INSERT INTO users (name, email, password, phone, role, status)
+                    VALUES (?, ?, ?, ?, 'delivery', 'active')`,
+                    [userData.name, userData.email, userData.password, userData.phone]
+                );
+
+                await connection.query(
+                    `INSERT INTO driver_profiles
+                    (user_id, vehicle_type, vehicle_number, license_number, availability_status)
+                    VALUES (?, ?, ?, ?, 'offline')`,
+                    [
+                        userResult.insertId,
+                        profileData.vehicle_type || 'motorcycle',
+                        profileData.vehicle_number || null,
+                        profileData.license_number || null
+                    ]
+                );
+
+                return userResult.insertId;
+            });
+        } catch (error) {
+            console.error('Driver.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update driver account and profile
+     * @param {number} id - Driver user ID
+     * @param {Object} userData - Fields for users table
+     * @param {Object} profileData - Fields for driver_profiles table
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async update(id, userData = {}, profileData = {}) {
+        try {
+            return await db.transaction(async (connection) => {
+                if (Object.keys(userData).length > 0) {
+                    const [result] = await connection.query(
+                        `UPDATE users SET ?, updated_at = NOW() WHERE id = ? AND role = 'delivery'`,
+                        [userData, id]
+                    );
+
+                    if (result.affectedRows === 0) {
+                        return false;
+                    }
+                }
+
+                if (Object.keys(profileData).length > 0) {
+                    await connection.query(
+                        `INSERT INTO driver_profiles SET user_id = ?, ?
+                        ON DUPLICATE KEY UPDATE ?, updated_at = NOW()`,
+                        [id, profileData, profileData]
+                    );
+                }
+
+                return true;
+            });
+        } catch (error) {
+            console.error('Driver.update Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update driver availability
+     * @param {number} id - Driver user ID
+     * @param {string} availabilityStatus - available, busy or offline
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async updateAvailability(id, availabilityStatus) {
+        try {
+            const result = await db.query(
+                `INSERT INTO driver_profiles (user_id, availability_status) VALUES (?, ?)
+                ON DUPLICATE KEY UPDATE availability_status = VALUES(availability_status), updated_at = NOW()`,
+                [id, availabilityStatus]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Driver.updateAvailability Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign order to driver
+     * Cancels any open assignment for the order and records a new one.
+     * The order and driver rows are locked and re-checked first, so an
+     * assignment made meanwhile (by dispatch or an admin) is never silently
+     * replaced and a driver is never offered two orders at once
+     * @param {number} orderId - Order ID
+     * @param {number} driverId - Driver user ID
+     * @param {number|null} assignedBy - Admin user ID (null for system)
+     * @param {Object} options - expectedDriverId (the order's driver when the caller
+     *     looked; null = must be unassigned, undefined = don't check), status (the order
+     *     must still have it), idleDriver (the driver must be available with no open assignment)
+     * @returns {Promise<number>} - New assignment ID
+     * @throws {Error} - statusCode 409 when the order or driver changed meanwhile
+     */
+    static async assignOrder(orderId, driverId, assignedBy = null, options = {}) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [orders] = await connection.query(
+                    'SELECT id, status, assigned_driver_id FROM orders WHERE id = ? FOR UPDATE',
+                    [orderId]
+                );
+
+                const order = orders[0];
+
+                if (!order) {
+                    throw conflict('Order not found', 404);
+                }
+
+                if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+                    throw conflict(`Cannot assign a driver to an order that is ${order.status}`);
+                }
+
+                if (options.status && order.status !== options.status) {
+                    throw conflict(`Order is ${order.status}, not ${options.status}`);
+                }
+
+                if (options.expectedDriverId !== undefined &&
+                    (order.assigned_driver_id || null) !== (options.expectedDriverId || null)) {
+                    throw conflict('The order was assigned to another driver meanwhile. Reload and try again.');
+                }
+
+                // Serialises assignments to the same driver
+                await connection.query(
+                    'SELECT id FROM users WHERE id = ? FOR UPDATE',
+                    [driverId]
+                );
+
+                const [profiles] = await connection.query(
+                    'SELECT availability_status FROM driver_profiles WHERE user_id = ?',
+                    [driverId]
+                );
+
+                const availability = profiles[0] ? profiles[0].availability_status : 'offline';
+
+                if (availability === 'offline' || (options.idleDriver && availability !== 'available')) {
+                    throw conflict(`Driver is ${availability}`);
+                }
+
+                if (options.idleDriver) {
+                    const [open] = await connection.query(
+                        `SELECT id FROM driver_assignments
+                        WHERE driver_id = ? AND order_id <> ? AND status IN (?)
+                        LIMIT 1`,
+                        [driverId, orderId, ACTIVE_ASSIGNMENT_STATUSES]
+                    );
+
+                    if (open.length > 0) {
+                        throw conflict('Driver already has an open assignment');
+                    }
+                }
+
+                await connection.query(
+                    `UPDATE driver_assignments
+                    SET status = 'cancelled', notes = 'Reassigned'
+                    WHERE order_id = ? AND status IN (?)`,
+                    [orderId, ACTIVE_ASSIGNMENT_STATUSES]
+                );
+
+                const [result] = await connection.query(
+                    `INSERT INTO driver_assignments (order_id, driver_id, assigned_by, status)
+                    VALUES (?, ?, ?, 'assigned')`,
+                    [orderId, driverId, assignedBy]
+                );
+
+                await connection.query(
+                    'UPDATE orders SET assigned_driver_id = ?, updated_at = NOW() WHERE id = ?',
+                    [driverId, orderId]
+                );
+
+                return result.insertId;
+            });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('Driver.assignOrder Error:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Keep the open assignment in step with an order status change
+     * @param {number} orderId - Order ID
+     * @param {string} orderStatus - New order status
+     * @param {Object} connection - Optional transaction connection
+     * @returns {Promise<void>}
+     */
+    static async syncAssignmentWithOrderStatus(orderId, orderStatus, connection = db.pool) {
+        try {
+            if (orderStatus === 'out_for_delivery') {
+                await connection.query(
+                    `UPDATE driver_assignments
+                    SET status = 'picked_up', picked_up_at = COALESCE(picked_up_at, NOW())
+                    WHERE order_id = ? AND status IN ('assigned', 'accepted')`,
+                    [orderId]
+                );
+            } else if (orderStatus === 'delivered') {
+                await connection.query(
+                    `UPDATE driver_assignments
+                    SET status = 'delivered', delivered_at = NOW()
+                    WHERE order_id = ? AND status IN (?)`,
+                    [orderId, ACTIVE_ASSIGNMENT_STATUSES]
+                );
+            } else if (orderStatus === 'cancelled' || orderStatus === 'refunded') {
+                await connection.query(
+                    `UPDATE driver_assignments
+                    SET status = 'cancelled', notes = 'Order cancelled'
+                    WHERE order_id = ? AND status IN (?)`,
+                    [orderId, ACTIVE_ASSIGNMENT_STATUSES]
+                );
+            }
+        } catch (error) {
+            console.error('Driver.syncAssignmentWithOrderStatus Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get driver assignment history
+     * @param {number} driverId - Driver user ID
+     * @param {Object} filters - status (or statuses array), date_from, date_to, limit, offset
+     * @returns {Promise<Object>} - Assignments and total count
+     */
+    static async getAssignments(driverId, filters = {}) {
+        try {
+            let where = ' WHERE da.driver_id = ?';
+            const params = [driverId];
+
+            if (filters.status) {
+                where += ' AND da.status = ?';
+                params.push(filters.status);
+            } else if (filters.statuses && filters.statuses.length > 0) {
+                where += ` AND da.status IN (${placeholders(filters.statuses)})`;
+                params.push(...filters.statuses);
+            }
+
+            if (filters.date_from) {
+                where += ' AND DATE(da.assigned_at) >= ?';
+                params.push(filters.date_from);
+            }
+
+            if (filters.date_to) {
+                where += ' AND DATE(da.assigned_at) <= ?';
+                params.push(filters.date_to);
+            }
+
+            const assignments = await db.query(
+                `SELECT
+                    da.*,
+                    o.order_number,
+                    o.status as order_status,
+                    o.total_amount,
+                    o.delivery_address,
+                    o.customer_name,
+                    o.customer_phone,
+                    o.estimated_delivery_time,
+                    o.actual_delivery_time,
+                    r.name as restaurant_name,
+                    r.address as restaurant_address,
+                    assigner.name as assigned_by_name
+                FROM driver_assignments da
+                INNER JOIN orders o ON da.order_id = o.id
+                LEFT JOIN restaurants r ON o.restaurant_id = r.id
+                LEFT JOIN users assigner ON da.assigned_by = assigner.id
+                ${where}
+                ORDER BY da.assigned_at DESC
+                LIMIT ? OFFSET ?`,
+                [...params, parseInt(filters.limit) || 20, parseInt(filters.offset) || 0]
+            );
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) as total FROM driver_assignments da ${where}`,
+                params
+            );
+
+            return {
+                assignments,
+                total: countResult[0].total
+            };
+        } catch (error) {
+            console.error('Driver.getAssignments Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get driver performance metrics
+     * @param {number} driverId - Driver user ID
+     * @param {Object} range - date_from, date_to
+     * @returns {Promise<Object>} - Performance metrics
+     */
+    static async getPerformance(driverId, range = {}) {
+        try {
+            let where = ' WHERE da.driver_id = ?';
+            const params = [driverId];
+
+            if (range.date_from) {
+                where += ' AND DATE(da.assigned_at) >= ?';
+                params.push(range.date_from);
+            }
+
+            if (range.date_to) {
+                where += ' AND DATE(da.assigned_at) <= ?';
+                params.push(range.date_to);
+            }
+
+            const stats = await db.query(
+                `SELECT
+                    COUNT(*) as total_assignments,
+                    SUM(CASE WHEN da.status = 'delivered' THEN 1 ELSE 0 END) as completed_deliveries,
+                    SUM(CASE WHEN da.status = 'declined' THEN 1 ELSE 0 END) as declined_assignments,
+                    SUM(CASE WHEN da.status = 'expired' THEN 1 ELSE 0 END) as expired_assignments,
+                    SUM(CASE WHEN da.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_assignments,
+                    SUM(CASE WHEN da.status IN ('assigned', 'accepted', 'picked_up') THEN 1 ELSE 0 END) as active_assignments,
+                    SUM(CASE WHEN da.status = 'delivered' AND o.estimated_delivery_time IS NOT NULL THEN 1 ELSE 0 END) as timed_deliveries,
+                    SUM(CASE WHEN da.status = 'delivered' AND o.estimated_delivery_time IS NOT NULL
+                        AND COALESCE(o.actual_delivery_time, da.delivered_at) <= o.estimated_delivery_time THEN 1 ELSE 0 END) as on_time_deliveries,
+                    AVG(CASE WHEN da.status = 'delivered'
+                        THEN TIMESTAMPDIFF(MINUTE, da.assigned_at, da.delivered_at) END) as avg_delivery_minutes,
+                    AVG(CASE WHEN da.status = 'delivered' AND da.picked_up_at IS NOT NULL
+                        THEN TIMESTAMPDIFF(MINUTE, da.picked_up_at, da.delivered_at) END) as avg_transit_minutes,
+                    AVG(CASE WHEN da.responded_at IS NOT NULL
+                        THEN TIMESTAMPDIFF(SECOND, da.assigned_at, da.responded_at) END) as avg_response_seconds
+                FROM driver_assignments da
+                INNER JOIN orders o ON da.order_id = o.id
+                ${where}`,
+                params
+            );
+
+            const rating = await db.query(
+                `SELECT
+                    AVG(rev.delivery_rating) as avg_delivery_rating,
+                    COUNT(rev.delivery_rating) as rating_count
+                FROM reviews rev
+                INNER JOIN orders o ON rev.order_id = o.id
+                WHERE o.assigned_driver_id = ? AND rev.status = 'approved'`,
+                [driverId]
+            );
+
+            const metrics = stats[0] || {};
+            const total = parseInt(metrics.total_assignments) || 0;
+            const completed = parseInt(metrics.completed_deliveries) || 0;
+            const declined = parseInt(metrics.declined_assignments) || 0;
+            const timed = parseInt(metrics.timed_deliveries) || 0;
+            const onTime = parseInt(metrics.on_time_deliveries) || 0;
+
+            return {
+                total_assignments: total,
+                completed_deliveries: completed,
+                declined_assignments: declined,
+                expired_assignments: parseInt(metrics.expired_assignments) || 0,
+                cancelled_assignments: parseInt(metrics.cancelled_assignments) || 0,
+                active_assignments: parseInt(metrics.active_assignments) || 0,
+                on_time_deliveries: onTime,
+                on_time_rate: timed > 0 ? parseFloat(((onTime / timed) * 100).toFixed(1)) : null,
+                completion_rate: total > 0 ? parseFloat(((completed / total) * 100).toFixed(1)) : 0,
+                decline_rate: total > 0 ? parseFloat(((declined / total) * 100).toFixed(1)) : 0,
+                avg_delivery_minutes: metrics.avg_delivery_minutes !== null && metrics.avg_delivery_minutes !== undefined
+                    ? parseFloat(parseFloat(metrics.avg_delivery_minutes).toFixed(1))
+                    : null,
+                avg_transit_minutes: metrics.avg_transit_minutes !== null && metrics.avg_transit_minutes !== undefined
+                    ? parseFloat(parseFloat(metrics.avg_transit_minutes).toFixed(1))
+                    : null,
+                avg_response_seconds: metrics.avg_response_seconds !== null && metrics.avg_response_seconds !== undefined
+                    ? Math.round(metrics.avg_response_seconds)
+                    : null,
+                avg_delivery_rating: rating[0] && rating[0].avg_delivery_rating
+                    ? parseFloat(parseFloat(rating[0].avg_delivery_rating).toFixed(2))
+                    : null,
+                rating_count: rating[0] ? parseInt(rating[0].rating_count) || 0 : 0
+            };
+        } catch (error) {
+            console.error('Driver.getPerformance Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get deliveries across all drivers
+     * @param {string} scope - 'active' or 'completed'
+     * @param {Object} filters - driver_id, date_from, date_to, limit, offset
+     * @returns {Promise<Object>} - Deliveries and total count
+     */
+    static async getDeliveries(scope, filters = {}) {
+        try {
+            const statuses = scope === 'completed' ? ['delivered'] : ACTIVE_ASSIGNMENT_STATUSES;
+            let where = ` WHERE da.status IN (${placeholders(statuses)})`;
+            const params = [...statuses];
+
+            if (filters.driver_id) {
+                where += ' AND da.driver_id = ?';
+                params.push(filters.driver_id);
+            }
+
+            if (filters.date_from) {
+                where += ' AND DATE(da.assigned_at) >= ?';
+                params.push(filters.date_from);
+            }
+
+            if (filters.date_to) {
+                where += ' AND DATE(da.assigned_at) <= ?';
+                params.push(filters.date_to);
+            }
+
+            const deliveries = await db.query(
+                `SELECT
+                    da.*,
+                    o.order_number,
+                    o.status as order_status,
+                    o.total_amount,
+                    o.delivery_address,
+                    o.customer_name,
+                    o.customer_phone,
+                    o.estimated_delivery_time,
+                    o.actual_delivery_time,
+                    r.name as restaurant_name,
+                    r.address as restaurant_address,
+                    u.name as driver_name,
+                    u.phone as driver_phone
+                FROM driver_assignments da
+                INNER JOIN orders o ON da.order_id = o.id
+                INNER JOIN users u ON da.driver_id = u.id
+                LEFT JOIN restaurants r ON o.restaurant_id = r.id
+                ${where}
+                ORDER BY ${scope === 'completed' ? 'da.delivered_at DESC' : 'da.assigned_at ASC'}
+                LIMIT ? OFFSET ?`,
+                [...params, parseInt(filters.limit) || 20, parseInt(filters.offset) || 0]
+            );
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) as total FROM driver_assignments da ${where}`,
+                params
+            );
+
+            return {
+                deliveries,
+                total: countResult[0].total
+            };
+        } catch (error) {
+            console.error('Driver.getDeliveries Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a driver's open assignment for an order
+     * @param {number} orderId - Order ID
+     * @param {number} driverId - Driver user ID
+     * @returns {Promise<Object|null>} - Assignment with order status or null
+     */
+    static async getOpenAssignment(orderId, driverId) {
+        try {
+            const assignments = await db.query(
+                `SELECT
+                    da.*,
+                    o.status as order_status,
+                    o.order_number
+                FROM driver_assignments da
+                INNER JOIN orders o ON da.order_id = o.id
+                WHERE da.order_id = ? AND da.driver_id = ? AND da.status IN (${placeholders(ACTIVE_ASSIGNMENT_STATUSES)})
+                ORDER BY da.assigned_at DESC
+                LIMIT 1`,
+                [orderId, driverId, ...ACTIVE_ASSIGNMENT_STATUSES]
+            );
+
+            return assignments[0] || null;
+        } catch (error) {
+            console.error('Driver.getOpenAssignment Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record driver's response to an assignment
+     * A declined order is released so it can be assigned again
+     * @param {Object} assignment - Open assignment row
+     * @param {boolean} accepted - Whether the driver accepted
+     * @param {string} notes - Optional reason
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async respondToAssignment(assignment, accepted, notes = null) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [result] = await connection.query(
+                    `UPDATE driver_assignments
+                    SET status = ?, responded_at = NOW(), notes = COALESCE(?, notes)
+                    WHERE id = ? AND status = 'assigned'`,
+                    [accepted ? 'accepted' : 'declined', notes, assignment.id]
+                );
+
+                if (result.affectedRows === 0) {
+                    return false;
+                }
+
+                if (!accepted) {
+                    await connection.query(
+                        `UPDATE orders SET assigned_driver_id = NULL, updated_at = NOW()
+                        WHERE id = ? AND assigned_driver_id = ?`,
+                        [assignment.order_id, assignment.driver_id]
+                    );
+                }
+
+                return true;
+            });
+        } catch (error) {
+            console.error('Driver.respondToAssignment Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark assignment as picked up
+     * Called inside the order status transaction (see OrderStatusService)
+     * @param {Object} assignment - Open assignment row
+     * @param {Object} connection - Transaction connection
+     * @returns {Promise<boolean>} - False if the assignment was no longer accepted
+     */
+    static async markPickedUp(assignment, connection) {
+        try {
+            const [result] = await connection.query(
+                `UPDATE driver_assignments
+                SET status = 'picked_up', picked_up_at = NOW()
+                WHERE id = ? AND status = 'accepted'`,
+                [assignment.id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Driver.markPickedUp Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark assignment as delivered
+     * Called inside the order status transaction (see OrderStatusService)
+     * @param {Object} assignment - Open assignment row
+     * @param {Object} connection - Transaction connection
+     * @returns {Promise<boolean>} - False if the assignment was no longer picked up
+     */
+    static async markDelivered(assignment, connection) {
+        try {
+            const [result] = await connection.query(
+                `UPDATE driver_assignments
+                SET status = 'delivered', delivered_at = NOW()
+                WHERE id = ? AND status = 'picked_up'`,
+                [assignment.id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Driver.markDelivered Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set availability from current workload (busy while carrying orders)
+     * Offline drivers are left offline
+     * @param {number} driverId - Driver user ID
+     * @returns {Promise<void>}
+     */
+    static async refreshAvailability(driverId) {
+        try {
+            await db.query(
+                `UPDATE driver_profiles
+                SET availability_status = IF(
+                    EXISTS (SELECT 1 FROM driver_assignments
+                            WHERE driver_id = ? AND status IN ('accepted', 'picked_up')),
+                    'busy', 'available'),
+                    updated_at = NOW()
+                WHERE user_id = ? AND availability_status <> 'offline'`,
+                [driverId, driverId]
+            );
+        } catch (error) {
+            console.error('Driver.refreshAvailability Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update driver's current location
+     * @param {number} id - Driver user ID
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async updateLocation(id, latitude, longitude) {
+        try {
+            const result = await db.query(
+                `INSERT INTO driver_profiles (user_id, current_latitude, current_longitude, last_location_at)
+                VALUES (?, ?, ?, NOW())
+                ON DUPLICATE KEY UPDATE
+                    current_latitude = VALUES(current_latitude),
+                    current_longitude = VALUES(current_longitude),
+                    last_location_at = NOW()`,
+                [id, latitude, longitude]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Driver.updateLocation Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find nearest available drivers to a point
+     * Only active, available drivers with a recent location and no open assignment
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Object} options - radiusKm, maxLocationAgeMinutes, excludeIds, limit
+     * @returns {Promise<Array>} - Drivers ordered by distance_km
+     */
+    static async findNearestAvailable(latitude, longitude, options = {}) {
+        try {
+            const excludeIds = options.excludeIds && options.excludeIds.length > 0
+                ? options.excludeIds
+                : [0];
+
+            // Haversine formula for distance calculation (through the pool so the
+            // NOT IN / IN lists expand)
+            const [drivers] = await db.pool.query(
+                `SELECT
+                    u.id,
+                    u.name,
+                    u.phone,
+                    dp.vehicle_type,
+                    dp.current_latitude,
+                    dp.current_longitude,
+                    dp.last_location_at,
+                    (6371 * acos(
+                        cos(radians(?)) *
+                        cos(radians(dp.current_latitude)) *
+                        cos(radians(dp.current_longitude) - radians(?)) +
+                        sin(radians(?)) *
+                        sin(radians(dp.current_latitude))
+                    )) as distance_km
+                FROM driver_profiles dp
+                INNER JOIN users u ON dp.user_id = u.id
+                WHERE u.role = 'delivery'
+                    AND u.status = 'active'
+                    AND dp.availability_status = 'available'
+                    AND dp.current_latitude IS NOT NULL
+                    AND dp.current_longitude IS NOT NULL
+                    AND dp.last_location_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+                    AND u.id NOT IN (?)
+                    AND NOT EXISTS (
+                        SELECT 1 FROM driver_assignments da
+                        WHERE da.driver_id = u.id AND da.status IN (?)
+                    )
+                HAVING distance_km <= ?
+                ORDER BY distance_km ASC
+                LIMIT ?`,
+                [
+                    latitude, longitude, latitude,
+                    parseInt(options.maxLocationAgeMinutes) || 15,
+                    excludeIds,
+                    ACTIVE_ASSIGNMENT_STATUSES,
+                    parseFloat(options.radiusKm) || 10,
+                    parseInt(options.limit) || 1
+                ]
+            );
+
+            return drivers;
+        } catch (error) {
+            console.error('Driver.findNearestAvailable Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get drivers who already declined or let an order expire
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Array<number>>} - Driver user IDs
+     */
+    static async getRejectedDriverIds(orderId) {
+        try {
+            const rows = await db.query(
+                `SELECT DISTINCT driver_id FROM driver_assignments
+                WHERE order_id = ? AND status IN ('declined', 'expired')`,
+                [orderId]
+            );
+
+            return rows.map(row => row.driver_id);
+        } catch (error) {
+            console.error('Driver.getRejectedDriverIds Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Expire an assignment the driver did not answer in time
+     * @param {number} assignmentId - Assignment ID
+     * @returns {Promise<boolean>} - True if the assignment was still waiting
+     */
+    static async expireAssignment(assignmentId) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [assignments] = await connection.query(
+                    `SELECT id, order_id, driver_id FROM driver_assignments
+                    WHERE id = ? AND status = 'assigned' FOR UPDATE`,
+                    [assignmentId]
+                );
+
+                if (assignments.length === 0) {
+                    return false;
+                }
+
+                const assignment = assignments[0];
+
+                await connection.query(
+                    `UPDATE driver_assignments
+                    SET status = 'expired', responded_at = NOW(), notes = 'No response from driver'
+                    WHERE id = ?`,
+                    [assignment.id]
+                );
+
+                await connection.query(
+                    `UPDATE orders SET assigned_driver_id = NULL, updated_at = NOW()
+                    WHERE id = ? AND assigned_driver_id = ?`,
+                    [assignment.order_id, assignment.driver_id]
+                );
+
+                return true;
+            });
+        } catch (error) {
+            console.error('Driver.expireAssignment Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get assignments still waiting for a response after the timeout
+     * @param {number} timeoutSeconds - Seconds a driver has to respond
+     * @returns {Promise<Array>} - Assignment rows
+     */
+    static async getUnansweredAssignments(timeoutSeconds) {
+        try {
+            const assignments = await db.query(
+                `SELECT id, order_id, driver_id, assigned_at
+                FROM driver_assignments
+                WHERE status = 'assigned'
+                    AND assigned_at <= DATE_SUB(NOW(), INTERVAL ? SECOND)
+                ORDER BY assigned_at ASC`,
+                [parseInt(timeoutSeconds)]
+            );
+
+            return assignments;
+        } catch (error) {
+            console.error('Driver.getUnansweredAssignments Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get ready orders that have no driver yet
+     * @returns {Promise<Array>} - Order IDs with restaurant coordinates
+     */
+    static async getUndispatchedOrders() {
+        try {
+            const orders = await db.query(
+                `SELECT o.id, o.order_number, r.latitude, r.longitude
+                FROM orders o
+                INNER JOIN restaurants r ON o.restaurant_id = r.id
+                WHERE o.status = 'ready'
+                    AND o.assigned_driver_id IS NULL
+                ORDER BY o.updated_at ASC`
+            );
+
+            return orders;
+        } catch (error) {
+            console.error('Driver.getUndispatchedOrders Error:', error);
+            throw error;
+        }
+    }
+}
+
+Driver.ACTIVE_ASSIGNMENT_STATUSES = ACTIVE_ASSIGNMENT_STATUSES;
+
+module.exports = Driver;
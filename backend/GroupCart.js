@@ -0,0 +1,497 @@
+/**
+ * Group Cart Model
+ * Shared carts for ordering together from one restaurant
+ *
+ * - the host creates the cart and shares its invite code; anyone signed in
+ *   who opens the link joins as a participant
+ * - participants add their own lines to the cart table (group_cart_id set,
+ *   user_id = who added it) while the cart is open
+ * - the host locks the cart (no more changes, may unlock again) and checks out
+ *   once through createOrder with group_cart_id; the order keeps who added
+ *   each line and what each participant owes (order_participants)
+ *
+ * status: open -> locked -> ordered, or cancelled by the host
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const Cart = require('./Cart');
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class GroupCart {
+    /**
+     * Start a shared cart (the host is its first participant)
+     * @param {number} hostId - Host user ID
+     * @param {number} restaurantId - Restaurant everyone orders from
+     * @param {string} name - Optional name, e.g. 'Friday lunch'
+     * @returns {Promise<Object>} - { id, invite_code }
+     */
+    static async create(hostId, restaurantId, name = null) {
+        const restaurants = await db.query(
+            'SELECT id FROM restaurants WHERE id = ? AND status = \'active\'',
+            [restaurantId]
+        );
+
+        if (restaurants.length === 0) {
+            throw badRequest('Restaurant not found', 404);
+        }
+
+        const inviteCode = crypto.randomBytes(12).toString('hex');
+
+        return db.transaction(async (connection) => {
+            const [result] = await connection.query(
+                'INSERT INTO group_carts SET ?',
+                [{
+                    host_user_id: hostId,
+                    restaurant_id: restaurants[0].id,
+                    name: name ? String(name).trim().slice(0, 100) : null,
+                    invite_code: inviteCode
+                }]
+            );
+
+            await connection.query(
+                'INSERT INTO group_cart_participants (group_cart_id, user_id) VALUES (?, ?)',
+                [result.insertId, hostId]
+            );
+
+            return { id: result.insertId, invite_code: inviteCode };
+        });
+    }
+
+    /**
+     * Get a shared cart the user takes part in
+     * @param {number} id - Group cart ID
+     * @param {number} userId - Participant (or host) ID
+     * @returns {Promise<Object>} - group_carts row with restaurant_name and is_host
+     * @throws {Error} - statusCode 404 when it doesn't exist or the user hasn't joined
+     */
+    static async getForParticipant(id, userId) {
+        const groups = await db.query(
+            `SELECT gc.*, r.name as restaurant_name
+            FROM group_carts gc
+            INNER JOIN group_cart_participants p ON p.group_cart_id = gc.id AND p.user_id = ?
+            INNER JOIN restaurants r ON gc.restaurant_id = r.id
+            WHERE gc.id = ?`,
+            [userId, id]
+        );
+
+        if (groups.length === 0) {
+            throw badRequest('Group cart not found', 404);
+        }
+
+        return { ...groups[0], is_host: groups[0].host_user_id === userId };
+    }
+
+    /**
+     * Get the open and locked shared carts a user takes part in
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Group carts, newest first
+     */
+    static async getByUser(userId) {
+        const groups = await db.query(
+            `SELECT gc.id, gc.name, gc.status, gc.restaurant_id, gc.host_user_id, gc.created_at,
+                    r.name as restaurant_name,
+                    u.name as host_name,
+                    (SELECT COUNT(*) FROM group_cart_participants WHERE group_cart_id = gc.id) as participant_count
+            FROM group_carts gc
+            INNER JOIN group_cart_participants p ON p.group_cart_id = gc.id AND p.user_id = ?
+            INNER JOIN restaurants r ON gc.restaurant_id = r.id
+            INNER JOIN users u ON gc.host_user_id = u.id
+            WHERE gc.status IN ('open', 'locked')
+            ORDER BY gc.created_at DESC`,
+            [userId]
+        );
+
+        return groups.map(group => ({ ...group, is_host: group.host_user_id === userId }));
+    }
+
+    /**
+     * Join a shared cart from its invite link (joining twice is a no-op)
+     * @param {string} inviteCode - Invite code
+     * @param {number} userId - Joining user ID
+     * @returns {Promise<Object>} - The group cart
+     */
+    static async join(inviteCode, userId) {
+        const groups = await db.query(
+            'SELECT * FROM group_carts WHERE invite_code = ?',
+            [String(inviteCode || '')]
+        );
+
+        if (groups.length === 0) {
+            throw badRequest('Invite link is not valid', 404);
+        }
+
+        if (groups[0].status !== 'open') {
+            throw badRequest('This group order is no longer taking new people', 409);
+        }
+
+        await db.query(
+            'INSERT IGNORE INTO group_cart_participants (group_cart_id, user_id) VALUES (?, ?)',
+            [groups[0].id, userId]
+        );
+
+        return GroupCart.getForParticipant(groups[0].id, userId);
+    }
+
+    /**
+     * Leave a shared cart (the participant's lines go with them)
+     * @param {Object} group - Group cart (see getForParticipant)
+     * @param {number} userId - Participant ID
+     */
+    static async leave(group, userId) {
+        if (group.is_host) {
+            throw badRequest('The host can\'t leave; cancel the group order instead');
+        }
+
+        await db.transaction(async (connection) => {
+            await GroupCart.lockStatus(connection, group, ['open']);
+
+            await connection.query(
+                'DELETE FROM cart WHERE group_cart_id = ? AND user_id = ?',
+                [group.id, userId]
+            );
+
+            await connection.query(
+                'DELETE FROM group_cart_participants WHERE group_cart_id = ? AND user_id = ?',
+                [group.id, userId]
+            );
+        });
+    }
+
+    /**
+     * Lock (no more changes) or unlock a shared cart
+     * @param {Object} group - Group cart (see getForParticipant)
+     * @param {boolean} locked - True to lock
+     */
+    static async setLocked(group, locked) {
+        GroupCart.assertHost(group);
+
+        await db.transaction(async (connection) => {
+            // Waits for participants' writes in flight; later ones see the new status
+            const status = await GroupCart.lockStatus(connection, group, ['open', 'locked']);
+
+            if (locked && status !== 'open') {
+                throw badRequest(`Group order is ${status}`, 409);
+            }
+
+            if (!locked && status !== 'locked') {
+                throw badRequest('Group order is not locked', 409);
+            }
+
+            if (locked) {
+                const [lines] = await connection.query(
+                    'SELECT COUNT(*) as count FROM cart WHERE group_cart_id = ?',
+                    [group.id]
+                );
+
+                if (parseInt(lines[0].count) === 0) {
+                    throw badRequest('Nobody has added anything yet');
+                }
+            }
+
+            await connection.query(
+                `UPDATE group_carts SET status = ?, locked_at = ${locked ? 'NOW()' : 'NULL'} WHERE id = ?`,
+                [locked ? 'locked' : 'open', group.id]
+            );
+        });
+    }
+
+    /**
+     * Cancel a shared cart (its lines are removed)
+     * @param {Object} group - Group cart (see getForParticipant)
+     */
+    static async cancel(group) {
+        GroupCart.assertHost(group);
+
+        await db.transaction(async (connection) => {
+            await GroupCart.lockStatus(connection, group, ['open', 'locked']);
+
+            await connection.query('DELETE FROM cart WHERE group_cart_id = ?', [group.id]);
+
+            await connection.query(
+                'UPDATE group_carts SET status = \'cancelled\' WHERE id = ?',
+                [group.id]
+            );
+        });
+    }
+
+    /**
+     * Add a menu item or combo for a participant
+     * @param {Object} group - Group cart (see getForParticipant)
+     * @param {number} userId - Participant ID
+     * @param {Object} item - menu_item_id or combo_id, quantity, options, substitutions, special_instructions
+     * @returns {Promise<Object>} - Cart.addItem / Cart.addCombo result
+     */
+    static async addItem(group, userId, item) {
+        // Fails fast here; Cart checks the status again under the group cart's row lock
+        GroupCart.assertOpen(group);
+
+        const quantity = parseInt(item.quantity) || 1;
+
+        if (quantity < 1) {
+            throw badRequest('Quantity must be at least 1');
+        }
+
+        if (item.combo_id) {
+            return Cart.addCombo(userId, item.combo_id, quantity, item.substitutions || {},
+                item.special_instructions || null, { groupCart: group });
+        }
+
+        if (!item.menu_item_id) {
+            throw badRequest('Menu item ID or combo ID is required');
+        }
+
+        return Cart.addItem(userId, item.menu_item_id, quantity, item.options || [],
+            item.special_instructions || null, { groupCart: group });
+    }
+
+    /**
+     * Change the quantity of one of the participant's own lines
+     * @param {Object} group - Group cart (see getForParticipant)
+     * @param {number} userId - Participant ID
+     * @param {number} lineId - cart.id
+     * @param {number} quantity - New quantity
+     */
+    static async updateItem(group, userId, lineId, quantity) {
+        GroupCart.assertOpen(group);
+
+        if (!quantity || quantity < 1) {
+            throw badRequest('Quantity must be at least 1');
+        }
+
+        // Per-order limits count the item across everyone's lines
+        const updated = await Cart.updateQuantity(lineId, quantity, userId, group);
+
+        if (!updated) {
+            throw badRequest('Cart item not found', 404);
+        }
+    }
+
+    /**
+     * Remove a line (participants remove their own; the host may remove any)
+     * @param {Object} group - Group cart (see getForParticipant)
+     * @param {number} userId - Participant ID
+     * @param {number} lineId - cart.id
+     */
+    static async removeItem(group, userId, lineId) {
+        GroupCart.assertOpen(group);
+
+        let sql = 'DELETE FROM cart WHERE id = ? AND group_cart_id = ?';
+        const params = [lineId, group.id];
+
+        if (!group.is_host) {
+            sql += ' AND user_id = ?';
+            params.push(userId);
+        }
+
+        await db.transaction(async (connection) => {
+            await GroupCart.lockStatus(connection, group, ['open']);
+
+            const [result] = await connection.query(sql, params);
+
+            if (result.affectedRows === 0) {
+                throw badRequest('Cart item not found', 404);
+            }
+        });
+    }
+
+    /**
+     * Shared cart with everyone's lines grouped by participant
+     * @param {Object} group - Group cart (see getForParticipant)
+     * @returns {Promise<Object>} - { ...group, participants [{ user_id, name, is_host, items, item_quantity, subtotal }], subtotal }
+     */
+    static async getDetails(group) {
+        const participants = await db.query(
+            `SELECT p.user_id, u.name, p.joined_at
+            FROM group_cart_participants p
+            INNER JOIN users u ON p.user_id = u.id
+            WHERE p.group_cart_id = ?
+            ORDER BY p.joined_at, p.id`,
+            [group.id]
+        );
+
+        const lines = await Cart.getGroupCart(group.id);
+
+        const details = participants.map(participant => {
+            const items = lines.filter(line => line.user_id === participant.user_id);
+
+            return {
+                ...participant,
+                is_host: participant.user_id === group.host_user_id,
+                items,
+                item_quantity: items.reduce((sum, line) => sum + line.quantity, 0),
+                subtotal: roundMoney(items.reduce((sum, line) => sum + line.line_total, 0))
+            };
+        });
+
+        return {
+            ...group,
+            participants: details,
+            subtotal: roundMoney(details.reduce((sum, participant) => sum + participant.subtotal, 0))
+        };
+    }
+
+    /**
+     * Check a shared cart can be ordered by this user
+     * @param {number} id - Group cart ID
+     * @param {number} userId - Must be the host
+     * @returns {Promise<Object>} - Group cart
+     */
+    static async getForCheckout(id, userId) {
+        const group = await GroupCart.getForParticipant(id, userId);
+
+        GroupCart.assertHost(group);
+
+        if (group.status !== 'locked') {
+            throw badRequest(group.status === 'open'
+                ? 'Lock the group order before checking out'
+                : `Group order is ${group.status}`, 409);
+        }
+
+        return group;
+    }
+
+    /**
+     * A locked cart's lines in PricingService.priceOrder format
+     * @param {number} id - Group cart ID
+     * @returns {Promise<Array>} - Items with participant_user_id
+     */
+    static async getCheckoutItems(id) {
+        const rows = await db.query(
+            `SELECT user_id, menu_item_id, combo_id, quantity, selected_options, special_instructions
+            FROM cart
+            WHERE group_cart_id = ?
+            ORDER BY id`,
+            [id]
+        );
+
+        return rows.map(row => {
+            const selected = row.selected_options ? JSON.parse(row.selected_options) : null;
+            const item = row.combo_id
+                ? { combo_id: row.combo_id, substitutions: selected || {} }
+                : { id: row.menu_item_id, options: selected || [] };
+
+            return {
+                ...item,
+                quantity: row.quantity,
+                special_instructions: row.special_instructions,
+                participant_user_id: row.user_id
+            };
+        });
+    }
+
+    /**
+     * Split an order total between participants in proportion to their subtotals
+     * (rounding leftovers go to the host, so the shares add up to the total)
+     * @param {Object} pricing - PricingService.priceOrder result (items carry participant_user_id)
+     * @param {number} hostId - Host user ID
+     * @returns {Array<Object>} - [{ user_id, is_host, item_quantity, subtotal, share_amount }]
+     */
+    static splitBill(pricing, hostId) {
+        const shares = new Map([[hostId, { user_id: hostId, is_host: true, item_quantity: 0, subtotal: 0 }]]);
+
+        for (const item of pricing.items) {
+            const userId = item.participant_user_id;
+
+            if (!shares.has(userId)) {
+                shares.set(userId, { user_id: userId, is_host: false, item_quantity: 0, subtotal: 0 });
+            }
+
+            const share = shares.get(userId);
+            share.item_quantity += item.quantity;
+            share.subtotal = roundMoney(share.subtotal + item.subtotal);
+        }
+
+        const extras = pricing.total_amount - pricing.subtotal;
+        const result = [...shares.values()].map(share => ({
+            ...share,
+            share_amount: pricing.subtotal > 0
+                ? roundMoney(share.subtotal + extras * share.subtotal / pricing.subtotal)
+                : 0
+        }));
+
+        const host = result.find(share => share.is_host);
+        const allocated = result.reduce((sum, share) => sum + share.share_amount, 0);
+        host.share_amount = roundMoney(host.share_amount + pricing.total_amount - allocated);
+
+        return result;
+    }
+
+    /**
+     * Record the order placed from a shared cart (inside the order transaction)
+     * @param {Object} connection - Transaction connection
+     * @param {number} id - Group cart ID
+     * @param {number} orderId - New order ID
+     * @param {Array<Object>} shares - See splitBill
+     * @throws {Error} - statusCode 409 if the cart was checked out, unlocked or cancelled meanwhile
+     */
+    static async completeCheckout(connection, id, orderId, shares) {
+        const [result] = await connection.query(
+            'UPDATE group_carts SET status = \'ordered\', order_id = ? WHERE id = ? AND status = \'locked\'',
+            [orderId, id]
+        );
+
+        if (result.affectedRows === 0) {
+            throw badRequest('Group order changed while checking out. Please try again.', 409);
+        }
+
+        for (const share of shares) {
+            await connection.query(
+                `INSERT INTO order_participants (order_id, user_id, participant_name, is_host, item_quantity, subtotal, share_amount)
+                SELECT ?, u.id, u.name, ?, ?, ?, ? FROM users u WHERE u.id = ?`,
+                [orderId, share.is_host, share.item_quantity, share.subtotal, share.share_amount, share.user_id]
+            );
+        }
+
+        await connection.query('DELETE FROM cart WHERE group_cart_id = ?', [id]);
+    }
+
+    // Host-only actions (403 for participants)
+    static assertHost(group) {
+        if (!group.is_host) {
+            throw badRequest('Only the host can do this', 403);
+        }
+    }
+
+    /**
+     * Lock the group cart row until the transaction ends and check its current status
+     * (the row loaded at the start of the request may be out of date)
+     * @param {Object} connection - Transaction connection
+     * @param {Object} group - Group cart
+     * @param {Array<string>} statuses - Statuses the action is allowed in
+     * @returns {Promise<string>} - Current status
+     */
+    static async lockStatus(connection, group, statuses) {
+        const [rows] = await connection.query(
+            'SELECT status FROM group_carts WHERE id = ? FOR UPDATE',
+            [group.id]
+        );
+        const status = rows.length > 0 ? rows[0].status : 'cancelled';
+
+        if (!statuses.includes(status)) {
+            throw badRequest(status === 'locked'
+                ? 'The host has locked this group order'
+                : `Group order is ${status}`, 409);
+        }
+
+        return status;
+    }
+
+    // Lines can only change while the cart is open
+    static assertOpen(group) {
+        if (group.status !== 'open') {
+            throw badRequest(group.status === 'locked'
+                ? 'The host has locked this group order'
+                : `Group order is ${group.status}`, 409);
+        }
+    }
+}
+
+module.exports = GroupCart;
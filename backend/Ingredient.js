@@ -0,0 +1,195 @@
+/**
+ * Ingredient Model
+ * Handles restaurant ingredients and the recipes that link them to menu items
+ *
+ * Stock levels are changed through InventoryService so every change is
+ * logged in inventory_movements and menu item availability stays in sync.
+ */
+
+const db = require('../config/database');
+
+class Ingredient {
+    /**
+     * Get ingredients for a restaurant
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<Array>} - Ingredients with used_in [{ menu_item_id, name, quantity }]
+     */
+    static async getByRestaurant(restaurantId) {
+        try {
+            const ingredients = await db.query(
+                'SELECT * FROM ingredients WHERE restaurant_id = ? ORDER BY name',
+                [restaurantId]
+            );
+
+            if (ingredients.length === 0) {
+                return ingredients;
+            }
+
+            // IN (?) lists and SET ? objects only expand in the text protocol, so
+            // those queries skip db.query
+            const [uses] = await db.pool.query(
+                `SELECT mii.ingredient_id, mii.menu_item_id, mii.quantity, mi.name
+                FROM menu_item_ingredients mii
+                INNER JOIN menu_items mi ON mii.menu_item_id = mi.id
+                WHERE mii.ingredient_id IN (?)
+                ORDER BY mi.name`,
+                [ingredients.map(ingredient => ingredient.id)]
+            );
+
+            for (const ingredient of ingredients) {
+                ingredient.used_in = uses
+                    .filter(use => use.ingredient_id === ingredient.id)
+                    .map(({ menu_item_id, name, quantity }) => ({ menu_item_id, name, quantity }));
+            }
+
+            return ingredients;
+        } catch (error) {
+            console.error('Ingredient.getByRestaurant Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get ingredient by ID
+     * @param {number} ingredientId - Ingredient ID
+     * @returns {Promise<Object|null>} - Ingredient
+     */
+    static async getById(ingredientId) {
+        try {
+            const ingredients = await db.query(
+                'SELECT * FROM ingredients WHERE id = ?',
+                [ingredientId]
+            );
+
+            return ingredients[0] || null;
+        } catch (error) {
+            console.error('Ingredient.getById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get recipes for menu items
+     * @param {Array<number>} menuItemIds - Menu item IDs
+     * @returns {Promise<Object>} - { menu_item_id: [{ ingredient_id, name, unit, quantity }] }
+     */
+    static async getRecipes(menuItemIds) {
+        try {
+            const byItem = {};
+
+            if (!menuItemIds || menuItemIds.length === 0) {
+                return byItem;
+            }
+
+            const [lines] = await db.pool.query(
+                `SELECT mii.menu_item_id, mii.ingredient_id, mii.quantity, i.name, i.unit
+                FROM menu_item_ingredients mii
+                INNER JOIN ingredients i ON mii.ingredient_id = i.id
+                WHERE mii.menu_item_id IN (?)
+                ORDER BY i.name`,
+                [menuItemIds]
+            );
+
+            for (const { menu_item_id, ...line } of lines) {
+                (byItem[menu_item_id] = byItem[menu_item_id] || []).push(line);
+            }
+
+            return byItem;
+        } catch (error) {
+            console.error('Ingredient.getRecipes Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a menu item's recipe
+     * @param {number} menuItemId - Menu item ID
+     * @param {Array<Object>} lines - [{ ingredient_id, quantity }] (empty clears the recipe)
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async setRecipe(menuItemId, lines) {
+        try {
+            return await db.transaction(async (connection) => {
+                await connection.query(
+                    'DELETE FROM menu_item_ingredients WHERE menu_item_id = ?',
+                    [menuItemId]
+                );
+
+                if (lines.length > 0) {
+                    await connection.query(
+                        'INSERT INTO menu_item_ingredients (menu_item_id, ingredient_id, quantity) VALUES ?',
+                        [lines.map(line => [menuItemId, line.ingredient_id, line.quantity])]
+                    );
+                }
+
+                return true;
+            });
+        } catch (error) {
+            console.error('Ingredient.setRecipe Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create ingredient (with no stock; see InventoryService.changeIngredientStock)
+     * @param {number} restaurantId - Restaurant ID
+     * @param {Object} data - name, unit, low_stock_threshold
+     * @returns {Promise<number>} - New ingredient ID
+     */
+    static async create(restaurantId, data) {
+        try {
+            const [result] = await db.pool.query(
+                'INSERT INTO ingredients SET ?',
+                [{ ...data, restaurant_id: restaurantId, stock_quantity: 0 }]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Ingredient.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update ingredient details
+     * @param {number} ingredientId - Ingredient ID
+     * @param {Object} data - name, unit, low_stock_threshold
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async update(ingredientId, data) {
+        try {
+            const [result] = await db.pool.query(
+                'UPDATE ingredients SET ? WHERE id = ?',
+                [data, ingredientId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Ingredient.update Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete ingredient (removes it from recipes)
+     * @param {number} ingredientId - Ingredient ID
+     * @returns {Promise<Array<number>>} - IDs of menu items whose recipe used it
+     */
+    static async delete(ingredientId) {
+        try {
+            const uses = await db.query(
+                'SELECT menu_item_id FROM menu_item_ingredients WHERE ingredient_id = ?',
+                [ingredientId]
+            );
+
+            await db.query('DELETE FROM ingredients WHERE id = ?', [ingredientId]);
+
+            return uses.map(use => use.menu_item_id);
+        } catch (error) {
+            console.error('Ingredient.delete Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Ingredient;
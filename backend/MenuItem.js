@@ -6,6 +6,31 @@
 // ============================================
 
 const db = require('../config/database');
+const MenuOption = require('./MenuOption');
+const User = require('./User');
+
+// Allergens an item can declare (menu_item_allergens.allergen)
+const ALLERGENS = [
+    'gluten', 'dairy', 'eggs', 'nuts', 'peanuts', 'soy',
+    'fish', 'shellfish', 'sesame', 'mustard', 'celery', 'sulphites'
+];
+
+// Diet tags and the menu_items flag behind each
+const DIETS = {
+    vegetarian: 'is_vegetarian',
+    vegan: 'is_vegan',
+    gluten_free: 'is_gluten_free',
+    spicy: 'is_spicy'
+};
+
+// Dietary query parameters: diet/exclude_diet take DIETS keys, the others ALLERGENS
+const DIETARY_FILTERS = ['diet', 'exclude_diet', 'allergens', 'exclude_allergens'];
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
 
 /**
  * MenuItem Model
@@ -37,7 +62,7 @@ const db = require('../config/database');
  *   is_featured BOOLEAN DEFAULT FALSE,
  *   is_popular BOOLEAN DEFAULT FALSE,
  *   sort_order INT DEFAULT 0,
- *   max_quantity_per_order INT DEFAULT 10,
+ *   max_quantity_per_order INT DEFAULT 10, -- NULL = no limit (see checkOrderQuantity)
  *   min_quantity_per_order INT DEFAULT 1,
  *   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
  *   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -52,6 +77,8 @@ const db = require('../config/database');
  *   FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
  *   FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
  * );
+ *
+ * Allergens live in menu_item_allergens (menu_item_id, allergen); see ALLERGENS.
  */
 
 class MenuItem {
@@ -62,8 +89,9 @@ class MenuItem {
 
     /**
      * Get all menu items with filters
-     * @param {Object} filters - Filter options
-     * @returns {Promise<Array>} - Array of menu items
+     * @param {Object} filters - Filter options (dietary filters: see parseDietaryFilters)
+     * @param {string} filters.language - 'en' or 'sw' for names and descriptions
+     * @returns {Promise<Array>} - Array of menu items with allergens
      */
     static async getAll(filters = {}) {
         try {
@@ -139,9 +167,9 @@ class MenuItem {
             }
 
             if (filters.search) {
-                sql += ' AND (mi.name LIKE ? OR mi.description LIKE ? OR mi.ingredients LIKE ?)';
+                sql += ' AND (mi.name LIKE ? OR mi.name_sw LIKE ? OR mi.description LIKE ? OR mi.ingredients LIKE ?)';
                 const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm, searchTerm);
+                params.push(searchTerm, searchTerm, searchTerm, searchTerm);
             }
 
             if (filters.has_discount !== undefined) {
@@ -152,6 +180,10 @@ class MenuItem {
                 }
             }
 
+            const dietary = MenuItem.dietaryConditions(filters);
+            sql += dietary.sql;
+            params.push(...dietary.params);
+
             // Apply sorting
             if (filters.sort_by) {
                 switch (filters.sort_by) {
@@ -191,7 +223,7 @@ class MenuItem {
                 }
             }
 
-            const [items] = await db.query(sql, params);
+            const items = await db.query(sql, params);
             
             // Parse JSON fields
             items.forEach(item => {
@@ -211,6 +243,17 @@ class MenuItem {
                 }
             });
             
+            await MenuItem.attachAllergens(items);
+            
+            // Handle language translation
+            if (filters.language === 'sw') {
+                return items.map(item => ({
+                    ...item,
+                    name: item.name_sw || item.name,
+                    description: item.description_sw || item.description
+                }));
+            }
+            
             return items;
         } catch (error) {
             console.error('❌ MenuItem.getAll Error:', error);
@@ -221,12 +264,12 @@ class MenuItem {
     /**
      * Get menu item by ID
      * @param {number} id - Menu item ID
-     * @param {Object} options - Options
-     * @returns {Promise<Object|null>} - Menu item object or null
+     * @param {Object} options - with_reviews, with_options, with_similar, language ('en' or 'sw')
+     * @returns {Promise<Object|null>} - Menu item object (with allergens) or null
      */
     static async getById(id, options = {}) {
         try {
-            const [items] = await db.query(
+            const items = await db.query(
                 `SELECT 
                     mi.*,
                     r.name as restaurant_name,
@@ -265,9 +308,16 @@ class MenuItem {
                     }
                 }
                 
+                await MenuItem.attachAllergens([item]);
+                
+                if (options.language === 'sw') {
+                    item.name = item.name_sw || item.name;
+                    item.description = item.description_sw || item.description;
+                }
+                
                 // Get reviews if requested
                 if (options.with_reviews) {
-                    const [reviews] = await db.query(
+                    const reviews = await db.query(
                         `SELECT 
                             r.*,
                             u.name as user_name,
@@ -282,9 +332,14 @@ class MenuItem {
                     item.reviews = reviews;
                 }
                 
+                // Get option groups (sizes, extras) if requested
+                if (options.with_options) {
+                    item.option_groups = await MenuOption.getGroupsForItem(id);
+                }
+                
                 // Get similar items if requested
                 if (options.with_similar) {
-                    const [similar] = await db.query(
+                    const similar = await db.query(
                         `SELECT 
                             id, name, price, discounted_price, image_url
                         FROM menu_items
@@ -323,7 +378,7 @@ class MenuItem {
 
             // Set default values
             if (!menuData.sort_order) {
-                const [maxOrder] = await db.query(
+                const maxOrder = await db.query(
                     'SELECT MAX(sort_order) as max_order FROM menu_items WHERE restaurant_id = ?',
                     [menuData.restaurant_id]
                 );
@@ -345,7 +400,8 @@ class MenuItem {
                 );
             }
 
-            const [result] = await db.query(
+            // SET ? and IN (?) only expand in the text protocol, so writes here go through db.pool
+            const [result] = await db.pool.query(
                 'INSERT INTO menu_items SET ?',
                 [menuData]
             );
@@ -388,7 +444,7 @@ class MenuItem {
                 );
             } else if (updateData.price && updateData.discounted_price === undefined) {
                 // Get current discounted price
-                const [current] = await db.query(
+                const current = await db.query(
                     'SELECT discounted_price FROM menu_items WHERE id = ?',
                     [id]
                 );
@@ -401,7 +457,7 @@ class MenuItem {
 
             updateData.updated_at = new Date();
 
-            const [result] = await db.query(
+            const [result] = await db.pool.query(
                 'UPDATE menu_items SET ? WHERE id = ?',
                 [updateData, id]
             );
@@ -414,15 +470,15 @@ class MenuItem {
     }
 
     /**
-     * Update menu item availability
+     * Update menu item availability (a manual choice, so stock no longer switches it back on)
      * @param {number} id - Menu item ID
      * @param {boolean} isAvailable - Available status
      * @returns {Promise<boolean>} - Success status
      */
     static async updateAvailability(id, isAvailable) {
         try {
-            const [result] = await db.query(
-                'UPDATE menu_items SET is_available = ?, updated_at = NOW() WHERE id = ?',
+            const result = await db.query(
+                'UPDATE menu_items SET is_available = ?, sold_out_by_stock = FALSE, updated_at = NOW() WHERE id = ?',
                 [isAvailable ? 1 : 0, id]
             );
             return result.affectedRows > 0;
@@ -440,7 +496,7 @@ class MenuItem {
      */
     static async toggleFeatured(id, isFeatured) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE menu_items SET is_featured = ?, updated_at = NOW() WHERE id = ?',
                 [isFeatured ? 1 : 0, id]
             );
@@ -459,7 +515,7 @@ class MenuItem {
      */
     static async togglePopular(id, isPopular) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE menu_items SET is_popular = ?, updated_at = NOW() WHERE id = ?',
                 [isPopular ? 1 : 0, id]
             );
@@ -484,7 +540,7 @@ class MenuItem {
                 discountPercent = Math.round(((price - discountedPrice) / price) * 100);
             }
 
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE menu_items SET price = ?, discounted_price = ?, discount_percent = ?, updated_at = NOW() WHERE id = ?',
                 [price, discountedPrice, discountPercent, id]
             );
@@ -502,22 +558,25 @@ class MenuItem {
      */
     static async delete(id) {
         try {
-            // Check if item is in any orders
-            const [orders] = await db.query(
-                'SELECT COUNT(*) as count FROM order_items WHERE menu_item_id = ?',
-                [id]
+            // Check if item is in any orders or combos
+            const orders = await db.query(
+                `SELECT
+                    (SELECT COUNT(*) FROM order_items WHERE menu_item_id = ?) +
+                    (SELECT COUNT(*) FROM combo_items WHERE menu_item_id = ?) +
+                    (SELECT COUNT(*) FROM combo_item_substitutes WHERE menu_item_id = ?) as count`,
+                [id, id, id]
             );
 
             if (orders[0].count > 0) {
                 // Soft delete - just mark as unavailable
-                const [result] = await db.query(
+                const result = await db.query(
                     'UPDATE menu_items SET is_available = FALSE, updated_at = NOW() WHERE id = ?',
                     [id]
                 );
                 return result.affectedRows > 0;
             } else {
                 // Hard delete - no orders
-                const [result] = await db.query(
+                const result = await db.query(
                     'DELETE FROM menu_items WHERE id = ?',
                     [id]
                 );
@@ -571,7 +630,7 @@ class MenuItem {
             sql += ' GROUP BY mi.id ORDER BY total_sold DESC, order_count DESC, avg_rating DESC LIMIT ?';
             params.push(limit);
 
-            const [items] = await db.query(sql, params);
+            const items = await db.query(sql, params);
             return items;
         } catch (error) {
             console.error('❌ MenuItem.getPopular Error:', error);
@@ -586,7 +645,7 @@ class MenuItem {
      */
     static async getFeatured(limit = 10) {
         try {
-            const [items] = await db.query(
+            const items = await db.query(
                 `SELECT 
                     mi.*,
                     r.name as restaurant_name,
@@ -631,8 +690,8 @@ class MenuItem {
     /**
      * Search menu items
      * @param {string} query - Search query
-     * @param {Object} filters - Filter options
-     * @returns {Promise<Array>} - Search results
+     * @param {Object} filters - Filter options (dietary filters: see parseDietaryFilters)
+     * @returns {Promise<Array>} - Search results with allergens
      */
     static async search(query, filters = {}) {
         try {
@@ -650,6 +709,7 @@ class MenuItem {
                     AND r.status = 'active'
                     AND (
                         mi.name LIKE ? 
+                        OR mi.name_sw LIKE ? 
                         OR mi.description LIKE ? 
                         OR mi.ingredients LIKE ?
                         OR c.name LIKE ?
@@ -657,7 +717,7 @@ class MenuItem {
             `;
 
             const searchTerm = `%${query}%`;
-            const params = [searchTerm, searchTerm, searchTerm, searchTerm];
+            const params = [searchTerm, searchTerm, searchTerm, searchTerm, searchTerm];
 
             if (filters.restaurant_id) {
                 sql += ' AND mi.restaurant_id = ?';
@@ -679,9 +739,23 @@ class MenuItem {
                 params.push(filters.max_price);
             }
 
+            const dietary = MenuItem.dietaryConditions(filters);
+            sql += dietary.sql;
+            params.push(...dietary.params);
+
             sql += ' ORDER BY mi.name ASC LIMIT 50';
 
-            const [items] = await db.query(sql, params);
+            const items = await db.query(sql, params);
+            await MenuItem.attachAllergens(items);
+
+            if (filters.language === 'sw') {
+                return items.map(item => ({
+                    ...item,
+                    name: item.name_sw || item.name,
+                    description: item.description_sw || item.description
+                }));
+            }
+
             return items;
         } catch (error) {
             console.error('❌ MenuItem.search Error:', error);
@@ -729,7 +803,7 @@ class MenuItem {
                 params.push(filters.limit);
             }
 
-            const [items] = await db.query(sql, params);
+            const items = await db.query(sql, params);
             return items;
         } catch (error) {
             console.error('❌ MenuItem.getDiscounted Error:', error);
@@ -744,7 +818,7 @@ class MenuItem {
      */
     static async getStatistics(menuItemId) {
         try {
-            const [stats] = await db.query(
+            const stats = await db.query(
                 `SELECT 
                     (SELECT COUNT(*) FROM order_items WHERE menu_item_id = ?) as total_orders,
                     (SELECT SUM(quantity) FROM order_items WHERE menu_item_id = ?) as total_sold,
@@ -807,7 +881,7 @@ class MenuItem {
     static async bulkDelete(ids) {
         try {
             // Check which items have orders
-            const [orders] = await db.query(
+            const [orders] = await db.pool.query(
                 'SELECT DISTINCT menu_item_id FROM order_items WHERE menu_item_id IN (?)',
                 [ids]
             );
@@ -823,7 +897,7 @@ class MenuItem {
             let affectedRows = 0;
             
             if (hardDeleteIds.length > 0) {
-                const [result] = await db.query(
+                const [result] = await db.pool.query(
                     'DELETE FROM menu_items WHERE id IN (?)',
                     [hardDeleteIds]
                 );
@@ -831,7 +905,7 @@ class MenuItem {
             }
             
             if (softDeleteIds.length > 0) {
-                const [result] = await db.query(
+                const [result] = await db.pool.query(
                     'UPDATE menu_items SET is_available = FALSE, updated_at = NOW() WHERE id IN (?)',
                     [softDeleteIds]
                 );
@@ -854,7 +928,7 @@ class MenuItem {
         try {
             const results = [];
             for (const item of sortOrders) {
-                const [result] = await db.query(
+                const result = await db.query(
                     'UPDATE menu_items SET sort_order = ?, updated_at = NOW() WHERE id = ?',
                     [item.sort_order, item.id]
                 );
@@ -875,8 +949,8 @@ class MenuItem {
      */
     static async bulkUpdateAvailability(ids, isAvailable) {
         try {
-            const [result] = await db.query(
-                'UPDATE menu_items SET is_available = ?, updated_at = NOW() WHERE id IN (?)',
+            const [result] = await db.pool.query(
+                'UPDATE menu_items SET is_available = ?, sold_out_by_stock = FALSE, updated_at = NOW() WHERE id IN (?)',
                 [isAvailable ? 1 : 0, ids]
             );
             return result.affectedRows;
@@ -897,7 +971,7 @@ class MenuItem {
      */
     static async exists(id) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'SELECT id FROM menu_items WHERE id = ?',
                 [id]
             );
@@ -915,7 +989,7 @@ class MenuItem {
      */
     static async isAvailable(id) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'SELECT is_available FROM menu_items WHERE id = ?',
                 [id]
             );
@@ -933,7 +1007,7 @@ class MenuItem {
      */
     static async getCurrentPrice(id) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'SELECT COALESCE(discounted_price, price) as current_price FROM menu_items WHERE id = ?',
                 [id]
             );
@@ -951,7 +1025,7 @@ class MenuItem {
      */
     static async countByRestaurant(restaurantId) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'SELECT COUNT(*) as count FROM menu_items WHERE restaurant_id = ? AND is_available = TRUE',
                 [restaurantId]
             );
@@ -969,7 +1043,7 @@ class MenuItem {
      */
     static async countByCategory(categoryId) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'SELECT COUNT(*) as count FROM menu_items WHERE category_id = ? AND is_available = TRUE',
                 [categoryId]
             );
@@ -989,7 +1063,7 @@ class MenuItem {
     static async clone(id, targetRestaurantId) {
         try {
             // Get source menu item
-            const [source] = await db.query(
+            const source = await db.query(
                 'SELECT * FROM menu_items WHERE id = ?',
                 [id]
             );
@@ -1021,6 +1095,231 @@ class MenuItem {
             throw error;
         }
     }
+
+    // ============================================
+    // 🔥 DIETARY & ALLERGENS
+    // ============================================
+
+    /**
+     * Normalize dietary filters from a query string or saved preferences
+     * @param {Object} input - diet, exclude_diet, allergens, exclude_allergens (arrays or comma lists)
+     * @returns {Object} - Same keys as lowercase arrays (only the ones given)
+     * @throws {Error} - statusCode 400 for an unknown diet or allergen
+     */
+    static parseDietaryFilters(input = {}) {
+        const parsed = {};
+
+        for (const key of DIETARY_FILTERS) {
+            if (input[key] === undefined || input[key] === null || input[key] === '') {
+                continue;
+            }
+
+            const values = (Array.isArray(input[key]) ? input[key] : String(input[key]).split(','))
+                .map(value => String(value).trim().toLowerCase())
+                .filter(Boolean);
+
+            const allowed = key.endsWith('diet') ? Object.keys(DIETS) : ALLERGENS;
+            const unknown = values.filter(value => !allowed.includes(value));
+
+            if (unknown.length > 0) {
+                throw badRequest(`Unknown ${key.endsWith('diet') ? 'diet' : 'allergen'}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+            }
+
+            parsed[key] = [...new Set(values)];
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Pick the dietary filters for a menu request: explicit query parameters win,
+     * otherwise the user's saved preferences apply (unless apply_preferences=false)
+     * @param {Object} query - Request query
+     * @param {number|null} userId - Logged-in user, if any
+     * @returns {Promise<Object>} - { filters, source: 'query' | 'preferences' | null }
+     */
+    static async resolveDietaryFilters(query, userId = null) {
+        const filters = MenuItem.parseDietaryFilters(query);
+
+        if (Object.keys(filters).length > 0) {
+            return { filters, source: 'query' };
+        }
+
+        if (userId && query.apply_preferences !== 'false') {
+            const preferences = await User.getDietaryPreferences(userId);
+
+            if (Object.keys(preferences).length > 0) {
+                return { filters: preferences, source: 'preferences' };
+            }
+        }
+
+        return { filters: {}, source: null };
+    }
+
+    /**
+     * Build WHERE conditions for dietary filters
+     * @param {Object} filters - Parsed dietary filters (see parseDietaryFilters)
+     * @param {string} alias - menu_items table alias
+     * @returns {Object} - { sql, params } to append to a query
+     */
+    static dietaryConditions(filters = {}, alias = 'mi') {
+        let sql = '';
+        const params = [];
+
+        // Unknown tags (e.g. in old saved preferences) are ignored
+        for (const diet of (filters.diet || []).filter(diet => DIETS[diet])) {
+            sql += ` AND ${alias}.${DIETS[diet]} = TRUE`;
+        }
+
+        for (const diet of (filters.exclude_diet || []).filter(diet => DIETS[diet])) {
+            sql += ` AND ${alias}.${DIETS[diet]} = FALSE`;
+        }
+
+        // One placeholder per allergen: the callers run this through db.query, whose
+        // prepared statements don't expand arrays
+        const allergenList = (allergens) => allergens.map(() => '?').join(', ');
+
+        // Items declaring any of the allergens
+        if (filters.allergens && filters.allergens.length > 0) {
+            sql += ` AND EXISTS (SELECT 1 FROM menu_item_allergens mia WHERE mia.menu_item_id = ${alias}.id AND mia.allergen IN (${allergenList(filters.allergens)}))`;
+            params.push(...filters.allergens);
+        }
+
+        // Items declaring none of the allergens
+        if (filters.exclude_allergens && filters.exclude_allergens.length > 0) {
+            sql += ` AND NOT EXISTS (SELECT 1 FROM menu_item_allergens mia WHERE mia.menu_item_id = ${alias}.id AND mia.allergen IN (${allergenList(filters.exclude_allergens)}))`;
+            params.push(...filters.exclude_allergens);
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * Attach the allergen list to menu items
+     * @param {Array<Object>} items - Menu item rows
+     * @returns {Promise<Array>} - Items with allergens: ['nuts', ...]
+     */
+    static async attachAllergens(items) {
+        try {
+            if (items.length === 0) {
+                return items;
+            }
+
+            const [rows] = await db.pool.query(
+                `SELECT menu_item_id, allergen
+                FROM menu_item_allergens
+                WHERE menu_item_id IN (?)
+                ORDER BY allergen`,
+                [items.map(item => item.id)]
+            );
+
+            for (const item of items) {
+                item.allergens = rows
+                    .filter(row => row.menu_item_id === item.id)
+                    .map(row => row.allergen);
+            }
+
+            return items;
+        } catch (error) {
+            console.error('❌ MenuItem.attachAllergens Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a menu item's allergens
+     * @param {number} menuItemId - Menu item ID
+     * @param {Array<string>} allergens - Allergens from ALLERGENS (empty clears them)
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async setAllergens(menuItemId, allergens) {
+        try {
+            return await db.transaction(async (connection) => {
+                await connection.query(
+                    'DELETE FROM menu_item_allergens WHERE menu_item_id = ?',
+                    [menuItemId]
+                );
+
+                if (allergens.length > 0) {
+                    await connection.query(
+                        'INSERT INTO menu_item_allergens (menu_item_id, allergen) VALUES ?',
+                        [allergens.map(allergen => [menuItemId, allergen])]
+                    );
+                }
+
+                return true;
+            });
+        } catch (error) {
+            console.error('❌ MenuItem.setAllergens Error:', error);
+            throw error;
+        }
+    }
+
+    // ============================================
+    // 🔥 ORDER QUANTITY LIMITS
+    // ============================================
+
+    /**
+     * Validate min_quantity_per_order / max_quantity_per_order in menu item input
+     * (converts them in place; an empty max means no limit)
+     * @param {Object} data - Menu item fields being saved
+     * @param {Object} existing - Current menu item when updating
+     * @throws {Error} - statusCode 400 for bad or crossed limits
+     */
+    static parseQuantityLimits(data, existing = null) {
+        if (data.min_quantity_per_order !== undefined) {
+            data.min_quantity_per_order = parseInt(data.min_quantity_per_order);
+
+            if (isNaN(data.min_quantity_per_order) || data.min_quantity_per_order < 1) {
+                throw badRequest('min_quantity_per_order must be a whole number of 1 or more');
+            }
+        }
+
+        if (data.max_quantity_per_order === '' || data.max_quantity_per_order === null) {
+            data.max_quantity_per_order = null;
+        } else if (data.max_quantity_per_order !== undefined) {
+            data.max_quantity_per_order = parseInt(data.max_quantity_per_order);
+
+            if (isNaN(data.max_quantity_per_order) || data.max_quantity_per_order < 1) {
+                throw badRequest('max_quantity_per_order must be a whole number of 1 or more');
+            }
+        }
+
+        const min = data.min_quantity_per_order !== undefined
+            ? data.min_quantity_per_order
+            : existing ? existing.min_quantity_per_order : 1;
+        const max = data.max_quantity_per_order !== undefined
+            ? data.max_quantity_per_order
+            : existing ? existing.max_quantity_per_order : null;
+
+        if (max !== null && max !== undefined && min > max) {
+            throw badRequest('min_quantity_per_order cannot be more than max_quantity_per_order');
+        }
+    }
+
+    /**
+     * Check how many of an item one order holds against its limits
+     * @param {Object} menuItem - name, min_quantity_per_order, max_quantity_per_order
+     * @param {number} quantity - Total quantity of the item in the cart or order (all option variants)
+     * @throws {Error} - statusCode 400 outside the limits
+     */
+    static checkOrderQuantity(menuItem, quantity) {
+        const min = parseInt(menuItem.min_quantity_per_order) || 1;
+        const max = menuItem.max_quantity_per_order !== null && menuItem.max_quantity_per_order !== undefined
+            ? parseInt(menuItem.max_quantity_per_order)
+            : null;
+
+        if (quantity < min) {
+            throw badRequest(`"${menuItem.name}" has to be ordered at least ${min} at a time`);
+        }
+
+        if (max !== null && quantity > max) {
+            throw badRequest(`You can order at most ${max} of "${menuItem.name}" per order`);
+        }
+    }
 }
 
+MenuItem.ALLERGENS = ALLERGENS;
+MenuItem.DIETS = DIETS;
+
 module.exports = MenuItem;
@@ -0,0 +1,83 @@
+// ============================================
+// 🍔 FOOD EXPRESS - MENU ITEM MODEL TESTS
+// ============================================
+
+jest.mock('../config/database', () => ({
+    query: jest.fn(),
+    pool: { query: jest.fn() }
+}), { virtual: true });
+
+const db = require('../config/database');
+const MenuItem = require('./MenuItem');
+
+// menu_items rows and their menu_item_allergens
+const ITEMS = [
+    { id: 1, name: 'Peanut Stew' },
+    { id: 2, name: 'Chips Mayai' },
+    { id: 3, name: 'Prawn Curry' }
+];
+
+const ALLERGENS = {
+    1: ['peanuts'],
+    2: ['eggs'],
+    3: ['shellfish', 'dairy']
+};
+
+// Stands in for MySQL's NOT EXISTS (... mia.allergen IN (...)): prepared statements bind one
+// scalar per placeholder, so an array bound to a single ? matches nothing
+const excludedAllergens = (sql, params) => {
+    const match = sql.match(/NOT EXISTS \(SELECT 1 FROM menu_item_allergens .*?mia\.allergen IN \(([?, ]+)\)\)/);
+
+    if (!match) {
+        return [];
+    }
+
+    const placeholders = match[1].split(',').length;
+    return params.slice(params.length - placeholders).filter(value => typeof value === 'string');
+};
+
+beforeEach(() => {
+    db.query.mockReset();
+    db.pool.query.mockReset();
+
+    db.query.mockImplementation(async (sql, params) => {
+        const excluded = excludedAllergens(sql, params);
+        return ITEMS
+            .filter(item => !ALLERGENS[item.id].some(allergen => excluded.includes(allergen)))
+            .map(item => ({ ...item }));
+    });
+
+    db.pool.query.mockImplementation(async (sql, [ids]) => [
+        ids.flatMap(id => ALLERGENS[id].map(allergen => ({ menu_item_id: id, allergen })))
+    ]);
+});
+
+describe('MenuItem.dietaryConditions', () => {
+    it('binds one placeholder per excluded allergen', () => {
+        const { sql, params } = MenuItem.dietaryConditions({ exclude_allergens: ['nuts', 'dairy'] });
+
+        expect(sql).toContain('mia.allergen IN (?, ?)');
+        expect(params).toEqual(['nuts', 'dairy']);
+    });
+
+    it('adds nothing without dietary filters', () => {
+        expect(MenuItem.dietaryConditions({})).toEqual({ sql: '', params: [] });
+    });
+});
+
+describe('MenuItem.getAll', () => {
+    it('filters out items declaring an excluded allergen', async () => {
+        const filters = MenuItem.parseDietaryFilters({ exclude_allergens: 'peanuts,shellfish' });
+        const items = await MenuItem.getAll(filters);
+
+        expect(items.map(item => item.name)).toEqual(['Chips Mayai']);
+        expect(items[0].allergens).toEqual(['eggs']);
+    });
+
+    it('returns every item when nothing is excluded', async () => {
+        const items = await MenuItem.getAll({});
+
+        expect(items).toHaveLength(3);
+        expect(items[2].allergens).toEqual(['shellfish', 'dairy']);
+    });
+});
@@ -0,0 +1,336 @@
+/**
+ * MenuOption Model
+ * Handles option groups (sizes, extras, add-ons) attached to menu items
+ *
+ * - min_select / max_select bound how many options a customer picks from a
+ *   group (min_select > 0 makes the group required)
+ * - each option adds price_delta to the item's unit price
+ * - is_default options are used when the customer picks nothing from a group
+ */
+
+const db = require('../config/database');
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class MenuOption {
+    /**
+     * Get option groups (with options) for several menu items
+     * @param {Array<number>} menuItemIds - Menu item IDs
+     * @param {Object} filters - include_unavailable (owners see sold-out options too)
+     * @returns {Promise<Object>} - { menu_item_id: [group, ...] }
+     */
+    static async getGroupsForItems(menuItemIds, filters = {}) {
+        try {
+            const byItem = {};
+
+            if (!menuItemIds || menuItemIds.length === 0) {
+                return byItem;
+            }
+
+            // IN (?) lists and SET ? objects only expand in the text protocol, so
+            // those queries go through the pool instead of db.query
+            const [groups] = await db.pool.query(
+                `SELECT * FROM menu_option_groups
+                WHERE menu_item_id IN (?)
+                ORDER BY sort_order, id`,
+                [menuItemIds]
+            );
+
+            if (groups.length === 0) {
+                return byItem;
+            }
+
+            let sql = `SELECT * FROM menu_options WHERE group_id IN (?)`;
+
+            if (!filters.include_unavailable) {
+                sql += ' AND is_available = TRUE';
+            }
+
+            sql += ' ORDER BY sort_order, id';
+
+            const [options] = await db.pool.query(sql, [groups.map(group => group.id)]);
+
+            for (const group of groups) {
+                group.options = options.filter(option => option.group_id === group.id);
+                (byItem[group.menu_item_id] = byItem[group.menu_item_id] || []).push(group);
+            }
+
+            return byItem;
+        } catch (error) {
+            console.error('MenuOption.getGroupsForItems Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get option groups (with options) for one menu item
+     * @param {number} menuItemId - Menu item ID
+     * @param {Object} filters - include_unavailable
+     * @returns {Promise<Array>} - Option groups
+     */
+    static async getGroupsForItem(menuItemId, filters = {}) {
+        const byItem = await MenuOption.getGroupsForItems([menuItemId], filters);
+        return byItem[menuItemId] || [];
+    }
+
+    /**
+     * Get option group by ID
+     * @param {number} groupId - Group ID
+     * @returns {Promise<Object|null>} - Group with restaurant_id of its menu item
+     */
+    static async getGroupById(groupId) {
+        try {
+            const groups = await db.query(
+                `SELECT g.*, mi.restaurant_id
+                FROM menu_option_groups g
+                INNER JOIN menu_items mi ON g.menu_item_id = mi.id
+                WHERE g.id = ?`,
+                [groupId]
+            );
+
+            return groups[0] || null;
+        } catch (error) {
+            console.error('MenuOption.getGroupById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get option by ID
+     * @param {number} optionId - Option ID
+     * @returns {Promise<Object|null>} - Option with restaurant_id of its menu item
+     */
+    static async getOptionById(optionId) {
+        try {
+            const options = await db.query(
+                `SELECT o.*, mi.restaurant_id
+                FROM menu_options o
+                INNER JOIN menu_option_groups g ON o.group_id = g.id
+                INNER JOIN menu_items mi ON g.menu_item_id = mi.id
+                WHERE o.id = ?`,
+                [optionId]
+            );
+
+            return options[0] || null;
+        } catch (error) {
+            console.error('MenuOption.getOptionById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get options by IDs with their group names
+     * @param {Array<number>} optionIds - Option IDs
+     * @returns {Promise<Array>} - Options
+     */
+    static async getOptionsByIds(optionIds) {
+        try {
+            if (!optionIds || optionIds.length === 0) {
+                return [];
+            }
+
+            const [options] = await db.pool.query(
+                `SELECT o.*, g.name as group_name, g.menu_item_id
+                FROM menu_options o
+                INNER JOIN menu_option_groups g ON o.group_id = g.id
+                WHERE o.id IN (?)`,
+                [optionIds]
+            );
+
+            return options;
+        } catch (error) {
+            console.error('MenuOption.getOptionsByIds Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a customer's option choice for a menu item and price it
+     * @param {Object} menuItem - Menu item (id, name)
+     * @param {Array<number>} optionIds - Chosen option IDs
+     * @returns {Promise<Object>} - { options: snapshot rows, price_delta, option_ids, signature }
+     * @throws {Error} - statusCode 400 when the choice breaks a group's rules
+     */
+    static async resolveSelection(menuItem, optionIds = []) {
+        if (optionIds && !Array.isArray(optionIds)) {
+            throw badRequest('options must be an array of option IDs');
+        }
+
+        const chosen = [...new Set((optionIds || []).map(id => parseInt(id)))];
+
+        if (chosen.some(id => isNaN(id))) {
+            throw badRequest('options must be an array of option IDs');
+        }
+
+        const groups = await MenuOption.getGroupsForItem(menuItem.id);
+        const known = new Set(groups.flatMap(group => group.options.map(option => option.id)));
+
+        for (const id of chosen) {
+            if (!known.has(id)) {
+                throw badRequest(`Option ${id} is not available for "${menuItem.name}"`);
+            }
+        }
+
+        const selected = [];
+
+        for (const group of groups) {
+            let picks = group.options.filter(option => chosen.includes(option.id));
+
+            if (picks.length === 0) {
+                picks = group.options.filter(option => option.is_default);
+            }
+
+            if (picks.length < group.min_select) {
+                throw badRequest(`Choose at least ${group.min_select} from "${group.name}" for "${menuItem.name}"`);
+            }
+
+            if (picks.length > group.max_select) {
+                throw badRequest(`Choose at most ${group.max_select} from "${group.name}" for "${menuItem.name}"`);
+            }
+
+            for (const option of picks) {
+                selected.push({
+                    group_id: group.id,
+                    group_name: group.name,
+                    option_id: option.id,
+                    name: option.name,
+                    price_delta: parseFloat(option.price_delta) || 0
+                });
+            }
+        }
+
+        const ids = selected.map(option => option.option_id).sort((a, b) => a - b);
+        const priceDelta = selected.reduce((sum, option) => sum + option.price_delta, 0);
+
+        return {
+            options: selected,
+            price_delta: Math.round(priceDelta * 100) / 100,
+            option_ids: ids,
+            signature: ids.join(',')
+        };
+    }
+
+    /**
+     * Create option group
+     * @param {number} menuItemId - Menu item ID
+     * @param {Object} data - name, min_select, max_select, sort_order
+     * @returns {Promise<number>} - New group ID
+     */
+    static async createGroup(menuItemId, data) {
+        try {
+            const [result] = await db.pool.query(
+                'INSERT INTO menu_option_groups SET ?',
+                [{ ...data, menu_item_id: menuItemId }]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('MenuOption.createGroup Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update option group
+     * @param {number} groupId - Group ID
+     * @param {Object} data - name, min_select, max_select, sort_order
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async updateGroup(groupId, data) {
+        try {
+            const [result] = await db.pool.query(
+                'UPDATE menu_option_groups SET ? WHERE id = ?',
+                [data, groupId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('MenuOption.updateGroup Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete option group and its options
+     * @param {number} groupId - Group ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async deleteGroup(groupId) {
+        try {
+            const result = await db.query(
+                'DELETE FROM menu_option_groups WHERE id = ?',
+                [groupId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('MenuOption.deleteGroup Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create option
+     * @param {number} groupId - Group ID
+     * @param {Object} data - name, price_delta, is_default, is_available, sort_order
+     * @returns {Promise<number>} - New option ID
+     */
+    static async createOption(groupId, data) {
+        try {
+            const [result] = await db.pool.query(
+                'INSERT INTO menu_options SET ?',
+                [{ ...data, group_id: groupId }]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('MenuOption.createOption Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update option
+     * @param {number} optionId - Option ID
+     * @param {Object} data - name, price_delta, is_default, is_available, sort_order
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async updateOption(optionId, data) {
+        try {
+            const [result] = await db.pool.query(
+                'UPDATE menu_options SET ? WHERE id = ?',
+                [data, optionId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('MenuOption.updateOption Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete option (past orders keep their snapshot)
+     * @param {number} optionId - Option ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async deleteOption(optionId) {
+        try {
+            const result = await db.query(
+                'DELETE FROM menu_options WHERE id = ?',
+                [optionId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('MenuOption.deleteOption Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = MenuOption;
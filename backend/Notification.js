@@ -0,0 +1,62 @@
+/**
+ * Notification Model
+ * Handles in-app notifications shown to users
+ */
+
+const db = require('../config/database');
+
+class Notification {
+    /**
+     * Create notification
+     * @param {number} userId - Recipient user ID
+     * @param {Object} notification - title, message, type (order/promotion/system/alert), related_id
+     * @returns {Promise<number>} - New notification ID
+     */
+    static async create(userId, { title, message, type = 'system', related_id = null }) {
+        try {
+            const result = await db.query(
+                `INSERT INTO notifications (user_id, title, message, type, related_id)
+                VALUES (?, ?, ?, ?, ?)`,
+                [userId, title, message, type, related_id]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Notification.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Notify the customer who placed an order
+     * Failures are logged only; a missed notification must not fail the caller
+     * @param {number} orderId - Order ID
+     * @param {string} title - Notification title
+     * @param {string} message - Notification message
+     * @returns {Promise<number|null>} - New notification ID or null
+     */
+    static async notifyOrderCustomer(orderId, title, message) {
+        try {
+            const orders = await db.query(
+                'SELECT user_id FROM orders WHERE id = ?',
+                [orderId]
+            );
+
+            if (!orders[0] || !orders[0].user_id) {
+                return null;
+            }
+
+            return await Notification.create(orders[0].user_id, {
+                title,
+                message,
+                type: 'order',
+                related_id: orderId
+            });
+        } catch (error) {
+            console.error('Notification.notifyOrderCustomer Error:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = Notification;
@@ -1,39 +1,89 @@
-const pool = require('../config/database');
+const db = require('../config/database');
+const Promotion = require('./Promotion');
 
 class Order {
     // Create new order
-    static async create(orderData, items) {
-        const connection = await pool.getConnection();
+    // orderData holds orders columns; items are { menu_item_id, menu_item_name, menu_item_price, options_price, selected_options, quantity, subtotal }
+    // combo lines also carry combo_id and components [{ menu_item_id, menu_item_name, quantity }]
+    // group orders: participant_user_id says who added each line
+    // options.beforeCommit(connection, orderId) runs after the items are inserted
+    static async create(orderData, items, options = {}) {
+        const connection = await db.getConnection();
         
         try {
             await connection.beginTransaction();
             
-            // Insert order
-            const [orderResult] = await connection.execute(
-                `INSERT INTO orders (user_id, total_amount, delivery_address, phone, payment_method) 
-                 VALUES (?, ?, ?, ?, ?)`,
-                [
-                    orderData.user_id,
-                    orderData.total_amount,
-                    orderData.delivery_address,
-                    orderData.phone,
-                    orderData.payment_method || 'cash'
-                ]
+            // Insert order (order_number comes from the generate_order_number trigger)
+            const [orderResult] = await connection.query(
+                'INSERT INTO orders SET ?',
+                [orderData]
             );
             
             const orderId = orderResult.insertId;
             
             // Insert order items
             for (const item of items) {
-                await connection.execute(
-                    `INSERT INTO order_items (order_id, menu_item_id, quantity, price, subtotal) 
-                     VALUES (?, ?, ?, ?, ?)`,
-                    [orderId, item.menu_item_id, item.quantity, item.price, item.subtotal]
+                const [itemResult] = await connection.execute(
+                    `INSERT INTO order_items 
+                     (order_id, menu_item_id, combo_id, menu_item_name, menu_item_price, options_price, selected_options, quantity, subtotal, special_instructions, participant_user_id) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        orderId,
+                        item.menu_item_id,
+                        item.combo_id || null,
+                        item.menu_item_name,
+                        item.menu_item_price,
+                        item.options_price || 0,
+                        item.selected_options && item.selected_options.length > 0
+                            ? JSON.stringify(item.selected_options)
+                            : null,
+                        item.quantity,
+                        item.subtotal,
+                        item.special_instructions || null,
+                        item.participant_user_id || null
+                    ]
                 );
+                
+                // Combo components are what the kitchen cooks; the combo line carries the price
+                for (const component of item.components || []) {
+                    await connection.execute(
+                        `INSERT INTO order_items 
+                         (order_id, menu_item_id, combo_id, parent_item_id, menu_item_name, menu_item_price, quantity, subtotal, participant_user_id) 
+                         VALUES (?, ?, ?, ?, ?, 0, ?, 0, ?)`,
+                        [
+                            orderId,
+                            component.menu_item_id,
+                            item.combo_id,
+                            itemResult.insertId,
+                            component.menu_item_name,
+                            component.quantity,
+                            item.participant_user_id || null
+                        ]
+                    );
+                }
             }
             
+            // Record the coupon use in the same transaction so limits can't be overrun
+            if (orderData.promotion_id) {
+                await Promotion.redeem(connection, {
+                    promotion_id: orderData.promotion_id,
+                    user_id: orderData.user_id,
+                    order_id: orderId,
+                    discount_amount: orderData.discount_amount
+                });
+            }
+            
+            if (typeof options.beforeCommit === 'function') {
+                await options.beforeCommit(connection, orderId);
+            }
+            
+            const [rows] = await connection.execute(
+                'SELECT order_number FROM orders WHERE id = ?',
+                [orderId]
+            );
+            
             await connection.commit();
-            return orderId;
+            return { orderId, orderNumber: rows[0].order_number };
             
         } catch (error) {
             await connection.rollback();
@@ -43,9 +93,57 @@ class Order {
         }
     }
 
+    // Get order with items (optionally restricted to one customer)
+    static async getOrderDetails(orderId, userId = null) {
+        let sql = `SELECT o.*, 
+                          r.name as restaurant_name,
+                          r.phone as restaurant_phone
+                   FROM orders o 
+                   LEFT JOIN restaurants r ON o.restaurant_id = r.id
+                   WHERE o.id = ?`;
+        const params = [orderId];
+        
+        if (userId) {
+            sql += ' AND o.user_id = ?';
+            params.push(userId);
+        }
+        
+        const orders = await db.query(sql, params);
+        
+        if (orders.length === 0) {
+            return null;
+        }
+        
+        const items = await db.query(
+            'SELECT * FROM order_items WHERE order_id = ? ORDER BY id',
+            [orderId]
+        );
+        
+        // selected_options is a JSON snapshot of the options chosen at checkout
+        for (const item of items) {
+            item.selected_options = item.selected_options ? JSON.parse(item.selected_options) : [];
+        }
+        
+        // Group orders carry what each participant owes
+        if (orders[0].group_cart_id) {
+            return { ...orders[0], items, participants: await Order.getParticipants(orderId) };
+        }
+        
+        return { ...orders[0], items };
+    }
+
+    // Get the bill split of a group order (host first)
+    static async getParticipants(orderId) {
+        const participants = await db.query(
+            'SELECT * FROM order_participants WHERE order_id = ? ORDER BY is_host DESC, id',
+            [orderId]
+        );
+        return participants;
+    }
+
     // Get user orders
     static async getByUser(userId) {
-        const [rows] = await pool.execute(
+        const rows = await db.query(
             `SELECT o.*, 
                     (SELECT COUNT(*) FROM order_items WHERE order_id = o.id) as item_count
              FROM orders o 
@@ -4,6 +4,7 @@
  */
 
 const db = require('../config/database');
+const MenuOption = require('./MenuOption');
 
 class OrderItem {
     /**
@@ -19,12 +20,13 @@ class OrderItem {
                 `SELECT 
                     c.menu_item_id,
                     c.quantity,
+                    c.selected_options,
                     c.special_instructions,
                     mi.name as menu_item_name,
-                    COALESCE(mi.discounted_price, mi.price) as price
+                    COALESCE(mi.discounted_price, mi.price) as base_price
                 FROM cart c
                 INNER JOIN menu_items mi ON c.menu_item_id = mi.id
-                WHERE c.user_id = ? AND mi.is_available = TRUE`,
+                WHERE c.user_id = ? AND c.group_cart_id IS NULL AND mi.is_available = TRUE`,
                 [userId]
             );
             
@@ -36,18 +38,40 @@ class OrderItem {
             
             // Insert each cart item as order item
             for (const item of cartItems) {
-                const subtotal = item.price * item.quantity;
+                // Re-check the options and snapshot them at today's prices
+                const selection = await MenuOption.resolveSelection(
+                    { id: item.menu_item_id, name: item.menu_item_name },
+                    item.selected_options ? JSON.parse(item.selected_options) : []
+                );
+                const price = Math.round((parseFloat(item.base_price) + selection.price_delta) * 100) / 100;
+                const subtotal = Math.round(price * item.quantity * 100) / 100;
                 
-                const [result] = await db.query(
+                const result = await db.query(
                     `INSERT INTO order_items 
-                    (order_id, menu_item_id, menu_item_name, menu_item_price, quantity, subtotal, special_instructions) 
-                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                    [orderId, item.menu_item_id, item.menu_item_name, item.price, item.quantity, subtotal, item.special_instructions]
+                    (order_id, menu_item_id, menu_item_name, menu_item_price, options_price, selected_options, quantity, subtotal, special_instructions) 
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        orderId,
+                        item.menu_item_id,
+                        item.menu_item_name,
+                        price,
+                        selection.price_delta,
+                        selection.options.length > 0 ? JSON.stringify(selection.options) : null,
+                        item.quantity,
+                        subtotal,
+                        item.special_instructions
+                    ]
                 );
                 
                 orderItems.push({
                     id: result.insertId,
-                    ...item,
+                    menu_item_id: item.menu_item_id,
+                    menu_item_name: item.menu_item_name,
+                    menu_item_price: price,
+                    options_price: selection.price_delta,
+                    selected_options: selection.options,
+                    quantity: item.quantity,
+                    special_instructions: item.special_instructions,
                     subtotal
                 });
             }
@@ -61,26 +85,33 @@ class OrderItem {
 
     /**
      * Get order items for an order
+     * Combo components follow their combo line and have parent_item_id set (price 0)
      * @param {number} orderId - Order ID
      * @returns {Promise<Array>} - Array of order items
      */
     static async getByOrderId(orderId) {
         try {
-            const [items] = await db.query(
+            const items = await db.query(
                 `SELECT 
                     oi.*,
                     mi.image_url,
                     mi.description,
+                    mi.preparation_time,
                     r.name as restaurant_name,
                     r.logo_url as restaurant_logo
                 FROM order_items oi
                 LEFT JOIN menu_items mi ON oi.menu_item_id = mi.id
                 LEFT JOIN restaurants r ON mi.restaurant_id = r.id
                 WHERE oi.order_id = ?
-                ORDER BY oi.created_at`,
+                ORDER BY oi.id`,
                 [orderId]
             );
             
+            // Options chosen at checkout (snapshot, unaffected by later menu changes)
+            for (const item of items) {
+                item.selected_options = item.selected_options ? JSON.parse(item.selected_options) : [];
+            }
+            
             return items;
         } catch (error) {
             console.error('OrderItem.getByOrderId Error:', error);
@@ -96,7 +127,7 @@ class OrderItem {
     static async getOrderWithItems(orderId) {
         try {
             // Get order details
-            const [orders] = await db.query(
+            const orders = await db.query(
                 `SELECT 
                     o.*,
                     r.name as restaurant_name,
@@ -157,7 +188,7 @@ class OrderItem {
             }
             
             // Get current price
-            const [current] = await db.query(
+            const current = await db.query(
                 'SELECT menu_item_price FROM order_items WHERE id = ?',
                 [orderItemId]
             );
@@ -168,7 +199,7 @@ class OrderItem {
             
             const newSubtotal = current[0].menu_item_price * quantity;
             
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE order_items SET quantity = ?, subtotal = ? WHERE id = ?',
                 [quantity, newSubtotal, orderItemId]
             );
@@ -188,7 +219,7 @@ class OrderItem {
      */
     static async updateInstructions(orderItemId, instructions) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE order_items SET special_instructions = ? WHERE id = ?',
                 [instructions, orderItemId]
             );
@@ -211,7 +242,7 @@ class OrderItem {
     static async addToOrder(orderId, menuItemId, quantity = 1, instructions = '') {
         try {
             // Get menu item details
-            const [menuItem] = await db.query(
+            const menuItem = await db.query(
                 'SELECT name, COALESCE(discounted_price, price) as price FROM menu_items WHERE id = ?',
                 [menuItemId]
             );
@@ -222,7 +253,7 @@ class OrderItem {
             
             const subtotal = menuItem[0].price * quantity;
             
-            const [result] = await db.query(
+            const result = await db.query(
                 `INSERT INTO order_items 
                 (order_id, menu_item_id, menu_item_name, menu_item_price, quantity, subtotal, special_instructions) 
                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
@@ -243,7 +274,7 @@ class OrderItem {
      */
     static async removeFromOrder(orderItemId) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 'DELETE FROM order_items WHERE id = ?',
                 [orderItemId]
             );
@@ -262,7 +293,7 @@ class OrderItem {
      */
     static async getById(orderItemId) {
         try {
-            const [items] = await db.query(
+            const items = await db.query(
                 `SELECT 
                     oi.*,
                     o.order_number,
@@ -339,7 +370,7 @@ class OrderItem {
                 params.push(filters.limit);
             }
             
-            const [items] = await db.query(sql, params);
+            const items = await db.query(sql, params);
             return items;
         } catch (error) {
             console.error('OrderItem.getByRestaurant Error:', error);
@@ -349,22 +380,26 @@ class OrderItem {
 
     /**
      * Get popular order items for restaurant
+     * Items sold inside combos count as the menu items they are (combo_quantity
+     * says how many); avg_price is the price paid when ordered on their own
      * @param {number} restaurantId - Restaurant ID
      * @param {number} limit - Number of items to return
      * @returns {Promise<Array>} - Array of popular items
      */
     static async getPopularItems(restaurantId, limit = 10) {
         try {
-            const [items] = await db.query(
+            const items = await db.query(
                 `SELECT 
                     oi.menu_item_id,
                     oi.menu_item_name,
                     COUNT(*) as order_count,
                     SUM(oi.quantity) as total_quantity,
-                    AVG(oi.menu_item_price) as avg_price
+                    SUM(CASE WHEN oi.parent_item_id IS NOT NULL THEN oi.quantity ELSE 0 END) as combo_quantity,
+                    AVG(CASE WHEN oi.parent_item_id IS NULL THEN oi.menu_item_price END) as avg_price
                 FROM order_items oi
                 INNER JOIN orders o ON oi.order_id = o.id
                 WHERE o.restaurant_id = ? AND o.status = 'delivered'
+                    AND (oi.combo_id IS NULL OR oi.parent_item_id IS NOT NULL)
                 GROUP BY oi.menu_item_id, oi.menu_item_name
                 ORDER BY total_quantity DESC, order_count DESC
                 LIMIT ?`,
@@ -385,7 +420,7 @@ class OrderItem {
      */
     static async getOrderStatistics(orderId) {
         try {
-            const [stats] = await db.query(
+            const stats = await db.query(
                 `SELECT 
                     COUNT(*) as item_count,
                     SUM(quantity) as total_quantity,
@@ -394,7 +429,7 @@ class OrderItem {
                     MIN(menu_item_price) as min_item_price,
                     MAX(menu_item_price) as max_item_price
                 FROM order_items 
-                WHERE order_id = ?`,
+                WHERE order_id = ? AND parent_item_id IS NULL`,
                 [orderId]
             );
             
@@ -0,0 +1,239 @@
+/**
+ * Payment Model
+ * Handles payment records for online payment methods
+ *
+ * payments.status: pending -> completed | failed (-> refunded)
+ * orders.payment_status mirrors it as pending -> paid | failed (-> refunded)
+ */
+
+const db = require('../config/database');
+
+// Payment status order; results may only move a payment forward
+const STATUS_RANK = {
+    pending: 0,
+    failed: 1,
+    completed: 2,
+    refunded: 3
+};
+
+class Payment {
+    /**
+     * Create payment record
+     * @param {Object} paymentData - order_id, amount, payment_method, provider, phone_number
+     * @returns {Promise<number>} - New payment ID
+     */
+    static async create(paymentData) {
+        try {
+            // SET ? expands objects only in the text protocol, so this skips db.query
+            const [result] = await db.pool.query(
+                'INSERT INTO payments SET ?',
+                [{ ...paymentData, status: 'pending' }]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Payment.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get payment by ID
+     * @param {number} id - Payment ID
+     * @returns {Promise<Object|null>} - Payment with order owner or null
+     */
+    static async getById(id) {
+        try {
+            const payments = await db.query(
+                `SELECT
+                    p.*,
+                    o.user_id,
+                    o.order_number,
+                    o.payment_status as order_payment_status
+                FROM payments p
+                INNER JOIN orders o ON p.order_id = o.id
+                WHERE p.id = ?`,
+                [id]
+            );
+
+            return payments[0] || null;
+        } catch (error) {
+            console.error('Payment.getById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get payment by provider transaction ID
+     * @param {string} transactionId - Provider transaction ID
+     * @returns {Promise<Object|null>} - Payment or null
+     */
+    static async getByTransactionId(transactionId) {
+        try {
+            const payments = await db.query(
+                'SELECT * FROM payments WHERE transaction_id = ?',
+                [transactionId]
+            );
+
+            return payments[0] || null;
+        } catch (error) {
+            console.error('Payment.getByTransactionId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all payments for an order
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Array>} - Payments, newest first
+     */
+    static async getByOrderId(orderId) {
+        try {
+            const payments = await db.query(
+                'SELECT * FROM payments WHERE order_id = ? ORDER BY payment_date DESC, id DESC',
+                [orderId]
+            );
+
+            return payments;
+        } catch (error) {
+            console.error('Payment.getByOrderId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the provider's transaction ID once the request is accepted
+     * @param {number} id - Payment ID
+     * @param {string} transactionId - Provider transaction ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async setTransactionId(id, transactionId) {
+        try {
+            const result = await db.query(
+                'UPDATE payments SET transaction_id = ? WHERE id = ?',
+                [transactionId, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Payment.setTransactionId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Settle a payment and the order's payment_status together
+     * @param {number} id - Payment ID
+     * @param {Object} result - status (completed/failed), provider_receipt, failure_reason
+     * @returns {Promise<Object>} - { updated, payment }
+     */
+    static async settle(id, result) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [payments] = await connection.query(
+                    'SELECT * FROM payments WHERE id = ? FOR UPDATE',
+                    [id]
+                );
+
+                return Payment.applyResult(connection, payments[0], result);
+            });
+        } catch (error) {
+            console.error('Payment.settle Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Settle a payment by provider transaction ID (webhooks)
+     * The row lock makes concurrent or replayed callbacks apply once.
+     * Only the provider that took the payment can settle it
+     * @param {string} transactionId - Provider transaction ID
+     * @param {string} provider - Provider the callback came from (payments.provider)
+     * @param {Object} result - status (completed/failed), provider_receipt, failure_reason
+     * @returns {Promise<Object>} - { updated, payment }
+     */
+    static async settleByTransactionId(transactionId, provider, result) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [payments] = await connection.query(
+                    'SELECT * FROM payments WHERE transaction_id = ? AND provider = ? FOR UPDATE',
+                    [transactionId, provider]
+                );
+
+                return Payment.applyResult(connection, payments[0], result);
+            });
+        } catch (error) {
+            console.error('Payment.settleByTransactionId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a provider result to a locked payment row
+     * Status only moves forward (pending -> failed -> completed -> refunded),
+     * so duplicates and late callbacks never double-confirm or un-refund.
+     * A failure never overrides a completed payment; a late success does
+     * override an earlier failure because the money was actually taken.
+     * @param {Object} connection - Transaction connection
+     * @param {Object} payment - Locked payment row
+     * @param {Object} result - status (completed/failed), provider_receipt, failure_reason
+     * @returns {Promise<Object>} - { updated, payment }
+     */
+    static async applyResult(connection, payment, result) {
+        if (!payment) {
+            return { updated: false, payment: null };
+        }
+
+        // A callback can bring the receipt for a payment already confirmed by a status
+        // query; reversals need it
+        if (result.status === 'completed' && payment.status === 'completed' &&
+            result.provider_receipt && !payment.provider_receipt) {
+            await connection.query(
+                'UPDATE payments SET provider_receipt = ? WHERE id = ?',
+                [result.provider_receipt, payment.id]
+            );
+
+            return { updated: false, payment: { ...payment, provider_receipt: result.provider_receipt } };
+        }
+
+        if (STATUS_RANK[result.status] === undefined ||
+            STATUS_RANK[result.status] <= STATUS_RANK[payment.status]) {
+            return { updated: false, payment };
+        }
+
+        if (result.status === 'completed') {
+            await connection.query(
+                `UPDATE payments
+                SET status = 'completed', completed_at = NOW(),
+                    provider_receipt = COALESCE(?, provider_receipt), failure_reason = NULL
+                WHERE id = ?`,
+                [result.provider_receipt || null, payment.id]
+            );
+
+            await connection.query(
+                `UPDATE orders SET payment_status = 'paid', updated_at = NOW()
+                WHERE id = ? AND payment_status IN ('pending', 'failed')`,
+                [payment.order_id]
+            );
+        } else {
+            await connection.query(
+                `UPDATE payments SET status = 'failed', failure_reason = ? WHERE id = ?`,
+                [result.failure_reason || 'Payment failed', payment.id]
+            );
+
+            // Another attempt for the same order may already have succeeded
+            await connection.query(
+                `UPDATE orders SET payment_status = 'failed', updated_at = NOW()
+                WHERE id = ? AND payment_status = 'pending'`,
+                [payment.order_id]
+            );
+        }
+
+        return {
+            updated: true,
+            payment: { ...payment, status: result.status }
+        };
+    }
+}
+
+module.exports = Payment;
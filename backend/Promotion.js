@@ -0,0 +1,607 @@
+/**
+ * Promotion Model
+ * Handles coupon codes, discount calculation and usage counting
+ *
+ * Every use is written to promotion_redemptions, which backs the per-user
+ * limit and first-order-only rules. promotion_targets narrows a promotion
+ * to restaurants and/or categories; without targets it applies to all items.
+ */
+
+const db = require('../config/database');
+
+class Promotion {
+    /**
+     * Get all promotions with filters
+     * @param {Object} filters - is_active, status (current/upcoming/expired), search, limit, offset
+     * @returns {Promise<Object>} - Promotions and total count
+     */
+    static async getAll(filters = {}) {
+        try {
+            let where = ' WHERE 1=1';
+            const params = [];
+
+            if (filters.is_active !== undefined) {
+                where += ' AND p.is_active = ?';
+                params.push(filters.is_active ? 1 : 0);
+            }
+
+            if (filters.status === 'current') {
+                where += ' AND CURDATE() BETWEEN p.valid_from AND p.valid_until';
+            } else if (filters.status === 'upcoming') {
+                where += ' AND p.valid_from > CURDATE()';
+            } else if (filters.status === 'expired') {
+                where += ' AND p.valid_until < CURDATE()';
+            }
+
+            if (filters.search) {
+                where += ' AND (p.code LIKE ? OR p.name LIKE ?)';
+                const searchTerm = `%${filters.search}%`;
+                params.push(searchTerm, searchTerm);
+            }
+
+            const promotions = await db.query(
+                `SELECT p.*
+                FROM promotions p
+                ${where}
+                ORDER BY p.created_at DESC
+                LIMIT ? OFFSET ?`,
+                [...params, parseInt(filters.limit) || 20, parseInt(filters.offset) || 0]
+            );
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) as total FROM promotions p ${where}`,
+                params
+            );
+
+            return {
+                promotions,
+                total: countResult[0].total
+            };
+        } catch (error) {
+            console.error('Promotion.getAll Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get promotion by ID
+     * @param {number} id - Promotion ID
+     * @returns {Promise<Object|null>} - Promotion or null
+     */
+    static async getById(id) {
+        try {
+            const promotions = await db.query(
+                'SELECT * FROM promotions WHERE id = ?',
+                [id]
+            );
+
+            if (promotions.length === 0) {
+                return null;
+            }
+
+            const promotion = promotions[0];
+            promotion.targets = await Promotion.getTargets(id);
+
+            return promotion;
+        } catch (error) {
+            console.error('Promotion.getById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get promotion by coupon code (case-insensitive)
+     * @param {string} code - Coupon code
+     * @returns {Promise<Object|null>} - Promotion with is_current flag or null
+     */
+    static async getByCode(code) {
+        try {
+            const promotions = await db.query(
+                `SELECT
+                    p.*,
+                    (CURDATE() BETWEEN p.valid_from AND p.valid_until) as is_current
+                FROM promotions p
+                WHERE UPPER(p.code) = UPPER(?)`,
+                [String(code).trim()]
+            );
+
+            return promotions[0] || null;
+        } catch (error) {
+            console.error('Promotion.getByCode Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create promotion
+     * @param {Object} promotionData - Promotion data
+     * @returns {Promise<number>} - New promotion ID
+     */
+    static async create(promotionData) {
+        try {
+            // SET ? only expands objects in the text protocol, so this skips db.query
+            const [result] = await db.pool.query(
+                'INSERT INTO promotions SET ?',
+                [promotionData]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Promotion.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update promotion
+     * @param {number} id - Promotion ID
+     * @param {Object} updateData - Update data
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async update(id, updateData) {
+        try {
+            const [result] = await db.pool.query(
+                'UPDATE promotions SET ? WHERE id = ?',
+                [updateData, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Promotion.update Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete promotion
+     * @param {number} id - Promotion ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async delete(id) {
+        try {
+            const result = await db.query(
+                'DELETE FROM promotions WHERE id = ?',
+                [id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Promotion.delete Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get restaurant/category targets for a promotion
+     * @param {number} id - Promotion ID
+     * @returns {Promise<Object>} - { restaurant_ids, category_ids }
+     */
+    static async getTargets(id) {
+        try {
+            const targets = await db.query(
+                'SELECT target_type, target_id FROM promotion_targets WHERE promotion_id = ?',
+                [id]
+            );
+
+            return {
+                restaurant_ids: targets.filter(t => t.target_type === 'restaurant').map(t => t.target_id),
+                category_ids: targets.filter(t => t.target_type === 'category').map(t => t.target_id)
+            };
+        } catch (error) {
+            console.error('Promotion.getTargets Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace restaurant/category targets for a promotion
+     * @param {number} id - Promotion ID
+     * @param {Object} targets - { restaurant_ids, category_ids } (empty = applies to everything)
+     * @returns {Promise<void>}
+     */
+    static async setTargets(id, targets = {}) {
+        try {
+            await db.transaction(async (connection) => {
+                await connection.query(
+                    'DELETE FROM promotion_targets WHERE promotion_id = ?',
+                    [id]
+                );
+
+                const rows = [
+                    ...(targets.restaurant_ids || []).map(targetId => [id, 'restaurant', targetId]),
+                    ...(targets.category_ids || []).map(targetId => [id, 'category', targetId])
+                ];
+
+                if (rows.length > 0) {
+                    await connection.query(
+                        'INSERT INTO promotion_targets (promotion_id, target_type, target_id) VALUES ?',
+                        [rows]
+                    );
+                }
+            });
+        } catch (error) {
+            console.error('Promotion.setTargets Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out the part of an order a promotion applies to
+     * A restaurant target matches the whole order; a category target matches
+     * only items in that category
+     * @param {Object} targets - { restaurant_ids, category_ids }
+     * @param {Object} context - restaurant_id, subtotal, items [{ category_id, subtotal }]
+     * @returns {number} - Eligible subtotal
+     */
+    static getEligibleSubtotal(targets, context) {
+        const subtotal = parseFloat(context.subtotal) || 0;
+        const restaurantIds = targets.restaurant_ids || [];
+        const categoryIds = targets.category_ids || [];
+
+        if (restaurantIds.length === 0 && categoryIds.length === 0) {
+            return subtotal;
+        }
+
+        if (restaurantIds.includes(parseInt(context.restaurant_id))) {
+            return subtotal;
+        }
+
+        return (context.items || [])
+            .filter(item => categoryIds.includes(parseInt(item.category_id)))
+            .reduce((sum, item) => sum + (parseFloat(item.subtotal) || 0), 0);
+    }
+
+    /**
+     * Count a customer's applied redemptions of a promotion
+     * @param {number} promotionId - Promotion ID
+     * @param {number} userId - User ID
+     * @param {Object} connection - Optional transaction connection
+     * @returns {Promise<number>}
+     */
+    static async countUserRedemptions(promotionId, userId, connection = db.pool) {
+        try {
+            const [rows] = await connection.query(
+                `SELECT COUNT(*) as count FROM promotion_redemptions
+                WHERE promotion_id = ? AND user_id = ? AND status = 'applied'`,
+                [promotionId, userId]
+            );
+
+            return rows[0].count;
+        } catch (error) {
+            console.error('Promotion.countUserRedemptions Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether the customer has any earlier non-cancelled order
+     * @param {number} userId - User ID
+     * @param {number|null} excludeOrderId - Order being placed
+     * @param {Object} connection - Optional transaction connection
+     * @returns {Promise<boolean>}
+     */
+    static async hasPreviousOrder(userId, excludeOrderId = null, connection = db.pool) {
+        try {
+            const [rows] = await connection.query(
+                `SELECT COUNT(*) as count FROM orders
+                WHERE user_id = ? AND status <> 'cancelled' AND id <> ?`,
+                [userId, excludeOrderId || 0]
+            );
+
+            return rows[0].count > 0;
+        } catch (error) {
+            console.error('Promotion.hasPreviousOrder Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate discount for an order
+     * @param {Object} promotion - Promotion row
+     * @param {number} subtotal - Subtotal the promotion applies to
+     * @param {number} deliveryFee - Delivery fee
+     * @returns {number} - Discount amount (never more than what it applies to)
+     */
+    static computeDiscount(promotion, subtotal, deliveryFee = 0) {
+        const value = parseFloat(promotion.discount_value) || 0;
+        const cap = promotion.max_discount_amount !== null && promotion.max_discount_amount !== undefined
+            ? parseFloat(promotion.max_discount_amount)
+            : null;
+
+        let discount = 0;
+
+        switch (promotion.discount_type) {
+            case 'percentage':
+                discount = subtotal * (value / 100);
+                break;
+            case 'fixed':
+                discount = Math.min(value, subtotal);
+                break;
+            case 'free_delivery':
+                discount = deliveryFee;
+                break;
+            default:
+                discount = 0;
+        }
+
+        if (cap !== null && discount > cap) {
+            discount = cap;
+        }
+
+        return Math.round(discount * 100) / 100;
+    }
+
+    /**
+     * Validate coupon code and work out the discount
+     * @param {string} code - Coupon code
+     * @param {Object} context - user_id, restaurant_id, subtotal, delivery_fee, items [{ category_id, subtotal }]
+     * @returns {Promise<Object>} - { promotion, discount_amount, eligible_subtotal }
+     * @throws {Error} - statusCode 400/404 with a customer-facing message
+     */
+    static async validate(code, context = {}) {
+        const deliveryFee = parseFloat(context.delivery_fee) || 0;
+
+        const promotion = await Promotion.getByCode(code);
+
+        const reject = (message, statusCode = 400) => {
+            const error = new Error(message);
+            error.statusCode = statusCode;
+            throw error;
+        };
+
+        if (!promotion) {
+            reject('Coupon code not found', 404);
+        }
+
+        if (!promotion.is_active) {
+            reject('This coupon is no longer active');
+        }
+
+        if (!promotion.is_current) {
+            reject('This coupon is not valid today');
+        }
+
+        if (promotion.usage_limit !== null && promotion.used_count >= promotion.usage_limit) {
+            reject('This coupon has reached its usage limit');
+        }
+
+        if (context.user_id) {
+            if (promotion.per_user_limit !== null &&
+                await Promotion.countUserRedemptions(promotion.id, context.user_id) >= promotion.per_user_limit) {
+                reject('You have already used this coupon the maximum number of times');
+            }
+
+            if (promotion.first_order_only && await Promotion.hasPreviousOrder(context.user_id)) {
+                reject('This coupon is only valid on your first order');
+            }
+        }
+
+        promotion.targets = await Promotion.getTargets(promotion.id);
+        const eligibleSubtotal = Promotion.getEligibleSubtotal(promotion.targets, context);
+
+        if (eligibleSubtotal <= 0) {
+            reject('This coupon does not apply to the items in your order');
+        }
+
+        // The minimum counts only what the coupon applies to (all items when untargeted)
+        const minOrder = parseFloat(promotion.min_order_amount) || 0;
+        if (eligibleSubtotal < minOrder) {
+            const targeted = (promotion.targets.restaurant_ids || []).length > 0
+                || (promotion.targets.category_ids || []).length > 0;
+
+            reject(targeted
+                ? `Minimum of ${minOrder.toFixed(2)} on eligible items required for this coupon`
+                : `Minimum order of ${minOrder.toFixed(2)} required for this coupon`);
+        }
+
+        const discountAmount = Promotion.computeDiscount(promotion, eligibleSubtotal, deliveryFee);
+
+        if (discountAmount <= 0) {
+            reject('This coupon does not apply to your order');
+        }
+
+        return {
+            promotion,
+            discount_amount: discountAmount,
+            eligible_subtotal: eligibleSubtotal
+        };
+    }
+
+    /**
+     * Count one use of a promotion
+     * Runs inside the order transaction; the WHERE clause stops two orders
+     * from both taking the last use
+     * @param {number} id - Promotion ID
+     * @param {Object} connection - Transaction connection
+     * @returns {Promise<void>}
+     * @throws {Error} - statusCode 409 if the limit was reached meanwhile
+     */
+    static async incrementUsage(id, connection) {
+        try {
+            const [result] = await connection.query(
+                `UPDATE promotions
+                SET used_count = used_count + 1
+                WHERE id = ?
+                    AND is_active = TRUE
+                    AND (usage_limit IS NULL OR used_count < usage_limit)`,
+                [id]
+            );
+
+            if (result.affectedRows === 0) {
+                const error = new Error('This coupon has reached its usage limit');
+                error.statusCode = 409;
+                throw error;
+            }
+        } catch (error) {
+            console.error('Promotion.incrementUsage Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a coupon use for an order
+     * Runs inside the order transaction. incrementUsage() locks the promotion
+     * row first, so concurrent checkouts of the same coupon queue up behind it
+     * and the per-user and first-order checks below see each other's rows.
+     * @param {Object} connection - Transaction connection
+     * @param {Object} redemption - promotion_id, user_id, order_id, discount_amount
+     * @returns {Promise<number>} - Redemption ID
+     * @throws {Error} - statusCode 409 if a limit was reached meanwhile
+     */
+    static async redeem(connection, redemption) {
+        try {
+            await Promotion.incrementUsage(redemption.promotion_id, connection);
+
+            const [promotions] = await connection.query(
+                'SELECT per_user_limit, first_order_only FROM promotions WHERE id = ?',
+                [redemption.promotion_id]
+            );
+            const promotion = promotions[0];
+
+            const conflict = (message) => {
+                const error = new Error(message);
+                error.statusCode = 409;
+                throw error;
+            };
+
+            if (promotion.per_user_limit !== null &&
+                await Promotion.countUserRedemptions(redemption.promotion_id, redemption.user_id, connection) >= promotion.per_user_limit) {
+                conflict('You have already used this coupon the maximum number of times');
+            }
+
+            if (promotion.first_order_only &&
+                await Promotion.hasPreviousOrder(redemption.user_id, redemption.order_id, connection)) {
+                conflict('This coupon is only valid on your first order');
+            }
+
+            const [result] = await connection.query(
+                `INSERT INTO promotion_redemptions (promotion_id, user_id, order_id, discount_amount)
+                VALUES (?, ?, ?, ?)`,
+                [redemption.promotion_id, redemption.user_id, redemption.order_id, redemption.discount_amount]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Promotion.redeem Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Give a coupon use back when its order is cancelled
+     * @param {number} orderId - Order ID
+     * @param {Object} connection - Optional transaction connection
+     * @returns {Promise<boolean>} - True if a redemption was reversed
+     */
+    static async reverseRedemption(orderId, connection = db.pool) {
+        try {
+            const [redemptions] = await connection.query(
+                `SELECT id, promotion_id FROM promotion_redemptions
+                WHERE order_id = ? AND status = 'applied'`,
+                [orderId]
+            );
+
+            if (redemptions.length === 0) {
+                return false;
+            }
+
+            await connection.query(
+                `UPDATE promotion_redemptions
+                SET status = 'reversed', reversed_at = NOW()
+                WHERE id = ?`,
+                [redemptions[0].id]
+            );
+
+            await connection.query(
+                'UPDATE promotions SET used_count = GREATEST(used_count - 1, 0) WHERE id = ?',
+                [redemptions[0].promotion_id]
+            );
+
+            return true;
+        } catch (error) {
+            console.error('Promotion.reverseRedemption Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get usage statistics for a promotion
+     * @param {number} id - Promotion ID
+     * @returns {Promise<Object>} - Summary and recent orders
+     */
+    static async getUsage(id) {
+        try {
+            const summary = await db.query(
+                `SELECT
+                    COUNT(*) as total_orders,
+                    COUNT(DISTINCT o.user_id) as unique_customers,
+                    COALESCE(SUM(o.discount_amount), 0) as total_discount,
+                    COALESCE(SUM(o.total_amount), 0) as total_revenue,
+                    COALESCE(AVG(o.total_amount), 0) as avg_order_value,
+                    SUM(CASE WHEN o.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_orders
+                FROM orders o
+                WHERE o.promotion_id = ?`,
+                [id]
+            );
+
+            const recentOrders = await db.query(
+                `SELECT
+                    o.id,
+                    o.order_number,
+                    o.status,
+                    o.subtotal,
+                    o.discount_amount,
+                    o.total_amount,
+                    o.created_at,
+                    u.name as customer_name,
+                    r.name as restaurant_name
+                FROM orders o
+                LEFT JOIN users u ON o.user_id = u.id
+                LEFT JOIN restaurants r ON o.restaurant_id = r.id
+                WHERE o.promotion_id = ?
+                ORDER BY o.created_at DESC
+                LIMIT 20`,
+                [id]
+            );
+
+            const redemptions = await db.query(
+                `SELECT
+                    COUNT(*) as total_redemptions,
+                    SUM(CASE WHEN pr.status = 'applied' THEN 1 ELSE 0 END) as applied_redemptions,
+                    SUM(CASE WHEN pr.status = 'reversed' THEN 1 ELSE 0 END) as reversed_redemptions,
+                    COUNT(DISTINCT pr.user_id) as unique_redeemers
+                FROM promotion_redemptions pr
+                WHERE pr.promotion_id = ?`,
+                [id]
+            );
+
+            const topCustomers = await db.query(
+                `SELECT
+                    pr.user_id,
+                    u.name as customer_name,
+                    u.email as customer_email,
+                    COUNT(*) as redemptions,
+                    SUM(pr.discount_amount) as total_discount
+                FROM promotion_redemptions pr
+                LEFT JOIN users u ON pr.user_id = u.id
+                WHERE pr.promotion_id = ? AND pr.status = 'applied'
+                GROUP BY pr.user_id, u.name, u.email
+                ORDER BY redemptions DESC, total_discount DESC
+                LIMIT 10`,
+                [id]
+            );
+
+            return {
+                summary: summary[0] || {},
+                redemptions: redemptions[0] || {},
+                top_customers: topCustomers,
+                recent_orders: recentOrders
+            };
+        } catch (error) {
+            console.error('Promotion.getUsage Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Promotion;
@@ -0,0 +1,269 @@
+/**
+ * Refund Model
+ * Handles full and partial (order_items line level) refunds
+ *
+ * refunds.status: pending -> completed | failed
+ * While a refund is pending or completed its lines count against
+ * order_items.refunded_quantity, so the same item cannot be refunded twice.
+ * A failed refund gives the quantities back.
+ */
+
+const db = require('../config/database');
+
+class Refund {
+    /**
+     * Create refund with its lines (inside the caller's transaction)
+     * @param {Object} connection - Transaction connection
+     * @param {Object} refundData - order_id, payment_id, amount, type, reason, provider, refunded_by, items [{ order_item_id, quantity, amount }]
+     * @returns {Promise<number>} - New refund ID
+     */
+    static async create(connection, refundData) {
+        try {
+            const { items, ...refund } = refundData;
+
+            const [result] = await connection.query(
+                'INSERT INTO refunds SET ?',
+                [{ ...refund, status: 'pending' }]
+            );
+
+            const refundId = result.insertId;
+
+            for (const item of items) {
+                await connection.query(
+                    `INSERT INTO refund_items (refund_id, order_item_id, quantity, amount)
+                    VALUES (?, ?, ?, ?)`,
+                    [refundId, item.order_item_id, item.quantity, item.amount]
+                );
+
+                await connection.query(
+                    'UPDATE order_items SET refunded_quantity = refunded_quantity + ? WHERE id = ?',
+                    [item.quantity, item.order_item_id]
+                );
+            }
+
+            if (refund.payment_id) {
+                await connection.query(
+                    'UPDATE payments SET refund_reason = ? WHERE id = ?',
+                    [refund.reason, refund.payment_id]
+                );
+            }
+
+            return refundId;
+        } catch (error) {
+            console.error('Refund.create Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get refund by ID
+     * @param {number} id - Refund ID
+     * @returns {Promise<Object|null>} - Refund with items or null
+     */
+    static async getById(id) {
+        try {
+            const refunds = await db.query('SELECT * FROM refunds WHERE id = ?', [id]);
+
+            if (!refunds[0]) {
+                return null;
+            }
+
+            const items = await db.query(
+                `SELECT ri.*, oi.menu_item_name, oi.menu_item_price
+                FROM refund_items ri
+                INNER JOIN order_items oi ON ri.order_item_id = oi.id
+                WHERE ri.refund_id = ?
+                ORDER BY ri.id`,
+                [id]
+            );
+
+            return { ...refunds[0], items };
+        } catch (error) {
+            console.error('Refund.getById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all refunds for an order
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Array>} - Refunds, newest first
+     */
+    static async getByOrderId(orderId) {
+        try {
+            const refunds = await db.query(
+                `SELECT r.*, u.name as refunded_by_name
+                FROM refunds r
+                LEFT JOIN users u ON r.refunded_by = u.id
+                WHERE r.order_id = ?
+                ORDER BY r.created_at DESC, r.id DESC`,
+                [orderId]
+            );
+
+            return refunds;
+        } catch (error) {
+            console.error('Refund.getByOrderId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Total refunded or being refunded for an order
+     * @param {number} orderId - Order ID
+     * @param {Object} connection - Optional transaction connection
+     * @returns {Promise<number>} - Amount
+     */
+    static async getRefundedTotal(orderId, connection = db.pool) {
+        try {
+            const [rows] = await connection.query(
+                `SELECT COALESCE(SUM(amount), 0) as total
+                FROM refunds
+                WHERE order_id = ? AND status IN ('pending', 'completed')`,
+                [orderId]
+            );
+
+            return parseFloat(rows[0].total);
+        } catch (error) {
+            console.error('Refund.getRefundedTotal Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the provider's refund reference
+     * @param {number} id - Refund ID
+     * @param {string} providerRefundId - Provider refund/reversal ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async setProviderRefundId(id, providerRefundId) {
+        try {
+            const result = await db.query(
+                'UPDATE refunds SET provider_refund_id = ? WHERE id = ?',
+                [providerRefundId, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Refund.setProviderRefundId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Settle a pending refund
+     * @param {number} id - Refund ID
+     * @param {Object} result - status (completed/failed), failure_reason
+     * @returns {Promise<Object>} - { updated, refund, fully_refunded }
+     */
+    static async settle(id, result) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [refunds] = await connection.query(
+                    'SELECT * FROM refunds WHERE id = ? FOR UPDATE',
+                    [id]
+                );
+
+                return Refund.applyResult(connection, refunds[0], result);
+            });
+        } catch (error) {
+            console.error('Refund.settle Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Settle a pending refund by provider reference (webhooks)
+     * @param {string} providerRefundId - Provider refund/reversal ID
+     * @param {string} provider - Provider the callback came from (refunds.provider)
+     * @param {Object} result - status (completed/failed), failure_reason
+     * @returns {Promise<Object>} - { updated, refund, fully_refunded }
+     */
+    static async settleByProviderRefundId(providerRefundId, provider, result) {
+        try {
+            return await db.transaction(async (connection) => {
+                const [refunds] = await connection.query(
+                    'SELECT * FROM refunds WHERE provider_refund_id = ? AND provider = ? FOR UPDATE',
+                    [providerRefundId, provider]
+                );
+
+                return Refund.applyResult(connection, refunds[0], result);
+            });
+        } catch (error) {
+            console.error('Refund.settleByProviderRefundId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a provider result to a locked refund row
+     * Only pending refunds change, so replayed results are ignored
+     * @param {Object} connection - Transaction connection
+     * @param {Object} refund - Locked refund row
+     * @param {Object} result - status (completed/failed), failure_reason
+     * @returns {Promise<Object>} - { updated, refund, fully_refunded }
+     */
+    static async applyResult(connection, refund, result) {
+        if (!refund || refund.status !== 'pending' || !['completed', 'failed'].includes(result.status)) {
+            return { updated: false, refund: refund || null, fully_refunded: false };
+        }
+
+        if (result.status === 'failed') {
+            await connection.query(
+                `UPDATE refunds SET status = 'failed', failure_reason = ? WHERE id = ?`,
+                [result.failure_reason || 'Refund failed', refund.id]
+            );
+
+            // Give the quantities back so the lines can be refunded again
+            await connection.query(
+                `UPDATE order_items oi
+                INNER JOIN refund_items ri ON ri.order_item_id = oi.id
+                SET oi.refunded_quantity = GREATEST(oi.refunded_quantity - ri.quantity, 0)
+                WHERE ri.refund_id = ?`,
+                [refund.id]
+            );
+
+            return {
+                updated: true,
+                refund: { ...refund, status: 'failed' },
+                fully_refunded: false
+            };
+        }
+
+        await connection.query(
+            `UPDATE refunds SET status = 'completed', completed_at = NOW() WHERE id = ?`,
+            [refund.id]
+        );
+
+        const [orders] = await connection.query(
+            `SELECT o.total_amount,
+                (SELECT COALESCE(SUM(amount), 0) FROM refunds
+                 WHERE order_id = o.id AND status = 'completed') as refunded_total
+            FROM orders o
+            WHERE o.id = ?`,
+            [refund.order_id]
+        );
+
+        const fullyRefunded = orders[0] &&
+            parseFloat(orders[0].refunded_total) >= parseFloat(orders[0].total_amount);
+
+        if (fullyRefunded) {
+            await connection.query(
+                `UPDATE orders SET payment_status = 'refunded', updated_at = NOW() WHERE id = ?`,
+                [refund.order_id]
+            );
+
+            await connection.query(
+                `UPDATE payments SET status = 'refunded' WHERE order_id = ? AND status = 'completed'`,
+                [refund.order_id]
+            );
+        }
+
+        return {
+            updated: true,
+            refund: { ...refund, status: 'completed' },
+            fully_refunded: Boolean(fullyRefunded)
+        };
+    }
+}
+
+module.exports = Refund;
@@ -4,6 +4,25 @@
  */
 
 const db = require('../config/database');
+const MenuItem = require('./MenuItem');
+
+/**
+ * Swap in Swahili name/description where a translation exists
+ * @param {Object} row - Restaurant, category or menu item row
+ * @param {string} language - 'en' or 'sw'
+ * @returns {Object} - Row with name and description in the requested language
+ */
+const translate = (row, language) => {
+    if (language !== 'sw') {
+        return row;
+    }
+
+    return {
+        ...row,
+        name: row.name_sw || row.name,
+        description: row.description_sw || row.description
+    };
+};
 
 class Restaurant {
     /**
@@ -39,9 +58,9 @@ class Restaurant {
             }
             
             if (filters.search) {
-                sql += ' AND (r.name LIKE ? OR r.description LIKE ? OR r.address LIKE ?)';
+                sql += ' AND (r.name LIKE ? OR r.description LIKE ? OR r.description_sw LIKE ? OR r.address LIKE ?)';
                 const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm, searchTerm);
+                params.push(searchTerm, searchTerm, searchTerm, searchTerm);
             }
             
             if (filters.min_rating) {
@@ -84,8 +103,8 @@ class Restaurant {
                 }
             }
             
-            const [restaurants] = await db.query(sql, params);
-            return restaurants;
+            const restaurants = await db.query(sql, params);
+            return restaurants.map(restaurant => translate(restaurant, filters.language));
         } catch (error) {
             console.error('Restaurant.getAll Error:', error);
             throw error;
@@ -95,11 +114,12 @@ class Restaurant {
     /**
      * Get restaurant by ID with details
      * @param {number} id - Restaurant ID
+     * @param {string} language - 'en' or 'sw' for the description
      * @returns {Promise<Object|null>} - Restaurant object or null
      */
-    static async getById(id) {
+    static async getById(id, language = 'en') {
         try {
-            const [restaurants] = await db.query(
+            const restaurants = await db.query(
                 `SELECT 
                     r.*,
                     AVG(rev.rating) as avg_rating,
@@ -114,7 +134,7 @@ class Restaurant {
                 [id]
             );
             
-            return restaurants[0] || null;
+            return restaurants[0] ? translate(restaurants[0], language) : null;
         } catch (error) {
             console.error('Restaurant.getById Error:', error);
             throw error;
@@ -124,8 +144,8 @@ class Restaurant {
     /**
      * Get restaurant menu items
      * @param {number} restaurantId - Restaurant ID
-     * @param {Object} filters - Filter options
-     * @returns {Promise<Array>} - Array of menu items
+     * @param {Object} filters - Filter options (dietary filters: see MenuItem.parseDietaryFilters)
+     * @returns {Promise<Array>} - Array of menu items with allergens
      */
     static async getMenu(restaurantId, filters = {}) {
         try {
@@ -133,6 +153,7 @@ class Restaurant {
                 SELECT 
                     mi.*,
                     c.name as category_name,
+                    c.name_sw as category_name_sw,
                     c.icon as category_icon
                 FROM menu_items mi
                 LEFT JOIN categories c ON mi.category_id = c.id
@@ -163,11 +184,16 @@ class Restaurant {
             }
             
             if (filters.search) {
-                sql += ' AND (mi.name LIKE ? OR mi.description LIKE ? OR mi.ingredients LIKE ?)';
+                sql += ' AND (mi.name LIKE ? OR mi.name_sw LIKE ? OR mi.description LIKE ? OR mi.description_sw LIKE ? OR mi.ingredients LIKE ?)';
                 const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm, searchTerm);
+                params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
             }
             
+            // diet, exclude_diet, allergens, exclude_allergens
+            const dietary = MenuItem.dietaryConditions(filters);
+            sql += dietary.sql;
+            params.push(...dietary.params);
+            
             // Apply sorting
             if (filters.sort_by) {
                 switch (filters.sort_by) {
@@ -178,7 +204,9 @@ class Restaurant {
                         sql += ' ORDER BY COALESCE(mi.discounted_price, mi.price) DESC';
                         break;
                     case 'name':
-                        sql += ' ORDER BY mi.name ASC';
+                        sql += filters.language === 'sw'
+                            ? ' ORDER BY COALESCE(mi.name_sw, mi.name) ASC'
+                            : ' ORDER BY mi.name ASC';
                         break;
                     case 'popular':
                         // You might want to implement popularity logic
@@ -191,8 +219,15 @@ class Restaurant {
                 sql += ' ORDER BY c.sort_order, mi.sort_order, mi.name';
             }
             
-            const [menuItems] = await db.query(sql, params);
-            return menuItems;
+            const menuItems = await db.query(sql, params);
+            await MenuItem.attachAllergens(menuItems);
+            
+            return menuItems.map(item => ({
+                ...translate(item, filters.language),
+                category_name: filters.language === 'sw'
+                    ? item.category_name_sw || item.category_name
+                    : item.category_name
+            }));
         } catch (error) {
             console.error('Restaurant.getMenu Error:', error);
             throw error;
@@ -202,11 +237,12 @@ class Restaurant {
     /**
      * Get restaurant categories
      * @param {number} restaurantId - Restaurant ID
+     * @param {string} language - 'en' or 'sw' for names and descriptions
      * @returns {Promise<Array>} - Array of categories
      */
-    static async getCategories(restaurantId) {
+    static async getCategories(restaurantId, language = 'en') {
         try {
-            const [categories] = await db.query(
+            const categories = await db.query(
                 `SELECT 
                     c.*,
                     COUNT(mi.id) as item_count
@@ -218,7 +254,7 @@ class Restaurant {
                 [restaurantId]
             );
             
-            return categories;
+            return categories.map(category => translate(category, language));
         } catch (error) {
             console.error('Restaurant.getCategories Error:', error);
             throw error;
@@ -238,7 +274,7 @@ class Restaurant {
             const offset = (page - 1) * limit;
             
             // Get reviews
-            const [reviews] = await db.query(
+            const reviews = await db.query(
                 `SELECT 
                     rev.*,
                     u.name as user_name,
@@ -254,7 +290,7 @@ class Restaurant {
             );
             
             // Get total count
-            const [countResult] = await db.query(
+            const countResult = await db.query(
                 `SELECT COUNT(*) as total 
                  FROM reviews 
                  WHERE restaurant_id = ? AND status = 'approved'`,
@@ -265,7 +301,7 @@ class Restaurant {
             const totalPages = Math.ceil(total / limit);
             
             // Get rating summary
-            const [summary] = await db.query(
+            const summary = await db.query(
                 `SELECT 
                     AVG(rating) as avg_rating,
                     AVG(food_rating) as avg_food_rating,
@@ -310,7 +346,8 @@ class Restaurant {
      */
     static async create(restaurantData) {
         try {
-            const [result] = await db.query(
+            // SET ? expands the object only in the text protocol, so this uses db.pool
+            const [result] = await db.pool.query(
                 `INSERT INTO restaurants SET ?`,
                 [restaurantData]
             );
@@ -332,7 +369,7 @@ class Restaurant {
         try {
             updateData.updated_at = new Date();
             
-            const [result] = await db.query(
+            const [result] = await db.pool.query(
                 `UPDATE restaurants SET ? WHERE id = ?`,
                 [updateData, id]
             );
@@ -352,7 +389,7 @@ class Restaurant {
      */
     static async updateStatus(id, status) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 `UPDATE restaurants SET status = ?, updated_at = NOW() WHERE id = ?`,
                 [status, id]
             );
@@ -372,7 +409,7 @@ class Restaurant {
      */
     static async updateOpenStatus(id, isOpen) {
         try {
-            const [result] = await db.query(
+            const result = await db.query(
                 `UPDATE restaurants SET is_open = ?, updated_at = NOW() WHERE id = ?`,
                 [isOpen ? 1 : 0, id]
             );
@@ -392,7 +429,7 @@ class Restaurant {
     static async delete(id) {
         try {
             // Soft delete by updating status
-            const [result] = await db.query(
+            const result = await db.query(
                 `UPDATE restaurants SET status = 'inactive', is_open = FALSE, updated_at = NOW() WHERE id = ?`,
                 [id]
             );
@@ -424,18 +461,19 @@ class Restaurant {
                 AND (
                     r.name LIKE ? 
                     OR r.description LIKE ? 
+                    OR r.description_sw LIKE ? 
                     OR r.address LIKE ?
                     OR EXISTS (
                         SELECT 1 FROM menu_items mi2 
                         WHERE mi2.restaurant_id = r.id 
                         AND mi2.is_available = TRUE 
-                        AND (mi2.name LIKE ? OR mi2.description LIKE ?)
+                        AND (mi2.name LIKE ? OR mi2.name_sw LIKE ? OR mi2.description LIKE ? OR mi2.description_sw LIKE ?)
                     )
                 )
             `;
             
             const searchTerm = `%${query}%`;
-            const params = [searchTerm, searchTerm, searchTerm, searchTerm, searchTerm];
+            const params = new Array(8).fill(searchTerm);
             
             // Apply filters
             if (options.category_id) {
@@ -450,8 +488,8 @@ class Restaurant {
                 params.push(options.limit);
             }
             
-            const [restaurants] = await db.query(sql, params);
-            return restaurants;
+            const restaurants = await db.query(sql, params);
+            return restaurants.map(restaurant => translate(restaurant, options.language));
         } catch (error) {
             console.error('Restaurant.search Error:', error);
             throw error;
@@ -488,7 +526,7 @@ class Restaurant {
                 LIMIT 20
             `;
             
-            const [restaurants] = await db.query(sql, [latitude, longitude, latitude, radius]);
+            const restaurants = await db.query(sql, [latitude, longitude, latitude, radius]);
             return restaurants;
         } catch (error) {
             console.error('Restaurant.getNearby Error:', error);
@@ -503,7 +541,7 @@ class Restaurant {
      */
     static async getStatistics(restaurantId) {
         try {
-            const [stats] = await db.query(
+            const stats = await db.query(
                 `SELECT 
                     (SELECT COUNT(*) FROM orders WHERE restaurant_id = ?) as total_orders,
                     (SELECT COUNT(*) FROM orders WHERE restaurant_id = ? AND status = 'delivered') as completed_orders,
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const restaurantController = require('../controllers/restaurantController');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { restaurantManagerMiddleware } = require('../middleware/partnerMiddleware');
 
 // @route   GET /api/restaurants
 // @desc    Get all restaurants
@@ -13,23 +15,33 @@ router.get('/', restaurantController.getAllRestaurants);
 router.get('/:id', restaurantController.getRestaurantById);
 
 // @route   GET /api/restaurants/:id/menu
-// @desc    Get restaurant menu items
+// @desc    Get restaurant menu items (diet/allergen filters; saved preferences apply when logged in)
 // @access  Public
-router.get('/:id/menu', restaurantController.getRestaurantMenu);
+router.get('/:id/menu', optionalAuthMiddleware, restaurantController.getRestaurantMenu);
+
+// @route   GET /api/restaurants/:id/hours
+// @desc    Get weekly opening hours, holidays and open-now status
+// @access  Public
+router.get('/:id/hours', restaurantController.getRestaurantHours);
+
+// @route   GET /api/restaurants/:id/delivery-quote?address_id=
+// @desc    Delivery fee, minimum order and ETA to a saved address (400 outside the delivery zones)
+// @access  Private
+router.get('/:id/delivery-quote', authMiddleware, restaurantController.getDeliveryQuote);
 
 // @route   POST /api/restaurants
-// @desc    Create new restaurant (Admin only)
-// @access  Private/Admin
-router.post('/', restaurantController.createRestaurant);
+// @desc    Create new restaurant (admins, or partners applying as owner)
+// @access  Private/Restaurant/Admin
+router.post('/', authMiddleware, restaurantManagerMiddleware, restaurantController.createRestaurant);
 
 // @route   PUT /api/restaurants/:id
-// @desc    Update restaurant (Admin only)
-// @access  Private/Admin
-router.put('/:id', restaurantController.updateRestaurant);
+// @desc    Update restaurant (owner or admin)
+// @access  Private/Restaurant/Admin
+router.put('/:id', authMiddleware, restaurantManagerMiddleware, restaurantController.updateRestaurant);
 
 // @route   DELETE /api/restaurants/:id
-// @desc    Delete restaurant (Admin only)
-// @access  Private/Admin
-router.delete('/:id', restaurantController.deleteRestaurant);
+// @desc    Delete restaurant (owner or admin)
+// @access  Private/Restaurant/Admin
+router.delete('/:id', authMiddleware, restaurantManagerMiddleware, restaurantController.deleteRestaurant);
 
 module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Setting Model
+ * Handles admin-managed system settings
+ *
+ * Keys are grouped by prefix ('tax.rate', 'delivery.default_fee') and values
+ * are stored as JSON so numbers and booleans keep their type.
+ */
+
+const db = require('../config/database');
+
+class Setting {
+    /**
+     * Get all settings in a group
+     * @param {string} group - Group prefix (e.g. 'tax')
+     * @returns {Promise<Object>} - { key: value } without the prefix
+     */
+    static async getGroup(group) {
+        try {
+            const rows = await db.query(
+                'SELECT setting_key, setting_value FROM system_settings WHERE setting_key LIKE ?',
+                [`${group}.%`]
+            );
+
+            const settings = {};
+
+            for (const row of rows) {
+                const key = row.setting_key.slice(group.length + 1);
+
+                try {
+                    settings[key] = JSON.parse(row.setting_value);
+                } catch (parseError) {
+                    settings[key] = row.setting_value;
+                }
+            }
+
+            return settings;
+        } catch (error) {
+            console.error('Setting.getGroup Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save settings in a group
+     * @param {string} group - Group prefix (e.g. 'tax')
+     * @param {Object} values - { key: value } without the prefix
+     * @param {number} updatedBy - Admin user ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async setGroup(group, values, updatedBy = null) {
+        try {
+            const entries = Object.entries(values);
+
+            if (entries.length === 0) {
+                return false;
+            }
+
+            // Bulk VALUES ? needs the text protocol (db.query prepares statements)
+            await db.pool.query(
+                `INSERT INTO system_settings (setting_key, setting_value, updated_by)
+                VALUES ?
+                ON DUPLICATE KEY UPDATE
+                    setting_value = VALUES(setting_value),
+                    updated_by = VALUES(updated_by)`,
+                [entries.map(([key, value]) => [`${group}.${key}`, JSON.stringify(value), updatedBy])]
+            );
+
+            return true;
+        } catch (error) {
+            console.error('Setting.setGroup Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Setting;
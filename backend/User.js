@@ -651,6 +651,57 @@ class User {
             throw error;
         }
     }
+
+    // ============================================
+    // 🔥 DIETARY PREFERENCES
+    // ============================================
+
+    /**
+     * Get saved dietary preferences
+     * @param {number} id - User ID
+     * @returns {Promise<Object>} - { diet, exclude_diet, exclude_allergens } (empty when none saved)
+     */
+    static async getDietaryPreferences(id) {
+        try {
+            const rows = await db.query(
+                'SELECT dietary_preferences FROM users WHERE id = ?',
+                [id]
+            );
+
+            if (!rows[0] || !rows[0].dietary_preferences) {
+                return {};
+            }
+
+            try {
+                return JSON.parse(rows[0].dietary_preferences);
+            } catch (e) {
+                return {};
+            }
+        } catch (error) {
+            console.error('❌ User.getDietaryPreferences Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save dietary preferences (already validated by MenuItem.parseDietaryFilters)
+     * @param {number} id - User ID
+     * @param {Object} preferences - { diet, exclude_diet, exclude_allergens }; empty clears them
+     * @returns {Promise<boolean>} - Success status
+     */
+    static async setDietaryPreferences(id, preferences) {
+        try {
+            const result = await db.query(
+                'UPDATE users SET dietary_preferences = ? WHERE id = ?',
+                [Object.keys(preferences).length > 0 ? JSON.stringify(preferences) : null, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ User.setDietaryPreferences Error:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = User;
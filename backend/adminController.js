@@ -3,7 +3,17 @@
  * Handles admin operations for system management
  */
 
+const bcrypt = require('bcryptjs');
 const db = require('../config/database');
+const Driver = require('../models/Driver');
+const MenuItem = require('../models/MenuItem');
+const MenuOption = require('../models/MenuOption');
+const Promotion = require('../models/Promotion');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const PaymentService = require('../services/paymentService');
+const PricingService = require('../services/pricingService');
+const OrderStatusService = require('../services/orderStatusService');
 
 class AdminController {
     /**
@@ -39,6 +49,7 @@ class AdminController {
                 db.query(`
                     SELECT 
                         COUNT(*) as total_orders,
+                        SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) as scheduled,
                         SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
                         SUM(CASE WHEN status = 'confirmed' THEN 1 ELSE 0 END) as confirmed,
                         SUM(CASE WHEN status = 'preparing' THEN 1 ELSE 0 END) as preparing,
@@ -107,13 +118,13 @@ class AdminController {
                 success: true,
                 data: {
                     statistics: {
-                        users: usersStats[0][0],
-                        orders: ordersStats[0][0],
-                        restaurants: restaurantsStats[0][0],
-                        revenue: revenueStats[0][0]
+                        users: usersStats[0],
+                        orders: ordersStats[0],
+                        restaurants: restaurantsStats[0],
+                        revenue: revenueStats[0]
                     },
-                    recent_orders: recentOrders[0],
-                    recent_users: recentUsers[0],
+                    recent_orders: recentOrders,
+                    recent_users: recentUsers,
                     timestamp: new Date().toISOString()
                 }
             };
@@ -189,8 +200,8 @@ class AdminController {
             sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
             params.push(parseInt(limit), offset);
             
-            const [users] = await db.query(sql, params);
-            const [countResult] = await db.query(countSql, countParams);
+            const users = await db.query(sql, params);
+            const countResult = await db.query(countSql, countParams);
             
             const total = countResult[0].total;
             const totalPages = Math.ceil(total / limit);
@@ -225,7 +236,7 @@ class AdminController {
         try {
             const { id } = req.params;
             
-            const [users] = await db.query(
+            const users = await db.query(
                 `SELECT 
                     id,
                     name,
@@ -252,7 +263,7 @@ class AdminController {
             }
             
             // Get user statistics
-            const [stats] = await db.query(
+            const stats = await db.query(
                 `SELECT 
                     (SELECT COUNT(*) FROM orders WHERE user_id = ?) as total_orders,
                     (SELECT COUNT(*) FROM reviews WHERE user_id = ?) as total_reviews,
@@ -300,7 +311,7 @@ class AdminController {
                 });
             }
             
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE users SET status = ?, updated_at = NOW() WHERE id = ?',
                 [status, id]
             );
@@ -349,7 +360,7 @@ class AdminController {
             }
             
             // Don't allow demoting other admins unless you're super admin
-            const [currentUser] = await db.query(
+            const currentUser = await db.query(
                 'SELECT role FROM users WHERE id = ?',
                 [id]
             );
@@ -361,7 +372,7 @@ class AdminController {
                 });
             }
             
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?',
                 [role, id]
             );
@@ -394,7 +405,7 @@ class AdminController {
             const { page = 1, limit = 20 } = req.query;
             const offset = (page - 1) * limit;
             
-            const [restaurants] = await db.query(
+            const restaurants = await db.query(
                 `SELECT 
                     r.*,
                     u.name as owner_name,
@@ -408,7 +419,7 @@ class AdminController {
                 [parseInt(limit), offset]
             );
             
-            const [countResult] = await db.query(
+            const countResult = await db.query(
                 'SELECT COUNT(*) as total FROM restaurants WHERE status = "pending"'
             );
             
@@ -445,7 +456,7 @@ class AdminController {
         try {
             const { id } = req.params;
             
-            const [result] = await db.query(
+            const result = await db.query(
                 `UPDATE restaurants 
                 SET status = 'active', 
                     is_open = TRUE, 
@@ -484,7 +495,7 @@ class AdminController {
             const { id } = req.params;
             const { reason } = req.body;
             
-            const [result] = await db.query(
+            const result = await db.query(
                 `UPDATE restaurants 
                 SET status = 'inactive', 
                     is_open = FALSE, 
@@ -515,95 +526,173 @@ class AdminController {
         }
     }
     
+    // ==================== MENU MANAGEMENT ====================
+    
     /**
-     * Get all orders with filters
+     * Trim translated text; an empty string clears the translation
+     * @param {Object} data - Menu item or category fields
      */
-    static async getAllOrders(req, res) {
+    static normalizeTranslations(data) {
+        ['name_sw', 'description_sw'].forEach(field => {
+            if (data[field] !== undefined) {
+                data[field] = data[field] === null ? null : String(data[field]).trim() || null;
+            }
+        });
+    }
+    
+    /**
+     * Pick and validate menu item fields from request body
+     * @param {Object} body - Request body
+     * @param {boolean} partial - Allow missing required fields (updates)
+     * @param {Object} existing - Current item on update (for the quantity limit check)
+     * @returns {Object} - { data, allergens, error } (allergens undefined when not sent)
+     */
+    static parseMenuItemInput(body, partial = false, existing = null) {
+        const fields = [
+            'restaurant_id', 'category_id', 'name', 'name_sw', 'description', 'description_sw',
+            'price', 'discounted_price', 'image_url', 'ingredients', 'nutritional_info',
+            'is_vegetarian', 'is_vegan', 'is_gluten_free', 'is_spicy',
+            'is_featured', 'is_available', 'preparation_time', 'calories', 'sort_order',
+            'min_quantity_per_order', 'max_quantity_per_order'
+        ];
+        
+        const data = {};
+        fields.forEach(field => {
+            if (body[field] !== undefined) {
+                data[field] = body[field];
+            }
+        });
+        
+        if (partial) {
+            // Moving an item between restaurants would break its orders and combos
+            delete data.restaurant_id;
+        } else {
+            const required = ['restaurant_id', 'name', 'price'];
+            const missing = required.filter(field => data[field] === undefined || data[field] === '');
+            if (missing.length > 0) {
+                return { error: `Missing required fields: ${missing.join(', ')}` };
+            }
+        }
+        
+        if (data.name !== undefined) {
+            data.name = String(data.name).trim();
+            if (!data.name) {
+                return { error: 'Menu item name cannot be empty' };
+            }
+        }
+        
+        AdminController.normalizeTranslations(data);
+        
+        if (data.price !== undefined) {
+            data.price = parseFloat(data.price);
+            if (isNaN(data.price) || data.price <= 0) {
+                return { error: 'Price must be greater than 0' };
+            }
+        }
+        
+        if (data.discounted_price === '') {
+            data.discounted_price = null;
+        } else if (data.discounted_price !== undefined && data.discounted_price !== null) {
+            data.discounted_price = parseFloat(data.discounted_price);
+            if (isNaN(data.discounted_price) || data.discounted_price <= 0) {
+                return { error: 'Discounted price must be greater than 0' };
+            }
+        }
+        
+        try {
+            MenuItem.parseQuantityLimits(data, existing);
+        } catch (error) {
+            return { error: error.message };
+        }
+        
+        if (Array.isArray(data.ingredients)) {
+            data.ingredients = JSON.stringify(data.ingredients);
+        }
+        
+        if (data.nutritional_info && typeof data.nutritional_info === 'object') {
+            data.nutritional_info = JSON.stringify(data.nutritional_info);
+        }
+        
+        let allergens;
+        if (body.allergens !== undefined) {
+            try {
+                allergens = MenuItem.parseDietaryFilters({ allergens: body.allergens }).allergens || [];
+            } catch (error) {
+                return { error: error.message };
+            }
+        }
+        
+        return { data, allergens };
+    }
+    
+    /**
+     * Get all menu items with filters (both languages, including unavailable items)
+     */
+    static async getAllMenuItems(req, res) {
         try {
             const { 
                 page = 1, 
                 limit = 20, 
-                status, 
-                restaurant_id,
-                user_id,
-                date_from,
-                date_to,
+                restaurant_id, 
+                category_id, 
+                is_available, 
+                missing_translation, 
                 search 
             } = req.query;
             
             const offset = (page - 1) * limit;
             
-            let sql = `
-                SELECT 
-                    o.*,
-                    r.name as restaurant_name,
-                    r.logo_url as restaurant_logo,
-                    u.name as customer_name,
-                    u.email as customer_email
-                FROM orders o
-                LEFT JOIN restaurants r ON o.restaurant_id = r.id
-                LEFT JOIN users u ON o.user_id = u.id
-                WHERE 1=1
-            `;
-            
-            let countSql = `
-                SELECT COUNT(*) as total
-                FROM orders o
-                WHERE 1=1
-            `;
-            
+            let where = ' WHERE 1=1';
             const params = [];
-            const countParams = [];
-            
-            // Apply filters
-            if (status) {
-                sql += ' AND o.status = ?';
-                countSql += ' AND o.status = ?';
-                params.push(status);
-                countParams.push(status);
-            }
             
             if (restaurant_id) {
-                sql += ' AND o.restaurant_id = ?';
-                countSql += ' AND o.restaurant_id = ?';
+                where += ' AND mi.restaurant_id = ?';
                 params.push(restaurant_id);
-                countParams.push(restaurant_id);
             }
             
-            if (user_id) {
-                sql += ' AND o.user_id = ?';
-                countSql += ' AND o.user_id = ?';
-                params.push(user_id);
-                countParams.push(user_id);
+            if (category_id) {
+                where += ' AND mi.category_id = ?';
+                params.push(category_id);
             }
             
-            if (date_from) {
-                sql += ' AND DATE(o.created_at) >= ?';
-                countSql += ' AND DATE(o.created_at) >= ?';
-                params.push(date_from);
-                countParams.push(date_from);
+            if (is_available !== undefined) {
+                where += ' AND mi.is_available = ?';
+                params.push(is_available === 'true' ? 1 : 0);
             }
             
-            if (date_to) {
-                sql += ' AND DATE(o.created_at) <= ?';
-                countSql += ' AND DATE(o.created_at) <= ?';
-                params.push(date_to);
-                countParams.push(date_to);
+            // Items still waiting for a Swahili name or description
+            if (missing_translation === 'true') {
+                where += ` AND (mi.name_sw IS NULL OR mi.name_sw = ''
+                    OR (mi.description IS NOT NULL AND mi.description != '' AND (mi.description_sw IS NULL OR mi.description_sw = '')))`;
             }
             
             if (search) {
-                sql += ' AND (o.order_number LIKE ? OR o.customer_name LIKE ? OR o.customer_phone LIKE ?)';
-                countSql += ' AND (o.order_number LIKE ? OR o.customer_name LIKE ? OR o.customer_phone LIKE ?)';
+                where += ' AND (mi.name LIKE ? OR mi.name_sw LIKE ? OR mi.description LIKE ?)';
                 const searchTerm = `%${search}%`;
                 params.push(searchTerm, searchTerm, searchTerm);
-                countParams.push(searchTerm, searchTerm, searchTerm);
             }
             
-            sql += ' ORDER BY o.created_at DESC LIMIT ? OFFSET ?';
-            params.push(parseInt(limit), offset);
+            const items = await db.query(
+                `SELECT 
+                    mi.*,
+                    r.name as restaurant_name,
+                    c.name as category_name,
+                    c.name_sw as category_name_sw
+                FROM menu_items mi
+                LEFT JOIN restaurants r ON mi.restaurant_id = r.id
+                LEFT JOIN categories c ON mi.category_id = c.id
+                ${where}
+                ORDER BY r.name, mi.sort_order, mi.name
+                LIMIT ? OFFSET ?`,
+                [...params, parseInt(limit), offset]
+            );
+            
+            const countResult = await db.query(
+                `SELECT COUNT(*) as total FROM menu_items mi ${where}`,
+                params
+            );
             
-            const [orders] = await db.query(sql, params);
-            const [countResult] = await db.query(countSql, countParams);
+            await MenuItem.attachAllergens(items);
             
             const total = countResult[0].total;
             const totalPages = Math.ceil(total / limit);
@@ -611,7 +700,7 @@ class AdminController {
             res.status(200).json({
                 success: true,
                 data: {
-                    orders,
+                    items,
                     pagination: {
                         page: parseInt(page),
                         limit: parseInt(limit),
@@ -623,202 +712,1746 @@ class AdminController {
                 }
             });
         } catch (error) {
-            console.error('Get All Orders Error:', error);
+            console.error('Get All Menu Items Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get orders'
+                error: 'Failed to get menu items'
             });
         }
     }
     
     /**
-     * Update order status
+     * Get menu item details (both languages and option groups)
      */
-    static async updateOrderStatus(req, res) {
+    static async getMenuItemDetails(req, res) {
         try {
-            const { id } = req.params;
-            const { status } = req.body;
+            const items = await db.query(
+                `SELECT 
+                    mi.*,
+                    r.name as restaurant_name,
+                    c.name as category_name,
+                    c.name_sw as category_name_sw
+                FROM menu_items mi
+                LEFT JOIN restaurants r ON mi.restaurant_id = r.id
+                LEFT JOIN categories c ON mi.category_id = c.id
+                WHERE mi.id = ?`,
+                [req.params.id]
+            );
+            
+            if (items.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Menu item not found'
+                });
+            }
+            
+            const item = items[0];
+            item.option_groups = await MenuOption.getGroupsForItem(item.id, { include_unavailable: true });
+            await MenuItem.attachAllergens([item]);
             
-            const validStatuses = [
-                'pending', 'confirmed', 'preparing', 'ready', 
-                'out_for_delivery', 'delivered', 'cancelled'
-            ];
+            res.status(200).json({
+                success: true,
+                data: item
+            });
+        } catch (error) {
+            console.error('Get Menu Item Details Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get menu item'
+            });
+        }
+    }
+    
+    /**
+     * Check that a category can hold items of the restaurant
+     * @param {number} categoryId - Category ID
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<boolean>} - True when the category is the restaurant's or global
+     */
+    static async categoryFitsRestaurant(categoryId, restaurantId) {
+        const categories = await db.query(
+            'SELECT id FROM categories WHERE id = ? AND (restaurant_id = ? OR restaurant_id IS NULL)',
+            [categoryId, restaurantId]
+        );
+        
+        return categories.length > 0;
+    }
+    
+    /**
+     * Create new menu item
+     */
+    static async createMenuItem(req, res) {
+        try {
+            const { data, allergens, error } = AdminController.parseMenuItemInput(req.body);
             
-            if (!status || !validStatuses.includes(status)) {
+            if (error) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Valid status is required'
+                    error
                 });
             }
             
-            const [result] = await db.query(
-                `UPDATE orders 
-                SET status = ?, 
-                    updated_at = NOW(),
-                    ${status === 'delivered' ? 'actual_delivery_time = NOW(),' : ''}
-                    ${status === 'cancelled' ? 'cancellation_time = NOW(),' : ''}
-                    ${status === 'out_for_delivery' ? 'estimated_delivery_time = DATE_ADD(NOW(), INTERVAL 30 MINUTE),' : ''}
-                    status = ?
-                WHERE id = ?`,
-                [status, status, id]
+            const restaurants = await db.query(
+                'SELECT id FROM restaurants WHERE id = ?',
+                [data.restaurant_id]
             );
             
-            if (result.affectedRows === 0) {
+            if (restaurants.length === 0) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Order not found'
+                    error: 'Restaurant not found'
                 });
             }
             
-            // Send notification to user (you can implement this)
+            if (data.discounted_price && data.discounted_price >= data.price) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Discounted price must be below the price'
+                });
+            }
             
-            res.status(200).json({
+            if (data.category_id && !(await AdminController.categoryFitsRestaurant(data.category_id, data.restaurant_id))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Category not found for this restaurant'
+                });
+            }
+            
+            // SET ? objects only expand in the text protocol, so these writes skip db.query
+            const [result] = await db.pool.query('INSERT INTO menu_items SET ?', [data]);
+            
+            if (allergens && allergens.length > 0) {
+                await MenuItem.setAllergens(result.insertId, allergens);
+            }
+            
+            res.status(201).json({
                 success: true,
-                message: `Order status updated to ${status}`
+                message: 'Menu item created successfully',
+                data: { menu_item_id: result.insertId }
             });
         } catch (error) {
-            console.error('Update Order Status Error:', error);
+            console.error('Create Menu Item Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to update order status'
+                error: 'Failed to create menu item'
             });
         }
     }
     
     /**
-     * Get order details
+     * Update menu item (send name_sw/description_sw to edit translations, empty to clear;
+     * allergens replaces the whole list)
      */
-    static async getOrderDetails(req, res) {
+    static async updateMenuItem(req, res) {
         try {
             const { id } = req.params;
             
-            // Get order with details
-            const [orders] = await db.query(
-                `SELECT 
-                    o.*,
-                    r.name as restaurant_name,
-                    r.logo_url as restaurant_logo,
-                    r.phone as restaurant_phone,
-                    r.address as restaurant_address,
-                    u.name as customer_full_name,
-                    u.email as customer_email,
-                    u.phone as customer_full_phone
-                FROM orders o
-                LEFT JOIN restaurants r ON o.restaurant_id = r.id
-                LEFT JOIN users u ON o.user_id = u.id
-                WHERE o.id = ?`,
+            const items = await db.query(
+                `SELECT id, restaurant_id, price, discounted_price, min_quantity_per_order, max_quantity_per_order
+                FROM menu_items WHERE id = ?`,
                 [id]
             );
             
-            if (orders.length === 0) {
+            if (items.length === 0) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Order not found'
+                    error: 'Menu item not found'
                 });
             }
             
-            const order = orders[0];
+            const { data, allergens, error } = AdminController.parseMenuItemInput(req.body, true, items[0]);
             
-            // Get order items
-            const [items] = await db.query(
-                `SELECT 
-                    oi.*,
-                    mi.image_url,
-                    mi.description
-                FROM order_items oi
-                LEFT JOIN menu_items mi ON oi.menu_item_id = mi.id
-                WHERE oi.order_id = ?
-                ORDER BY oi.created_at`,
-                [id]
-            );
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
             
-            // Calculate totals
-            const itemTotal = items.reduce((sum, item) => sum + item.subtotal, 0);
-            const deliveryFee = order.delivery_fee || 0;
-            const taxAmount = order.tax_amount || 0;
-            const discountAmount = order.discount_amount || 0;
-            const grandTotal = itemTotal + deliveryFee + taxAmount - discountAmount;
+            if (Object.keys(data).length === 0 && !allergens) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No valid fields to update'
+                });
+            }
             
-            // Get payment details if exists
-            const [payments] = await db.query(
-                'SELECT * FROM payments WHERE order_id = ?',
-                [id]
-            );
+            const price = data.price !== undefined ? data.price : parseFloat(items[0].price);
+            const discountedPrice = data.discounted_price !== undefined
+                ? data.discounted_price
+                : parseFloat(items[0].discounted_price);
             
-            // Get assigned driver if exists
-            const [driver] = await db.query(
-                `SELECT 
-                    u.id,
-                    u.name,
-                    u.phone
-                FROM users u
-                WHERE u.id = ? AND u.role = 'delivery'`,
-                [order.assigned_driver_id]
-            );
+            if (discountedPrice && discountedPrice >= price) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Discounted price must be below the price'
+                });
+            }
+            
+            if (data.category_id && !(await AdminController.categoryFitsRestaurant(data.category_id, items[0].restaurant_id))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Category not found for this restaurant'
+                });
+            }
+            
+            if (Object.keys(data).length > 0) {
+                await db.pool.query('UPDATE menu_items SET ? WHERE id = ?', [data, id]);
+            }
+            
+            if (allergens) {
+                await MenuItem.setAllergens(id, allergens);
+            }
             
             res.status(200).json({
                 success: true,
-                data: {
-                    order,
-                    items,
-                    payments: payments[0] || null,
-                    driver: driver[0] || null,
-                    totals: {
-                        item_total: itemTotal,
-                        delivery_fee: deliveryFee,
-                        tax_amount: taxAmount,
-                        discount_amount: discountAmount,
-                        grand_total: grandTotal
-                    }
-                }
+                message: 'Menu item updated successfully'
             });
         } catch (error) {
-            console.error('Get Order Details Error:', error);
+            console.error('Update Menu Item Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get order details'
+                error: 'Failed to update menu item'
             });
         }
     }
     
     /**
-     * Get pending reviews
+     * Delete menu item (items that were ordered or are in combos are only hidden)
      */
-    static async getPendingReviews(req, res) {
+    static async deleteMenuItem(req, res) {
         try {
-            const { page = 1, limit = 20 } = req.query;
-            const offset = (page - 1) * limit;
+            const deleted = await MenuItem.delete(req.params.id);
             
-            const [reviews] = await db.query(
-                `SELECT 
-                    rev.*,
-                    u.name as user_name,
-                    u.email as user_email,
-                    r.name as restaurant_name,
-                    mi.name as menu_item_name,
-                    o.order_number
-                FROM reviews rev
-                LEFT JOIN users u ON rev.user_id = u.id
-                LEFT JOIN restaurants r ON rev.restaurant_id = r.id
-                LEFT JOIN menu_items mi ON rev.menu_item_id = mi.id
-                LEFT JOIN orders o ON rev.order_id = o.id
-                WHERE rev.status = 'pending'
-                ORDER BY rev.created_at DESC
-                LIMIT ? OFFSET ?`,
-                [parseInt(limit), offset]
-            );
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Menu item not found'
+                });
+            }
             
-            const [countResult] = await db.query(
-                'SELECT COUNT(*) as total FROM reviews WHERE status = "pending"'
+            res.status(200).json({
+                success: true,
+                message: 'Menu item deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete Menu Item Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete menu item'
+            });
+        }
+    }
+    
+    /**
+     * Pick and validate category fields from request body
+     * @param {Object} body - Request body
+     * @param {boolean} partial - Allow missing required fields (updates)
+     * @returns {Object} - { data, error }
+     */
+    static parseCategoryInput(body, partial = false) {
+        const fields = [
+            'name', 'name_sw', 'description', 'description_sw', 'icon',
+            'restaurant_id', 'is_active', 'sort_order'
+        ];
+        
+        const data = {};
+        fields.forEach(field => {
+            if (body[field] !== undefined) {
+                data[field] = body[field];
+            }
+        });
+        
+        if (partial) {
+            delete data.restaurant_id;
+        } else if (!data.name) {
+            return { error: 'Category name is required' };
+        }
+        
+        if (data.name !== undefined) {
+            data.name = String(data.name).trim();
+            if (!data.name) {
+                return { error: 'Category name cannot be empty' };
+            }
+        }
+        
+        AdminController.normalizeTranslations(data);
+        
+        // No restaurant means a global category shared by every restaurant
+        if (data.restaurant_id === '') {
+            data.restaurant_id = null;
+        }
+        
+        return { data };
+    }
+    
+    /**
+     * Get all categories (both languages, including inactive ones)
+     */
+    static async getAllCategories(req, res) {
+        try {
+            const { restaurant_id, search } = req.query;
+            
+            let sql = `
+                SELECT 
+                    c.*,
+                    r.name as restaurant_name,
+                    COUNT(mi.id) as item_count
+                FROM categories c
+                LEFT JOIN restaurants r ON c.restaurant_id = r.id
+                LEFT JOIN menu_items mi ON mi.category_id = c.id
+                WHERE 1=1
+            `;
+            
+            const params = [];
+            
+            if (restaurant_id === 'global') {
+                sql += ' AND c.restaurant_id IS NULL';
+            } else if (restaurant_id) {
+                sql += ' AND c.restaurant_id = ?';
+                params.push(restaurant_id);
+            }
+            
+            if (search) {
+                sql += ' AND (c.name LIKE ? OR c.name_sw LIKE ?)';
+                const searchTerm = `%${search}%`;
+                params.push(searchTerm, searchTerm);
+            }
+            
+            sql += ' GROUP BY c.id ORDER BY r.name, c.sort_order, c.name';
+            
+            const categories = await db.query(sql, params);
+            
+            res.status(200).json({
+                success: true,
+                data: categories
+            });
+        } catch (error) {
+            console.error('Get All Categories Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get categories'
+            });
+        }
+    }
+    
+    /**
+     * Create new category
+     */
+    static async createCategory(req, res) {
+        try {
+            const { data, error } = AdminController.parseCategoryInput(req.body);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+            
+            const [result] = await db.pool.query('INSERT INTO categories SET ?', [data]);
+            
+            res.status(201).json({
+                success: true,
+                message: 'Category created successfully',
+                data: { category_id: result.insertId }
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A category with this name already exists'
+                });
+            }
+            
+            if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Restaurant not found'
+                });
+            }
+            
+            console.error('Create Category Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create category'
+            });
+        }
+    }
+    
+    /**
+     * Update category (send name_sw/description_sw to edit translations, empty to clear)
+     */
+    static async updateCategory(req, res) {
+        try {
+            const { data, error } = AdminController.parseCategoryInput(req.body, true);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+            
+            if (Object.keys(data).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No valid fields to update'
+                });
+            }
+            
+            const [result] = await db.pool.query(
+                'UPDATE categories SET ? WHERE id = ?',
+                [data, req.params.id]
+            );
+            
+            if (result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Category not found'
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: 'Category updated successfully'
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A category with this name already exists'
+                });
+            }
+            
+            console.error('Update Category Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update category'
+            });
+        }
+    }
+    
+    /**
+     * Delete category (must be empty)
+     */
+    static async deleteCategory(req, res) {
+        try {
+            const { id } = req.params;
+            
+            const items = await db.query(
+                'SELECT COUNT(*) as count FROM menu_items WHERE category_id = ?',
+                [id]
+            );
+            
+            if (items[0].count > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Cannot delete a category that has menu items. Move the items first.'
+                });
+            }
+            
+            const result = await db.query('DELETE FROM categories WHERE id = ?', [id]);
+            
+            if (result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Category not found'
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: 'Category deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete Category Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete category'
+            });
+        }
+    }
+    
+    /**
+     * Get all orders with filters
+     */
+    static async getAllOrders(req, res) {
+        try {
+            const { 
+                page = 1, 
+                limit = 20, 
+                status, 
+                restaurant_id,
+                user_id,
+                date_from,
+                date_to,
+                search 
+            } = req.query;
+            
+            const offset = (page - 1) * limit;
+            
+            let sql = `
+                SELECT 
+                    o.*,
+                    r.name as restaurant_name,
+                    r.logo_url as restaurant_logo,
+                    u.name as customer_name,
+                    u.email as customer_email
+                FROM orders o
+                LEFT JOIN restaurants r ON o.restaurant_id = r.id
+                LEFT JOIN users u ON o.user_id = u.id
+                WHERE 1=1
+            `;
+            
+            let countSql = `
+                SELECT COUNT(*) as total
+                FROM orders o
+                WHERE 1=1
+            `;
+            
+            const params = [];
+            const countParams = [];
+            
+            // Apply filters
+            if (status) {
+                sql += ' AND o.status = ?';
+                countSql += ' AND o.status = ?';
+                params.push(status);
+                countParams.push(status);
+            }
+            
+            if (restaurant_id) {
+                sql += ' AND o.restaurant_id = ?';
+                countSql += ' AND o.restaurant_id = ?';
+                params.push(restaurant_id);
+                countParams.push(restaurant_id);
+            }
+            
+            if (user_id) {
+                sql += ' AND o.user_id = ?';
+                countSql += ' AND o.user_id = ?';
+                params.push(user_id);
+                countParams.push(user_id);
+            }
+            
+            if (date_from) {
+                sql += ' AND DATE(o.created_at) >= ?';
+                countSql += ' AND DATE(o.created_at) >= ?';
+                params.push(date_from);
+                countParams.push(date_from);
+            }
+            
+            if (date_to) {
+                sql += ' AND DATE(o.created_at) <= ?';
+                countSql += ' AND DATE(o.created_at) <= ?';
+                params.push(date_to);
+                countParams.push(date_to);
+            }
+            
+            if (search) {
+                sql += ' AND (o.order_number LIKE ? OR o.customer_name LIKE ? OR o.customer_phone LIKE ?)';
+                countSql += ' AND (o.order_number LIKE ? OR o.customer_name LIKE ? OR o.customer_phone LIKE ?)';
+                const searchTerm = `%${search}%`;
+                params.push(searchTerm, searchTerm, searchTerm);
+                countParams.push(searchTerm, searchTerm, searchTerm);
+            }
+            
+            sql += ' ORDER BY o.created_at DESC LIMIT ? OFFSET ?';
+            params.push(parseInt(limit), offset);
+            
+            const orders = await db.query(sql, params);
+            const countResult = await db.query(countSql, countParams);
+            
+            const total = countResult[0].total;
+            const totalPages = Math.ceil(total / limit);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    orders,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get All Orders Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get orders'
+            });
+        }
+    }
+    
+    /**
+     * Update order status
+     */
+    static async updateOrderStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { status, reason } = req.body;
+            
+            if (!status) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Valid status is required'
+                });
+            }
+            
+            const change = await OrderStatusService.changeStatus(id, status, {
+                changedBy: req.user.id,
+                role: req.user.role,
+                reason
+            });
+            
+            // Send notification to user (you can implement this)
+            
+            res.status(200).json({
+                success: true,
+                message: `Order status updated to ${status}`,
+                data: change
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Update Order Status Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update order status'
+            });
+        }
+    }
+    
+    /**
+     * Get order details
+     */
+    static async getOrderDetails(req, res) {
+        try {
+            const { id } = req.params;
+            
+            // Get order with details
+            const orders = await db.query(
+                `SELECT 
+                    o.*,
+                    r.name as restaurant_name,
+                    r.logo_url as restaurant_logo,
+                    r.phone as restaurant_phone,
+                    r.address as restaurant_address,
+                    u.name as customer_full_name,
+                    u.email as customer_email,
+                    u.phone as customer_full_phone
+                FROM orders o
+                LEFT JOIN restaurants r ON o.restaurant_id = r.id
+                LEFT JOIN users u ON o.user_id = u.id
+                WHERE o.id = ?`,
+                [id]
+            );
+            
+            if (orders.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+            
+            const order = orders[0];
+            
+            // Get order items
+            const items = await db.query(
+                `SELECT 
+                    oi.*,
+                    mi.image_url,
+                    mi.description
+                FROM order_items oi
+                LEFT JOIN menu_items mi ON oi.menu_item_id = mi.id
+                WHERE oi.order_id = ?
+                ORDER BY oi.created_at`,
+                [id]
+            );
+            
+            // Calculate totals
+            const itemTotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+            const deliveryFee = order.delivery_fee || 0;
+            const taxAmount = order.tax_amount || 0;
+            const discountAmount = order.discount_amount || 0;
+            const grandTotal = itemTotal + deliveryFee + taxAmount - discountAmount;
+            
+            // Get payment details if exists
+            const payments = await db.query(
+                'SELECT * FROM payments WHERE order_id = ?',
+                [id]
+            );
+            
+            const refunds = await Refund.getByOrderId(id);
+            
+            // Get assigned driver if exists
+            const driver = await db.query(
+                `SELECT 
+                    u.id,
+                    u.name,
+                    u.phone
+                FROM users u
+                WHERE u.id = ? AND u.role = 'delivery'`,
+                [order.assigned_driver_id]
+            );
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    order,
+                    items,
+                    payments: payments[0] || null,
+                    refunds,
+                    driver: driver[0] || null,
+                    totals: {
+                        item_total: itemTotal,
+                        delivery_fee: deliveryFee,
+                        tax_amount: taxAmount,
+                        discount_amount: discountAmount,
+                        grand_total: grandTotal
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get Order Details Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get order details'
+            });
+        }
+    }
+    
+    /**
+     * Get order status timeline
+     */
+    static async getOrderTimeline(req, res) {
+        try {
+            const { id } = req.params;
+            
+            const orders = await db.query(
+                'SELECT id, order_number, status, created_at FROM orders WHERE id = ?',
+                [id]
+            );
+            
+            if (orders.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+            
+            const timeline = await OrderStatusService.getTimeline(id);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    order_id: orders[0].id,
+                    order_number: orders[0].order_number,
+                    current_status: orders[0].status,
+                    next_statuses: OrderStatusService.getNextStatuses(orders[0].status),
+                    timeline
+                }
+            });
+        } catch (error) {
+            console.error('Get Order Timeline Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get order timeline'
+            });
+        }
+    }
+    
+    /**
+     * Refund an order (full, or partial by order item lines)
+     */
+    static async processRefund(req, res) {
+        try {
+            const { reason, items } = req.body;
+            
+            const refund = await PaymentService.refundOrder(req.params.id, {
+                reason,
+                items,
+                refundedBy: req.user.id,
+                role: req.user.role
+            });
+            
+            res.status(refund.status === 'failed' ? 502 : 200).json({
+                success: refund.status !== 'failed',
+                message: refund.status === 'failed'
+                    ? `Refund failed: ${refund.failure_reason}`
+                    : `Refund ${refund.status}`,
+                data: refund
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Process Refund Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to process refund'
+            });
+        }
+    }
+    
+    /**
+     * Refund a payment (full, or partial by order item lines)
+     */
+    static async refundPayment(req, res) {
+        try {
+            const { reason, items } = req.body;
+            const payment = await Payment.getById(req.params.id);
+            
+            if (!payment) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Payment not found'
+                });
+            }
+            
+            const refund = await PaymentService.refundOrder(payment.order_id, {
+                reason,
+                items,
+                payment_id: payment.id,
+                refundedBy: req.user.id,
+                role: req.user.role
+            });
+            
+            res.status(refund.status === 'failed' ? 502 : 200).json({
+                success: refund.status !== 'failed',
+                message: refund.status === 'failed'
+                    ? `Refund failed: ${refund.failure_reason}`
+                    : `Refund ${refund.status}`,
+                data: refund
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Refund Payment Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to refund payment'
+            });
+        }
+    }
+    
+    /**
+     * Get pending reviews
+     */
+    static async getPendingReviews(req, res) {
+        try {
+            const { page = 1, limit = 20 } = req.query;
+            const offset = (page - 1) * limit;
+            
+            const reviews = await db.query(
+                `SELECT 
+                    rev.*,
+                    u.name as user_name,
+                    u.email as user_email,
+                    r.name as restaurant_name,
+                    mi.name as menu_item_name,
+                    o.order_number
+                FROM reviews rev
+                LEFT JOIN users u ON rev.user_id = u.id
+                LEFT JOIN restaurants r ON rev.restaurant_id = r.id
+                LEFT JOIN menu_items mi ON rev.menu_item_id = mi.id
+                LEFT JOIN orders o ON rev.order_id = o.id
+                WHERE rev.status = 'pending'
+                ORDER BY rev.created_at DESC
+                LIMIT ? OFFSET ?`,
+                [parseInt(limit), offset]
+            );
+            
+            const countResult = await db.query(
+                'SELECT COUNT(*) as total FROM reviews WHERE status = "pending"'
+            );
+            
+            const total = countResult[0].total;
+            const totalPages = Math.ceil(total / limit);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    reviews,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get Pending Reviews Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get pending reviews'
+            });
+        }
+    }
+    
+    /**
+     * Approve review
+     */
+    static async approveReview(req, res) {
+        try {
+            const { id } = req.params;
+            
+            const result = await db.query(
+                `UPDATE reviews 
+                SET status = 'approved', 
+                    updated_at = NOW() 
+                WHERE id = ? AND status = 'pending'`,
+                [id]
+            );
+            
+            if (result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Review not found or already processed'
+                });
+            }
+            
+            // Update restaurant rating
+            const review = await db.query(
+                'SELECT restaurant_id FROM reviews WHERE id = ?',
+                [id]
+            );
+            
+            if (review[0].restaurant_id) {
+                await db.query(
+                    `CALL UpdateRestaurantRating(?)`,
+                    [review[0].restaurant_id]
+                );
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: 'Review approved successfully'
+            });
+        } catch (error) {
+            console.error('Approve Review Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to approve review'
+            });
+        }
+    }
+    
+    /**
+     * Reject review
+     */
+    static async rejectReview(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+            
+            const result = await db.query(
+                `UPDATE reviews 
+                SET status = 'rejected', 
+                    updated_at = NOW() 
+                WHERE id = ? AND status = 'pending'`,
+                [id]
+            );
+            
+            if (result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Review not found or already processed'
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: 'Review rejected successfully'
+            });
+        } catch (error) {
+            console.error('Reject Review Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reject review'
+            });
+        }
+    }
+    
+    /**
+     * Get system health status
+     */
+    static async getSystemHealth(req, res) {
+        try {
+            const healthChecks = [];
+            
+            // Check database connection
+            try {
+                const dbResult = await db.query('SELECT 1 as status');
+                healthChecks.push({
+                    component: 'Database',
+                    status: 'healthy',
+                    message: 'Connected successfully',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (dbError) {
+                healthChecks.push({
+                    component: 'Database',
+                    status: 'unhealthy',
+                    message: dbError.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // Check disk space (simplified)
+            const diskUsage = {
+                total: 100, // GB
+                used: 45,   // GB
+                free: 55,   // GB
+                percent: 45
+            };
+            
+            healthChecks.push({
+                component: 'Disk Space',
+                status: diskUsage.percent > 90 ? 'warning' : 'healthy',
+                message: `${diskUsage.percent}% used (${diskUsage.free}GB free)`,
+                data: diskUsage,
+                timestamp: new Date().toISOString()
+            });
+            
+            // Check memory usage (simplified)
+            const memoryUsage = {
+                total: 8,   // GB
+                used: 3.2,  // GB
+                free: 4.8,  // GB
+                percent: 40
+            };
+            
+            healthChecks.push({
+                component: 'Memory',
+                status: memoryUsage.percent > 85 ? 'warning' : 'healthy',
+                message: `${memoryUsage.percent}% used (${memoryUsage.free}GB free)`,
+                data: memoryUsage,
+                timestamp: new Date().toISOString()
+            });
+            
+            // Overall status
+            const unhealthyCount = healthChecks.filter(h => h.status === 'unhealthy').length;
+            const warningCount = healthChecks.filter(h => h.status === 'warning').length;
+            
+            let overallStatus = 'healthy';
+            if (unhealthyCount > 0) {
+                overallStatus = 'unhealthy';
+            } else if (warningCount > 0) {
+                overallStatus = 'warning';
+            }
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    status: overallStatus,
+                    checks: healthChecks,
+                    summary: {
+                        total: healthChecks.length,
+                        healthy: healthChecks.filter(h => h.status === 'healthy').length,
+                        warning: warningCount,
+                        unhealthy: unhealthyCount
+                    },
+                    timestamp: new Date().toISOString(),
+                    uptime: process.uptime() // seconds
+                }
+            });
+        } catch (error) {
+            console.error('Get System Health Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get system health status'
+            });
+        }
+    }
+    
+    // ==================== DRIVER MANAGEMENT ====================
+    
+    /**
+     * Get all delivery drivers
+     */
+    static async getAllDrivers(req, res) {
+        try {
+            const { 
+                page = 1, 
+                limit = 20, 
+                status, 
+                availability_status, 
+                search 
+            } = req.query;
+            
+            const offset = (page - 1) * limit;
+            
+            const { drivers, total } = await Driver.getAll({
+                status,
+                availability_status,
+                search,
+                limit,
+                offset
+            });
+            
+            const totalPages = Math.ceil(total / limit);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    drivers,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get All Drivers Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get drivers'
+            });
+        }
+    }
+    
+    /**
+     * Create new driver account
+     */
+    static async createDriver(req, res) {
+        try {
+            const { 
+                name, 
+                email, 
+                phone, 
+                password, 
+                vehicle_type, 
+                vehicle_number, 
+                license_number 
+            } = req.body;
+            
+            if (!name || !email || !phone || !password) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Name, email, phone and password are required'
+                });
+            }
+            
+            if (password.length < 6) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Password must be at least 6 characters'
+                });
+            }
+            
+            const validVehicles = ['motorcycle', 'bicycle', 'car', 'on_foot'];
+            if (vehicle_type && !validVehicles.includes(vehicle_type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Vehicle type must be one of: ${validVehicles.join(', ')}`
+                });
+            }
+            
+            const existing = await db.query(
+                'SELECT id FROM users WHERE email = ?',
+                [email]
+            );
+            
+            if (existing.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Email is already registered'
+                });
+            }
+            
+            const salt = await bcrypt.genSalt(10);
+            const hashedPassword = await bcrypt.hash(password, salt);
+            
+            const driverId = await Driver.create(
+                { name, email, phone, password: hashedPassword },
+                { vehicle_type, vehicle_number, license_number }
+            );
+            
+            const driver = await Driver.getById(driverId);
+            
+            res.status(201).json({
+                success: true,
+                message: 'Driver created successfully',
+                data: driver
+            });
+        } catch (error) {
+            console.error('Create Driver Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create driver'
+            });
+        }
+    }
+    
+    /**
+     * Update driver details
+     */
+    static async updateDriver(req, res) {
+        try {
+            const { id } = req.params;
+            
+            const driver = await Driver.getById(id);
+            if (!driver) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Driver not found'
+                });
+            }
+            
+            const userData = {};
+            ['name', 'phone'].forEach(field => {
+                if (req.body[field] !== undefined) {
+                    userData[field] = req.body[field];
+                }
+            });
+            
+            const profileData = {};
+            ['vehicle_type', 'vehicle_number', 'license_number'].forEach(field => {
+                if (req.body[field] !== undefined) {
+                    profileData[field] = req.body[field];
+                }
+            });
+            
+            const validVehicles = ['motorcycle', 'bicycle', 'car', 'on_foot'];
+            if (profileData.vehicle_type && !validVehicles.includes(profileData.vehicle_type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Vehicle type must be one of: ${validVehicles.join(', ')}`
+                });
+            }
+            
+            if (Object.keys(userData).length === 0 && Object.keys(profileData).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No valid fields to update'
+                });
+            }
+            
+            await Driver.update(id, userData, profileData);
+            const updatedDriver = await Driver.getById(id);
+            
+            res.status(200).json({
+                success: true,
+                message: 'Driver updated successfully',
+                data: updatedDriver
+            });
+        } catch (error) {
+            console.error('Update Driver Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update driver'
+            });
+        }
+    }
+    
+    /**
+     * Update driver status (account status and/or availability)
+     */
+    static async updateDriverStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { status, availability_status } = req.body;
+            
+            const validStatuses = ['active', 'inactive', 'suspended'];
+            const validAvailability = ['available', 'busy', 'offline'];
+            
+            if (!status && !availability_status) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Status or availability_status is required'
+                });
+            }
+            
+            if (status && !validStatuses.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Status must be one of: ${validStatuses.join(', ')}`
+                });
+            }
+            
+            if (availability_status && !validAvailability.includes(availability_status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Availability must be one of: ${validAvailability.join(', ')}`
+                });
+            }
+            
+            const driver = await Driver.getById(id);
+            if (!driver) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Driver not found'
+                });
+            }
+            
+            if (status) {
+                await Driver.update(id, { status });
+            }
+            
+            // A deactivated driver cannot stay on the dispatch board
+            const availability = status && status !== 'active' ? 'offline' : availability_status;
+            if (availability) {
+                await Driver.updateAvailability(id, availability);
+            }
+            
+            const updatedDriver = await Driver.getById(id);
+            
+            res.status(200).json({
+                success: true,
+                message: 'Driver status updated successfully',
+                data: updatedDriver
+            });
+        } catch (error) {
+            console.error('Update Driver Status Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update driver status'
+            });
+        }
+    }
+    
+    /**
+     * Get driver assignments
+     */
+    static async getDriverAssignments(req, res) {
+        try {
+            const { id } = req.params;
+            const { 
+                page = 1, 
+                limit = 20, 
+                status, 
+                date_from, 
+                date_to 
+            } = req.query;
+            
+            const driver = await Driver.getById(id);
+            if (!driver) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Driver not found'
+                });
+            }
+            
+            const offset = (page - 1) * limit;
+            
+            const { assignments, total } = await Driver.getAssignments(id, {
+                status,
+                date_from,
+                date_to,
+                limit,
+                offset
+            });
+            
+            const totalPages = Math.ceil(total / limit);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    driver,
+                    assignments,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get Driver Assignments Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get driver assignments'
+            });
+        }
+    }
+    
+    /**
+     * Get driver performance metrics
+     */
+    static async getDriverPerformance(req, res) {
+        try {
+            const { id } = req.params;
+            const { date_from, date_to } = req.query;
+            
+            const driver = await Driver.getById(id);
+            if (!driver) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Driver not found'
+                });
+            }
+            
+            const performance = await Driver.getPerformance(id, { date_from, date_to });
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    driver: {
+                        id: driver.id,
+                        name: driver.name,
+                        availability_status: driver.availability_status
+                    },
+                    period: {
+                        date_from: date_from || null,
+                        date_to: date_to || null
+                    },
+                    performance
+                }
+            });
+        } catch (error) {
+            console.error('Get Driver Performance Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get driver performance'
+            });
+        }
+    }
+    
+    /**
+     * Get active deliveries
+     */
+    static async getActiveDeliveries(req, res) {
+        return AdminController.sendDeliveries('active', req, res);
+    }
+    
+    /**
+     * Get completed deliveries
+     */
+    static async getCompletedDeliveries(req, res) {
+        return AdminController.sendDeliveries('completed', req, res);
+    }
+    
+    /**
+     * Shared handler for the deliveries board
+     */
+    static async sendDeliveries(scope, req, res) {
+        try {
+            const { 
+                page = 1, 
+                limit = 20, 
+                driver_id, 
+                date_from, 
+                date_to 
+            } = req.query;
+            
+            const offset = (page - 1) * limit;
+            
+            const { deliveries, total } = await Driver.getDeliveries(scope, {
+                driver_id,
+                date_from,
+                date_to,
+                limit,
+                offset
+            });
+            
+            const totalPages = Math.ceil(total / limit);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    deliveries,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error(`Get ${scope} Deliveries Error:`, error);
+            res.status(500).json({
+                success: false,
+                error: `Failed to get ${scope} deliveries`
+            });
+        }
+    }
+    
+    /**
+     * Assign order to delivery driver
+     */
+    static async assignOrderToDriver(req, res) {
+        try {
+            const { id } = req.params;
+            const { driver_id } = req.body;
+            
+            if (!driver_id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Driver ID is required'
+                });
+            }
+            
+            const orders = await db.query(
+                'SELECT id, status, assigned_driver_id FROM orders WHERE id = ?',
+                [id]
             );
             
-            const total = countResult[0].total;
+            if (orders.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+            
+            const closedStatuses = ['delivered', 'cancelled', 'refunded'];
+            if (closedStatuses.includes(orders[0].status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Cannot assign a driver to an order that is ${orders[0].status}`
+                });
+            }
+            
+            const driver = await Driver.getById(driver_id);
+            if (!driver) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Driver not found'
+                });
+            }
+            
+            if (driver.status !== 'active') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Driver account is not active'
+                });
+            }
+            
+            if (driver.availability_status === 'offline') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Driver is offline'
+                });
+            }
+            
+            // Fails with 409 if dispatch or another admin assigned the order meanwhile
+            const assignmentId = await Driver.assignOrder(id, driver_id, req.user.id, {
+                expectedDriverId: orders[0].assigned_driver_id
+            });
+            
+            res.status(200).json({
+                success: true,
+                message: `Order assigned to ${driver.name}`,
+                data: {
+                    assignment_id: assignmentId,
+                    order_id: parseInt(id),
+                    driver_id: driver.id,
+                    reassigned: Boolean(orders[0].assigned_driver_id)
+                }
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Assign Order To Driver Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to assign order to driver'
+            });
+        }
+    }
+    
+    // ==================== PROMOTIONS ====================
+    
+    /**
+     * Pick and validate promotion fields from request body
+     * @param {Object} body - Request body
+     * @param {boolean} partial - Allow missing required fields (updates)
+     * @returns {Object} - { data, error }
+     */
+    static parsePromotionInput(body, partial = false) {
+        const fields = [
+            'code', 'name', 'description', 'discount_type', 'discount_value',
+            'min_order_amount', 'max_discount_amount', 'valid_from', 'valid_until',
+            'usage_limit', 'per_user_limit', 'first_order_only', 'is_active'
+        ];
+        
+        const data = {};
+        fields.forEach(field => {
+            if (body[field] !== undefined) {
+                data[field] = body[field];
+            }
+        });
+        
+        if (!partial) {
+            const required = ['code', 'name', 'discount_type', 'valid_from', 'valid_until'];
+            const missing = required.filter(field => !data[field]);
+            if (missing.length > 0) {
+                return { error: `Missing required fields: ${missing.join(', ')}` };
+            }
+        }
+        
+        if (data.code !== undefined) {
+            data.code = String(data.code).trim().toUpperCase();
+            if (!/^[A-Z0-9_-]{3,50}$/.test(data.code)) {
+                return { error: 'Code must be 3-50 letters, numbers, dashes or underscores' };
+            }
+        }
+        
+        const validTypes = ['percentage', 'fixed', 'free_delivery'];
+        if (data.discount_type !== undefined && !validTypes.includes(data.discount_type)) {
+            return { error: `Discount type must be one of: ${validTypes.join(', ')}` };
+        }
+        
+        if (data.discount_type === 'free_delivery' && data.discount_value === undefined) {
+            data.discount_value = 0;
+        }
+        
+        if (data.discount_value !== undefined) {
+            const value = parseFloat(data.discount_value);
+            if (isNaN(value) || value < 0) {
+                return { error: 'Discount value must be a positive number' };
+            }
+            if (data.discount_type === 'percentage' && (value <= 0 || value > 100)) {
+                return { error: 'Percentage discount must be between 0 and 100' };
+            }
+            data.discount_value = value;
+        } else if (!partial) {
+            return { error: 'Discount value is required' };
+        }
+        
+        ['min_order_amount', 'max_discount_amount'].forEach(field => {
+            if (data[field] === '' || data[field] === null) {
+                data[field] = field === 'min_order_amount' ? 0 : null;
+            }
+        });
+        
+        for (const field of ['usage_limit', 'per_user_limit']) {
+            if (data[field] === '' || data[field] === null) {
+                data[field] = null;
+            } else if (data[field] !== undefined) {
+                data[field] = parseInt(data[field]);
+                if (isNaN(data[field]) || data[field] < 1) {
+                    return { error: `${field} must be at least 1 (or empty for unlimited)` };
+                }
+            }
+        }
+        
+        if (data.first_order_only !== undefined) {
+            data.first_order_only = Boolean(data.first_order_only);
+        }
+        
+        // Targets live in promotion_targets, not on the promotion row
+        let targets;
+        for (const field of ['restaurant_ids', 'category_ids']) {
+            if (body[field] === undefined) {
+                continue;
+            }
+            
+            const ids = Array.isArray(body[field]) ? body[field].map(id => parseInt(id)) : null;
+            if (!ids || ids.some(id => isNaN(id) || id < 1)) {
+                return { error: `${field} must be an array of IDs` };
+            }
+            
+            targets = targets || { restaurant_ids: [], category_ids: [] };
+            targets[field] = [...new Set(ids)];
+        }
+        
+        if (data.valid_from && data.valid_until && new Date(data.valid_until) < new Date(data.valid_from)) {
+            return { error: 'valid_until must be on or after valid_from' };
+        }
+        
+        if (data.is_active !== undefined) {
+            data.is_active = Boolean(data.is_active);
+        }
+        
+        return { data, targets };
+    }
+    
+    /**
+     * Check that promotion target IDs exist
+     * @param {Object} targets - { restaurant_ids, category_ids }
+     * @returns {Promise<string|null>} - Error message or null
+     */
+    static async findMissingPromotionTargets(targets) {
+        const checks = [
+            { ids: targets.restaurant_ids, table: 'restaurants', label: 'Restaurant' },
+            { ids: targets.category_ids, table: 'categories', label: 'Category' }
+        ];
+        
+        for (const { ids, table, label } of checks) {
+            if (!ids || ids.length === 0) {
+                continue;
+            }
+            
+            // IN (?) only expands in the text protocol, so this skips db.query
+            const [rows] = await db.pool.query(`SELECT id FROM ${table} WHERE id IN (?)`, [ids]);
+            const found = rows.map(row => row.id);
+            const missing = ids.filter(id => !found.includes(id));
+            
+            if (missing.length > 0) {
+                return `${label} not found: ${missing.join(', ')}`;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get all promotions
+     */
+    static async getAllPromotions(req, res) {
+        try {
+            const { 
+                page = 1, 
+                limit = 20, 
+                is_active, 
+                status, 
+                search 
+            } = req.query;
+            
+            const offset = (page - 1) * limit;
+            
+            const { promotions, total } = await Promotion.getAll({
+                is_active: is_active !== undefined ? is_active === 'true' : undefined,
+                status,
+                search,
+                limit,
+                offset
+            });
+            
             const totalPages = Math.ceil(total / limit);
             
             res.status(200).json({
                 success: true,
                 data: {
-                    reviews,
+                    promotions,
                     pagination: {
                         page: parseInt(page),
                         limit: parseInt(limit),
@@ -830,186 +2463,351 @@ class AdminController {
                 }
             });
         } catch (error) {
-            console.error('Get Pending Reviews Error:', error);
+            console.error('Get All Promotions Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get pending reviews'
+                error: 'Failed to get promotions'
             });
         }
     }
     
     /**
-     * Approve review
+     * Create new promotion
      */
-    static async approveReview(req, res) {
+    static async createPromotion(req, res) {
         try {
-            const { id } = req.params;
+            const { data, targets, error } = AdminController.parsePromotionInput(req.body);
             
-            const [result] = await db.query(
-                `UPDATE reviews 
-                SET status = 'approved', 
-                    updated_at = NOW() 
-                WHERE id = ? AND status = 'pending'`,
-                [id]
-            );
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
             
-            if (result.affectedRows === 0) {
-                return res.status(404).json({
+            if (targets) {
+                const targetError = await AdminController.findMissingPromotionTargets(targets);
+                if (targetError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: targetError
+                    });
+                }
+            }
+            
+            const existing = await Promotion.getByCode(data.code);
+            if (existing) {
+                return res.status(409).json({
                     success: false,
-                    error: 'Review not found or already processed'
+                    error: 'A promotion with this code already exists'
                 });
             }
             
-            // Update restaurant rating
-            const [review] = await db.query(
-                'SELECT restaurant_id FROM reviews WHERE id = ?',
-                [id]
-            );
+            const promotionId = await Promotion.create(data);
             
-            if (review[0].restaurant_id) {
-                await db.query(
-                    `CALL UpdateRestaurantRating(?)`,
-                    [review[0].restaurant_id]
-                );
+            if (targets) {
+                await Promotion.setTargets(promotionId, targets);
             }
             
-            res.status(200).json({
+            const promotion = await Promotion.getById(promotionId);
+            
+            res.status(201).json({
                 success: true,
-                message: 'Review approved successfully'
+                message: 'Promotion created successfully',
+                data: promotion
             });
         } catch (error) {
-            console.error('Approve Review Error:', error);
+            console.error('Create Promotion Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to approve review'
+                error: 'Failed to create promotion'
             });
         }
     }
     
     /**
-     * Reject review
+     * Update promotion
      */
-    static async rejectReview(req, res) {
+    static async updatePromotion(req, res) {
         try {
             const { id } = req.params;
-            const { reason } = req.body;
-            
-            const [result] = await db.query(
-                `UPDATE reviews 
-                SET status = 'rejected', 
-                    updated_at = NOW() 
-                WHERE id = ? AND status = 'pending'`,
-                [id]
-            );
             
-            if (result.affectedRows === 0) {
+            const promotion = await Promotion.getById(id);
+            if (!promotion) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Review not found or already processed'
+                    error: 'Promotion not found'
+                });
+            }
+            
+            // Validate against the stored type/dates when only some fields change
+            const { data, targets, error } = AdminController.parsePromotionInput({
+                discount_type: promotion.discount_type,
+                ...req.body
+            }, true);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+            
+            if (targets) {
+                const targetError = await AdminController.findMissingPromotionTargets(targets);
+                if (targetError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: targetError
+                    });
+                }
+            }
+            
+            if (Object.keys(req.body).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No valid fields to update'
                 });
             }
             
+            if (data.code && data.code !== promotion.code) {
+                const existing = await Promotion.getByCode(data.code);
+                if (existing && existing.id !== promotion.id) {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'A promotion with this code already exists'
+                    });
+                }
+            }
+            
+            await Promotion.update(id, data);
+            
+            if (targets) {
+                await Promotion.setTargets(id, targets);
+            }
+            
+            const updatedPromotion = await Promotion.getById(id);
+            
             res.status(200).json({
                 success: true,
-                message: 'Review rejected successfully'
+                message: 'Promotion updated successfully',
+                data: updatedPromotion
             });
         } catch (error) {
-            console.error('Reject Review Error:', error);
+            console.error('Update Promotion Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to reject review'
+                error: 'Failed to update promotion'
             });
         }
     }
     
     /**
-     * Get system health status
+     * Delete promotion (only if it was never used)
      */
-    static async getSystemHealth(req, res) {
+    static async deletePromotion(req, res) {
         try {
-            const healthChecks = [];
+            const { id } = req.params;
             
-            // Check database connection
-            try {
-                const [dbResult] = await db.query('SELECT 1 as status');
-                healthChecks.push({
-                    component: 'Database',
-                    status: 'healthy',
-                    message: 'Connected successfully',
-                    timestamp: new Date().toISOString()
+            const promotion = await Promotion.getById(id);
+            if (!promotion) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Promotion not found'
                 });
-            } catch (dbError) {
-                healthChecks.push({
-                    component: 'Database',
-                    status: 'unhealthy',
-                    message: dbError.message,
-                    timestamp: new Date().toISOString()
+            }
+            
+            if (promotion.used_count > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Promotion has already been used. Deactivate it instead.'
                 });
             }
             
-            // Check disk space (simplified)
-            const diskUsage = {
-                total: 100, // GB
-                used: 45,   // GB
-                free: 55,   // GB
-                percent: 45
-            };
+            await Promotion.delete(id);
             
-            healthChecks.push({
-                component: 'Disk Space',
-                status: diskUsage.percent > 90 ? 'warning' : 'healthy',
-                message: `${diskUsage.percent}% used (${diskUsage.free}GB free)`,
-                data: diskUsage,
-                timestamp: new Date().toISOString()
+            res.status(200).json({
+                success: true,
+                message: 'Promotion deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete Promotion Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete promotion'
             });
+        }
+    }
+    
+    /**
+     * Activate/deactivate promotion
+     */
+    static async togglePromotionStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { is_active } = req.body;
             
-            // Check memory usage (simplified)
-            const memoryUsage = {
-                total: 8,   // GB
-                used: 3.2,  // GB
-                free: 4.8,  // GB
-                percent: 40
-            };
+            const promotion = await Promotion.getById(id);
+            if (!promotion) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Promotion not found'
+                });
+            }
             
-            healthChecks.push({
-                component: 'Memory',
-                status: memoryUsage.percent > 85 ? 'warning' : 'healthy',
-                message: `${memoryUsage.percent}% used (${memoryUsage.free}GB free)`,
-                data: memoryUsage,
-                timestamp: new Date().toISOString()
-            });
+            // Explicit value wins; otherwise flip the current state
+            const newStatus = is_active !== undefined ? Boolean(is_active) : !promotion.is_active;
             
-            // Overall status
-            const unhealthyCount = healthChecks.filter(h => h.status === 'unhealthy').length;
-            const warningCount = healthChecks.filter(h => h.status === 'warning').length;
+            await Promotion.update(id, { is_active: newStatus });
             
-            let overallStatus = 'healthy';
-            if (unhealthyCount > 0) {
-                overallStatus = 'unhealthy';
-            } else if (warningCount > 0) {
-                overallStatus = 'warning';
+            res.status(200).json({
+                success: true,
+                message: `Promotion ${newStatus ? 'activated' : 'deactivated'} successfully`,
+                data: {
+                    id: promotion.id,
+                    code: promotion.code,
+                    is_active: newStatus
+                }
+            });
+        } catch (error) {
+            console.error('Toggle Promotion Status Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update promotion status'
+            });
+        }
+    }
+    
+    /**
+     * Get promotion usage statistics
+     */
+    static async getPromotionUsage(req, res) {
+        try {
+            const { id } = req.params;
+            
+            const promotion = await Promotion.getById(id);
+            if (!promotion) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Promotion not found'
+                });
             }
             
+            const usage = await Promotion.getUsage(id);
+            
             res.status(200).json({
                 success: true,
                 data: {
-                    status: overallStatus,
-                    checks: healthChecks,
-                    summary: {
-                        total: healthChecks.length,
-                        healthy: healthChecks.filter(h => h.status === 'healthy').length,
-                        warning: warningCount,
-                        unhealthy: unhealthyCount
-                    },
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime() // seconds
+                    promotion,
+                    remaining_uses: promotion.usage_limit !== null
+                        ? Math.max(promotion.usage_limit - promotion.used_count, 0)
+                        : null,
+                    ...usage
                 }
             });
         } catch (error) {
-            console.error('Get System Health Error:', error);
+            console.error('Get Promotion Usage Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get system health status'
+                error: 'Failed to get promotion usage'
+            });
+        }
+    }
+    
+    // ==================== PRICING SETTINGS ====================
+    
+    /**
+     * Get tax settings
+     */
+    static async getTaxSettings(req, res) {
+        try {
+            const settings = await PricingService.getTaxSettings();
+            
+            res.status(200).json({
+                success: true,
+                data: settings
+            });
+        } catch (error) {
+            console.error('Get Tax Settings Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get tax settings'
+            });
+        }
+    }
+    
+    /**
+     * Update tax settings
+     */
+    static async updateTaxSettings(req, res) {
+        try {
+            const settings = await PricingService.updateTaxSettings(req.body, req.user.id);
+            
+            res.status(200).json({
+                success: true,
+                message: 'Tax settings updated',
+                data: settings
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Update Tax Settings Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update tax settings'
+            });
+        }
+    }
+    
+    /**
+     * Get delivery settings
+     */
+    static async getDeliverySettings(req, res) {
+        try {
+            const settings = await PricingService.getDeliverySettings();
+            
+            res.status(200).json({
+                success: true,
+                data: settings
+            });
+        } catch (error) {
+            console.error('Get Delivery Settings Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get delivery settings'
+            });
+        }
+    }
+    
+    /**
+     * Update delivery settings
+     */
+    static async updateDeliverySettings(req, res) {
+        try {
+            const settings = await PricingService.updateDeliverySettings(req.body, req.user.id);
+            
+            res.status(200).json({
+                success: true,
+                message: 'Delivery settings updated',
+                data: settings
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Update Delivery Settings Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update delivery settings'
             });
         }
     }
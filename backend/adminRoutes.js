@@ -223,7 +223,7 @@ router.get('/orders/statistics', AdminController.getOrderStatistics);
 router.get('/orders/revenue', AdminController.getRevenueStatistics);
 
 // @route   PUT /api/admin/orders/:id/refund
-// @desc    Process order refund
+// @desc    Refund order (body: reason, optional items [{ order_item_id, quantity }])
 // @access  Private/Admin
 router.put('/orders/:id/refund', AdminController.processRefund);
 
@@ -247,7 +247,7 @@ router.get('/payments/:id', AdminController.getPaymentDetails);
 router.put('/payments/:id/verify', AdminController.verifyPayment);
 
 // @route   PUT /api/admin/payments/:id/refund
-// @desc    Process payment refund
+// @desc    Refund payment (body: reason, optional items [{ order_item_id, quantity }])
 // @access  Private/Admin
 router.put('/payments/:id/refund', AdminController.refundPayment);
 
@@ -383,7 +383,7 @@ router.get('/settings', AdminController.getSystemSettings);
 router.put('/settings', AdminController.updateSystemSettings);
 
 // @route   GET /api/admin/settings/delivery
-// @desc    Get delivery settings
+// @desc    Get delivery pricing settings (default fee, free delivery threshold, minimum order)
 // @access  Private/Admin
 router.get('/settings/delivery', AdminController.getDeliverySettings);
 
@@ -403,7 +403,7 @@ router.get('/settings/payment', AdminController.getPaymentSettings);
 router.put('/settings/payment', AdminController.updatePaymentSettings);
 
 // @route   GET /api/admin/settings/tax
-// @desc    Get tax settings
+// @desc    Get tax settings (enabled, rate %, label, apply to delivery fee)
 // @access  Private/Admin
 router.get('/settings/tax', AdminController.getTaxSettings);
 
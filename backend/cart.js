@@ -1,70 +1,429 @@
 const db = require('../config/database');
+const MenuItem = require('./MenuItem');
+const MenuOption = require('./MenuOption');
+const Combo = require('./Combo');
 
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const readQuantity = (quantity) => {
+    const value = parseInt(quantity);
+
+    if (isNaN(value) || value < 1) {
+        throw badRequest('Quantity must be at least 1');
+    }
+
+    return value;
+};
+
+// Items of a shared cart must come from its restaurant
+const checkGroupRestaurant = (groupCart, restaurantId) => {
+    if (groupCart && restaurantId !== groupCart.restaurant_id) {
+        throw badRequest('Group carts can only hold items from their own restaurant');
+    }
+};
+
+// Cart writes run one at a time per cart: the transaction first locks the
+// cart's owner row (the user, or the group cart for shared carts). Without it
+// a double submit could add a line twice and parallel adds could each pass
+// the per-order quantity limits. A shared cart's status is checked again under
+// the lock, so a write racing the host's lock can't land after it
+const lockCart = async (connection, userId, groupCart) => {
+    if (groupCart) {
+        const [groups] = await connection.execute(
+            'SELECT status FROM group_carts WHERE id = ? FOR UPDATE',
+            [groupCart.id]
+        );
+        const status = groups.length > 0 ? groups[0].status : 'cancelled';
+        
+        if (status !== 'open') {
+            throw badRequest(status === 'locked'
+                ? 'The host has locked this group order'
+                : `Group order is ${status}`, 409);
+        }
+    } else {
+        await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+    }
+};
+
+// A personal cart holds one restaurant's items (one cart = one order).
+// Adding from another restaurant is refused unless replaceCart is set,
+// in which case the caller clears the old items first
+const checkCartRestaurant = async (connection, userId, restaurantId, replaceCart) => {
+    const [others] = await connection.execute(
+        `SELECT DISTINCT r.name
+         FROM cart c
+         JOIN restaurants r ON c.restaurant_id = r.id
+         WHERE c.user_id = ? AND c.group_cart_id IS NULL AND c.restaurant_id <> ?`,
+        [userId, restaurantId]
+    );
+
+    if (others.length > 0 && !replaceCart) {
+        throw badRequest(`Your cart has items from ${others.map(other => other.name).join(', ')}. Clear your cart or replace it to order from another restaurant.`, 409);
+    }
+
+    return others.length > 0;
+};
+
+// How many of a menu item (all option variants) are already in the order
+// being built: the user's own cart, or the whole shared cart
+const getItemQuantity = async (connection, userId, groupCart, menuItemId, excludeLineId = null) => {
+    let sql = groupCart
+        ? 'SELECT COALESCE(SUM(quantity), 0) as quantity FROM cart WHERE group_cart_id = ? AND menu_item_id = ?'
+        : 'SELECT COALESCE(SUM(quantity), 0) as quantity FROM cart WHERE user_id = ? AND group_cart_id IS NULL AND menu_item_id = ?';
+    const params = [groupCart ? groupCart.id : userId, menuItemId];
+
+    if (excludeLineId) {
+        sql += ' AND id <> ?';
+        params.push(excludeLineId);
+    }
+
+    const [rows] = await connection.execute(sql, params);
+    return parseInt(rows[0].quantity) || 0;
+};
+
+// Add to the matching line (same item or combo, options and cart) or start a new one
+const saveLine = async (connection, line) => {
+    const [existing] = await connection.execute(
+        `SELECT id FROM cart
+         WHERE user_id = ? AND menu_item_id <=> ? AND combo_id <=> ? AND options_signature = ? AND group_cart_id <=> ?`,
+        [line.user_id, line.menu_item_id, line.combo_id, line.options_signature, line.group_cart_id]
+    );
+    
+    if (existing.length > 0) {
+        await connection.execute(
+            'UPDATE cart SET quantity = quantity + ? WHERE id = ?',
+            [line.quantity, existing[0].id]
+        );
+        return { updated: true, id: existing[0].id };
+    }
+    
+    const [result] = await connection.execute(
+        `INSERT INTO cart 
+         (user_id, menu_item_id, combo_id, restaurant_id, quantity, selected_options, options_signature, special_instructions, group_cart_id) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            line.user_id,
+            line.menu_item_id,
+            line.combo_id,
+            line.restaurant_id,
+            line.quantity,
+            line.selected_options,
+            line.options_signature,
+            line.special_instructions,
+            line.group_cart_id
+        ]
+    );
+    return { added: true, id: result.insertId };
+};
+
+// Lines in a user's own cart have no group_cart_id; group cart lines are
+// reached through GroupCart and the group cart endpoints
 class Cart {
-    // Add item to cart
-    static async addItem(userId, menuId, quantity = 1) {
+    // Add item to cart (optionIds are menu_options ids; see MenuOption.resolveSelection)
+    // options.groupCart ({ id, restaurant_id }) adds it to a shared cart on behalf of userId;
+    // options.replaceCart swaps out another restaurant's items instead of refusing
+    static async addItem(userId, menuItemId, quantity = 1, optionIds = [], specialInstructions = null, options = {}) {
         try {
-            // Check if item already in cart
-            const [existing] = await db.execute(
-                'SELECT * FROM cart WHERE user_id = ? AND menu_id = ?',
-                [userId, menuId]
+            const { groupCart = null, replaceCart = false } = options;
+            quantity = readQuantity(quantity);
+            
+            const items = await db.query(
+                `SELECT id, name, restaurant_id, is_available, min_quantity_per_order, max_quantity_per_order
+                 FROM menu_items WHERE id = ?`,
+                [menuItemId]
             );
             
-            if (existing.length > 0) {
-                // Update quantity if exists
-                const [result] = await db.execute(
-                    'UPDATE cart SET quantity = quantity + ? WHERE id = ?',
-                    [quantity, existing[0].id]
-                );
-                return { updated: true, id: existing[0].id };
-            } else {
-                // Insert new item
-                const [result] = await db.execute(
-                    'INSERT INTO cart (user_id, menu_id, quantity) VALUES (?, ?, ?)',
-                    [userId, menuId, quantity]
-                );
-                return { added: true, id: result.insertId };
+            if (items.length === 0) {
+                throw badRequest('Menu item not found', 404);
             }
+            
+            const menuItem = items[0];
+            
+            if (!menuItem.is_available) {
+                throw badRequest(`Menu item "${menuItem.name}" is not available`);
+            }
+            
+            checkGroupRestaurant(groupCart, menuItem.restaurant_id);
+            const selection = await MenuOption.resolveSelection(menuItem, optionIds);
+            
+            return await db.transaction(async (connection) => {
+                await lockCart(connection, userId, groupCart);
+                
+                const replacing = !groupCart &&
+                    await checkCartRestaurant(connection, userId, menuItem.restaurant_id, replaceCart);
+                
+                // Limits count every variant of the item in the order
+                const inCart = replacing ? 0 : await getItemQuantity(connection, userId, groupCart, menuItem.id);
+                MenuItem.checkOrderQuantity(menuItem, inCart + quantity);
+                
+                if (replacing) {
+                    await connection.execute('DELETE FROM cart WHERE user_id = ? AND group_cart_id IS NULL', [userId]);
+                }
+                
+                // The same item with the same options is one line
+                const result = await saveLine(connection, {
+                    user_id: userId,
+                    menu_item_id: menuItem.id,
+                    combo_id: null,
+                    restaurant_id: menuItem.restaurant_id,
+                    quantity,
+                    selected_options: JSON.stringify(selection.option_ids),
+                    options_signature: selection.signature,
+                    special_instructions: specialInstructions,
+                    group_cart_id: groupCart ? groupCart.id : null
+                });
+                
+                return { ...result, replaced: replacing };
+            });
         } catch (error) {
             throw error;
         }
     }
 
-    // Get user cart
+    // Add combo to cart (substitutions are { combo_item_id: menu_item_id }; see Combo.resolveSelection)
+    // options are the same as addItem's
+    static async addCombo(userId, comboId, quantity = 1, substitutions = {}, specialInstructions = null, options = {}) {
+        try {
+            const { groupCart = null, replaceCart = false } = options;
+            quantity = readQuantity(quantity);
+            
+            const combo = await Combo.getById(comboId);
+            
+            if (!combo) {
+                throw badRequest('Combo not found', 404);
+            }
+            
+            if (!combo.is_available) {
+                throw badRequest(`Combo "${combo.name}" is not available`);
+            }
+            
+            checkGroupRestaurant(groupCart, combo.restaurant_id);
+            const selection = Combo.resolveSelection(combo, substitutions);
+            
+            return await db.transaction(async (connection) => {
+                await lockCart(connection, userId, groupCart);
+                
+                const replacing = !groupCart &&
+                    await checkCartRestaurant(connection, userId, combo.restaurant_id, replaceCart);
+                
+                if (replacing) {
+                    await connection.execute('DELETE FROM cart WHERE user_id = ? AND group_cart_id IS NULL', [userId]);
+                }
+                
+                // Same combo with the same swaps is one line
+                const result = await saveLine(connection, {
+                    user_id: userId,
+                    menu_item_id: null,
+                    combo_id: combo.id,
+                    restaurant_id: combo.restaurant_id,
+                    quantity,
+                    selected_options: JSON.stringify(selection.substitutions),
+                    options_signature: selection.signature,
+                    special_instructions: specialInstructions,
+                    group_cart_id: groupCart ? groupCart.id : null
+                });
+                
+                return { ...result, replaced: replacing };
+            });
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get user cart (unit_price includes the current price of chosen options or combo swaps)
     static async getCart(userId) {
+        return Cart.getLines('c.user_id = ? AND c.group_cart_id IS NULL', [userId]);
+    }
+
+    // Get every participant's lines of a shared cart (user_id says who added each)
+    static async getGroupCart(groupCartId) {
+        return Cart.getLines('c.group_cart_id = ?', [groupCartId]);
+    }
+
+    // Cart lines matching a condition, priced like getCart
+    static async getLines(where, params) {
         try {
-            const [rows] = await db.execute(
-                `SELECT c.*, m.name, m.price, m.image_url, m.description 
+            const rows = await db.query(
+                `SELECT c.*,
+                        COALESCE(m.name, cb.name) as name,
+                        COALESCE(m.price, cb.price) as price,
+                        m.discounted_price,
+                        COALESCE(m.image_url, cb.image_url) as image_url,
+                        COALESCE(m.description, cb.description) as description,
+                        COALESCE(m.is_available, cb.is_available) as is_available,
+                        m.min_quantity_per_order,
+                        m.max_quantity_per_order,
+                        r.name as restaurant_name
                  FROM cart c 
-                 JOIN menu_items m ON c.menu_id = m.id 
-                 WHERE c.user_id = ?`,
-                [userId]
+                 LEFT JOIN menu_items m ON c.menu_item_id = m.id 
+                 LEFT JOIN combos cb ON c.combo_id = cb.id 
+                 LEFT JOIN restaurants r ON c.restaurant_id = r.id 
+                 WHERE ${where}
+                 ORDER BY c.id`,
+                params
             );
+            
+            for (const row of rows) {
+                const selected = row.selected_options ? JSON.parse(row.selected_options) : null;
+                row.option_ids = row.combo_id ? [] : selected || [];
+                row.substitutions = row.combo_id ? selected || {} : null;
+                row.is_available = Boolean(row.is_available);
+            }
+            
+            const options = await MenuOption.getOptionsByIds([...new Set(rows.flatMap(row => row.option_ids))]);
+            const combos = await Combo.getByIds([...new Set(rows.filter(row => row.combo_id).map(row => row.combo_id))]);
+            
+            for (const row of rows) {
+                if (row.combo_id) {
+                    Cart.describeCombo(row, combos.find(combo => combo.id === row.combo_id));
+                    continue;
+                }
+                
+                row.options = options
+                    .filter(option => row.option_ids.includes(option.id))
+                    .map(option => ({
+                        option_id: option.id,
+                        group_name: option.group_name,
+                        name: option.name,
+                        price_delta: parseFloat(option.price_delta) || 0
+                    }));
+                
+                const basePrice = parseFloat(row.discounted_price || row.price);
+                const optionsPrice = row.options.reduce((sum, option) => sum + option.price_delta, 0);
+                
+                row.unit_price = Math.round((basePrice + optionsPrice) * 100) / 100;
+                row.line_total = Math.round(row.unit_price * row.quantity * 100) / 100;
+                delete row.selected_options;
+            }
+            
             return rows;
         } catch (error) {
             throw error;
         }
     }
 
-    // Update cart item quantity
-    static async updateQuantity(cartId, quantity) {
+    // Fill in components and price for a combo line; swaps that are no longer
+    // offered fall back to the standard components (checkout re-checks them)
+    static describeCombo(row, combo) {
+        let selection;
+        
         try {
-            const [result] = await db.execute(
-                'UPDATE cart SET quantity = ? WHERE id = ?',
-                [quantity, cartId]
-            );
-            return result.affectedRows > 0;
+            selection = Combo.resolveSelection(combo, row.substitutions);
+        } catch (error) {
+            const components = combo.items.map(slot => ({
+                combo_item_id: slot.id,
+                menu_item_id: slot.menu_item_id,
+                menu_item_name: slot.name,
+                quantity: slot.quantity,
+                price_delta: 0
+            }));
+            
+            selection = { components, price_delta: 0 };
+        }
+        
+        row.options = [];
+        row.components = selection.components;
+        row.unit_price = Math.round((parseFloat(combo.price) + selection.price_delta) * 100) / 100;
+        row.line_total = Math.round(row.unit_price * row.quantity * 100) / 100;
+        delete row.selected_options;
+    }
+
+    // Problems that would stop lines being ordered as they are (unavailable items,
+    // quantities outside an item's per-order limits, more than one restaurant)
+    static findIssues(lines) {
+        const issues = [];
+        const restaurantIds = [...new Set(lines.map(line => line.restaurant_id))];
+        
+        if (restaurantIds.length > 1) {
+            issues.push({
+                type: 'multiple_restaurants',
+                restaurant_ids: restaurantIds,
+                message: 'Your cart has items from more than one restaurant. Each order can only come from one.'
+            });
+        }
+        
+        for (const line of lines.filter(line => !line.is_available)) {
+            issues.push({
+                type: 'unavailable',
+                cart_id: line.id,
+                message: `"${line.name}" is no longer available`
+            });
+        }
+        
+        const menuItems = new Map();
+        
+        for (const line of lines.filter(line => line.menu_item_id)) {
+            const item = menuItems.get(line.menu_item_id) || { ...line, quantity: 0 };
+            item.quantity += line.quantity;
+            menuItems.set(line.menu_item_id, item);
+        }
+        
+        for (const item of menuItems.values()) {
+            try {
+                MenuItem.checkOrderQuantity(item, item.quantity);
+            } catch (error) {
+                issues.push({
+                    type: 'quantity',
+                    menu_item_id: item.menu_item_id,
+                    quantity: item.quantity,
+                    min_quantity_per_order: item.min_quantity_per_order,
+                    max_quantity_per_order: item.max_quantity_per_order,
+                    message: error.message
+                });
+            }
+        }
+        
+        return issues;
+    }
+
+    // Update cart item quantity on one of userId's lines (in groupCart when given)
+    static async updateQuantity(cartId, quantity, userId, groupCart = null) {
+        try {
+            quantity = readQuantity(quantity);
+            
+            return await db.transaction(async (connection) => {
+                await lockCart(connection, userId, groupCart);
+                
+                const [lines] = await connection.execute(
+                    `SELECT c.id, c.menu_item_id, m.name, m.min_quantity_per_order, m.max_quantity_per_order
+                     FROM cart c 
+                     LEFT JOIN menu_items m ON c.menu_item_id = m.id 
+                     WHERE c.id = ? AND c.user_id = ? AND c.group_cart_id <=> ?`,
+                    [cartId, userId, groupCart ? groupCart.id : null]
+                );
+                
+                if (lines.length === 0) {
+                    return false;
+                }
+                
+                const line = lines[0];
+                
+                if (line.menu_item_id) {
+                    const elsewhere = await getItemQuantity(connection, userId, groupCart, line.menu_item_id, line.id);
+                    MenuItem.checkOrderQuantity(line, elsewhere + quantity);
+                }
+                
+                await connection.execute(
+                    'UPDATE cart SET quantity = ? WHERE id = ?',
+                    [quantity, line.id]
+                );
+                return true;
+            });
         } catch (error) {
             throw error;
         }
     }
 
-    // Remove item from cart
-    static async removeItem(cartId) {
+    // Remove one of userId's lines from their own cart
+    static async removeItem(cartId, userId) {
         try {
-            const [result] = await db.execute(
-                'DELETE FROM cart WHERE id = ?',
-                [cartId]
+            const result = await db.query(
+                'DELETE FROM cart WHERE id = ? AND user_id = ? AND group_cart_id IS NULL',
+                [cartId, userId]
             );
             return result.affectedRows > 0;
         } catch (error) {
@@ -75,8 +434,8 @@ class Cart {
     // Clear user cart
     static async clearCart(userId) {
         try {
-            const [result] = await db.execute(
-                'DELETE FROM cart WHERE user_id = ?',
+            const result = await db.query(
+                'DELETE FROM cart WHERE user_id = ? AND group_cart_id IS NULL',
                 [userId]
             );
             return result.affectedRows;
@@ -88,14 +447,69 @@ class Cart {
     // Get cart total
     static async getCartTotal(userId) {
         try {
-            const [rows] = await db.execute(
-                `SELECT SUM(m.price * c.quantity) as total 
+            const rows = await Cart.getCart(userId);
+            const total = rows.reduce((sum, row) => sum + row.line_total, 0);
+            return Math.round(total * 100) / 100;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get subtotal and delivery fee for one restaurant's items in the cart
+    static async getPricingSummary(userId, restaurantId = null) {
+        try {
+            let sql = `SELECT c.restaurant_id,
+                        r.name as restaurant_name,
+                        r.delivery_fee,
+                        r.min_order_amount,
+                        SUM(COALESCE(m.discounted_price, m.price, cb.price) * c.quantity) as subtotal,
+                        SUM(c.quantity) as item_quantity
                  FROM cart c 
-                 JOIN menu_items m ON c.menu_id = m.id 
-                 WHERE c.user_id = ?`,
-                [userId]
+                 LEFT JOIN menu_items m ON c.menu_item_id = m.id 
+                 LEFT JOIN combos cb ON c.combo_id = cb.id 
+                 JOIN restaurants r ON c.restaurant_id = r.id
+                 WHERE c.user_id = ? AND c.group_cart_id IS NULL`;
+            const params = [userId];
+            
+            if (restaurantId) {
+                sql += ' AND c.restaurant_id = ?';
+                params.push(restaurantId);
+            }
+            
+            sql += ' GROUP BY c.restaurant_id, r.name, r.delivery_fee, r.min_order_amount';
+            
+            const rows = await db.query(sql, params);
+            return rows;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get line subtotals with categories (used for targeted promotions)
+    static async getPricingItems(userId, restaurantId) {
+        try {
+            const rows = await db.query(
+                `SELECT c.menu_item_id,
+                        c.combo_id,
+                        m.category_id,
+                        c.quantity,
+                        c.selected_options,
+                        COALESCE(m.discounted_price, m.price, cb.price) * c.quantity as subtotal
+                 FROM cart c 
+                 LEFT JOIN menu_items m ON c.menu_item_id = m.id 
+                 LEFT JOIN combos cb ON c.combo_id = cb.id 
+                 WHERE c.user_id = ? AND c.restaurant_id = ? AND c.group_cart_id IS NULL`,
+                [userId, restaurantId]
             );
-            return rows[0].total || 0;
+            
+            for (const row of rows) {
+                const selected = row.selected_options ? JSON.parse(row.selected_options) : null;
+                row.option_ids = row.combo_id ? [] : selected || [];
+                row.substitutions = row.combo_id ? selected || {} : null;
+                delete row.selected_options;
+            }
+            
+            return rows;
         } catch (error) {
             throw error;
         }
@@ -104,10 +518,10 @@ class Cart {
     // Get cart count (for navbar)
     static async getCartCount(userId) {
         try {
-            const [rows] = await db.execute(
+            const rows = await db.query(
                 `SELECT SUM(quantity) as count 
                  FROM cart 
-                 WHERE user_id = ?`,
+                 WHERE user_id = ? AND group_cart_id IS NULL`,
                 [userId]
             );
             return rows[0].count || 0;
@@ -0,0 +1,117 @@
+// ============================================
+// 🍔 FOOD EXPRESS - CART MODEL TESTS
+// ============================================
+
+jest.mock('../config/database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn()
+}), { virtual: true });
+
+jest.mock('./MenuOption', () => ({
+    resolveSelection: jest.fn(async () => ({ option_ids: [], signature: '' }))
+}));
+
+const db = require('../config/database');
+const Cart = require('./cart');
+
+const JOLLOF = {
+    id: 5,
+    name: 'Jollof Rice',
+    restaurant_id: 1,
+    is_available: true,
+    min_quantity_per_order: 1,
+    max_quantity_per_order: 5
+};
+
+// What the transaction connection sees: other restaurants' items in the
+// user's cart and how many of the item the cart already holds
+let cart;
+let connection;
+
+beforeEach(() => {
+    cart = { others: [], quantity: 0 };
+
+    connection = {
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('SELECT DISTINCT r.name')) {
+                return [cart.others.map(name => ({ name }))];
+            }
+
+            if (sql.includes('SUM(quantity)')) {
+                // COUNT/SUM come back as strings (bigNumberStrings)
+                return [[{ quantity: String(cart.quantity) }]];
+            }
+
+            if (sql.includes('INSERT INTO cart')) {
+                return [{ insertId: 42 }];
+            }
+
+            return [[]];
+        })
+    };
+
+    db.query.mockReset();
+    db.query.mockImplementation(async () => [{ ...JOLLOF }]);
+    db.transaction.mockReset();
+    db.transaction.mockImplementation(async (callback) => callback(connection));
+});
+
+const writes = () => connection.execute.mock.calls
+    .map(([sql]) => sql.trim())
+    .filter(sql => /^(INSERT|UPDATE|DELETE)/.test(sql));
+
+describe('Cart.addItem quantity limits', () => {
+    it('adds a line while the order stays within max_quantity_per_order', async () => {
+        cart.quantity = 3;
+
+        await expect(Cart.addItem(9, JOLLOF.id, 2)).resolves.toEqual({ added: true, id: 42, replaced: false });
+        expect(writes()).toHaveLength(1);
+    });
+
+    it('counts what is already in the cart against the limit', async () => {
+        cart.quantity = 4;
+
+        await expect(Cart.addItem(9, JOLLOF.id, 2)).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'You can order at most 5 of "Jollof Rice" per order'
+        });
+        expect(writes()).toHaveLength(0);
+    });
+
+    it('enforces min_quantity_per_order', async () => {
+        db.query.mockImplementation(async () => [{ ...JOLLOF, min_quantity_per_order: 2 }]);
+
+        await expect(Cart.addItem(9, JOLLOF.id, 1)).rejects.toMatchObject({ statusCode: 400 });
+        expect(writes()).toHaveLength(0);
+    });
+
+    it('refuses quantities below 1 before touching the database', async () => {
+        await expect(Cart.addItem(9, JOLLOF.id, 0)).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('refuses unavailable items', async () => {
+        db.query.mockImplementation(async () => [{ ...JOLLOF, is_available: false }]);
+
+        await expect(Cart.addItem(9, JOLLOF.id, 1)).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('Cart.addItem single restaurant', () => {
+    it('refuses items from another restaurant', async () => {
+        cart.others = ['Mama Oliech'];
+
+        await expect(Cart.addItem(9, JOLLOF.id, 1)).rejects.toMatchObject({ statusCode: 409 });
+        expect(writes()).toHaveLength(0);
+    });
+
+    it('replaces the cart when asked, without counting the old items', async () => {
+        cart.others = ['Mama Oliech'];
+        cart.quantity = 5;
+
+        await expect(Cart.addItem(9, JOLLOF.id, 5, [], null, { replaceCart: true }))
+            .resolves.toMatchObject({ added: true, replaced: true });
+        expect(writes()[0]).toMatch(/^DELETE FROM cart WHERE user_id = \?/);
+    });
+});
@@ -1,31 +1,50 @@
 const Cart = require('../models/Cart');
+const DeliveryAddress = require('../models/DeliveryAddress');
+const GroupCart = require('../models/GroupCart');
+const Order = require('../models/Order');
+const PricingService = require('../services/pricingService');
 
-// @desc    Add item to cart
+// @desc    Add item or combo to cart
 // @route   POST /api/cart/add
 // @access  Private
 exports.addToCart = async (req, res) => {
     try {
-        const { menu_id, quantity = 1 } = req.body;
+        const { quantity = 1, options = [], combo_id, substitutions = {}, special_instructions, replace_cart } = req.body;
+        // menu_id is the older name for menu_item_id
+        const menuItemId = req.body.menu_item_id || req.body.menu_id;
         const userId = req.user.id;
 
         // Validate input
-        if (!menu_id) {
+        if (!menuItemId && !combo_id) {
             return res.status(400).json({
                 success: false,
-                error: 'Menu item ID is required'
+                error: 'Menu item ID or combo ID is required'
             });
         }
 
-        const result = await Cart.addItem(userId, menu_id, quantity);
+        // A cart holds one restaurant's items; replace_cart empties it to start
+        // an order from another restaurant (otherwise that is a 409)
+        const cartOptions = { replaceCart: replace_cart === true || replace_cart === 'true' };
+
+        const result = combo_id
+            ? await Cart.addCombo(userId, combo_id, quantity, substitutions, special_instructions || null, cartOptions)
+            : await Cart.addItem(userId, menuItemId, quantity, options, special_instructions || null, cartOptions);
         
         res.status(201).json({
             success: true,
-            message: result.updated ? 
-                'Item quantity updated in cart' : 
-                'Item added to cart successfully',
+            message: result.replaced ? 
+                'Cart replaced with items from the new restaurant' : 
+                result.updated ? 'Item quantity updated in cart' : 'Item added to cart successfully',
             data: result
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         console.error('Add to cart error:', error);
         res.status(500).json({
             success: false,
@@ -34,15 +53,32 @@ exports.addToCart = async (req, res) => {
     }
 };
 
-// @desc    Get user's cart items
+// @desc    Get user's cart items with a checkout summary (?address_id= quotes delivery to a saved address)
 // @route   GET /api/cart
 // @access  Private
 exports.getCart = async (req, res) => {
     try {
         const userId = req.user.id;
+        let delivery;
+
+        if (req.query.address_id) {
+            const address = await DeliveryAddress.getById(req.query.address_id, userId);
+
+            if (!address) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery address not found'
+                });
+            }
+
+            delivery = { latitude: address.latitude, longitude: address.longitude };
+        }
+
         const cartItems = await Cart.getCart(userId);
         const total = await Cart.getCartTotal(userId);
         const itemCount = await Cart.getCartCount(userId);
+        const issues = Cart.findIssues(cartItems);
+        const summary = await PricingService.summarizeCart(cartItems, delivery);
         
         res.status(200).json({
             success: true,
@@ -50,7 +86,13 @@ exports.getCart = async (req, res) => {
                 items: cartItems,
                 total: total,
                 itemCount: itemCount,
-                itemQuantity: cartItems.reduce((sum, item) => sum + item.quantity, 0)
+                itemQuantity: cartItems.reduce((sum, item) => sum + item.quantity, 0),
+                summary: {
+                    ...summary,
+                    issues,
+                    can_checkout: cartItems.length > 0 && issues.length === 0
+                        && summary.meets_min_order && !summary.delivery_error
+                }
             }
         });
     } catch (error) {
@@ -77,7 +119,7 @@ exports.updateCartItem = async (req, res) => {
             });
         }
 
-        const updated = await Cart.updateQuantity(id, quantity);
+        const updated = await Cart.updateQuantity(id, quantity, req.user.id);
         
         if (updated) {
             res.status(200).json({
@@ -91,6 +133,13 @@ exports.updateCartItem = async (req, res) => {
             });
         }
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         console.error('Update cart error:', error);
         res.status(500).json({
             success: false,
@@ -105,7 +154,7 @@ exports.updateCartItem = async (req, res) => {
 exports.removeFromCart = async (req, res) => {
     try {
         const { id } = req.params;
-        const removed = await Cart.removeItem(id);
+        const removed = await Cart.removeItem(id, req.user.id);
         
         if (removed) {
             res.status(200).json({
@@ -169,3 +218,328 @@ exports.getCartCount = async (req, res) => {
         });
     }
 };
+
+// @desc    Preview coupon discount for the current cart
+// @route   POST /api/cart/preview-discount
+// @access  Private
+exports.previewDiscount = async (req, res) => {
+    try {
+        const { coupon_code, restaurant_id, address_id } = req.body;
+        const userId = req.user.id;
+
+        if (!coupon_code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Coupon code is required'
+            });
+        }
+
+        // Without an address the restaurant's flat delivery fee is previewed
+        let delivery;
+
+        if (address_id) {
+            const address = await DeliveryAddress.getById(address_id, userId);
+
+            if (!address) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery address not found'
+                });
+            }
+
+            delivery = { latitude: address.latitude, longitude: address.longitude };
+        }
+
+        const summaries = await Cart.getPricingSummary(userId, restaurant_id);
+
+        if (summaries.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Your cart is empty'
+            });
+        }
+
+        if (summaries.length > 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Your cart has items from several restaurants. Pass restaurant_id to preview one order.'
+            });
+        }
+
+        const summary = summaries[0];
+        const items = await Cart.getPricingItems(userId, summary.restaurant_id);
+
+        // Same pricing as checkout, so the preview matches the order total
+        const pricing = await PricingService.priceOrder({
+            user_id: userId,
+            items: items.map(item => item.combo_id
+                ? { combo_id: item.combo_id, quantity: item.quantity, substitutions: item.substitutions }
+                : { id: item.menu_item_id, quantity: item.quantity, options: item.option_ids }),
+            coupon_code,
+            delivery
+        });
+        const { promotion } = pricing;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                coupon_code: promotion.code,
+                promotion_name: promotion.name,
+                discount_type: promotion.discount_type,
+                restaurant_id: summary.restaurant_id,
+                subtotal: pricing.subtotal,
+                eligible_subtotal: pricing.eligible_subtotal,
+                delivery_fee: pricing.delivery_fee,
+                delivery_zone: pricing.delivery.zone,
+                discount_amount: pricing.discount_amount,
+                tax_amount: pricing.tax_amount,
+                total: pricing.total_amount
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Preview discount error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview discount'
+        });
+    }
+};
+
+// Group orders: shared carts several people fill in (see GroupCart)
+
+// Link participants open to join (the frontend calls POST /api/cart/groups/join/:inviteCode)
+const inviteUrl = (inviteCode) =>
+    `${process.env.GROUP_CART_INVITE_URL || `${process.env.FRONTEND_URL || ''}/cart.html?group=`}${inviteCode}`;
+
+// Send statusCode errors (not found, not the host, cart locked) as-is, anything else as a 500
+const sendGroupError = (res, error, label, message) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+};
+
+// @desc    Start a group order from one restaurant
+// @route   POST /api/cart/groups
+// @access  Private
+exports.createGroupCart = async (req, res) => {
+    try {
+        const { restaurant_id, name } = req.body;
+
+        if (!restaurant_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Restaurant ID is required'
+            });
+        }
+
+        const group = await GroupCart.create(req.user.id, restaurant_id, name);
+
+        res.status(201).json({
+            success: true,
+            message: 'Group order started. Share the link to invite people.',
+            data: {
+                group_cart_id: group.id,
+                invite_code: group.invite_code,
+                invite_url: inviteUrl(group.invite_code)
+            }
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Create group cart', 'Failed to start group order');
+    }
+};
+
+// @desc    Get the open group orders the user takes part in
+// @route   GET /api/cart/groups
+// @access  Private
+exports.getGroupCarts = async (req, res) => {
+    try {
+        const groups = await GroupCart.getByUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: groups
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Get group carts', 'Failed to get group orders');
+    }
+};
+
+// @desc    Join a group order from its invite link
+// @route   POST /api/cart/groups/join/:inviteCode
+// @access  Private
+exports.joinGroupCart = async (req, res) => {
+    try {
+        const group = await GroupCart.join(req.params.inviteCode, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: `You joined the group order from ${group.restaurant_name}`,
+            data: { group_cart_id: group.id }
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Join group cart', 'Failed to join group order');
+    }
+};
+
+// @desc    Get a group order with everyone's items and subtotals
+//          (after checkout: the order ID and what each participant owes)
+// @route   GET /api/cart/groups/:groupId
+// @access  Private (participants)
+exports.getGroupCart = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        const details = await GroupCart.getDetails(group);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...details,
+                invite_url: inviteUrl(group.invite_code),
+                bill: group.order_id ? await Order.getParticipants(group.order_id) : null
+            }
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Get group cart', 'Failed to get group order');
+    }
+};
+
+// @desc    Add your own item or combo to a group order
+// @route   POST /api/cart/groups/:groupId/items
+// @access  Private (participants, while open)
+exports.addGroupCartItem = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        const result = await GroupCart.addItem(group, req.user.id, {
+            ...req.body,
+            menu_item_id: req.body.menu_item_id || req.body.menu_id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: result.updated ?
+                'Item quantity updated in group order' :
+                'Item added to group order',
+            data: result
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Add group cart item', 'Failed to add item to group order');
+    }
+};
+
+// @desc    Change the quantity of one of your items in a group order
+// @route   PUT /api/cart/groups/:groupId/items/:itemId
+// @access  Private (participants, while open)
+exports.updateGroupCartItem = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        await GroupCart.updateItem(group, req.user.id, req.params.itemId, req.body.quantity);
+
+        res.status(200).json({
+            success: true,
+            message: 'Group order item updated'
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Update group cart item', 'Failed to update group order item');
+    }
+};
+
+// @desc    Remove an item from a group order (your own; the host can remove any)
+// @route   DELETE /api/cart/groups/:groupId/items/:itemId
+// @access  Private (participants, while open)
+exports.removeGroupCartItem = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        await GroupCart.removeItem(group, req.user.id, req.params.itemId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Item removed from group order'
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Remove group cart item', 'Failed to remove group order item');
+    }
+};
+
+// @desc    Lock a group order so nobody can change it before checkout
+// @route   POST /api/cart/groups/:groupId/lock
+// @access  Private (host)
+exports.lockGroupCart = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        await GroupCart.setLocked(group, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'Group order locked. Check out with POST /api/orders and group_cart_id.'
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Lock group cart', 'Failed to lock group order');
+    }
+};
+
+// @desc    Unlock a group order so participants can change it again
+// @route   POST /api/cart/groups/:groupId/unlock
+// @access  Private (host)
+exports.unlockGroupCart = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        await GroupCart.setLocked(group, false);
+
+        res.status(200).json({
+            success: true,
+            message: 'Group order unlocked'
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Unlock group cart', 'Failed to unlock group order');
+    }
+};
+
+// @desc    Leave a group order (your items are removed)
+// @route   POST /api/cart/groups/:groupId/leave
+// @access  Private (participants other than the host, while open)
+exports.leaveGroupCart = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        await GroupCart.leave(group, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'You left the group order'
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Leave group cart', 'Failed to leave group order');
+    }
+};
+
+// @desc    Cancel a group order
+// @route   DELETE /api/cart/groups/:groupId
+// @access  Private (host)
+exports.cancelGroupCart = async (req, res) => {
+    try {
+        const group = await GroupCart.getForParticipant(req.params.groupId, req.user.id);
+        await GroupCart.cancel(group);
+
+        res.status(200).json({
+            success: true,
+            message: 'Group order cancelled'
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'Cancel group cart', 'Failed to cancel group order');
+    }
+};
@@ -8,12 +8,12 @@ const authMiddleware = require('../middleware/authMiddleware');
 router.use(authMiddleware);
 
 // @route   POST /api/cart/add
-// @desc    Add item to cart
+// @desc    Add item or combo to cart (one restaurant per cart; replace_cart starts over)
 // @access  Private (requires login)
 router.post('/add', cartController.addToCart);
 
 // @route   GET /api/cart
-// @desc    Get user's cart items
+// @desc    Get user's cart items with a checkout summary
 // @access  Private
 router.get('/', cartController.getCart);
 
@@ -22,6 +22,66 @@ router.get('/', cartController.getCart);
 // @access  Private
 router.get('/count', cartController.getCartCount);
 
+// @route   POST /api/cart/preview-discount
+// @desc    Preview coupon discount for the cart
+// @access  Private
+router.post('/preview-discount', cartController.previewDiscount);
+
+// @route   POST /api/cart/groups
+// @desc    Start a group order (returns the invite link)
+// @access  Private
+router.post('/groups', cartController.createGroupCart);
+
+// @route   GET /api/cart/groups
+// @desc    Get open group orders the user takes part in
+// @access  Private
+router.get('/groups', cartController.getGroupCarts);
+
+// @route   POST /api/cart/groups/join/:inviteCode
+// @desc    Join a group order from its invite link
+// @access  Private
+router.post('/groups/join/:inviteCode', cartController.joinGroupCart);
+
+// @route   GET /api/cart/groups/:groupId
+// @desc    Get group order items and subtotals per participant
+// @access  Private (participants)
+router.get('/groups/:groupId', cartController.getGroupCart);
+
+// @route   DELETE /api/cart/groups/:groupId
+// @desc    Cancel group order
+// @access  Private (host)
+router.delete('/groups/:groupId', cartController.cancelGroupCart);
+
+// @route   POST /api/cart/groups/:groupId/items
+// @desc    Add own item or combo to a group order
+// @access  Private (participants)
+router.post('/groups/:groupId/items', cartController.addGroupCartItem);
+
+// @route   PUT /api/cart/groups/:groupId/items/:itemId
+// @desc    Update own group order item quantity
+// @access  Private (participants)
+router.put('/groups/:groupId/items/:itemId', cartController.updateGroupCartItem);
+
+// @route   DELETE /api/cart/groups/:groupId/items/:itemId
+// @desc    Remove group order item (own, or any for the host)
+// @access  Private (participants)
+router.delete('/groups/:groupId/items/:itemId', cartController.removeGroupCartItem);
+
+// @route   POST /api/cart/groups/:groupId/lock
+// @desc    Lock group order before checkout (POST /api/orders with group_cart_id)
+// @access  Private (host)
+router.post('/groups/:groupId/lock', cartController.lockGroupCart);
+
+// @route   POST /api/cart/groups/:groupId/unlock
+// @desc    Unlock group order
+// @access  Private (host)
+router.post('/groups/:groupId/unlock', cartController.unlockGroupCart);
+
+// @route   POST /api/cart/groups/:groupId/leave
+// @desc    Leave group order (own items are removed)
+// @access  Private (participants)
+router.post('/groups/:groupId/leave', cartController.leaveGroupCart);
+
 // @route   PUT /api/cart/:id
 // @desc    Update cart item quantity
 // @access  Private
@@ -1,6 +1,9 @@
 -- ============================================
 -- FOOD EXPRESS DATABASE SETUP
 -- Database: food_express_db
+-- Existing databases: CREATE TABLE IF NOT EXISTS skips tables that are already
+-- there, so run `npm run db:migrate` (scripts/migrate-database.js) to add the
+-- newer columns, keys and triggers
 -- ============================================
 
 -- Create database if not exists
@@ -20,6 +23,7 @@ CREATE TABLE IF NOT EXISTS users (
     profile_picture VARCHAR(255) DEFAULT 'default-avatar.jpg',
     role ENUM('customer', 'restaurant', 'admin', 'delivery') DEFAULT 'customer',
     status ENUM('active', 'inactive', 'suspended') DEFAULT 'active',
+    dietary_preferences TEXT, -- JSON { diet, exclude_diet, exclude_allergens } applied to menu browsing by default
     email_verified BOOLEAN DEFAULT FALSE,
     last_login TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -37,6 +41,7 @@ CREATE TABLE IF NOT EXISTS restaurants (
     id INT PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(100) NOT NULL,
     description TEXT,
+    description_sw TEXT, -- Swahili description (NULL = use description)
     owner_id INT,
     phone VARCHAR(20),
     email VARCHAR(100),
@@ -49,10 +54,15 @@ CREATE TABLE IF NOT EXISTS restaurants (
     rating DECIMAL(3, 2) DEFAULT 0,
     delivery_fee DECIMAL(10, 2) DEFAULT 0,
     min_order_amount DECIMAL(10, 2) DEFAULT 0,
-    estimated_delivery_time VARCHAR(50),
-    opening_time TIME,
+    estimated_delivery_time VARCHAR(50), -- derived from avg_prep_minutes + avg_delivery_minutes once there is data
+    avg_prep_minutes INT NULL,
+    avg_delivery_minutes INT NULL,
+    opening_time TIME, -- legacy daily hours, used when restaurant_hours is empty
     closing_time TIME,
-    is_open BOOLEAN DEFAULT TRUE,
+    timezone VARCHAR(64) DEFAULT 'Africa/Dar_es_Salaam',
+    is_open BOOLEAN DEFAULT TRUE, -- derived from the schedule by openingHoursService
+    is_paused BOOLEAN DEFAULT FALSE, -- owner closed it manually
+    scheduled_slot_capacity INT NULL, -- pre-orders per delivery slot (NULL = SCHEDULED_SLOT_CAPACITY)
     status ENUM('active', 'inactive', 'pending') DEFAULT 'pending',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -64,13 +74,68 @@ CREATE TABLE IF NOT EXISTS restaurants (
     FULLTEXT idx_search (name, description, address)
 );
 
+-- ============================================
+-- RESTAURANT HOURS TABLE (weekly shifts, local time)
+-- ============================================
+CREATE TABLE IF NOT EXISTS restaurant_hours (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    restaurant_id INT NOT NULL,
+    day_of_week TINYINT NOT NULL, -- 0 = Sunday ... 6 = Saturday
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL, -- at or before open_time = runs past midnight
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    INDEX idx_restaurant_day (restaurant_id, day_of_week)
+);
+
+-- ============================================
+-- RESTAURANT HOLIDAYS TABLE (closed all day)
+-- ============================================
+CREATE TABLE IF NOT EXISTS restaurant_holidays (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    restaurant_id INT NOT NULL,
+    closed_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_restaurant_date (restaurant_id, closed_date)
+);
+
+-- ============================================
+-- DELIVERY ZONES TABLE (fee, minimum order and ETA per area)
+-- Restaurants without active zones use restaurants.delivery_fee and deliver anywhere
+-- ============================================
+CREATE TABLE IF NOT EXISTS delivery_zones (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    restaurant_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    zone_type ENUM('radius', 'polygon') NOT NULL DEFAULT 'radius',
+    min_distance_km DECIMAL(6, 2) DEFAULT 0, -- radius band around restaurants.latitude/longitude
+    max_distance_km DECIMAL(6, 2) NULL,
+    polygon TEXT NULL, -- JSON [[latitude, longitude], ...] for polygon zones
+    delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    min_order_amount DECIMAL(10, 2) NULL, -- NULL = restaurants.min_order_amount
+    estimated_delivery_minutes INT NULL, -- ride time; NULL = restaurants.avg_delivery_minutes
+    sort_order INT DEFAULT 0, -- the first active zone containing the address wins
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    INDEX idx_restaurant_active (restaurant_id, is_active, sort_order)
+);
+
 -- ============================================
 -- CATEGORIES TABLE (NEW)
 -- ============================================
 CREATE TABLE IF NOT EXISTS categories (
     id INT PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(50) NOT NULL,
+    name_sw VARCHAR(50), -- Swahili name (NULL = use name)
     description TEXT,
+    description_sw TEXT, -- Swahili description (NULL = use description)
     icon VARCHAR(100),
     restaurant_id INT NULL,
     is_active BOOLEAN DEFAULT TRUE,
@@ -89,20 +154,32 @@ CREATE TABLE IF NOT EXISTS categories (
 CREATE TABLE IF NOT EXISTS menu_items (
     id INT PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(100) NOT NULL,
+    name_sw VARCHAR(100), -- Swahili name (NULL = use name)
     description TEXT,
+    description_sw TEXT, -- Swahili description (NULL = use description)
     price DECIMAL(10, 2) NOT NULL,
     discounted_price DECIMAL(10, 2),
     category_id INT,
     restaurant_id INT,
     image_url VARCHAR(255),
     ingredients TEXT,
+    nutritional_info TEXT, -- JSON, e.g. {"protein_g": 20, "carbs_g": 45}
     is_vegetarian BOOLEAN DEFAULT FALSE,
+    is_vegan BOOLEAN DEFAULT FALSE,
+    is_gluten_free BOOLEAN DEFAULT FALSE,
     is_spicy BOOLEAN DEFAULT FALSE,
     is_featured BOOLEAN DEFAULT FALSE,
     is_available BOOLEAN DEFAULT TRUE,
     preparation_time INT, -- in minutes
     calories INT,
     sort_order INT DEFAULT 0,
+    min_quantity_per_order INT NOT NULL DEFAULT 1, -- per order, all option variants together
+    max_quantity_per_order INT DEFAULT 10, -- NULL = no limit
+    daily_stock INT, -- portions available each day (NULL = not counted)
+    stock_remaining INT, -- portions left on stock_date
+    stock_date DATE, -- restaurant's local date stock_remaining belongs to; a new day starts from daily_stock
+    low_stock_threshold INT, -- alert the owner at or below this (default INVENTORY_LOW_STOCK_THRESHOLD)
+    sold_out_by_stock BOOLEAN DEFAULT FALSE, -- is_available was turned off by stock; restocking turns it back on
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
@@ -115,23 +192,190 @@ CREATE TABLE IF NOT EXISTS menu_items (
     FULLTEXT idx_search (name, description, ingredients)
 );
 
+-- ============================================
+-- INGREDIENTS TABLE (stock shared by menu items through recipes)
+-- ============================================
+CREATE TABLE IF NOT EXISTS ingredients (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    restaurant_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    unit VARCHAR(20) NOT NULL DEFAULT 'pcs', -- e.g. 'pcs', 'kg', 'l'
+    stock_quantity DECIMAL(10, 3) NOT NULL DEFAULT 0,
+    low_stock_threshold DECIMAL(10, 3) NOT NULL DEFAULT 0, -- alert the owner at or below this
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_ingredient (restaurant_id, name)
+);
+
+-- ============================================
+-- MENU ITEM INGREDIENTS TABLE (recipes)
+-- ============================================
+CREATE TABLE IF NOT EXISTS menu_item_ingredients (
+    menu_item_id INT NOT NULL,
+    ingredient_id INT NOT NULL,
+    quantity DECIMAL(10, 3) NOT NULL, -- used per portion, in the ingredient's unit
+
+    PRIMARY KEY (menu_item_id, ingredient_id),
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    INDEX idx_ingredient (ingredient_id)
+);
+
+-- ============================================
+-- MENU ITEM ALLERGENS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS menu_item_allergens (
+    menu_item_id INT NOT NULL,
+    allergen VARCHAR(30) NOT NULL, -- one of MenuItem.ALLERGENS, e.g. 'nuts', 'dairy', 'shellfish'
+
+    PRIMARY KEY (menu_item_id, allergen),
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    INDEX idx_allergen (allergen)
+);
+
+-- ============================================
+-- MENU OPTION GROUPS TABLE (sizes, extras, add-ons)
+-- ============================================
+CREATE TABLE IF NOT EXISTS menu_option_groups (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    menu_item_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL, -- e.g. 'Size', 'Extra toppings'
+    min_select INT NOT NULL DEFAULT 0, -- > 0 makes the group required
+    max_select INT NOT NULL DEFAULT 1,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    INDEX idx_menu_item (menu_item_id)
+);
+
+-- ============================================
+-- MENU OPTIONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS menu_options (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    group_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL, -- e.g. 'Large', 'Extra cheese'
+    price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0, -- added to the item's unit price
+    is_default BOOLEAN DEFAULT FALSE, -- picked when the customer chooses nothing in the group
+    is_available BOOLEAN DEFAULT TRUE,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (group_id) REFERENCES menu_option_groups(id) ON DELETE CASCADE,
+    INDEX idx_group (group_id)
+);
+
+-- ============================================
+-- COMBOS TABLE (bundles of menu items at one price)
+-- ============================================
+CREATE TABLE IF NOT EXISTS combos (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    restaurant_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL, -- e.g. 'Burger + Fries + Drink'
+    description TEXT,
+    image_url VARCHAR(255),
+    price DECIMAL(10, 2) NOT NULL, -- bundle price
+    is_available BOOLEAN DEFAULT TRUE,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    INDEX idx_restaurant (restaurant_id)
+);
+
+-- ============================================
+-- COMBO ITEMS TABLE (component slots)
+-- ============================================
+CREATE TABLE IF NOT EXISTS combo_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    combo_id INT NOT NULL,
+    menu_item_id INT NOT NULL, -- served unless the customer picks a substitute
+    quantity INT NOT NULL DEFAULT 1,
+    sort_order INT DEFAULT 0,
+
+    FOREIGN KEY (combo_id) REFERENCES combos(id) ON DELETE CASCADE,
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id), -- MenuItem.delete only hides items used in combos
+    INDEX idx_combo (combo_id)
+);
+
+-- ============================================
+-- COMBO ITEM SUBSTITUTES TABLE (allowed swaps)
+-- ============================================
+CREATE TABLE IF NOT EXISTS combo_item_substitutes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    combo_item_id INT NOT NULL,
+    menu_item_id INT NOT NULL, -- e.g. Onion Rings instead of Fries
+    price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0, -- added to the combo price
+
+    FOREIGN KEY (combo_item_id) REFERENCES combo_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id),
+    UNIQUE KEY unique_substitute (combo_item_id, menu_item_id)
+);
+
+-- ============================================
+-- GROUP CARTS TABLE (shared carts, one restaurant, host checks out once)
+-- open -> locked (host, no more changes) -> ordered; cancelled by the host
+-- ============================================
+CREATE TABLE IF NOT EXISTS group_carts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    host_user_id INT NOT NULL,
+    restaurant_id INT NOT NULL,
+    name VARCHAR(100),
+    invite_code VARCHAR(32) UNIQUE NOT NULL, -- shared in the invite link
+    status ENUM('open', 'locked', 'ordered', 'cancelled') DEFAULT 'open',
+    order_id INT NULL, -- orders(id) placed from it; orders is created later, so no FK
+    locked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (host_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    INDEX idx_host_status (host_user_id, status)
+);
+
+CREATE TABLE IF NOT EXISTS group_cart_participants (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    group_cart_id INT NOT NULL,
+    user_id INT NOT NULL,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (group_cart_id) REFERENCES group_carts(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_group_participant (group_cart_id, user_id),
+    INDEX idx_user (user_id)
+);
+
 -- ============================================
 -- CART TABLE (NEW - VERY IMPORTANT)
 -- ============================================
 CREATE TABLE IF NOT EXISTS cart (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
-    menu_item_id INT NOT NULL,
+    menu_item_id INT, -- set for menu items
+    combo_id INT, -- set for combos
     restaurant_id INT NOT NULL,
     quantity INT DEFAULT 1,
+    selected_options TEXT, -- JSON array of menu_options ids, or { combo_item_id: menu_item_id } swaps for combos
+    options_signature VARCHAR(255) NOT NULL DEFAULT '', -- sorted option ids, e.g. '3,7' (swaps: '4:12')
     special_instructions TEXT,
+    group_cart_id INT NULL, -- shared cart the line was added to (NULL = the user's own cart); user_id is who added it
+    -- One value per line identity; the unique key can't use the nullable columns
+    -- directly because MySQL lets any number of rows with a NULL through
+    line_key VARCHAR(300) AS (CONCAT_WS('|', IFNULL(group_cart_id, 0), IFNULL(menu_item_id, 0), IFNULL(combo_id, 0), options_signature)) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (combo_id) REFERENCES combos(id) ON DELETE CASCADE,
     FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
-    UNIQUE KEY unique_cart_item (user_id, menu_item_id, restaurant_id),
+    FOREIGN KEY (group_cart_id) REFERENCES group_carts(id) ON DELETE CASCADE,
+    -- The same item with different options is a separate line
+    UNIQUE KEY unique_cart_item (user_id, line_key),
     INDEX idx_user (user_id),
     INDEX idx_restaurant (restaurant_id),
     INDEX idx_user_restaurant (user_id, restaurant_id)
@@ -150,10 +394,26 @@ CREATE TABLE IF NOT EXISTS orders (
     delivery_fee DECIMAL(10, 2) DEFAULT 0,
     tax_amount DECIMAL(10, 2) DEFAULT 0,
     discount_amount DECIMAL(10, 2) DEFAULT 0,
-    status ENUM('pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded') DEFAULT 'pending',
+    promotion_id INT NULL, -- promotions(id); promotions is created later, so no FK
+    group_cart_id INT NULL, -- shared cart the order was placed from (see order_participants)
+    coupon_code VARCHAR(50),
+    status ENUM('scheduled', 'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded') DEFAULT 'pending',
     payment_method ENUM('cash_on_delivery', 'credit_card', 'mobile_money', 'bank_transfer') DEFAULT 'cash_on_delivery',
     payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending',
     delivery_address TEXT NOT NULL,
+    -- Saved address the order was placed with (delivery_addresses is created later, so no FK);
+    -- the structured fields are a copy, so editing the address book doesn't change past orders
+    delivery_address_id INT NULL,
+    delivery_address_line1 VARCHAR(255),
+    delivery_address_line2 VARCHAR(255),
+    delivery_city VARCHAR(100),
+    delivery_state VARCHAR(100),
+    delivery_postal_code VARCHAR(20),
+    delivery_country VARCHAR(100),
+    delivery_latitude DECIMAL(10, 8),
+    delivery_longitude DECIMAL(11, 8),
+    delivery_zone_id INT NULL, -- delivery_zones(id) that priced the delivery (kept if the zone is deleted)
+    delivery_minutes INT NULL, -- ride time quoted by the zone
     delivery_instructions TEXT,
     customer_name VARCHAR(100),
     customer_phone VARCHAR(20) NOT NULL,
@@ -161,6 +421,14 @@ CREATE TABLE IF NOT EXISTS orders (
     assigned_driver_id INT NULL,
     estimated_delivery_time TIMESTAMP NULL,
     actual_delivery_time TIMESTAMP NULL,
+    scheduled_for TIMESTAMP NULL, -- requested delivery slot (pre-orders)
+    release_at TIMESTAMP NULL, -- when a scheduled order goes to the kitchen
+    -- Kitchen timings (written on status changes)
+    expected_prep_minutes INT NULL,
+    confirmed_at TIMESTAMP NULL,
+    prep_started_at TIMESTAMP NULL,
+    ready_at TIMESTAMP NULL,
+    actual_prep_minutes INT NULL, -- confirmed_at -> ready_at
     cancellation_reason TEXT,
     notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -169,12 +437,17 @@ CREATE TABLE IF NOT EXISTS orders (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE SET NULL,
     FOREIGN KEY (assigned_driver_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (group_cart_id) REFERENCES group_carts(id) ON DELETE SET NULL,
     INDEX idx_user (user_id),
     INDEX idx_restaurant (restaurant_id),
     INDEX idx_status (status),
     INDEX idx_order_number (order_number),
     INDEX idx_created_at (created_at),
-    INDEX idx_payment_status (payment_status)
+    INDEX idx_payment_status (payment_status),
+    INDEX idx_promotion (promotion_id),
+    INDEX idx_restaurant_ready (restaurant_id, ready_at),
+    INDEX idx_release (status, release_at),
+    INDEX idx_restaurant_slot (restaurant_id, scheduled_for)
 );
 
 -- ============================================
@@ -184,17 +457,72 @@ CREATE TABLE IF NOT EXISTS order_items (
     id INT PRIMARY KEY AUTO_INCREMENT,
     order_id INT NOT NULL,
     menu_item_id INT,
+    combo_id INT, -- combo line, or a component of one
+    parent_item_id INT, -- component lines point at their combo line (price 0, kitchen and stats only)
     menu_item_name VARCHAR(100) NOT NULL,
-    menu_item_price DECIMAL(10, 2) NOT NULL,
+    menu_item_price DECIMAL(10, 2) NOT NULL, -- unit price including options (combo swaps for combo lines)
+    options_price DECIMAL(10, 2) NOT NULL DEFAULT 0, -- part of menu_item_price from options
+    selected_options TEXT, -- JSON snapshot [{ group_id, group_name, option_id, name, price_delta }]
     quantity INT NOT NULL CHECK (quantity > 0),
     subtotal DECIMAL(10, 2) NOT NULL,
+    refunded_quantity INT NOT NULL DEFAULT 0, -- includes refunds still processing
     special_instructions TEXT,
+    participant_user_id INT NULL, -- group orders: who added the line
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (participant_user_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE SET NULL,
+    FOREIGN KEY (combo_id) REFERENCES combos(id) ON DELETE SET NULL,
+    FOREIGN KEY (parent_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
     INDEX idx_order (order_id),
-    INDEX idx_menu_item (menu_item_id)
+    INDEX idx_menu_item (menu_item_id),
+    INDEX idx_combo (combo_id)
+);
+
+-- ============================================
+-- ORDER PARTICIPANTS TABLE (group orders: who owes what)
+-- share_amount = subtotal plus a share of delivery, tax and discount in proportion
+-- to the subtotal; the shares add up to orders.total_amount
+-- ============================================
+CREATE TABLE IF NOT EXISTS order_participants (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    user_id INT NULL,
+    participant_name VARCHAR(100),
+    is_host BOOLEAN DEFAULT FALSE,
+    item_quantity INT NOT NULL DEFAULT 0,
+    subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    share_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_order_participant (order_id, user_id)
+);
+
+-- ============================================
+-- INVENTORY MOVEMENTS TABLE (stock ledger)
+-- ============================================
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    restaurant_id INT NOT NULL,
+    menu_item_id INT, -- daily item count...
+    ingredient_id INT, -- ...or ingredient stock
+    order_id INT,
+    change_quantity DECIMAL(10, 3) NOT NULL, -- negative when stock is used
+    reason ENUM('order', 'cancel', 'restock', 'adjust') NOT NULL,
+    stock_date DATE, -- day of the item count (menu items only)
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_order (order_id),
+    INDEX idx_restaurant_created (restaurant_id, created_at)
 );
 
 -- ============================================
@@ -205,13 +533,16 @@ CREATE TABLE IF NOT EXISTS payments (
     order_id INT NOT NULL,
     amount DECIMAL(10, 2) NOT NULL,
     payment_method VARCHAR(50) NOT NULL,
-    transaction_id VARCHAR(100) UNIQUE,
+    transaction_id VARCHAR(100) UNIQUE, -- provider's request/checkout ID
     provider VARCHAR(50),
+    provider_receipt VARCHAR(100), -- provider's confirmation/receipt number
+    phone_number VARCHAR(20),
     status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
     payment_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     completed_at TIMESTAMP NULL,
     failure_reason TEXT,
     refund_reason TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
     INDEX idx_order (order_id),
@@ -220,6 +551,45 @@ CREATE TABLE IF NOT EXISTS payments (
     INDEX idx_payment_date (payment_date)
 );
 
+-- ============================================
+-- REFUNDS TABLE
+-- ============================================
+-- One row per refund request; partial refunds list their lines in refund_items
+CREATE TABLE IF NOT EXISTS refunds (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    payment_id INT NULL, -- NULL when no online payment exists (refunded manually)
+    amount DECIMAL(10, 2) NOT NULL,
+    type ENUM('full', 'partial') NOT NULL,
+    reason TEXT NOT NULL,
+    status ENUM('pending', 'completed', 'failed') DEFAULT 'pending',
+    provider VARCHAR(50),
+    provider_refund_id VARCHAR(100) UNIQUE,
+    failure_reason TEXT,
+    refunded_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+    FOREIGN KEY (refunded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_order (order_id),
+    INDEX idx_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS refund_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    refund_id INT NOT NULL,
+    order_item_id INT NOT NULL,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    amount DECIMAL(10, 2) NOT NULL,
+    
+    FOREIGN KEY (refund_id) REFERENCES refunds(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    INDEX idx_refund (refund_id),
+    INDEX idx_order_item (order_item_id)
+);
+
 -- ============================================
 -- REVIEWS & RATINGS TABLE
 -- ============================================
@@ -302,6 +672,8 @@ CREATE TABLE IF NOT EXISTS promotions (
     valid_until DATE NOT NULL,
     usage_limit INT DEFAULT 1,
     used_count INT DEFAULT 0,
+    per_user_limit INT NULL, -- NULL = no per-customer cap
+    first_order_only BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
@@ -310,6 +682,40 @@ CREATE TABLE IF NOT EXISTS promotions (
     INDEX idx_validity (valid_from, valid_until)
 );
 
+-- ============================================
+-- PROMOTION REDEMPTIONS TABLE (NEW)
+-- ============================================
+-- Ledger of coupon uses; reversed when the order is cancelled
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    promotion_id INT NOT NULL,
+    user_id INT NOT NULL,
+    order_id INT NOT NULL UNIQUE,
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    status ENUM('applied', 'reversed') DEFAULT 'applied',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reversed_at TIMESTAMP NULL,
+
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    INDEX idx_promotion_user (promotion_id, user_id, status)
+);
+
+-- ============================================
+-- PROMOTION TARGETS TABLE (NEW)
+-- ============================================
+-- Limits a promotion to restaurants and/or categories (no rows = applies to everything)
+CREATE TABLE IF NOT EXISTS promotion_targets (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    promotion_id INT NOT NULL,
+    target_type ENUM('restaurant', 'category') NOT NULL,
+    target_id INT NOT NULL,
+
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_promotion_target (promotion_id, target_type, target_id)
+);
+
 -- ============================================
 -- DELIVERY ADDRESSES TABLE (NEW)
 -- ============================================
@@ -334,6 +740,84 @@ CREATE TABLE IF NOT EXISTS delivery_addresses (
     INDEX idx_default (is_default)
 );
 
+-- ============================================
+-- DRIVER PROFILES TABLE (NEW)
+-- ============================================
+-- One row per users.role = 'delivery' account
+CREATE TABLE IF NOT EXISTS driver_profiles (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL UNIQUE,
+    vehicle_type ENUM('motorcycle', 'bicycle', 'car', 'on_foot') DEFAULT 'motorcycle',
+    vehicle_number VARCHAR(20),
+    license_number VARCHAR(50),
+    availability_status ENUM('available', 'busy', 'offline') DEFAULT 'offline',
+    current_latitude DECIMAL(10, 8),
+    current_longitude DECIMAL(11, 8),
+    last_location_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_availability (availability_status)
+);
+
+-- ============================================
+-- DRIVER ASSIGNMENTS TABLE (NEW)
+-- ============================================
+-- History of every order handed to a driver (orders.assigned_driver_id holds the current one)
+CREATE TABLE IF NOT EXISTS driver_assignments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    driver_id INT NOT NULL,
+    assigned_by INT NULL, -- admin who assigned, NULL for system
+    status ENUM('assigned', 'accepted', 'declined', 'expired', 'picked_up', 'delivered', 'cancelled') DEFAULT 'assigned',
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP NULL,
+    picked_up_at TIMESTAMP NULL,
+    delivered_at TIMESTAMP NULL,
+    notes TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (driver_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_order (order_id),
+    INDEX idx_driver_status (driver_id, status),
+    INDEX idx_assigned_at (assigned_at)
+);
+
+-- ============================================
+-- ORDER STATUS HISTORY TABLE (NEW)
+-- ============================================
+-- One row per orders.status change (from_status is NULL when the order is placed)
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    from_status VARCHAR(20) NULL,
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INT NULL, -- user who made the change, NULL for system
+    changed_by_role VARCHAR(20) DEFAULT 'system',
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_order_created (order_id, created_at)
+);
+
+-- ============================================
+-- SYSTEM SETTINGS TABLE (NEW)
+-- ============================================
+-- Admin-managed settings, one JSON value per key ('tax.rate', 'delivery.default_fee', ...)
+CREATE TABLE IF NOT EXISTS system_settings (
+    setting_key VARCHAR(100) PRIMARY KEY,
+    setting_value TEXT NOT NULL,
+    updated_by INT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- ============================================
 -- SAMPLE DATA INSERTION
 -- ============================================
@@ -360,16 +844,16 @@ INSERT INTO restaurants (name, description, owner_id, phone, address, rating, de
 ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP;
 
 -- Insert categories
-INSERT INTO categories (name, description, restaurant_id, sort_order) VALUES
-('Breakfast', 'Morning delights', 1, 1),
-('Local Dishes', 'Traditional Tanzanian meals', 1, 2),
-('Drinks', 'Beverages and refreshments', 1, 3),
-('Burgers', 'Juicy beef and chicken burgers', 2, 1),
-('Fries & Sides', 'Crispy accompaniments', 2, 2),
-('Pizzas', 'Italian style pizzas', 3, 1),
-('Pasta', 'Fresh pasta dishes', 3, 2),
-('Seafood', 'Fresh from the ocean', 4, 1),
-('Grilled Specials', 'Freshly grilled dishes', 4, 2)
+INSERT INTO categories (name, name_sw, description, restaurant_id, sort_order) VALUES
+('Breakfast', 'Kifungua Kinywa', 'Morning delights', 1, 1),
+('Local Dishes', 'Vyakula vya Asili', 'Traditional Tanzanian meals', 1, 2),
+('Drinks', 'Vinywaji', 'Beverages and refreshments', 1, 3),
+('Burgers', 'Baga', 'Juicy beef and chicken burgers', 2, 1),
+('Fries & Sides', 'Chipsi na Vinginevyo', 'Crispy accompaniments', 2, 2),
+('Pizzas', 'Piza', 'Italian style pizzas', 3, 1),
+('Pasta', 'Pasta', 'Fresh pasta dishes', 3, 2),
+('Seafood', 'Vyakula vya Baharini', 'Fresh from the ocean', 4, 1),
+('Grilled Specials', 'Vya Kuchoma', 'Freshly grilled dishes', 4, 2)
 ON DUPLICATE KEY UPDATE name = name;
 
 -- Insert menu items
@@ -402,6 +886,15 @@ INSERT INTO menu_items (name, description, price, category_id, restaurant_id, is
 ('Calamari Rings', 'Crispy fried calamari', 8000.00, 8, 4, TRUE, FALSE)
 ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP;
 
+-- Insert menu item allergens
+INSERT INTO menu_item_allergens (menu_item_id, allergen) VALUES
+(1, 'eggs'), (2, 'gluten'), (3, 'dairy'),
+(7, 'gluten'), (7, 'dairy'), (8, 'gluten'), (8, 'eggs'), (9, 'gluten'), (9, 'dairy'),
+(11, 'gluten'),
+(12, 'gluten'), (12, 'dairy'), (13, 'gluten'), (13, 'dairy'), (14, 'gluten'), (14, 'dairy'), (15, 'gluten'),
+(16, 'shellfish'), (16, 'dairy'), (17, 'fish'), (17, 'gluten'), (18, 'fish'), (18, 'shellfish'), (19, 'shellfish'), (19, 'gluten')
+ON DUPLICATE KEY UPDATE allergen = allergen;
+
 -- Insert sample cart items (if testing)
 INSERT INTO cart (user_id, menu_item_id, restaurant_id, quantity) VALUES
 (3, 1, 1, 2),  -- John has 2 Chips Mayai from Mama's Kitchen
@@ -432,6 +925,17 @@ INSERT INTO promotions (code, name, discount_type, discount_value, min_order_amo
 ('SAVE1000', 'Save 1000 TSh', 'fixed', 1000.00, 5000.00, '2024-01-01', '2024-06-30', 5)
 ON DUPLICATE KEY UPDATE name = name;
 
+-- Insert default pricing settings (18% VAT on food, not on delivery)
+INSERT INTO system_settings (setting_key, setting_value) VALUES
+('tax.enabled', 'true'),
+('tax.rate', '18'),
+('tax.label', '"VAT"'),
+('tax.apply_to_delivery_fee', 'false'),
+('delivery.default_fee', '2000'),
+('delivery.free_delivery_threshold', '0'),
+('delivery.enforce_min_order', 'true')
+ON DUPLICATE KEY UPDATE setting_key = setting_key;
+
 -- ============================================
 -- STORED PROCEDURES
 -- ============================================
@@ -537,6 +1041,17 @@ BEGIN
 END //
 DELIMITER ;
 
+-- Record order placement as the first timeline entry
+DELIMITER //
+CREATE TRIGGER record_order_placed
+AFTER INSERT ON orders
+FOR EACH ROW
+BEGIN
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_by_role, reason)
+    VALUES (NEW.id, NULL, NEW.status, NEW.user_id, 'customer', 'Order placed');
+END //
+DELIMITER ;
+
 -- Clear cart after successful order
 DELIMITER //
 CREATE TRIGGER clear_cart_after_order
@@ -0,0 +1,290 @@
+/**
+ * Delivery Zone Service
+ * Where a restaurant delivers, and the fee, minimum order and ETA for each area
+ *
+ * - a radius zone is a band around the restaurant's latitude/longitude
+ *   (min_distance_km up to max_distance_km, straight-line distance)
+ * - a polygon zone is an area drawn on the map ([[lat, lng], ...])
+ * - zones are checked in sort_order; the first active zone containing the
+ *   address wins, so a small polygon can carve out an exception inside a band
+ * - restaurants without active zones keep the flat restaurants.delivery_fee
+ *   and deliver anywhere
+ */
+
+const db = require('../config/database');
+
+const ZONE_TYPES = ['radius', 'polygon'];
+const EARTH_RADIUS_KM = 6371;
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const readNumber = (value, field, { min = 0, max = Infinity, integer = false } = {}) => {
+    const number = integer ? parseInt(value) : parseFloat(value);
+
+    if (isNaN(number) || number < min || number > max) {
+        throw badRequest(max === Infinity
+            ? `${field} must be a number of ${min} or more`
+            : `${field} must be between ${min} and ${max}`);
+    }
+
+    return number;
+};
+
+const parsePolygon = (polygon) => {
+    if (typeof polygon === 'string') {
+        try {
+            polygon = JSON.parse(polygon);
+        } catch (e) {
+            polygon = null;
+        }
+    }
+
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+        throw badRequest('polygon must be a list of at least 3 [latitude, longitude] points');
+    }
+
+    return polygon.map(point => {
+        if (!Array.isArray(point) || point.length !== 2) {
+            throw badRequest('polygon must be a list of at least 3 [latitude, longitude] points');
+        }
+
+        return [
+            readNumber(point[0], 'polygon latitude', { min: -90, max: 90 }),
+            readNumber(point[1], 'polygon longitude', { min: -180, max: 180 })
+        ];
+    });
+};
+
+const formatZone = (zone) => ({
+    ...zone,
+    polygon: zone.polygon ? JSON.parse(zone.polygon) : null
+});
+
+class DeliveryZoneService {
+    /**
+     * Straight-line (haversine) distance between two points
+     * @returns {number} - Kilometres
+     */
+    static distanceKm(lat1, lng1, lat2, lng2) {
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Whether a point lies inside a polygon (ray casting; fine at city scale)
+     * @param {Array<Array<number>>} polygon - [[lat, lng], ...]
+     * @returns {boolean}
+     */
+    static containsPoint(polygon, latitude, longitude) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [latI, lngI] = polygon[i];
+            const [latJ, lngJ] = polygon[j];
+
+            if ((latI > latitude) !== (latJ > latitude)
+                && longitude < (lngJ - lngI) * (latitude - latI) / (latJ - latI) + lngI) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Find the zone an address falls in
+     * @param {Object} restaurant - Restaurant row (latitude, longitude)
+     * @param {Array<Object>} zones - Active zones in sort_order (see getZones)
+     * @param {number} latitude - Address latitude
+     * @param {number} longitude - Address longitude
+     * @returns {Object|null} - { zone, distance_km } or null when outside every zone
+     */
+    static matchZone(restaurant, zones, latitude, longitude) {
+        const hasLocation = restaurant.latitude !== null && restaurant.latitude !== undefined
+            && restaurant.longitude !== null && restaurant.longitude !== undefined;
+
+        const distance = hasLocation
+            ? DeliveryZoneService.distanceKm(
+                parseFloat(restaurant.latitude), parseFloat(restaurant.longitude), latitude, longitude)
+            : null;
+
+        const zone = zones.find(candidate => {
+            if (candidate.zone_type === 'polygon') {
+                return DeliveryZoneService.containsPoint(candidate.polygon, latitude, longitude);
+            }
+
+            return distance !== null
+                && distance >= parseFloat(candidate.min_distance_km || 0)
+                && distance <= parseFloat(candidate.max_distance_km);
+        });
+
+        if (!zone) {
+            return null;
+        }
+
+        return {
+            zone,
+            distance_km: distance !== null ? Math.round(distance * 100) / 100 : null
+        };
+    }
+
+    /**
+     * Get a restaurant's zones in the order they are checked
+     * @param {number} restaurantId - Restaurant ID
+     * @param {boolean} activeOnly - Skip disabled zones
+     * @returns {Promise<Array>} - Zones with polygon parsed
+     */
+    static async getZones(restaurantId, activeOnly = false) {
+        const zones = await db.query(
+            `SELECT * FROM delivery_zones
+            WHERE restaurant_id = ?${activeOnly ? ' AND is_active = TRUE' : ''}
+            ORDER BY sort_order, id`,
+            [restaurantId]
+        );
+
+        return zones.map(formatZone);
+    }
+
+    /**
+     * Validate zone input
+     * @param {Object} restaurant - Restaurant row
+     * @param {Object} input - Request body
+     * @param {Object} existing - Zone being updated (its values fill what isn't given)
+     * @returns {Object} - delivery_zones columns
+     */
+    static parseZone(restaurant, input, existing = null) {
+        const zone = { ...existing, ...input };
+        const data = {};
+
+        if (!zone.name || !String(zone.name).trim()) {
+            throw badRequest('Zone name is required');
+        }
+        data.name = String(zone.name).trim().slice(0, 100);
+
+        data.zone_type = zone.zone_type || 'radius';
+        if (!ZONE_TYPES.includes(data.zone_type)) {
+            throw badRequest(`zone_type must be one of: ${ZONE_TYPES.join(', ')}`);
+        }
+
+        if (data.zone_type === 'radius') {
+            if (restaurant.latitude === null || restaurant.longitude === null) {
+                throw badRequest('Set the restaurant\'s latitude and longitude before adding radius zones');
+            }
+
+            if (zone.max_distance_km === undefined || zone.max_distance_km === null) {
+                throw badRequest('max_distance_km is required for radius zones');
+            }
+
+            data.min_distance_km = readNumber(zone.min_distance_km || 0, 'min_distance_km', { max: 1000 });
+            data.max_distance_km = readNumber(zone.max_distance_km, 'max_distance_km', { max: 1000 });
+
+            if (data.max_distance_km <= data.min_distance_km) {
+                throw badRequest('max_distance_km must be greater than min_distance_km');
+            }
+
+            data.polygon = null;
+        } else {
+            data.polygon = JSON.stringify(parsePolygon(zone.polygon));
+            data.min_distance_km = 0;
+            data.max_distance_km = null;
+        }
+
+        if (zone.delivery_fee === undefined || zone.delivery_fee === null) {
+            throw badRequest('delivery_fee is required');
+        }
+        data.delivery_fee = readNumber(zone.delivery_fee, 'delivery_fee');
+
+        data.min_order_amount = zone.min_order_amount === undefined || zone.min_order_amount === null || zone.min_order_amount === ''
+            ? null
+            : readNumber(zone.min_order_amount, 'min_order_amount');
+
+        data.estimated_delivery_minutes = zone.estimated_delivery_minutes === undefined
+            || zone.estimated_delivery_minutes === null || zone.estimated_delivery_minutes === ''
+            ? null
+            : readNumber(zone.estimated_delivery_minutes, 'estimated_delivery_minutes', { min: 1, max: 600, integer: true });
+
+        data.sort_order = zone.sort_order !== undefined && zone.sort_order !== null
+            ? readNumber(zone.sort_order, 'sort_order', { integer: true })
+            : 0;
+
+        data.is_active = zone.is_active === undefined ? true : zone.is_active === true || zone.is_active === 'true' || zone.is_active === 1;
+
+        return data;
+    }
+
+    /**
+     * Add a zone
+     * @param {Object} restaurant - Restaurant row
+     * @param {Object} input - name, zone_type, min_distance_km, max_distance_km, polygon,
+     *     delivery_fee, min_order_amount, estimated_delivery_minutes, sort_order, is_active
+     * @returns {Promise<number>} - New zone ID
+     */
+    static async createZone(restaurant, input) {
+        const data = DeliveryZoneService.parseZone(restaurant, input);
+
+        // SET ? expands objects only in the text protocol, so this skips db.query
+        const [result] = await db.pool.query(
+            'INSERT INTO delivery_zones SET ?',
+            [{ ...data, restaurant_id: restaurant.id }]
+        );
+
+        return result.insertId;
+    }
+
+    /**
+     * Update a zone (only the fields given)
+     * @param {Object} restaurant - Restaurant row
+     * @param {number} zoneId - Zone ID
+     * @param {Object} input - See createZone
+     * @returns {Promise<Object>} - Updated zone
+     */
+    static async updateZone(restaurant, zoneId, input) {
+        const zones = await db.query(
+            'SELECT * FROM delivery_zones WHERE id = ? AND restaurant_id = ?',
+            [zoneId, restaurant.id]
+        );
+
+        if (zones.length === 0) {
+            throw badRequest('Delivery zone not found', 404);
+        }
+
+        const existing = formatZone(zones[0]);
+
+        // Switching to a polygon drops the band, and the other way round
+        const data = DeliveryZoneService.parseZone(restaurant, input, existing);
+
+        await db.pool.query('UPDATE delivery_zones SET ? WHERE id = ?', [data, zoneId]);
+
+        return formatZone({ ...zones[0], ...data });
+    }
+
+    /**
+     * Delete a zone
+     * @param {number} restaurantId - Restaurant ID
+     * @param {number} zoneId - Zone ID
+     */
+    static async deleteZone(restaurantId, zoneId) {
+        const result = await db.query(
+            'DELETE FROM delivery_zones WHERE id = ? AND restaurant_id = ?',
+            [zoneId, restaurantId]
+        );
+
+        if (result.affectedRows === 0) {
+            throw badRequest('Delivery zone not found', 404);
+        }
+    }
+}
+
+DeliveryZoneService.ZONE_TYPES = ZONE_TYPES;
+
+module.exports = DeliveryZoneService;
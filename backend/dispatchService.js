@@ -0,0 +1,195 @@
+/**
+ * Dispatch Service
+ * Hands ready orders to the nearest available driver
+ *
+ * An order is offered to one driver at a time. If that driver declines, or
+ * does not answer within DISPATCH_ACCEPT_TIMEOUT_SECONDS, the order goes to
+ * the next nearest driver who has not already turned it down. A periodic
+ * sweep expires unanswered offers and retries orders nobody could take.
+ * inFlight only stops one process dispatching an order twice; Driver.assignOrder
+ * locks and re-checks the order and driver, which covers other processes and
+ * admin assignments.
+ */
+
+const db = require('../config/database');
+const Driver = require('../models/Driver');
+
+const config = {
+    enabled: process.env.DISPATCH_ENABLED !== 'false',
+    maxRadiusKm: parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 10,
+    acceptTimeoutSeconds: parseInt(process.env.DISPATCH_ACCEPT_TIMEOUT_SECONDS) || 90,
+    locationMaxAgeMinutes: parseInt(process.env.DISPATCH_LOCATION_MAX_AGE_MINUTES) || 15,
+    sweepIntervalSeconds: parseInt(process.env.DISPATCH_SWEEP_INTERVAL_SECONDS) || 30
+};
+
+// Orders currently being dispatched in this process
+const inFlight = new Set();
+
+let sweepTimer = null;
+let sweeping = false;
+
+class DispatchService {
+    /**
+     * Offer an order to the nearest available driver
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Object|null>} - { assignment_id, driver, distance_km } or null
+     */
+    static async dispatchOrder(orderId) {
+        if (!config.enabled) {
+            return null;
+        }
+
+        orderId = parseInt(orderId);
+        if (inFlight.has(orderId)) {
+            return null;
+        }
+
+        inFlight.add(orderId);
+
+        try {
+            const order = await db.getOne(
+                `SELECT o.id, o.status, o.assigned_driver_id, r.latitude, r.longitude
+                FROM orders o
+                INNER JOIN restaurants r ON o.restaurant_id = r.id
+                WHERE o.id = ?`,
+                [orderId]
+            );
+
+            // Only ready orders without a driver are dispatched
+            if (!order || order.status !== 'ready' || order.assigned_driver_id) {
+                return null;
+            }
+
+            if (order.latitude === null || order.longitude === null) {
+                console.warn(`Dispatch skipped for order ${orderId}: restaurant has no coordinates`);
+                return null;
+            }
+
+            const excludeIds = await Driver.getRejectedDriverIds(orderId);
+
+            const drivers = await Driver.findNearestAvailable(order.latitude, order.longitude, {
+                radiusKm: config.maxRadiusKm,
+                maxLocationAgeMinutes: config.locationMaxAgeMinutes,
+                excludeIds,
+                limit: 1
+            });
+
+            if (drivers.length === 0) {
+                // The sweep will try again when a driver frees up
+                return null;
+            }
+
+            const driver = drivers[0];
+            let assignmentId;
+
+            // Re-checked under lock: the order may have been assigned, or the
+            // driver offered another order, since the reads above
+            try {
+                assignmentId = await Driver.assignOrder(orderId, driver.id, null, {
+                    expectedDriverId: null,
+                    status: 'ready',
+                    idleDriver: true
+                });
+            } catch (error) {
+                if (error.statusCode) {
+                    // The sweep will try again if the order still needs a driver
+                    return null;
+                }
+                throw error;
+            }
+
+            return {
+                assignment_id: assignmentId,
+                driver,
+                distance_km: parseFloat(parseFloat(driver.distance_km).toFixed(2))
+            };
+        } catch (error) {
+            console.error('DispatchService.dispatchOrder Error:', error);
+            throw error;
+        } finally {
+            inFlight.delete(orderId);
+        }
+    }
+
+    /**
+     * Dispatch in the background (errors are logged, never thrown)
+     * @param {number} orderId - Order ID
+     */
+    static dispatchInBackground(orderId) {
+        DispatchService.dispatchOrder(orderId).catch(() => {
+            // Already logged in dispatchOrder; the sweep will retry
+        });
+    }
+
+    /**
+     * Expire unanswered offers and retry undispatched orders
+     * @returns {Promise<Object>} - { expired, dispatched }
+     */
+    static async sweep() {
+        if (sweeping) {
+            return { expired: 0, dispatched: 0 };
+        }
+
+        sweeping = true;
+
+        try {
+            let expired = 0;
+            let dispatched = 0;
+
+            const unanswered = await Driver.getUnansweredAssignments(config.acceptTimeoutSeconds);
+
+            for (const assignment of unanswered) {
+                if (await Driver.expireAssignment(assignment.id)) {
+                    expired++;
+                    await Driver.refreshAvailability(assignment.driver_id);
+                }
+            }
+
+            const orders = await Driver.getUndispatchedOrders();
+
+            for (const order of orders) {
+                const result = await DispatchService.dispatchOrder(order.id);
+                if (result) {
+                    dispatched++;
+                }
+            }
+
+            return { expired, dispatched };
+        } catch (error) {
+            console.error('DispatchService.sweep Error:', error);
+            return { expired: 0, dispatched: 0 };
+        } finally {
+            sweeping = false;
+        }
+    }
+
+    /**
+     * Start the periodic sweep
+     */
+    static start() {
+        if (!config.enabled || sweepTimer) {
+            return;
+        }
+
+        sweepTimer = setInterval(() => {
+            DispatchService.sweep();
+        }, config.sweepIntervalSeconds * 1000);
+
+        // Do not keep the process alive just for dispatching
+        sweepTimer.unref();
+    }
+
+    /**
+     * Stop the periodic sweep
+     */
+    static stop() {
+        if (sweepTimer) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    }
+}
+
+DispatchService.config = config;
+
+module.exports = DispatchService;
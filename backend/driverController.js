@@ -0,0 +1,393 @@
+/**
+ * Driver Controller
+ * Handles delivery driver operations (assigned orders, pickup and dropoff)
+ */
+
+const Driver = require('../models/Driver');
+const OrderItem = require('../models/OrderItem');
+const DispatchService = require('../services/dispatchService');
+const OrderStatusService = require('../services/orderStatusService');
+
+class DriverController {
+    /**
+     * Get driver profile with availability
+     */
+    static async getProfile(req, res) {
+        try {
+            const driver = await Driver.getById(req.user.id);
+
+            if (!driver) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Driver profile not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: driver
+            });
+        } catch (error) {
+            console.error('Get Driver Profile Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get driver profile'
+            });
+        }
+    }
+
+    /**
+     * Update driver availability
+     */
+    static async updateAvailability(req, res) {
+        try {
+            const { availability_status } = req.body;
+            const validAvailability = ['available', 'offline'];
+
+            if (!availability_status || !validAvailability.includes(availability_status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Availability must be one of: ${validAvailability.join(', ')}`
+                });
+            }
+
+            await Driver.updateAvailability(req.user.id, availability_status);
+
+            // Drivers still carrying orders stay busy until they finish
+            if (availability_status === 'available') {
+                await Driver.refreshAvailability(req.user.id);
+            }
+
+            const driver = await Driver.getById(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Availability updated',
+                data: {
+                    availability_status: driver ? driver.availability_status : availability_status
+                }
+            });
+        } catch (error) {
+            console.error('Update Driver Availability Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update availability'
+            });
+        }
+    }
+
+    /**
+     * Update driver's current location
+     */
+    static async updateLocation(req, res) {
+        try {
+            const latitude = parseFloat(req.body.latitude);
+            const longitude = parseFloat(req.body.longitude);
+
+            if (isNaN(latitude) || isNaN(longitude) ||
+                latitude < -90 || latitude > 90 ||
+                longitude < -180 || longitude > 180) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Valid latitude and longitude are required'
+                });
+            }
+
+            await Driver.updateLocation(req.user.id, latitude, longitude);
+
+            res.status(200).json({
+                success: true,
+                message: 'Location updated'
+            });
+        } catch (error) {
+            console.error('Update Driver Location Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update location'
+            });
+        }
+    }
+
+    /**
+     * Get orders assigned to the driver
+     * Defaults to open assignments; pass ?status= for history
+     */
+    static async getAssignedOrders(req, res) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                status
+            } = req.query;
+
+            const offset = (page - 1) * limit;
+
+            const { assignments, total } = await Driver.getAssignments(req.user.id, {
+                status,
+                statuses: status ? undefined : Driver.ACTIVE_ASSIGNMENT_STATUSES,
+                limit,
+                offset
+            });
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    orders: assignments,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get Assigned Orders Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get assigned orders'
+            });
+        }
+    }
+
+    /**
+     * Get a single assigned order with items
+     */
+    static async getAssignedOrder(req, res) {
+        try {
+            const { id } = req.params;
+
+            const assignment = await Driver.getOpenAssignment(id, req.user.id);
+
+            if (!assignment) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found or not assigned to you'
+                });
+            }
+
+            const order = await OrderItem.getOrderWithItems(id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    assignment,
+                    order
+                }
+            });
+        } catch (error) {
+            console.error('Get Assigned Order Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get order details'
+            });
+        }
+    }
+
+    /**
+     * Accept an assigned order
+     */
+    static async acceptOrder(req, res) {
+        return DriverController.respond(req, res, true);
+    }
+
+    /**
+     * Decline an assigned order
+     */
+    static async declineOrder(req, res) {
+        return DriverController.respond(req, res, false);
+    }
+
+    /**
+     * Shared accept/decline handler
+     */
+    static async respond(req, res, accepted) {
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            const assignment = await Driver.getOpenAssignment(id, req.user.id);
+
+            if (!assignment) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found or not assigned to you'
+                });
+            }
+
+            if (assignment.status !== 'assigned') {
+                return res.status(400).json({
+                    success: false,
+                    error: `Assignment has already been ${assignment.status.replace('_', ' ')}`
+                });
+            }
+
+            const updated = await Driver.respondToAssignment(assignment, accepted, reason || null);
+
+            if (!updated) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Assignment changed, please refresh'
+                });
+            }
+
+            await Driver.refreshAvailability(req.user.id);
+
+            // Offer a declined order to the next nearest driver
+            if (!accepted) {
+                DispatchService.dispatchInBackground(assignment.order_id);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: accepted ? 'Order accepted' : 'Order declined',
+                data: {
+                    order_id: assignment.order_id,
+                    order_number: assignment.order_number,
+                    assignment_status: accepted ? 'accepted' : 'declined'
+                }
+            });
+        } catch (error) {
+            console.error('Respond To Assignment Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to respond to assignment'
+            });
+        }
+    }
+
+    /**
+     * Mark order as picked up from the restaurant
+     */
+    static async markPickedUp(req, res) {
+        try {
+            const { id } = req.params;
+
+            const assignment = await Driver.getOpenAssignment(id, req.user.id);
+
+            if (!assignment) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found or not assigned to you'
+                });
+            }
+
+            if (assignment.status !== 'accepted') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Accept the order before marking it as picked up'
+                });
+            }
+
+            if (assignment.order_status !== 'ready') {
+                return res.status(400).json({
+                    success: false,
+                    error: `Order is not ready for pickup (current status: ${assignment.order_status})`
+                });
+            }
+
+            await OrderStatusService.changeStatus(assignment.order_id, 'out_for_delivery', {
+                changedBy: req.user.id,
+                role: 'delivery',
+                beforeCommit: async (connection) => {
+                    if (!(await Driver.markPickedUp(assignment, connection))) {
+                        const error = new Error('Assignment changed, please refresh');
+                        error.statusCode = 409;
+                        throw error;
+                    }
+                }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Order picked up',
+                data: {
+                    order_id: assignment.order_id,
+                    order_number: assignment.order_number,
+                    status: 'out_for_delivery'
+                }
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            console.error('Mark Picked Up Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to mark order as picked up'
+            });
+        }
+    }
+
+    /**
+     * Mark order as delivered to the customer
+     */
+    static async markDelivered(req, res) {
+        try {
+            const { id } = req.params;
+
+            const assignment = await Driver.getOpenAssignment(id, req.user.id);
+
+            if (!assignment) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found or not assigned to you'
+                });
+            }
+
+            if (assignment.status !== 'picked_up' || assignment.order_status !== 'out_for_delivery') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Order must be picked up before it can be delivered'
+                });
+            }
+
+            await OrderStatusService.changeStatus(assignment.order_id, 'delivered', {
+                changedBy: req.user.id,
+                role: 'delivery',
+                beforeCommit: async (connection) => {
+                    if (!(await Driver.markDelivered(assignment, connection))) {
+                        const error = new Error('Assignment changed, please refresh');
+                        error.statusCode = 409;
+                        throw error;
+                    }
+                }
+            });
+
+            await Driver.refreshAvailability(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Order delivered',
+                data: {
+                    order_id: assignment.order_id,
+                    order_number: assignment.order_number,
+                    status: 'delivered'
+                }
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            console.error('Mark Delivered Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to mark order as delivered'
+            });
+        }
+    }
+}
+
+module.exports = DriverController;
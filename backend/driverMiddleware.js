@@ -0,0 +1,51 @@
+/**
+ * Driver Middleware
+ * Verifies if user is an active delivery driver
+ */
+
+const db = require('../config/database');
+
+const driverMiddleware = async (req, res, next) => {
+    try {
+        // Check if user exists in request (from authMiddleware)
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        // Check if user has delivery role
+        if (req.user.role !== 'delivery') {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. Driver account required.'
+            });
+        }
+
+        // The token does not carry account status, so check it here
+        const user = await db.getOne(
+            'SELECT status FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (!user || user.status !== 'active') {
+            return res.status(403).json({
+                success: false,
+                error: 'Your driver account is not active'
+            });
+        }
+
+        req.user.status = user.status;
+
+        next();
+    } catch (error) {
+        console.error('Driver Middleware Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error in driver verification'
+        });
+    }
+};
+
+module.exports = driverMiddleware;
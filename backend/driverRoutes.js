@@ -0,0 +1,73 @@
+/**
+ * Driver Routes
+ * Handles delivery driver operations
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const DriverController = require('../controllers/driverController');
+
+// Import middleware
+const { authMiddleware } = require('../middleware/authMiddleware');
+const driverMiddleware = require('../middleware/driverMiddleware');
+
+// All driver routes require an active delivery account
+router.use(authMiddleware);
+router.use(driverMiddleware);
+
+// ============================================
+// PROFILE & AVAILABILITY
+// ============================================
+
+// @route   GET /api/driver/profile
+// @desc    Get driver profile
+// @access  Private/Driver
+router.get('/profile', DriverController.getProfile);
+
+// @route   PUT /api/driver/availability
+// @desc    Go online (available) or offline
+// @access  Private/Driver
+router.put('/availability', DriverController.updateAvailability);
+
+// @route   PUT /api/driver/location
+// @desc    Report current location (used for auto-dispatch)
+// @access  Private/Driver
+router.put('/location', DriverController.updateLocation);
+
+// ============================================
+// ASSIGNED ORDERS
+// ============================================
+
+// @route   GET /api/driver/orders
+// @desc    Get orders assigned to driver
+// @access  Private/Driver
+router.get('/orders', DriverController.getAssignedOrders);
+
+// @route   GET /api/driver/orders/:id
+// @desc    Get assigned order details
+// @access  Private/Driver
+router.get('/orders/:id', DriverController.getAssignedOrder);
+
+// @route   PUT /api/driver/orders/:id/accept
+// @desc    Accept assigned order
+// @access  Private/Driver
+router.put('/orders/:id/accept', DriverController.acceptOrder);
+
+// @route   PUT /api/driver/orders/:id/decline
+// @desc    Decline assigned order
+// @access  Private/Driver
+router.put('/orders/:id/decline', DriverController.declineOrder);
+
+// @route   PUT /api/driver/orders/:id/pickup
+// @desc    Mark order as picked up from restaurant
+// @access  Private/Driver
+router.put('/orders/:id/pickup', DriverController.markPickedUp);
+
+// @route   PUT /api/driver/orders/:id/deliver
+// @desc    Mark order as delivered to customer
+// @access  Private/Driver
+router.put('/orders/:id/deliver', DriverController.markDelivered);
+
+module.exports = router;
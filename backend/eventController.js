@@ -0,0 +1,17 @@
+const RealtimeService = require('../services/realtimeService');
+
+// Open the order event stream (Server-Sent Events)
+exports.stream = async (req, res) => {
+    try {
+        await RealtimeService.subscribe(req, res);
+    } catch (error) {
+        console.error('Event stream error:', error);
+
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to open event stream'
+            });
+        }
+    }
+};
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// Order events stream (Server-Sent Events)
+// EventSource can't send headers, so the JWT may be passed as ?token=
+// Events: connected, order_status (customer, restaurant owner, admin), new_order (restaurant owner, admin)
+router.get('/stream', authMiddleware, eventController.stream);
+
+module.exports = router;
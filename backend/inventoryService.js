@@ -0,0 +1,729 @@
+/**
+ * Inventory Service
+ * Daily item counts and ingredient stock that drive menu_items.is_available
+ *
+ * - daily_stock is how many portions of an item can be sold per day; each new
+ *   day (in the restaurant's timezone) starts again from daily_stock
+ * - recipes (menu_item_ingredients) draw on ingredient stock, which carries over
+ * - orders take stock inside the order transaction and cancellations give it back;
+ *   every change is logged in inventory_movements
+ * - an item that runs out is marked unavailable (sold_out_by_stock) and comes
+ *   back by itself once it is restocked; items the owner switched off stay off
+ * - owners are notified when stock runs low or an item sells out
+ */
+
+const db = require('../config/database');
+const Ingredient = require('../models/Ingredient');
+const Notification = require('../models/Notification');
+const OpeningHoursService = require('./openingHoursService');
+
+const config = {
+    lowStockThreshold: parseInt(process.env.INVENTORY_LOW_STOCK_THRESHOLD) || 5,
+    resetIntervalSeconds: parseInt(process.env.INVENTORY_RESET_INTERVAL_SECONDS) || 300
+};
+
+let resetTimer = null;
+let resetting = false;
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Portions left today (Infinity when the item isn't counted)
+const remainingToday = (item, today) => {
+    if (item.daily_stock === null || item.daily_stock === undefined) {
+        return Infinity;
+    }
+
+    return item.stock_date === today ? parseInt(item.stock_remaining) || 0 : parseInt(item.daily_stock);
+};
+
+const itemThreshold = (item) => item.low_stock_threshold !== null && item.low_stock_threshold !== undefined
+    ? parseInt(item.low_stock_threshold)
+    : config.lowStockThreshold;
+
+const readCount = (value, field, nullable = false) => {
+    if (nullable && value === null) {
+        return null;
+    }
+
+    const count = Number(value);
+
+    if (!Number.isInteger(count) || count < 0) {
+        throw badRequest(`${field} must be a whole number of 0 or more${nullable ? ' (or null)' : ''}`);
+    }
+
+    return count;
+};
+
+class InventoryService {
+    /**
+     * Restaurant and local date for an order
+     * @param {Object} connection - Transaction connection
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Object|null>} - { restaurant_id, today }
+     */
+    static async getOrderContext(connection, orderId) {
+        const [orders] = await connection.query(
+            `SELECT o.restaurant_id, r.timezone
+            FROM orders o
+            INNER JOIN restaurants r ON o.restaurant_id = r.id
+            WHERE o.id = ?`,
+            [orderId]
+        );
+
+        if (!orders[0]) {
+            return null;
+        }
+
+        return {
+            restaurant_id: orders[0].restaurant_id,
+            today: OpeningHoursService.localDate(orders[0].timezone)
+        };
+    }
+
+    /**
+     * Take an order's stock (call inside the order transaction, after the items are inserted)
+     * @param {Object} connection - Transaction connection
+     * @param {number} orderId - Order ID
+     * @param {Object} options - strict (default true): reject the order when stock is short;
+     *     otherwise take what is left (scheduled orders the kitchen already accepted)
+     * @returns {Promise<Array>} - Owner alerts for notifyInBackground
+     * @throws {Error} - statusCode 409 when an item or ingredient is short
+     */
+    static async consumeForOrder(connection, orderId, options = {}) {
+        const strict = options.strict !== false;
+        const context = await InventoryService.getOrderContext(connection, orderId);
+
+        if (!context) {
+            return [];
+        }
+
+        // Combo lines are counted through their components
+        const [usage] = await connection.query(
+            `SELECT menu_item_id, SUM(quantity) as quantity
+            FROM order_items
+            WHERE order_id = ? AND menu_item_id IS NOT NULL
+                AND (combo_id IS NULL OR parent_item_id IS NOT NULL)
+            GROUP BY menu_item_id`,
+            [orderId]
+        );
+
+        if (usage.length === 0) {
+            return [];
+        }
+
+        const needed = new Map(usage.map(row => [row.menu_item_id, parseInt(row.quantity)]));
+        const { restaurant_id: restaurantId, today } = context;
+        const movements = [];
+        const alerts = [];
+
+        // Daily item counts (rows are locked until the order commits)
+        const [items] = await connection.query(
+            `SELECT id, name, daily_stock, stock_remaining, low_stock_threshold,
+                DATE_FORMAT(stock_date, '%Y-%m-%d') as stock_date
+            FROM menu_items
+            WHERE id IN (?) AND daily_stock IS NOT NULL
+            FOR UPDATE`,
+            [[...needed.keys()]]
+        );
+
+        for (const item of items) {
+            const remaining = remainingToday(item, today);
+            const quantity = needed.get(item.id);
+
+            if (strict && quantity > remaining) {
+                throw badRequest(remaining > 0
+                    ? `Only ${remaining} "${item.name}" left today`
+                    : `"${item.name}" is sold out today`, 409);
+            }
+
+            const left = Math.max(remaining - quantity, 0);
+
+            await connection.query(
+                'UPDATE menu_items SET stock_remaining = ?, stock_date = ? WHERE id = ?',
+                [left, today, item.id]
+            );
+
+            movements.push([restaurantId, item.id, null, orderId, left - remaining, 'order', today]);
+
+            const threshold = itemThreshold(item);
+
+            if (left > 0 && left <= threshold && remaining > threshold) {
+                alerts.push({
+                    restaurant_id: restaurantId,
+                    title: 'Low stock',
+                    message: `Only ${left} "${item.name}" left today`
+                });
+            }
+        }
+
+        // Ingredient stock through recipes
+        const [recipes] = await connection.query(
+            `SELECT mii.menu_item_id, mii.ingredient_id, mii.quantity, mi.name as menu_item_name
+            FROM menu_item_ingredients mii
+            INNER JOIN menu_items mi ON mii.menu_item_id = mi.id
+            WHERE mii.menu_item_id IN (?)`,
+            [[...needed.keys()]]
+        );
+
+        const required = new Map();
+
+        for (const line of recipes) {
+            required.set(
+                line.ingredient_id,
+                (required.get(line.ingredient_id) || 0) + parseFloat(line.quantity) * needed.get(line.menu_item_id)
+            );
+        }
+
+        if (required.size > 0) {
+            const [ingredients] = await connection.query(
+                'SELECT * FROM ingredients WHERE id IN (?) FOR UPDATE',
+                [[...required.keys()]]
+            );
+
+            for (const ingredient of ingredients) {
+                const stock = parseFloat(ingredient.stock_quantity);
+                const amount = roundQuantity(required.get(ingredient.id));
+
+                if (strict && amount > stock) {
+                    const line = recipes.find(recipe => recipe.ingredient_id === ingredient.id);
+                    throw badRequest(`"${line.menu_item_name}" is sold out`, 409);
+                }
+
+                const left = Math.max(roundQuantity(stock - amount), 0);
+
+                await connection.query(
+                    'UPDATE ingredients SET stock_quantity = ? WHERE id = ?',
+                    [left, ingredient.id]
+                );
+
+                movements.push([restaurantId, null, ingredient.id, orderId, roundQuantity(left - stock), 'order', null]);
+
+                const threshold = parseFloat(ingredient.low_stock_threshold) || 0;
+
+                if (left <= threshold && stock > threshold) {
+                    alerts.push({
+                        restaurant_id: restaurantId,
+                        title: 'Low stock',
+                        message: `${ingredient.name} is down to ${left} ${ingredient.unit}`
+                    });
+                }
+            }
+        }
+
+        if (movements.length > 0) {
+            await connection.query(
+                `INSERT INTO inventory_movements
+                (restaurant_id, menu_item_id, ingredient_id, order_id, change_quantity, reason, stock_date)
+                VALUES ?`,
+                [movements]
+            );
+        }
+
+        const affected = await InventoryService.getAffectedItemIds(
+            connection, items.map(item => item.id), [...required.keys()]);
+        const sync = await InventoryService.syncAvailability(connection, affected, today);
+
+        return alerts.concat(sync.sold_out.map(item => ({
+            restaurant_id: restaurantId,
+            title: 'Sold out',
+            message: `"${item.name}" sold out and was marked unavailable. It comes back when you restock.`
+        })));
+    }
+
+    /**
+     * Give back the stock an order took (call inside the cancel transaction)
+     * Today's item counts and ingredients are restored; counts from an earlier
+     * day are not, since the day has started again from daily_stock
+     * @param {Object} connection - Transaction connection
+     * @param {number} orderId - Order ID
+     */
+    static async restoreForOrder(connection, orderId) {
+        const [movements] = await connection.query(
+            `SELECT id, restaurant_id, menu_item_id, ingredient_id, change_quantity, reason,
+                DATE_FORMAT(stock_date, '%Y-%m-%d') as stock_date
+            FROM inventory_movements
+            WHERE order_id = ?
+            ORDER BY id`,
+            [orderId]
+        );
+
+        // Nothing taken (e.g. still scheduled), or already given back
+        if (movements.length === 0 || movements.some(movement => movement.reason === 'cancel')) {
+            return;
+        }
+
+        const context = await InventoryService.getOrderContext(connection, orderId);
+        const restored = [];
+
+        for (const movement of movements) {
+            const quantity = -parseFloat(movement.change_quantity);
+
+            if (quantity <= 0) {
+                continue;
+            }
+
+            if (movement.menu_item_id) {
+                if (movement.stock_date !== context.today) {
+                    continue;
+                }
+
+                const [result] = await connection.query(
+                    'UPDATE menu_items SET stock_remaining = stock_remaining + ? WHERE id = ? AND stock_date = ?',
+                    [quantity, movement.menu_item_id, movement.stock_date]
+                );
+
+                if (result.affectedRows === 0) {
+                    continue;
+                }
+            } else {
+                await connection.query(
+                    'UPDATE ingredients SET stock_quantity = stock_quantity + ? WHERE id = ?',
+                    [quantity, movement.ingredient_id]
+                );
+            }
+
+            restored.push([
+                movement.restaurant_id, movement.menu_item_id, movement.ingredient_id,
+                orderId, quantity, 'cancel', movement.stock_date
+            ]);
+        }
+
+        if (restored.length === 0) {
+            return;
+        }
+
+        await connection.query(
+            `INSERT INTO inventory_movements
+            (restaurant_id, menu_item_id, ingredient_id, order_id, change_quantity, reason, stock_date)
+            VALUES ?`,
+            [restored]
+        );
+
+        const affected = await InventoryService.getAffectedItemIds(
+            connection,
+            restored.filter(row => row[1]).map(row => row[1]),
+            restored.filter(row => row[2]).map(row => row[2])
+        );
+
+        await InventoryService.syncAvailability(connection, affected, context.today);
+    }
+
+    /**
+     * Menu items whose availability may change with these items' or ingredients' stock
+     * @param {Object} connection - Transaction connection
+     * @param {Array<number>} menuItemIds - Menu item IDs
+     * @param {Array<number>} ingredientIds - Ingredient IDs
+     * @returns {Promise<Array<number>>} - Menu item IDs
+     */
+    static async getAffectedItemIds(connection, menuItemIds, ingredientIds) {
+        const ids = new Set(menuItemIds);
+
+        if (ingredientIds.length > 0) {
+            const [uses] = await connection.query(
+                'SELECT DISTINCT menu_item_id FROM menu_item_ingredients WHERE ingredient_id IN (?)',
+                [ingredientIds]
+            );
+
+            uses.forEach(use => ids.add(use.menu_item_id));
+        }
+
+        return [...ids];
+    }
+
+    /**
+     * Turn items off when they run out and back on when they are restocked
+     * @param {Object} connection - Transaction connection (or db.pool)
+     * @param {Array<number>} menuItemIds - Menu item IDs (one restaurant)
+     * @param {string} today - Restaurant's local date
+     * @returns {Promise<Object>} - { sold_out: [{ id, name }], restocked: [{ id, name }] }
+     */
+    static async syncAvailability(connection, menuItemIds, today) {
+        const result = { sold_out: [], restocked: [] };
+
+        if (menuItemIds.length === 0) {
+            return result;
+        }
+
+        const [items] = await connection.query(
+            `SELECT mi.id, mi.name, mi.is_available, mi.sold_out_by_stock,
+                mi.daily_stock, mi.stock_remaining,
+                DATE_FORMAT(mi.stock_date, '%Y-%m-%d') as stock_date,
+                MIN(i.stock_quantity >= mii.quantity) as has_ingredients
+            FROM menu_items mi
+            LEFT JOIN menu_item_ingredients mii ON mii.menu_item_id = mi.id
+            LEFT JOIN ingredients i ON mii.ingredient_id = i.id
+            WHERE mi.id IN (?)
+            GROUP BY mi.id`,
+            [menuItemIds]
+        );
+
+        for (const item of items) {
+            // has_ingredients is NULL for items without a recipe
+            const inStock = remainingToday(item, today) > 0 && item.has_ingredients !== 0;
+
+            if (!inStock && item.is_available) {
+                result.sold_out.push({ id: item.id, name: item.name });
+            } else if (inStock && item.sold_out_by_stock) {
+                result.restocked.push({ id: item.id, name: item.name });
+            }
+        }
+
+        if (result.sold_out.length > 0) {
+            await connection.query(
+                'UPDATE menu_items SET is_available = FALSE, sold_out_by_stock = TRUE WHERE id IN (?)',
+                [result.sold_out.map(item => item.id)]
+            );
+        }
+
+        if (result.restocked.length > 0) {
+            await connection.query(
+                'UPDATE menu_items SET is_available = TRUE, sold_out_by_stock = FALSE WHERE id IN (?)',
+                [result.restocked.map(item => item.id)]
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Re-check availability for a restaurant's items (after recipe or ingredient changes)
+     * @param {number} restaurantId - Restaurant ID
+     * @param {Array<number>} menuItemIds - Menu item IDs
+     * @returns {Promise<Object>} - { sold_out, restocked }
+     */
+    static async refreshItems(restaurantId, menuItemIds) {
+        const today = await InventoryService.getRestaurantDate(restaurantId);
+        return InventoryService.syncAvailability(db.pool, menuItemIds, today);
+    }
+
+    /**
+     * Restaurant's local date
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<string>} - 'YYYY-MM-DD'
+     */
+    static async getRestaurantDate(restaurantId) {
+        const restaurants = await db.query(
+            'SELECT timezone FROM restaurants WHERE id = ?',
+            [restaurantId]
+        );
+
+        return OpeningHoursService.localDate(restaurants[0] ? restaurants[0].timezone : null);
+    }
+
+    /**
+     * Get stock levels for a restaurant
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<Object>} - { date, items, ingredients }
+     */
+    static async getInventory(restaurantId) {
+        const today = await InventoryService.getRestaurantDate(restaurantId);
+
+        const items = await db.query(
+            `SELECT id, name, is_available, sold_out_by_stock, daily_stock, stock_remaining,
+                low_stock_threshold, DATE_FORMAT(stock_date, '%Y-%m-%d') as stock_date
+            FROM menu_items
+            WHERE restaurant_id = ?
+            ORDER BY sort_order, name`,
+            [restaurantId]
+        );
+
+        const [recipes, ingredients] = await Promise.all([
+            Ingredient.getRecipes(items.map(item => item.id)),
+            Ingredient.getByRestaurant(restaurantId)
+        ]);
+
+        return {
+            date: today,
+            items: items.map((item) => {
+                const counted = item.daily_stock !== null;
+                const remaining = counted ? remainingToday(item, today) : null;
+
+                return {
+                    id: item.id,
+                    name: item.name,
+                    is_available: !!item.is_available,
+                    sold_out_by_stock: !!item.sold_out_by_stock,
+                    daily_stock: item.daily_stock,
+                    remaining_today: remaining,
+                    low_stock_threshold: itemThreshold(item),
+                    is_low: counted && remaining <= itemThreshold(item),
+                    recipe: recipes[item.id] || []
+                };
+            }),
+            ingredients: ingredients.map(ingredient => ({
+                ...ingredient,
+                is_low: parseFloat(ingredient.stock_quantity) <= parseFloat(ingredient.low_stock_threshold)
+            }))
+        };
+    }
+
+    /**
+     * Set an item's daily count, today's remaining count or alert threshold
+     * @param {number} restaurantId - Restaurant ID
+     * @param {number} menuItemId - Menu item ID
+     * @param {Object} input - daily_stock (null stops counting), stock_remaining, low_stock_threshold
+     * @param {number} userId - Owner making the change
+     * @returns {Promise<Object>} - { menu_item_id, daily_stock, remaining_today, low_stock_threshold }
+     */
+    static async setItemStock(restaurantId, menuItemId, input, userId) {
+        const update = {};
+
+        if (input.daily_stock !== undefined) {
+            update.daily_stock = readCount(input.daily_stock, 'daily_stock', true);
+        }
+
+        if (input.low_stock_threshold !== undefined) {
+            update.low_stock_threshold = readCount(input.low_stock_threshold, 'low_stock_threshold', true);
+        }
+
+        const stockRemaining = input.stock_remaining !== undefined
+            ? readCount(input.stock_remaining, 'stock_remaining')
+            : undefined;
+
+        if (Object.keys(update).length === 0 && stockRemaining === undefined) {
+            throw badRequest('Nothing to update. Allowed fields: daily_stock, stock_remaining, low_stock_threshold');
+        }
+
+        const today = await InventoryService.getRestaurantDate(restaurantId);
+
+        return db.transaction(async (connection) => {
+            const [items] = await connection.query(
+                `SELECT id, daily_stock, stock_remaining, low_stock_threshold,
+                    DATE_FORMAT(stock_date, '%Y-%m-%d') as stock_date
+                FROM menu_items
+                WHERE id = ? AND restaurant_id = ?
+                FOR UPDATE`,
+                [menuItemId, restaurantId]
+            );
+
+            if (items.length === 0) {
+                throw badRequest('Menu item not found', 404);
+            }
+
+            const item = items[0];
+            const dailyStock = update.daily_stock !== undefined ? update.daily_stock : item.daily_stock;
+
+            if (dailyStock === null) {
+                if (stockRemaining !== undefined) {
+                    throw badRequest('Set daily_stock before counting what is left today');
+                }
+
+                update.stock_remaining = null;
+                update.stock_date = null;
+            } else {
+                const before = item.daily_stock === null ? 0 : remainingToday(item, today);
+                const after = stockRemaining !== undefined
+                    ? stockRemaining
+                    : item.daily_stock === null ? dailyStock : before;
+
+                update.stock_remaining = after;
+                update.stock_date = today;
+
+                if (after !== before) {
+                    await connection.query(
+                        `INSERT INTO inventory_movements
+                        (restaurant_id, menu_item_id, change_quantity, reason, stock_date, created_by)
+                        VALUES (?, ?, ?, ?, ?, ?)`,
+                        [restaurantId, item.id, after - before, after > before ? 'restock' : 'adjust', today, userId]
+                    );
+                }
+            }
+
+            await connection.query('UPDATE menu_items SET ? WHERE id = ?', [update, item.id]);
+            await InventoryService.syncAvailability(connection, [item.id], today);
+
+            return {
+                menu_item_id: item.id,
+                daily_stock: dailyStock,
+                remaining_today: dailyStock === null ? null : update.stock_remaining,
+                low_stock_threshold: itemThreshold({
+                    low_stock_threshold: update.low_stock_threshold !== undefined
+                        ? update.low_stock_threshold
+                        : item.low_stock_threshold
+                })
+            };
+        });
+    }
+
+    /**
+     * Restock an ingredient (quantity is added) or correct its count (stock_quantity is set)
+     * @param {number} restaurantId - Restaurant ID
+     * @param {number} ingredientId - Ingredient ID
+     * @param {Object} input - quantity or stock_quantity
+     * @param {number} userId - Owner making the change
+     * @returns {Promise<Object>} - { ingredient_id, stock_quantity }
+     */
+    static async changeIngredientStock(restaurantId, ingredientId, input, userId) {
+        const adding = input.quantity !== undefined;
+        const value = parseFloat(adding ? input.quantity : input.stock_quantity);
+
+        if (isNaN(value) || value < 0 || (adding && value === 0)) {
+            throw badRequest(adding
+                ? 'quantity must be a number greater than 0'
+                : 'Send quantity to restock, or stock_quantity (0 or more) to correct the count');
+        }
+
+        const today = await InventoryService.getRestaurantDate(restaurantId);
+
+        return db.transaction(async (connection) => {
+            const [ingredients] = await connection.query(
+                'SELECT * FROM ingredients WHERE id = ? AND restaurant_id = ? FOR UPDATE',
+                [ingredientId, restaurantId]
+            );
+
+            if (ingredients.length === 0) {
+                throw badRequest('Ingredient not found', 404);
+            }
+
+            const ingredient = ingredients[0];
+            const before = parseFloat(ingredient.stock_quantity);
+            const after = roundQuantity(adding ? before + value : value);
+
+            await connection.query(
+                'UPDATE ingredients SET stock_quantity = ? WHERE id = ?',
+                [after, ingredient.id]
+            );
+
+            if (after !== before) {
+                await connection.query(
+                    `INSERT INTO inventory_movements
+                    (restaurant_id, ingredient_id, change_quantity, reason, created_by)
+                    VALUES (?, ?, ?, ?, ?)`,
+                    [restaurantId, ingredient.id, roundQuantity(after - before), adding ? 'restock' : 'adjust', userId]
+                );
+            }
+
+            const affected = await InventoryService.getAffectedItemIds(connection, [], [ingredient.id]);
+            await InventoryService.syncAvailability(connection, affected, today);
+
+            return { ingredient_id: ingredient.id, stock_quantity: after };
+        });
+    }
+
+    /**
+     * Start each restaurant's new day from daily_stock and bring restocked items back
+     * @returns {Promise<number>} - Number of items reset
+     */
+    static async resetDailyStock() {
+        if (resetting) {
+            return 0;
+        }
+
+        resetting = true;
+
+        try {
+            const restaurants = await db.query(
+                `SELECT DISTINCT r.id, r.timezone
+                FROM restaurants r
+                INNER JOIN menu_items mi ON mi.restaurant_id = r.id
+                WHERE mi.daily_stock IS NOT NULL`
+            );
+
+            let reset = 0;
+
+            for (const restaurant of restaurants) {
+                const today = OpeningHoursService.localDate(restaurant.timezone);
+
+                const items = await db.query(
+                    `SELECT id FROM menu_items
+                    WHERE restaurant_id = ? AND daily_stock IS NOT NULL
+                        AND (stock_date IS NULL OR stock_date <> ?)`,
+                    [restaurant.id, today]
+                );
+
+                if (items.length === 0) {
+                    continue;
+                }
+
+                const ids = items.map(item => item.id);
+
+                await db.transaction(async (connection) => {
+                    await connection.query(
+                        `UPDATE menu_items SET stock_remaining = daily_stock, stock_date = ?
+                        WHERE id IN (?) AND (stock_date IS NULL OR stock_date <> ?)`,
+                        [today, ids, today]
+                    );
+
+                    await InventoryService.syncAvailability(connection, ids, today);
+                });
+
+                reset += ids.length;
+            }
+
+            return reset;
+        } catch (error) {
+            console.error('InventoryService.resetDailyStock Error:', error);
+            return 0;
+        } finally {
+            resetting = false;
+        }
+    }
+
+    /**
+     * Send stock alerts to the restaurants' owners in the background
+     * Never throws; a missed alert must not fail the order
+     * @param {Array<Object>} alerts - [{ restaurant_id, title, message }]
+     */
+    static notifyInBackground(alerts) {
+        if (!alerts || alerts.length === 0) {
+            return;
+        }
+
+        const restaurantIds = [...new Set(alerts.map(alert => alert.restaurant_id))];
+
+        db.pool.query('SELECT id, owner_id FROM restaurants WHERE id IN (?)', [restaurantIds])
+            .then(([restaurants]) => Promise.all(alerts.map((alert) => {
+                const restaurant = restaurants.find(row => row.id === alert.restaurant_id);
+
+                return restaurant && restaurant.owner_id
+                    ? Notification.create(restaurant.owner_id, {
+                        title: alert.title,
+                        message: alert.message,
+                        type: 'alert',
+                        related_id: alert.restaurant_id
+                    })
+                    : null;
+            })))
+            .catch((error) => {
+                console.error('Inventory notifyInBackground Error:', error);
+            });
+    }
+
+    /**
+     * Start the periodic daily reset
+     */
+    static start() {
+        if (resetTimer) {
+            return;
+        }
+
+        InventoryService.resetDailyStock();
+
+        resetTimer = setInterval(() => {
+            InventoryService.resetDailyStock();
+        }, config.resetIntervalSeconds * 1000);
+
+        // Do not keep the process alive just for this
+        resetTimer.unref();
+    }
+
+    /**
+     * Stop the periodic daily reset
+     */
+    static stop() {
+        if (resetTimer) {
+            clearInterval(resetTimer);
+            resetTimer = null;
+        }
+    }
+}
+
+InventoryService.config = config;
+
+module.exports = InventoryService;
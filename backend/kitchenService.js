@@ -0,0 +1,225 @@
+/**
+ * Kitchen Service
+ * Kitchen display queue and prep-time tracking
+ *
+ * - An order's expected prep time is its slowest item's preparation_time
+ *   (items are cooked in parallel), fixed when the order is confirmed
+ * - expected ready time = confirmed_at (or created_at while pending) + expected prep
+ * - combo lines are shown (and timed) as their components, the menu items actually cooked
+ * - confirmed_at / prep_started_at / ready_at and actual_prep_minutes are written
+ *   by OrderStatusService, so every status change records real timings
+ * - Restaurant estimates (avg_prep_minutes, avg_delivery_minutes and the
+ *   estimated_delivery_time shown to customers) are recomputed from recent orders
+ */
+
+const db = require('../config/database');
+const OrderItem = require('../models/OrderItem');
+
+const config = {
+    defaultPrepMinutes: parseInt(process.env.KITCHEN_DEFAULT_PREP_MINUTES) || 15,
+    lateGraceMinutes: parseInt(process.env.KITCHEN_LATE_GRACE_MINUTES) || 0,
+    sampleSize: parseInt(process.env.KITCHEN_ESTIMATE_SAMPLE_SIZE) || 50,
+    minSamples: parseInt(process.env.KITCHEN_ESTIMATE_MIN_SAMPLES) || 5
+};
+
+// Orders shown on the kitchen display, in kitchen order
+const QUEUE_STATUSES = ['pending', 'confirmed', 'preparing', 'ready'];
+
+const MINUTE = 60 * 1000;
+
+class KitchenService {
+    /**
+     * Expected prep minutes for an order (slowest item wins)
+     * @param {number} orderId - Order ID
+     * @param {Object} connection - Transaction connection (optional)
+     * @returns {Promise<number>} - Minutes
+     */
+    static async getExpectedPrepMinutes(orderId, connection = db.pool) {
+        const [rows] = await connection.query(
+            `SELECT MAX(COALESCE(mi.preparation_time, ?)) as minutes
+            FROM order_items oi
+            LEFT JOIN menu_items mi ON oi.menu_item_id = mi.id
+            WHERE oi.order_id = ? AND (oi.combo_id IS NULL OR oi.parent_item_id IS NOT NULL)`,
+            [config.defaultPrepMinutes, orderId]
+        );
+
+        return parseInt(rows[0].minutes) || config.defaultPrepMinutes;
+    }
+
+    /**
+     * Expected prep minutes for menu items that are not on an order yet
+     * @param {Array<number>} menuItemIds - Menu item IDs
+     * @returns {Promise<number>} - Minutes
+     */
+    static async getExpectedPrepMinutesForItems(menuItemIds) {
+        if (menuItemIds.length === 0) {
+            return config.defaultPrepMinutes;
+        }
+
+        // IN (?) lists only expand in the text protocol, so this skips db.query
+        const [rows] = await db.pool.query(
+            'SELECT MAX(COALESCE(preparation_time, ?)) as minutes FROM menu_items WHERE id IN (?)',
+            [config.defaultPrepMinutes, menuItemIds]
+        );
+
+        return parseInt(rows[0].minutes) || config.defaultPrepMinutes;
+    }
+
+    /**
+     * Get the kitchen queue for a restaurant
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<Object>} - { orders, summary }
+     */
+    static async getQueue(restaurantId) {
+        const [orders] = await db.pool.query(
+            `SELECT
+                o.id, o.order_number, o.status, o.customer_name,
+                o.delivery_instructions, o.notes, o.created_at,
+                o.confirmed_at, o.prep_started_at, o.ready_at, o.expected_prep_minutes
+            FROM orders o
+            WHERE o.restaurant_id = ? AND o.status IN (?)
+            ORDER BY o.created_at`,
+            [restaurantId, QUEUE_STATUSES]
+        );
+
+        const now = Date.now();
+        const summary = { pending: 0, confirmed: 0, preparing: 0, ready: 0, late: 0 };
+
+        const queue = await Promise.all(orders.map(async (order) => {
+            const lines = await OrderItem.getByOrderId(order.id);
+            const combos = new Map(lines.filter(line => line.combo_id && !line.parent_item_id).map(line => [line.id, line]));
+
+            // Combo lines are cooked as their components
+            const items = lines
+                .filter(line => !combos.has(line.id))
+                .map(line => {
+                    const combo = combos.get(line.parent_item_id);
+                    return combo
+                        ? { ...line, combo_name: combo.menu_item_name, special_instructions: combo.special_instructions }
+                        : line;
+                });
+
+            // Pending orders don't have a fixed estimate yet
+            const expectedPrepMinutes = order.expected_prep_minutes || Math.max(
+                0,
+                ...items.map(item => item.preparation_time || config.defaultPrepMinutes)
+            ) || config.defaultPrepMinutes;
+
+            const startedAt = new Date(order.confirmed_at || order.created_at).getTime();
+            const expectedReadyAt = startedAt + expectedPrepMinutes * MINUTE;
+            const lateByMinutes = Math.floor((now - expectedReadyAt) / MINUTE) - config.lateGraceMinutes;
+            const isLate = order.status !== 'ready' && lateByMinutes > 0;
+
+            summary[order.status]++;
+            if (isLate) {
+                summary.late++;
+            }
+
+            return {
+                ...order,
+                expected_prep_minutes: expectedPrepMinutes,
+                expected_ready_at: new Date(expectedReadyAt),
+                elapsed_minutes: Math.floor((now - startedAt) / MINUTE),
+                is_late: isLate,
+                late_by_minutes: isLate ? lateByMinutes : 0,
+                items: items.map(item => ({
+                    id: item.id,
+                    menu_item_id: item.menu_item_id,
+                    name: item.menu_item_name,
+                    quantity: item.quantity,
+                    combo: item.combo_name || null,
+                    options: item.selected_options.map(option => `${option.group_name}: ${option.name}`),
+                    special_instructions: item.special_instructions,
+                    preparation_time: item.preparation_time
+                }))
+            };
+        }));
+
+        // Late orders first, then whatever is due soonest; ready orders wait for pickup at the end
+        queue.sort((a, b) => {
+            if ((a.status === 'ready') !== (b.status === 'ready')) {
+                return a.status === 'ready' ? 1 : -1;
+            }
+            return a.expected_ready_at - b.expected_ready_at;
+        });
+
+        return { orders: queue, summary };
+    }
+
+    /**
+     * Recompute a restaurant's prep and delivery averages from recent orders
+     * and derive the estimated_delivery_time string shown to customers
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<Object|null>} - New estimate, or null if there isn't enough data yet
+     */
+    static async refreshRestaurantEstimate(restaurantId) {
+        const prepRows = await db.query(
+            `SELECT AVG(recent.actual_prep_minutes) as avg_minutes, COUNT(*) as samples
+            FROM (
+                SELECT actual_prep_minutes FROM orders
+                WHERE restaurant_id = ? AND actual_prep_minutes IS NOT NULL
+                ORDER BY ready_at DESC
+                LIMIT ?
+            ) recent`,
+            [restaurantId, config.sampleSize]
+        );
+
+        if (prepRows[0].samples < config.minSamples) {
+            return null;
+        }
+
+        const deliveryRows = await db.query(
+            `SELECT AVG(recent.minutes) as avg_minutes, COUNT(*) as samples
+            FROM (
+                SELECT TIMESTAMPDIFF(MINUTE, ready_at, actual_delivery_time) as minutes FROM orders
+                WHERE restaurant_id = ? AND status = 'delivered'
+                    AND ready_at IS NOT NULL AND actual_delivery_time IS NOT NULL
+                ORDER BY actual_delivery_time DESC
+                LIMIT ?
+            ) recent`,
+            [restaurantId, config.sampleSize]
+        );
+
+        const avgPrepMinutes = Math.round(prepRows[0].avg_minutes);
+        const avgDeliveryMinutes = deliveryRows[0].samples >= config.minSamples
+            ? Math.round(deliveryRows[0].avg_minutes)
+            : null;
+
+        // e.g. 27 minutes -> '25-35 minutes'
+        const total = avgPrepMinutes + (avgDeliveryMinutes || 0);
+        const low = Math.max(5, Math.round(total / 5) * 5);
+        const estimate = `${low}-${low + 10} minutes`;
+
+        const update = {
+            avg_prep_minutes: avgPrepMinutes,
+            estimated_delivery_time: estimate
+        };
+
+        if (avgDeliveryMinutes !== null) {
+            update.avg_delivery_minutes = avgDeliveryMinutes;
+        }
+
+        await db.pool.query('UPDATE restaurants SET ? WHERE id = ?', [update, restaurantId]);
+
+        return update;
+    }
+
+    /**
+     * Refresh the estimate for an order's restaurant in the background
+     * Never throws; a failed refresh must not fail the status change
+     * @param {number} orderId - Order ID
+     */
+    static refreshInBackground(orderId) {
+        db.getOne('SELECT restaurant_id FROM orders WHERE id = ?', [orderId])
+            .then((order) => order && order.restaurant_id
+                ? KitchenService.refreshRestaurantEstimate(order.restaurant_id)
+                : null)
+            .catch((error) => {
+                console.error('Kitchen refreshRestaurantEstimate Error:', error);
+            });
+    }
+}
+
+KitchenService.config = config;
+
+module.exports = KitchenService;
@@ -0,0 +1,60 @@
+/**
+ * Language Middleware
+ * Picks the response language for menu content (req.language)
+ *
+ * A ?lang= query parameter wins, then the best supported Accept-Language
+ * entry; anything else falls back to English.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'sw'];
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Resolve a language code or Accept-Language header to a supported language
+ * @param {string} lang - ?lang= value (e.g. 'sw')
+ * @param {string} acceptLanguage - Accept-Language header (e.g. 'sw-TZ,sw;q=0.9,en;q=0.8')
+ * @returns {string} - 'en' or 'sw'
+ */
+const negotiateLanguage = (lang, acceptLanguage) => {
+    if (typeof lang === 'string') {
+        const code = lang.trim().toLowerCase().split('-')[0];
+        if (SUPPORTED_LANGUAGES.includes(code)) {
+            return code;
+        }
+    }
+
+    if (!acceptLanguage) {
+        return DEFAULT_LANGUAGE;
+    }
+
+    const ranges = acceptLanguage
+        .split(',')
+        .map((entry, index) => {
+            const [range, ...params] = entry.trim().split(';');
+            const q = params.find(param => param.trim().startsWith('q='));
+
+            return {
+                code: range.trim().toLowerCase().split('-')[0],
+                quality: q ? parseFloat(q.trim().slice(2)) : 1,
+                index
+            };
+        })
+        .filter(range => SUPPORTED_LANGUAGES.includes(range.code) && range.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    return ranges.length > 0 ? ranges[0].code : DEFAULT_LANGUAGE;
+};
+
+const languageMiddleware = (req, res, next) => {
+    req.language = negotiateLanguage(req.query.lang, req.headers['accept-language']);
+
+    res.set('Content-Language', req.language);
+    res.vary('Accept-Language');
+
+    next();
+};
+
+module.exports = languageMiddleware;
+module.exports.negotiateLanguage = negotiateLanguage;
+module.exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
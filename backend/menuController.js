@@ -1,34 +1,230 @@
-const Menu = require('../models/Menu');
+const db = require('../config/database');
+const { uploadConfig } = require('../config/uploadConfig');
+const MenuItem = require('../models/MenuItem');
 
-// Get all menu items
+// Send statusCode errors (bad filters) as-is, anything else as a 500
+const sendError = (res, error, label, message) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    console.error(`${label} Error:`, error);
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+};
+
+// Build MenuItem filters from the query, the language and dietary preferences
+const buildFilters = async (req) => {
+    const { page = 1, limit = 20, min_price, max_price, sort_by } = req.query;
+    const dietary = await MenuItem.resolveDietaryFilters(req.query, req.user ? req.user.id : null);
+
+    return {
+        filters: {
+            ...dietary.filters,
+            min_price: min_price ? parseFloat(min_price) : undefined,
+            max_price: max_price ? parseFloat(max_price) : undefined,
+            sort_by: sort_by || undefined,
+            language: req.language,
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        },
+        dietary
+    };
+};
+
+const formatItem = (item) => ({
+    ...item,
+    image_url: item.image_url
+        ? uploadConfig.getFileUrl(item.image_url, 'menu')
+        : null,
+    final_price: item.discounted_price || item.price
+});
+
+const sendItems = (res, items, dietary) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            menu_items: items.map(formatItem),
+            dietary: dietary.filters,
+            dietary_source: dietary.source
+        }
+    });
+};
+
+// Get all menu items (diet/allergen filters; saved preferences apply when logged in)
 exports.getAllMenu = async (req, res) => {
     try {
-        const menuItems = await Menu.getAll();
-        res.json(menuItems);
+        const { filters, dietary } = await buildFilters(req);
+        const menuItems = await MenuItem.getAll(filters);
+        sendItems(res, menuItems, dietary);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Get All Menu', 'Failed to get menu items');
     }
 };
 
 // Get menu item by ID
-exports.getMenuItem = async (req, res) => {
+exports.getMenuItemById = async (req, res) => {
     try {
-        const menuItem = await Menu.getById(req.params.id);
+        const menuItem = await MenuItem.getById(req.params.id, {
+            with_options: true,
+            language: req.language
+        });
+
         if (!menuItem) {
-            return res.status(404).json({ error: 'Menu item not found' });
+            return res.status(404).json({
+                success: false,
+                error: 'Menu item not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: formatItem(menuItem)
+        });
+    } catch (error) {
+        sendError(res, error, 'Get Menu Item', 'Failed to get menu item');
+    }
+};
+
+// Get menu items by category
+exports.getMenuByCategory = async (req, res) => {
+    try {
+        const { filters, dietary } = await buildFilters(req);
+        const menuItems = await MenuItem.getByCategory(req.params.category, filters);
+        sendItems(res, menuItems, dietary);
+    } catch (error) {
+        sendError(res, error, 'Get Menu By Category', 'Failed to get menu items');
+    }
+};
+
+// Get menu items by restaurant
+exports.getMenuByRestaurant = async (req, res) => {
+    try {
+        const { filters, dietary } = await buildFilters(req);
+        const menuItems = await MenuItem.getByRestaurant(req.params.restaurantId, filters);
+        sendItems(res, menuItems, dietary);
+    } catch (error) {
+        sendError(res, error, 'Get Menu By Restaurant', 'Failed to get menu items');
+    }
+};
+
+// Search menu items
+exports.searchMenu = async (req, res) => {
+    try {
+        const { q, restaurant_id, category_id } = req.query;
+
+        if (!q || q.trim().length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'Search query must be at least 2 characters long'
+            });
         }
-        res.json(menuItem);
+
+        const { filters, dietary } = await buildFilters(req);
+        const menuItems = await MenuItem.search(q.trim(), {
+            ...filters,
+            restaurant_id: restaurant_id || undefined,
+            category_id: category_id || undefined
+        });
+
+        sendItems(res, menuItems, dietary);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Search Menu', 'Failed to search menu');
     }
 };
 
-// Get menu by category
-exports.getByCategory = async (req, res) => {
+// Add menu item to favorites
+exports.addToFavorites = async (req, res) => {
     try {
-        const menuItems = await Menu.getByCategory(req.params.category);
-        res.json(menuItems);
+        const items = await db.query('SELECT id FROM menu_items WHERE id = ?', [req.params.id]);
+
+        if (items.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Menu item not found'
+            });
+        }
+
+        const existing = await db.query(
+            'SELECT id FROM favorites WHERE user_id = ? AND menu_item_id = ?',
+            [req.user.id, req.params.id]
+        );
+
+        if (existing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Item is already in favorites'
+            });
+        }
+
+        const result = await db.query(
+            'INSERT INTO favorites (user_id, menu_item_id) VALUES (?, ?)',
+            [req.user.id, req.params.id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Menu item added to favorites',
+            data: { favorite_id: result.insertId }
+        });
+    } catch (error) {
+        sendError(res, error, 'Add Menu Favorite', 'Failed to add to favorites');
+    }
+};
+
+// Remove menu item from favorites
+exports.removeFromFavorites = async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM favorites WHERE user_id = ? AND menu_item_id = ?',
+            [req.user.id, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Favorite item not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from favorites'
+        });
+    } catch (error) {
+        sendError(res, error, 'Remove Menu Favorite', 'Failed to remove from favorites');
+    }
+};
+
+// Get user's favorite menu items
+exports.getFavorites = async (req, res) => {
+    try {
+        const menuItems = await db.query(
+            `SELECT mi.*, r.name as restaurant_name, f.id as favorite_id
+            FROM favorites f
+            INNER JOIN menu_items mi ON f.menu_item_id = mi.id
+            INNER JOIN restaurants r ON mi.restaurant_id = r.id
+            WHERE f.user_id = ?
+            ORDER BY f.created_at DESC`,
+            [req.user.id]
+        );
+
+        await MenuItem.attachAllergens(menuItems);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                menu_items: menuItems.map(item => formatItem(req.language === 'sw'
+                    ? { ...item, name: item.name_sw || item.name, description: item.description_sw || item.description }
+                    : item))
+            }
+        });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Get Menu Favorites', 'Failed to get favorites');
     }
 };
@@ -1,46 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const menuController = require('../controllers/menuController');
-const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+const AdminController = require('../controllers/adminController');
+const { authMiddleware, adminMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
 
 // ============================================
 // 🔥 PUBLIC ROUTES - HAZITOKEN
 // ============================================
+// List routes take diet, exclude_diet, allergens and exclude_allergens
+// (comma lists); a logged-in user's saved preferences apply when none are
+// given, unless apply_preferences=false.
 
 /**
  * @route   GET /api/menu
  * @desc    Get all menu items
  * @access  Public
  */
-router.get('/', menuController.getAllMenu);
+router.get('/', optionalAuthMiddleware, menuController.getAllMenu);
 
 /**
- * @route   GET /api/menu/:id
- * @desc    Get single menu item by ID
+ * @route   GET /api/menu/search
+ * @desc    Search menu items
  * @access  Public
  */
-router.get('/:id', menuController.getMenuItemById);
+router.get('/search', optionalAuthMiddleware, menuController.searchMenu);
 
 /**
  * @route   GET /api/menu/category/:category
  * @desc    Get menu items by category
  * @access  Public
  */
-router.get('/category/:category', menuController.getMenuByCategory);
+router.get('/category/:category', optionalAuthMiddleware, menuController.getMenuByCategory);
 
 /**
  * @route   GET /api/menu/restaurant/:restaurantId
  * @desc    Get menu items by restaurant
  * @access  Public
  */
-router.get('/restaurant/:restaurantId', menuController.getMenuByRestaurant);
-
-/**
- * @route   GET /api/menu/search
- * @desc    Search menu items
- * @access  Public
- */
-router.get('/search', menuController.searchMenu);
+router.get('/restaurant/:restaurantId', optionalAuthMiddleware, menuController.getMenuByRestaurant);
 
 // ============================================
 // 🔥 PROTECTED ROUTES - ZINAHITAJI TOKEN
@@ -76,6 +73,13 @@ router.get('/favorites',
     menuController.getFavorites
 );
 
+/**
+ * @route   GET /api/menu/:id
+ * @desc    Get single menu item by ID
+ * @access  Public
+ */
+router.get('/:id', menuController.getMenuItemById);
+
 // ============================================
 // 🔥 ADMIN ROUTES - ZINAHITAJI ADMIN TOKEN
 // ============================================
@@ -88,7 +92,7 @@ router.get('/favorites',
 router.post('/', 
     authMiddleware, 
     adminMiddleware, 
-    menuController.createMenuItem
+    AdminController.createMenuItem
 );
 
 /**
@@ -99,7 +103,7 @@ router.post('/',
 router.put('/:id', 
     authMiddleware, 
     adminMiddleware, 
-    menuController.updateMenuItem
+    AdminController.updateMenuItem
 );
 
 /**
@@ -110,7 +114,7 @@ router.put('/:id',
 router.delete('/:id', 
     authMiddleware, 
     adminMiddleware, 
-    menuController.deleteMenuItem
+    AdminController.deleteMenuItem
 );
 
 module.exports = router;
@@ -0,0 +1,272 @@
+// ============================================
+// 🍔 FOOD EXPRESS - DATABASE MIGRATION
+// ============================================
+// ✅ Imeunganisha: database.js, db.sql
+// ============================================
+
+/**
+ * Brings a database created from an older db.sql up to the current schema
+ *
+ * db.sql only creates missing tables (CREATE TABLE IF NOT EXISTS), so columns,
+ * keys and triggers added to existing tables never reach a database that was
+ * set up before them. This script reads db.sql itself and adds whatever the
+ * database is missing: tables, columns, indexes, foreign keys, triggers and
+ * the default settings. db.sql stays the only place the schema is written down.
+ * Every step checks information_schema first, so the script is safe to run
+ * again. Fresh installs only need db.sql.
+ *
+ * Usage: npm run db:migrate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+
+const SCHEMA_FILE = path.join(__dirname, '../db.sql');
+
+// [table, column, is the column already current?] for columns whose type or
+// nullability changed; the new definition is read from db.sql
+const CHANGED_COLUMNS = [
+    // Combo lines have no menu item
+    ['cart', 'menu_item_id', (column) => column.IS_NULLABLE === 'YES'],
+    ['orders', 'status', (column) => column.COLUMN_TYPE.includes("'scheduled'")]
+];
+
+// ============================================
+// 🔥 SCHEMA (db.sql)
+// ============================================
+
+// Split a table body on top-level commas (not those inside parentheses or quotes)
+const splitDefinitions = (body) => {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+
+    for (const char of body) {
+        if (char === "'") {
+            quoted = !quoted;
+        } else if (!quoted && char === '(') {
+            depth++;
+        } else if (!quoted && char === ')') {
+            depth--;
+        } else if (!quoted && depth === 0 && char === ',') {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+
+        current += char;
+    }
+
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+};
+
+// "(user_id, created_at DESC)" -> ['user_id', 'created_at']
+const readColumnList = (definition) => {
+    const list = definition.slice(definition.indexOf('(') + 1, definition.lastIndexOf(')'));
+    return list.split(',').map(column => column.trim().split(/[\s(]/)[0]);
+};
+
+/**
+ * Read tables, triggers and the default settings from db.sql
+ * @param {string} sql - Contents of db.sql
+ * @returns {Object} - tables [{ name, sql, columns, indexes, foreignKeys }] in
+ *     file (foreign key) order, triggers [{ name, sql }], settings (INSERT statement)
+ */
+const parseSchema = (sql) => {
+    const tables = [];
+    const tablePattern = /^CREATE TABLE IF NOT EXISTS (\w+) \(\n([\s\S]*?)\n\);/gm;
+    let match;
+
+    while ((match = tablePattern.exec(sql)) !== null) {
+        const body = match[2].replace(/--.*$/gm, '');
+        const table = { name: match[1], sql: match[0], columns: [], indexes: [], foreignKeys: [] };
+
+        for (const definition of splitDefinitions(body)) {
+            const foreignKey = definition.match(/^FOREIGN KEY \((\w+)\) REFERENCES (\w+)\((\w+)\)(.*)$/s);
+            const index = definition.match(/^(?:UNIQUE KEY|INDEX|KEY|FULLTEXT) (\w+)/);
+
+            if (foreignKey) {
+                table.foreignKeys.push({
+                    column: foreignKey[1],
+                    definition: definition.replace(/\s+/g, ' '),
+                    referencedTable: foreignKey[2]
+                });
+            } else if (index) {
+                table.indexes.push({
+                    name: index[1],
+                    definition: definition.replace(/\s+/g, ' '),
+                    columns: readColumnList(definition)
+                });
+            } else if (!/^(PRIMARY KEY|CONSTRAINT|CHECK)\b/.test(definition)) {
+                const [name] = definition.split(/\s/, 1);
+                table.columns.push({ name, definition: definition.slice(name.length).replace(/\s+/g, ' ').trim() });
+            }
+        }
+
+        tables.push(table);
+    }
+
+    const triggers = [];
+    const triggerPattern = /^CREATE TRIGGER (\w+)[\s\S]*?^END \/\//gm;
+
+    while ((match = triggerPattern.exec(sql)) !== null) {
+        triggers.push({ name: match[1], sql: match[0].replace(/ \/\/$/, '') });
+    }
+
+    const settings = sql.match(/^INSERT INTO system_settings [\s\S]*?;/m);
+
+    return { tables, triggers, settings: settings ? settings[0] : null };
+};
+
+// ============================================
+// 🔥 DATABASE STATE
+// ============================================
+
+// DDL and CREATE TRIGGER can't be prepared, so this goes through the pool's text protocol
+// instead of db.query (which uses execute)
+const run = async (sql, params = []) => {
+    const [rows] = await db.pool.query(sql, params);
+    return rows;
+};
+
+const getColumn = async (table, column) => {
+    const rows = await run(
+        `SELECT COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE
+         FROM information_schema.columns
+         WHERE table_schema = ? AND table_name = ? AND column_name = ?`,
+        [db.config.database, table, column]
+    );
+    return rows[0] || null;
+};
+
+const getIndexColumns = async (table, index) => {
+    const rows = await run(
+        `SELECT COLUMN_NAME AS name
+         FROM information_schema.statistics
+         WHERE table_schema = ? AND table_name = ? AND index_name = ?
+         ORDER BY seq_in_index`,
+        [db.config.database, table, index]
+    );
+    return rows.map(row => row.name);
+};
+
+const foreignKeyExists = async (table, column, referencedTable) => {
+    const rows = await run(
+        `SELECT COUNT(*) AS count
+         FROM information_schema.key_column_usage
+         WHERE table_schema = ? AND table_name = ? AND column_name = ? AND referenced_table_name = ?`,
+        [db.config.database, table, column, referencedTable]
+    );
+    return rows[0].count > 0;
+};
+
+const triggerExists = async (name) => {
+    const rows = await run(
+        `SELECT COUNT(*) AS count
+         FROM information_schema.triggers
+         WHERE trigger_schema = ? AND trigger_name = ?`,
+        [db.config.database, name]
+    );
+    return rows[0].count > 0;
+};
+
+// ============================================
+// 🔥 MIGRATION
+// ============================================
+
+const migrate = async () => {
+    const schema = parseSchema(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    const tables = new Map(schema.tables.map(table => [table.name, table]));
+    const created = new Set();
+    let changes = 0;
+
+    const apply = async (description, sql) => {
+        console.log(`🔧 ${description}`);
+        await run(sql);
+        changes++;
+    };
+
+    for (const table of schema.tables) {
+        if (!(await db.tableExists(table.name))) {
+            await apply(`Creating table ${table.name}`, table.sql);
+            created.add(table.name);
+        }
+    }
+
+    // Tables just created are already current
+    const existing = schema.tables.filter(table => !created.has(table.name));
+
+    // Before the new columns: cart.line_key is generated from cart.menu_item_id.
+    // Columns the database doesn't have yet are added in full below
+    for (const [tableName, columnName, isCurrent] of CHANGED_COLUMNS) {
+        const column = tables.get(tableName).columns.find(({ name }) => name === columnName);
+        const current = created.has(tableName) ? null : await getColumn(tableName, columnName);
+
+        if (current && !isCurrent(current)) {
+            await apply(`Changing ${tableName}.${columnName}`,
+                `ALTER TABLE ${tableName} MODIFY COLUMN ${columnName} ${column.definition}`);
+        }
+    }
+
+    // In db.sql order, so generated columns come after their inputs
+    for (const table of existing) {
+        for (const column of table.columns) {
+            if (!(await getColumn(table.name, column.name))) {
+                await apply(`Adding ${table.name}.${column.name}`,
+                    `ALTER TABLE ${table.name} ADD COLUMN ${column.name} ${column.definition}`);
+            }
+        }
+    }
+
+    // Missing indexes are added; ones whose columns changed (e.g. cart.unique_cart_item,
+    // which used to be one line per item whatever its options) are rebuilt
+    for (const table of existing) {
+        for (const index of table.indexes) {
+            const columns = await getIndexColumns(table.name, index.name);
+
+            if (columns.join(',') !== index.columns.join(',')) {
+                await apply(
+                    `${columns.length > 0 ? 'Rebuilding' : 'Adding'} index ${table.name}.${index.name}`,
+                    `ALTER TABLE ${table.name} ${columns.length > 0 ? `DROP INDEX ${index.name}, ` : ''}ADD ${index.definition}`
+                );
+            }
+        }
+    }
+
+    for (const table of existing) {
+        for (const foreignKey of table.foreignKeys) {
+            if (!(await foreignKeyExists(table.name, foreignKey.column, foreignKey.referencedTable))) {
+                await apply(`Adding foreign key ${table.name}.${foreignKey.column} -> ${foreignKey.referencedTable}`,
+                    `ALTER TABLE ${table.name} ADD ${foreignKey.definition}`);
+            }
+        }
+    }
+
+    for (const trigger of schema.triggers) {
+        if (!(await triggerExists(trigger.name))) {
+            await apply(`Creating trigger ${trigger.name}`, trigger.sql);
+        }
+    }
+
+    // Same defaults as a fresh install; existing keys are left alone
+    if (schema.settings) {
+        await run(schema.settings);
+    }
+
+    return changes;
+};
+
+migrate()
+    .then((changes) => {
+        console.log(changes > 0
+            ? `✅ Migration complete (${changes} change${changes === 1 ? '' : 's'})`
+            : '✅ Database schema is already up to date');
+    })
+    .catch((error) => {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.shutdown());
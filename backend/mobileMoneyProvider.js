@@ -0,0 +1,314 @@
+/**
+ * Mobile Money Payment Provider
+ * STK push adapter (M-Pesa Daraja API; Tigo Pesa and similar gateways follow
+ * the same request -> customer confirms on phone -> callback flow)
+ *
+ * Uses MPESA_* settings from .env. transaction_id is the CheckoutRequestID,
+ * which is what the callback refers to; the M-Pesa receipt number is stored
+ * as provider_receipt once the customer confirms.
+ *
+ * Refunds use the reversal API, which answers asynchronously on the same
+ * webhook URL; the reversal's OriginatorConversationID is the refund ID.
+ *
+ * Daraja callbacks aren't signed, so the callback URL carries
+ * MPESA_WEBHOOK_SECRET as ?token= and verifyWebhook checks it. Without that
+ * secret every callback is rejected and payments only settle when their
+ * status is refreshed.
+ */
+
+const crypto = require('crypto');
+
+const BASE_URLS = {
+    sandbox: 'https://sandbox.safaricom.co.ke',
+    production: 'https://api.safaricom.co.ke'
+};
+
+// Add the callback secret to a URL M-Pesa will call back
+const withToken = (url) => {
+    const secret = process.env.MPESA_WEBHOOK_SECRET;
+
+    if (!secret) {
+        return url;
+    }
+
+    return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(secret)}`;
+};
+
+const config = () => ({
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    passkey: process.env.MPESA_PASSKEY,
+    shortcode: process.env.MPESA_SHORTCODE,
+    baseUrl: BASE_URLS[process.env.MPESA_ENVIRONMENT] || BASE_URLS.sandbox,
+    callbackUrl: withToken(process.env.MPESA_CALLBACK_URL ||
+        `${process.env.APP_URL || 'http://localhost:5000'}/api/payments/webhook/mpesa`),
+    countryCode: process.env.MPESA_COUNTRY_CODE || '255',
+    initiatorName: process.env.MPESA_INITIATOR_NAME,
+    securityCredential: process.env.MPESA_SECURITY_CREDENTIAL
+});
+
+// Cached OAuth token
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+
+/**
+ * Normalise a local phone number to international format without '+'
+ * e.g. 0712345678 -> 255712345678
+ */
+const normalizePhone = (phone, countryCode) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+
+    if (digits.startsWith('0')) {
+        return countryCode + digits.slice(1);
+    }
+
+    return digits;
+};
+
+/**
+ * Timestamp in YYYYMMDDHHmmss as the API expects
+ */
+const timestamp = () => {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+        `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+};
+
+const getAccessToken = async () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt) {
+        return accessToken;
+    }
+
+    const { consumerKey, consumerSecret, baseUrl } = config();
+    const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+    const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+        headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Mobile money auth failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    accessToken = data.access_token;
+    // Refresh a minute before the token expires
+    accessTokenExpiresAt = Date.now() + ((parseInt(data.expires_in) || 3600) - 60) * 1000;
+
+    return accessToken;
+};
+
+const post = async (path, body) => {
+    const token = await getAccessToken();
+
+    const response = await fetch(`${config().baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.errorMessage || `Mobile money request failed with status ${response.status}`);
+        error.providerResponse = data;
+        throw error;
+    }
+
+    return data;
+};
+
+const mobileMoney = {
+    name: 'mpesa',
+
+    methods: ['mobile_money'],
+
+    /**
+     * Send an STK push to the customer's phone
+     * @param {Object} request - payment, order, phone_number
+     * @returns {Promise<Object>} - { transaction_id, status, message }
+     */
+    async initiatePayment({ payment, order, phone_number }) {
+        const settings = config();
+        const phone = normalizePhone(phone_number, settings.countryCode);
+        const time = timestamp();
+
+        const data = await post('/mpesa/stkpush/v1/processrequest', {
+            BusinessShortCode: settings.shortcode,
+            Password: Buffer.from(`${settings.shortcode}${settings.passkey}${time}`).toString('base64'),
+            Timestamp: time,
+            TransactionType: 'CustomerPayBillOnline',
+            Amount: Math.ceil(parseFloat(payment.amount)),
+            PartyA: phone,
+            PartyB: settings.shortcode,
+            PhoneNumber: phone,
+            CallBackURL: settings.callbackUrl,
+            AccountReference: order.order_number,
+            TransactionDesc: `Payment for order ${order.order_number}`
+        });
+
+        if (String(data.ResponseCode) !== '0') {
+            return {
+                transaction_id: data.CheckoutRequestID || null,
+                status: 'failed',
+                failure_reason: data.ResponseDescription || 'Payment request rejected'
+            };
+        }
+
+        return {
+            transaction_id: data.CheckoutRequestID,
+            status: 'pending',
+            message: data.CustomerMessage || 'Check your phone to confirm the payment'
+        };
+    },
+
+    /**
+     * Ask the provider for the result of an STK push
+     * @param {Object} payment - Payment row
+     * @returns {Promise<Object>} - { status, provider_receipt, failure_reason }
+     */
+    async queryStatus(payment) {
+        const settings = config();
+        const time = timestamp();
+
+        let data;
+        try {
+            data = await post('/mpesa/stkpushquery/v1/query', {
+                BusinessShortCode: settings.shortcode,
+                Password: Buffer.from(`${settings.shortcode}${settings.passkey}${time}`).toString('base64'),
+                Timestamp: time,
+                CheckoutRequestID: payment.transaction_id
+            });
+        } catch (error) {
+            // The query endpoint errors while the customer has not answered yet
+            return { status: 'pending' };
+        }
+
+        if (data.ResultCode === undefined) {
+            return { status: 'pending' };
+        }
+
+        // The receipt is what reversals refer to; if the query leaves it out, the
+        // callback fills it in later (see Payment.applyResult)
+        if (String(data.ResultCode) === '0') {
+            return {
+                status: 'completed',
+                provider_receipt: data.MpesaReceiptNumber ? String(data.MpesaReceiptNumber) : null
+            };
+        }
+
+        return {
+            status: 'failed',
+            failure_reason: data.ResultDesc || 'Payment was not completed'
+        };
+    },
+
+    /**
+     * Request a reversal of a completed payment
+     * @param {Object} payment - Payment row (provider_receipt is the M-Pesa transaction)
+     * @param {Object} request - refund, amount, reason
+     * @returns {Promise<Object>} - { refund_id, status, failure_reason }
+     */
+    async refund(payment, { amount, reason }) {
+        const settings = config();
+
+        if (!payment.provider_receipt) {
+            return { status: 'failed', failure_reason: 'Payment has no M-Pesa receipt to reverse' };
+        }
+
+        const data = await post('/mpesa/reversal/v1/request', {
+            Initiator: settings.initiatorName,
+            SecurityCredential: settings.securityCredential,
+            CommandID: 'TransactionReversal',
+            TransactionID: payment.provider_receipt,
+            Amount: Math.ceil(parseFloat(amount)),
+            ReceiverParty: settings.shortcode,
+            RecieverIdentifierType: '11',
+            ResultURL: settings.callbackUrl,
+            QueueTimeOutURL: settings.callbackUrl,
+            Remarks: String(reason || 'Refund').slice(0, 100),
+            Occasion: String(payment.order_id)
+        });
+
+        if (String(data.ResponseCode) !== '0') {
+            return {
+                status: 'failed',
+                failure_reason: data.ResponseDescription || 'Reversal request rejected'
+            };
+        }
+
+        return {
+            refund_id: data.OriginatorConversationID,
+            status: 'pending'
+        };
+    },
+
+    /**
+     * Check the token M-Pesa sends back on the callback URL
+     * @param {Object} request - token (from the query string)
+     * @param {string} secret - MPESA_WEBHOOK_SECRET
+     * @returns {boolean} - True when the token matches
+     */
+    verifyWebhook({ token }, secret) {
+        if (!secret || !token) {
+            return false;
+        }
+
+        const expected = crypto.createHash('sha256').update(secret).digest();
+        const received = crypto.createHash('sha256').update(String(token)).digest();
+
+        return crypto.timingSafeEqual(received, expected);
+    },
+
+    /**
+     * Read an STK push or reversal callback
+     * @param {Object} body - Callback payload
+     * @returns {Object|null} - { transaction_id, status, provider_receipt, failure_reason },
+     *     or { type: 'refund', refund_id, status, failure_reason } for reversals
+     */
+    parseWebhook(body) {
+        const reversal = body && body.Result;
+
+        if (reversal && reversal.OriginatorConversationID) {
+            return {
+                type: 'refund',
+                refund_id: reversal.OriginatorConversationID,
+                status: String(reversal.ResultCode) === '0' ? 'completed' : 'failed',
+                failure_reason: reversal.ResultDesc || null
+            };
+        }
+
+        const callback = body && body.Body && body.Body.stkCallback;
+
+        if (!callback || !callback.CheckoutRequestID) {
+            return null;
+        }
+
+        if (String(callback.ResultCode) !== '0') {
+            return {
+                transaction_id: callback.CheckoutRequestID,
+                status: 'failed',
+                failure_reason: callback.ResultDesc || 'Payment was not completed'
+            };
+        }
+
+        const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+        const receipt = items.find(item => item.Name === 'MpesaReceiptNumber');
+
+        return {
+            transaction_id: callback.CheckoutRequestID,
+            status: 'completed',
+            provider_receipt: receipt ? String(receipt.Value) : null
+        };
+    }
+};
+
+mobileMoney.normalizePhone = normalizePhone;
+
+module.exports = mobileMoney;
@@ -0,0 +1,463 @@
+/**
+ * Opening Hours Service
+ * Weekly schedules, holiday closures and the derived restaurants.is_open flag
+ *
+ * - restaurant_hours holds any number of shifts per weekday (split shifts)
+ * - a shift whose close_time is at or before its open_time runs past midnight;
+ *   equal times mean open all day
+ * - restaurant_holidays closes the shifts that start on that local date
+ * - times are the restaurant's local time (restaurants.timezone)
+ * - is_paused is the owner's manual "closed for now" switch
+ * - restaurants without any shifts fall back to opening_time/closing_time,
+ *   and are always open when those are empty too
+ *
+ * is_open is stored (listings filter on it) and refreshed on a timer.
+ */
+
+const db = require('../config/database');
+
+const config = {
+    defaultTimezone: process.env.RESTAURANT_DEFAULT_TIMEZONE || 'Africa/Dar_es_Salaam',
+    refreshIntervalSeconds: parseInt(process.env.OPENING_HOURS_REFRESH_SECONDS) || 60
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let refreshTimer = null;
+let refreshing = false;
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// 'HH:MM[:SS]' -> seconds since midnight
+const toSeconds = (time) => {
+    const [hours, minutes, seconds = 0] = String(time).split(':').map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Local calendar date, weekday and time of day in a timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { date: 'YYYY-MM-DD', yesterday: 'YYYY-MM-DD', weekday: 0-6, seconds }
+ */
+const localTime = (date, timeZone) => {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    const today = `${parts.year}-${parts.month}-${parts.day}`;
+    const yesterday = new Date(`${today}T00:00:00Z`);
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+
+    return {
+        date: today,
+        yesterday: yesterday.toISOString().slice(0, 10),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+        seconds: toSeconds(`${parts.hour}:${parts.minute}:${parts.second}`)
+    };
+};
+
+class OpeningHoursService {
+    /**
+     * Check a timezone name
+     * @param {string} timeZone - IANA timezone (e.g. 'Africa/Dar_es_Salaam')
+     * @returns {boolean}
+     */
+    static isValidTimezone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return Boolean(timeZone);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Local calendar date in a restaurant's timezone
+     * @param {string} timeZone - IANA timezone (default RESTAURANT_DEFAULT_TIMEZONE)
+     * @param {Date} at - Moment to convert (default now)
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    static localDate(timeZone, at = new Date()) {
+        return localTime(at, timeZone || config.defaultTimezone).date;
+    }
+
+    /**
+     * Work out whether a restaurant is open
+     * @param {Object} schedule - timezone, is_paused, opening_time, closing_time,
+     *     hours [{ day_of_week, open_time, close_time }], holidays ['YYYY-MM-DD']
+     * @param {Date} at - Moment to check (default now)
+     * @returns {Object} - { is_open, reason: 'open' | 'paused' | 'holiday' | 'closed' }
+     */
+    static evaluate(schedule, at = new Date()) {
+        if (schedule.is_paused) {
+            return { is_open: false, reason: 'paused' };
+        }
+
+        let shifts = schedule.hours || [];
+
+        if (shifts.length === 0) {
+            if (!schedule.opening_time || !schedule.closing_time) {
+                return { is_open: true, reason: 'open' };
+            }
+
+            // Legacy single pair applies every day
+            shifts = DAY_NAMES.map((name, day) => ({
+                day_of_week: day,
+                open_time: schedule.opening_time,
+                close_time: schedule.closing_time
+            }));
+        }
+
+        const now = localTime(at, schedule.timezone || config.defaultTimezone);
+        const holidays = schedule.holidays || [];
+        const yesterday = (now.weekday + 6) % 7;
+
+        const openNow = shifts.some((shift) => {
+            const open = toSeconds(shift.open_time);
+            const close = toSeconds(shift.close_time);
+            const overnight = close <= open;
+
+            if (shift.day_of_week === now.weekday && !holidays.includes(now.date)) {
+                return overnight ? now.seconds >= open : now.seconds >= open && now.seconds < close;
+            }
+
+            // Yesterday's overnight shift still running after midnight
+            if (shift.day_of_week === yesterday && overnight && !holidays.includes(now.yesterday)) {
+                return now.seconds < close;
+            }
+
+            return false;
+        });
+
+        if (openNow) {
+            return { is_open: true, reason: 'open' };
+        }
+
+        return { is_open: false, reason: holidays.includes(now.date) ? 'holiday' : 'closed' };
+    }
+
+    /**
+     * Load schedules for restaurants
+     * @param {Array<number>|null} restaurantIds - Restaurant IDs (null = all active restaurants)
+     * @returns {Promise<Array<Object>>} - Restaurants with hours and recent/upcoming holidays
+     */
+    static async loadSchedules(restaurantIds = null) {
+        if (restaurantIds && restaurantIds.length === 0) {
+            return [];
+        }
+
+        // IN (?) lists only expand in the text protocol, so these skip db.query
+        const [restaurants] = await db.pool.query(
+            `SELECT id, name, timezone, is_open, is_paused, opening_time, closing_time
+            FROM restaurants
+            WHERE ${restaurantIds ? 'id IN (?)' : "status = 'active'"}`,
+            restaurantIds ? [restaurantIds] : []
+        );
+
+        if (restaurants.length === 0) {
+            return [];
+        }
+
+        const ids = restaurants.map(restaurant => restaurant.id);
+
+        const [hours] = await db.pool.query(
+            `SELECT id, restaurant_id, day_of_week, open_time, close_time
+            FROM restaurant_hours
+            WHERE restaurant_id IN (?)
+            ORDER BY day_of_week, open_time`,
+            [ids]
+        );
+
+        // Two days back covers yesterday's date in any timezone
+        const [holidays] = await db.pool.query(
+            `SELECT id, restaurant_id, DATE_FORMAT(closed_date, '%Y-%m-%d') as closed_date, reason
+            FROM restaurant_holidays
+            WHERE restaurant_id IN (?) AND closed_date >= DATE_SUB(CURDATE(), INTERVAL 2 DAY)
+            ORDER BY closed_date`,
+            [ids]
+        );
+
+        return restaurants.map(restaurant => ({
+            ...restaurant,
+            timezone: restaurant.timezone || config.defaultTimezone,
+            hours: hours.filter(hour => hour.restaurant_id === restaurant.id),
+            holiday_list: holidays.filter(holiday => holiday.restaurant_id === restaurant.id),
+            holidays: holidays
+                .filter(holiday => holiday.restaurant_id === restaurant.id)
+                .map(holiday => holiday.closed_date)
+        }));
+    }
+
+    /**
+     * Get a restaurant's schedule and current open status
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<Object>} - timezone, is_paused, is_open, reason, hours, holidays
+     */
+    static async getSchedule(restaurantId) {
+        const [schedule] = await OpeningHoursService.loadSchedules([restaurantId]);
+
+        if (!schedule) {
+            throw badRequest('Restaurant not found', 404);
+        }
+
+        const status = OpeningHoursService.evaluate(schedule);
+
+        return {
+            timezone: schedule.timezone,
+            is_paused: Boolean(schedule.is_paused),
+            is_open: status.is_open,
+            reason: status.reason,
+            hours: schedule.hours.map(({ id, day_of_week, open_time, close_time }) => ({
+                id,
+                day_of_week,
+                day: DAY_NAMES[day_of_week],
+                open_time,
+                close_time
+            })),
+            holidays: schedule.holiday_list.map(({ id, closed_date, reason }) => ({ id, closed_date, reason }))
+        };
+    }
+
+    /**
+     * Recompute and store is_open for a restaurant
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<Object>} - { is_open, reason }
+     */
+    static async refreshRestaurant(restaurantId) {
+        const [schedule] = await OpeningHoursService.loadSchedules([restaurantId]);
+
+        if (!schedule) {
+            throw badRequest('Restaurant not found', 404);
+        }
+
+        const status = OpeningHoursService.evaluate(schedule);
+
+        if (Boolean(schedule.is_open) !== status.is_open) {
+            await db.query(
+                'UPDATE restaurants SET is_open = ? WHERE id = ?',
+                [status.is_open, restaurantId]
+            );
+        }
+
+        return status;
+    }
+
+    /**
+     * Check a restaurant is open right now (uses the live schedule, not the stored flag)
+     * @param {number} restaurantId - Restaurant ID
+     * @returns {Promise<Object>} - { is_open, reason }
+     */
+    static async getStatus(restaurantId) {
+        return OpeningHoursService.refreshRestaurant(restaurantId);
+    }
+
+    /**
+     * Replace a restaurant's weekly hours
+     * @param {number} restaurantId - Restaurant ID
+     * @param {Array<Object>} hours - [{ day_of_week (0 = Sunday or a day name), open_time, close_time }]
+     * @param {string} timezone - IANA timezone (optional)
+     * @returns {Promise<Object>} - Saved schedule
+     */
+    static async setWeeklyHours(restaurantId, hours, timezone) {
+        if (!Array.isArray(hours)) {
+            throw badRequest('hours must be an array of { day_of_week, open_time, close_time }');
+        }
+
+        if (timezone !== undefined && !OpeningHoursService.isValidTimezone(timezone)) {
+            throw badRequest(`Unknown timezone: ${timezone}`);
+        }
+
+        const rows = hours.map((shift) => {
+            const day = typeof shift.day_of_week === 'string' && isNaN(shift.day_of_week)
+                ? DAY_NAMES.indexOf(shift.day_of_week.toLowerCase())
+                : parseInt(shift.day_of_week);
+
+            if (!(day >= 0 && day <= 6)) {
+                throw badRequest('day_of_week must be 0-6 (0 = Sunday) or a day name');
+            }
+
+            if (!TIME_PATTERN.test(shift.open_time || '') || !TIME_PATTERN.test(shift.close_time || '')) {
+                throw badRequest('open_time and close_time are required in HH:MM format');
+            }
+
+            return [restaurantId, day, shift.open_time, shift.close_time];
+        });
+
+        await db.transaction(async (connection) => {
+            await connection.query('DELETE FROM restaurant_hours WHERE restaurant_id = ?', [restaurantId]);
+
+            if (rows.length > 0) {
+                await connection.query(
+                    'INSERT INTO restaurant_hours (restaurant_id, day_of_week, open_time, close_time) VALUES ?',
+                    [rows]
+                );
+            }
+
+            if (timezone !== undefined) {
+                await connection.query(
+                    'UPDATE restaurants SET timezone = ? WHERE id = ?',
+                    [timezone, restaurantId]
+                );
+            }
+        });
+
+        await OpeningHoursService.refreshRestaurant(restaurantId);
+
+        return OpeningHoursService.getSchedule(restaurantId);
+    }
+
+    /**
+     * Close a restaurant for a day
+     * @param {number} restaurantId - Restaurant ID
+     * @param {Object} holiday - closed_date ('YYYY-MM-DD'), reason
+     * @returns {Promise<number>} - Holiday ID
+     */
+    static async addHoliday(restaurantId, { closed_date, reason }) {
+        if (!DATE_PATTERN.test(closed_date || '') || isNaN(new Date(closed_date).getTime())) {
+            throw badRequest('closed_date is required in YYYY-MM-DD format');
+        }
+
+        try {
+            const result = await db.query(
+                'INSERT INTO restaurant_holidays (restaurant_id, closed_date, reason) VALUES (?, ?, ?)',
+                [restaurantId, closed_date, reason || null]
+            );
+
+            await OpeningHoursService.refreshRestaurant(restaurantId);
+
+            return result.insertId;
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw badRequest('The restaurant is already closed on that date', 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a holiday closure
+     * @param {number} restaurantId - Restaurant ID
+     * @param {number} holidayId - Holiday ID
+     */
+    static async removeHoliday(restaurantId, holidayId) {
+        const result = await db.query(
+            'DELETE FROM restaurant_holidays WHERE id = ? AND restaurant_id = ?',
+            [holidayId, restaurantId]
+        );
+
+        if (result.affectedRows === 0) {
+            throw badRequest('Holiday not found', 404);
+        }
+
+        await OpeningHoursService.refreshRestaurant(restaurantId);
+    }
+
+    /**
+     * Pause or resume taking orders (overrides the schedule while paused)
+     * @param {number} restaurantId - Restaurant ID
+     * @param {boolean} paused - True to close now
+     * @returns {Promise<Object>} - { is_open, reason }
+     */
+    static async setPaused(restaurantId, paused) {
+        await db.query(
+            'UPDATE restaurants SET is_paused = ?, updated_at = NOW() WHERE id = ?',
+            [paused, restaurantId]
+        );
+
+        return OpeningHoursService.refreshRestaurant(restaurantId);
+    }
+
+    /**
+     * Recompute is_open for every active restaurant
+     * @returns {Promise<number>} - Number of restaurants whose flag changed
+     */
+    static async refreshAll() {
+        if (refreshing) {
+            return 0;
+        }
+
+        refreshing = true;
+
+        try {
+            const schedules = await OpeningHoursService.loadSchedules();
+            const now = new Date();
+            const opened = [];
+            const closed = [];
+
+            for (const schedule of schedules) {
+                const { is_open } = OpeningHoursService.evaluate(schedule, now);
+
+                if (Boolean(schedule.is_open) !== is_open) {
+                    (is_open ? opened : closed).push(schedule.id);
+                }
+            }
+
+            if (opened.length > 0) {
+                await db.pool.query('UPDATE restaurants SET is_open = TRUE WHERE id IN (?)', [opened]);
+            }
+
+            if (closed.length > 0) {
+                await db.pool.query('UPDATE restaurants SET is_open = FALSE WHERE id IN (?)', [closed]);
+            }
+
+            return opened.length + closed.length;
+        } catch (error) {
+            console.error('OpeningHoursService.refreshAll Error:', error);
+            return 0;
+        } finally {
+            refreshing = false;
+        }
+    }
+
+    /**
+     * Start the periodic is_open refresh
+     */
+    static start() {
+        if (refreshTimer) {
+            return;
+        }
+
+        OpeningHoursService.refreshAll();
+
+        refreshTimer = setInterval(() => {
+            OpeningHoursService.refreshAll();
+        }, config.refreshIntervalSeconds * 1000);
+
+        // Do not keep the process alive just for this
+        refreshTimer.unref();
+    }
+
+    /**
+     * Stop the periodic refresh
+     */
+    static stop() {
+        if (refreshTimer) {
+            clearInterval(refreshTimer);
+            refreshTimer = null;
+        }
+    }
+}
+
+OpeningHoursService.DAY_NAMES = DAY_NAMES;
+
+module.exports = OpeningHoursService;
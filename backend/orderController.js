@@ -1,24 +1,59 @@
 const Order = require('../models/Order');
-const Menu = require('../models/Menu');
+const DeliveryAddress = require('../models/DeliveryAddress');
+const GroupCart = require('../models/GroupCart');
+const OrderStatusService = require('../services/orderStatusService');
+const PricingService = require('../services/pricingService');
+const OpeningHoursService = require('../services/openingHoursService');
+const ScheduledOrderService = require('../services/scheduledOrderService');
+const InventoryService = require('../services/inventoryService');
+const RealtimeService = require('../services/realtimeService');
+const ReorderService = require('../services/reorderService');
 
 // Create new order
 exports.createOrder = async (req, res) => {
     try {
-        const { items, delivery_address, phone, payment_method, notes } = req.body;
-        const user_id = req.user.userId;
+        const { 
+            items, 
+            delivery_address, 
+            address_id,
+            delivery_instructions, 
+            phone, 
+            payment_method, 
+            notes, 
+            coupon_code,
+            scheduled_for,
+            group_cart_id
+        } = req.body;
+        const user_id = req.user.id;
+        
+        // A group order is checked out once by its host, from the locked shared cart
+        const groupCart = group_cart_id ? await GroupCart.getForCheckout(group_cart_id, user_id) : null;
+        const orderItems = groupCart ? await GroupCart.getCheckoutItems(groupCart.id) : items;
         
         // Validate required fields
-        if (!items || !Array.isArray(items) || items.length === 0) {
+        if (!orderItems || !Array.isArray(orderItems) || orderItems.length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'Order items are required'
             });
         }
         
-        if (!delivery_address) {
+        // A saved address is copied onto the order with its coordinates
+        let savedAddress = null;
+        
+        if (address_id) {
+            savedAddress = await DeliveryAddress.getById(address_id, user_id);
+            
+            if (!savedAddress) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery address not found'
+                });
+            }
+        } else if (!delivery_address) {
             return res.status(400).json({
                 success: false,
-                error: 'Delivery address is required'
+                error: 'Delivery address or a saved address_id is required'
             });
         }
         
@@ -29,65 +64,115 @@ exports.createOrder = async (req, res) => {
             });
         }
         
-        // Calculate total and validate items
-        let total_amount = 0;
-        const orderItems = [];
+        const validPaymentMethods = ['cash_on_delivery', 'credit_card', 'mobile_money', 'bank_transfer'];
+        if (payment_method && !validPaymentMethods.includes(payment_method)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid payment method. Must be one of: ${validPaymentMethods.join(', ')}`
+            });
+        }
         
-        for (const item of items) {
-            // Validate item structure
-            if (!item.id || !item.quantity || item.quantity <= 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid item format. Each item needs id and quantity'
-                });
-            }
-            
-            // Get menu item details
-            const menuItem = await Menu.getById(item.id);
-            if (!menuItem) {
-                return res.status(404).json({
-                    success: false,
-                    error: `Menu item with ID ${item.id} not found`
-                });
-            }
-            
-            if (!menuItem.available) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Menu item "${menuItem.name}" is not available`
-                });
+        // Prices, delivery fee, discount and tax always come from the server
+        const pricing = await PricingService.priceOrder({
+            user_id,
+            items: orderItems,
+            coupon_code,
+            // Free-text addresses have no coordinates, so zoned restaurants refuse them
+            delivery: {
+                latitude: savedAddress ? savedAddress.latitude : null,
+                longitude: savedAddress ? savedAddress.longitude : null
             }
-            
-            const subtotal = menuItem.price * item.quantity;
-            total_amount += subtotal;
-            
-            orderItems.push({
-                menu_item_id: item.id,
-                quantity: item.quantity,
-                price: menuItem.price,
-                subtotal: subtotal
+        });
+        const { promotion } = pricing;
+        
+        // Priced lines follow the order of the items given; keep who added each one
+        if (groupCart) {
+            pricing.items.forEach((line, index) => {
+                line.participant_user_id = orderItems[index].participant_user_id;
+            });
+        }
+        
+        // Pre-orders are checked against the hours around their slot instead of now
+        const slot = scheduled_for
+            ? await ScheduledOrderService.planOrder(pricing.restaurant, scheduled_for, pricing.items)
+            : null;
+        
+        // Check the live schedule; the stored is_open flag may be up to a minute old
+        const openStatus = slot ? null : await OpeningHoursService.getStatus(pricing.restaurant.id);
+        
+        if (openStatus && !openStatus.is_open) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    holiday: `${pricing.restaurant.name} is closed today`,
+                    paused: `${pricing.restaurant.name} is not taking orders right now`
+                }[openStatus.reason] || `${pricing.restaurant.name} is closed right now`
             });
         }
         
         // Create order data
         const orderData = {
             user_id,
-            total_amount,
-            delivery_address,
-            phone,
-            payment_method: payment_method || 'cash',
-            notes: notes || ''
+            restaurant_id: pricing.restaurant.id,
+            subtotal: pricing.subtotal,
+            delivery_fee: pricing.delivery_fee,
+            discount_amount: pricing.discount_amount,
+            tax_amount: pricing.tax_amount,
+            total_amount: pricing.total_amount,
+            promotion_id: promotion ? promotion.id : null,
+            coupon_code: promotion ? promotion.code : null,
+            ...(savedAddress ? DeliveryAddress.toOrderFields(savedAddress) : { delivery_address }),
+            delivery_zone_id: pricing.delivery.zone ? pricing.delivery.zone.id : null,
+            delivery_minutes: pricing.delivery.zone ? pricing.delivery.delivery_minutes : null,
+            delivery_instructions: delivery_instructions || null,
+            customer_phone: phone,
+            customer_email: req.user.email,
+            payment_method: payment_method || 'cash_on_delivery',
+            group_cart_id: groupCart ? groupCart.id : null,
+            notes: notes || null
         };
         
-        // Create order in database
-        const { orderId, orderNumber } = await Order.create(orderData, orderItems);
+        if (slot) {
+            orderData.status = 'scheduled';
+            orderData.scheduled_for = slot.scheduled_for;
+            orderData.release_at = slot.release_at;
+            orderData.estimated_delivery_time = slot.scheduled_for;
+        }
+        
+        // Create order in database (a full slot or short stock rolls the order back)
+        // Scheduled orders take their stock when they are released to the kitchen
+        let stockAlerts = [];
+        
+        const { orderId, orderNumber } = await Order.create(orderData, pricing.items, {
+            beforeCommit: async (connection, newOrderId) => {
+                if (slot) {
+                    await ScheduledOrderService.reserveSlot(
+                        connection, pricing.restaurant.id, slot.scheduled_for, slot.capacity);
+                } else {
+                    stockAlerts = await InventoryService.consumeForOrder(connection, newOrderId);
+                }
+                
+                if (groupCart) {
+                    await GroupCart.completeCheckout(connection, groupCart.id, newOrderId,
+                        GroupCart.splitBill(pricing, user_id));
+                }
+            }
+        });
+        
+        InventoryService.notifyInBackground(stockAlerts);
+        
+        // Let the restaurant's kitchen screen know straight away
+        // (scheduled orders are announced when they are released)
+        if (!slot) {
+            RealtimeService.publishNewOrder(orderId);
+        }
         
         // Get order details
         const orderDetails = await Order.getOrderDetails(orderId, user_id);
         
         res.status(201).json({
             success: true,
-            message: 'Order placed successfully',
+            message: slot ? 'Order scheduled successfully' : 'Order placed successfully',
             order: {
                 id: orderId,
                 order_number: orderNumber,
@@ -96,6 +181,13 @@ exports.createOrder = async (req, res) => {
         });
         
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
         console.error('Create order error:', error);
         res.status(500).json({
             success: false,
@@ -104,16 +196,61 @@ exports.createOrder = async (req, res) => {
     }
 };
 
+// Get open delivery slots for a pre-order
+exports.getScheduleSlots = async (req, res) => {
+    try {
+        const { restaurant_id, days } = req.query;
+        
+        if (!restaurant_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'restaurant_id is required'
+            });
+        }
+        
+        const slots = await ScheduledOrderService.getAvailableSlots(restaurant_id, days);
+        
+        res.json({
+            success: true,
+            data: slots
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
+        console.error('Get schedule slots error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error fetching delivery slots'
+        });
+    }
+};
+
 // Get user's orders
 exports.getUserOrders = async (req, res) => {
     try {
-        const user_id = req.user.userId;
+        const user_id = req.user.id;
         const orders = await Order.getByUser(user_id);
         
+        // Upcoming pre-orders are listed apart, soonest first
+        const scheduled = orders
+            .filter(order => order.status === 'scheduled')
+            .sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for));
+        const others = orders.filter(order => order.status !== 'scheduled');
+        
         res.json({
             success: true,
-            count: orders.length,
-            data: orders
+            count: others.length,
+            data: others,
+            scheduled: {
+                count: scheduled.length,
+                data: scheduled
+            }
         });
         
     } catch (error) {
@@ -129,7 +266,7 @@ exports.getUserOrders = async (req, res) => {
 exports.getOrderDetails = async (req, res) => {
     try {
         const orderId = req.params.id;
-        const user_id = req.user.userId;
+        const user_id = req.user.id;
         
         const order = await Order.getOrderDetails(orderId, user_id);
         
@@ -158,7 +295,7 @@ exports.getOrderDetails = async (req, res) => {
 exports.cancelOrder = async (req, res) => {
     try {
         const orderId = req.params.id;
-        const user_id = req.user.userId;
+        const user_id = req.user.id;
         
         // Get order to check ownership
         const order = await Order.getOrderDetails(orderId, user_id);
@@ -170,8 +307,8 @@ exports.cancelOrder = async (req, res) => {
             });
         }
         
-        // Check if order can be cancelled (only pending orders)
-        if (order.status !== 'pending') {
+        // Check if order can be cancelled (only pending or not yet released scheduled orders)
+        if (!['pending', 'scheduled'].includes(order.status)) {
             return res.status(400).json({
                 success: false,
                 error: `Cannot cancel order with status: ${order.status}`
@@ -179,25 +316,66 @@ exports.cancelOrder = async (req, res) => {
         }
         
         // Update order status to cancelled
-        const updated = await Order.updateStatus(orderId, 'cancelled');
+        await OrderStatusService.changeStatus(orderId, 'cancelled', {
+            changedBy: req.user.id,
+            role: req.user.role,
+            reason: req.body.reason || 'Cancelled by customer'
+        });
         
-        if (!updated) {
-            return res.status(500).json({
+        res.json({
+            success: true,
+            message: 'Order cancelled successfully'
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
                 success: false,
-                error: 'Failed to cancel order'
+                error: error.message
             });
         }
         
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error cancelling order'
+        });
+    }
+};
+
+// Rebuild the cart from a past order (replaces the cart unless merge: true)
+exports.reorder = async (req, res) => {
+    try {
+        const result = await ReorderService.rebuildCart(req.user.id, req.params.id, {
+            merge: req.body.merge === true
+        });
+        
+        let message = `${result.added.length} item(s) added to your cart`;
+        if (result.unavailable.length > 0) {
+            message += `, ${result.unavailable.length} no longer available`;
+        }
+        if (result.price_changes.length > 0) {
+            message += `, ${result.price_changes.length} price change(s)`;
+        }
+        
         res.json({
             success: true,
-            message: 'Order cancelled successfully'
+            message,
+            data: result
         });
         
     } catch (error) {
-        console.error('Cancel order error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
+        console.error('Reorder error:', error);
         res.status(500).json({
             success: false,
-            error: 'Server error cancelling order'
+            error: 'Server error rebuilding cart'
         });
     }
 };
@@ -206,7 +384,7 @@ exports.cancelOrder = async (req, res) => {
 exports.getOrderStatus = async (req, res) => {
     try {
         const orderId = req.params.id;
-        const user_id = req.user.userId;
+        const user_id = req.user.id;
         
         const order = await Order.getOrderDetails(orderId, user_id);
         
@@ -292,11 +470,10 @@ exports.updateOrderStatus = async (req, res) => {
         const { status } = req.body;
         
         // Validate status
-        const validStatuses = ['pending', 'preparing', 'delivered', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        if (!OrderStatusService.STATUSES.includes(status)) {
             return res.status(400).json({
                 success: false,
-                error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+                error: `Invalid status. Must be one of: ${OrderStatusService.STATUSES.join(', ')}`
             });
         }
         
@@ -309,15 +486,12 @@ exports.updateOrderStatus = async (req, res) => {
             });
         }
         
-        // Update status
-        const updated = await Order.updateStatus(orderId, status);
-        
-        if (!updated) {
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to update order status'
-            });
-        }
+        // Update status (rejects moves the transition table does not allow)
+        await OrderStatusService.changeStatus(orderId, status, {
+            changedBy: req.user.id,
+            role: req.user.role,
+            reason: req.body.reason
+        });
         
         // Get updated order
         const updatedOrder = await Order.getOrderDetails(orderId);
@@ -329,6 +503,13 @@ exports.updateOrderStatus = async (req, res) => {
         });
         
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
         console.error('Update order status error:', error);
         res.status(500).json({
             success: false,
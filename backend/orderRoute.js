@@ -4,11 +4,16 @@ const orderController = require('../controllers/orderController');
 const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
 
 // User routes (authentication required)
+// Place an order from items, or (hosts) from a locked group cart with group_cart_id
 router.post('/', authMiddleware, orderController.createOrder);
 router.get('/my-orders', authMiddleware, orderController.getUserOrders);
+// Public: open delivery slots for pre-orders (?restaurant_id=&days=)
+router.get('/schedule-slots', orderController.getScheduleSlots);
 router.get('/:id', authMiddleware, orderController.getOrderDetails);
 router.get('/:id/status', authMiddleware, orderController.getOrderStatus);
 router.put('/:id/cancel', authMiddleware, orderController.cancelOrder);
+// Rebuild the cart from a past order, reporting unavailable items and price changes
+router.post('/:id/reorder', authMiddleware, orderController.reorder);
 
 // Admin routes (admin authentication required)
 router.get('/admin/all', authMiddleware, adminMiddleware, orderController.getAllOrders);
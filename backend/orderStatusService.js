@@ -0,0 +1,218 @@
+/**
+ * Order Status Service
+ * Single source of truth for orders.status transitions
+ *
+ * Every change goes through changeStatus(), which locks the order row,
+ * checks the move against TRANSITIONS, writes an order_status_history
+ * entry and syncs the driver assignment in the same transaction.
+ * Orders that reach 'ready' are handed to auto-dispatch after commit.
+ * Kitchen timings (confirmed_at, ready_at, ...) are stamped on the order row.
+ * Released scheduled orders take their stock and cancelled orders give it back.
+ */
+
+const db = require('../config/database');
+const Driver = require('../models/Driver');
+const Promotion = require('../models/Promotion');
+const DispatchService = require('./dispatchService');
+const RealtimeService = require('./realtimeService');
+const KitchenService = require('./kitchenService');
+const InventoryService = require('./inventoryService');
+
+// Allowed moves for each status (terminal statuses map to [])
+const TRANSITIONS = {
+    scheduled: ['pending', 'cancelled'],
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['out_for_delivery', 'cancelled'],
+    out_for_delivery: ['delivered', 'cancelled'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+class OrderStatusService {
+    /**
+     * Check whether a status change is allowed
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Requested status
+     * @returns {boolean}
+     */
+    static canTransition(fromStatus, toStatus) {
+        return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    /**
+     * Get statuses reachable from the given status
+     * @param {string} status - Current status
+     * @returns {Array<string>}
+     */
+    static getNextStatuses(status) {
+        return TRANSITIONS[status] || [];
+    }
+
+    /**
+     * Change order status
+     * @param {number} orderId - Order ID
+     * @param {string} toStatus - New status
+     * @param {Object} options - changedBy, role, reason, beforeCommit(connection, order)
+     * @returns {Promise<Object>} - { order_id, from_status, to_status }
+     * @throws {Error} - statusCode 400 for unknown/invalid moves, 404 if order missing
+     */
+    static async changeStatus(orderId, toStatus, options = {}) {
+        if (!STATUSES.includes(toStatus)) {
+            const error = new Error(`Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        let stockAlerts = [];
+
+        const change = await db.transaction(async (connection) => {
+            const [orders] = await connection.query(
+                'SELECT id, status FROM orders WHERE id = ? FOR UPDATE',
+                [orderId]
+            );
+
+            if (orders.length === 0) {
+                const error = new Error('Order not found');
+                error.statusCode = 404;
+                throw error;
+            }
+
+            const order = orders[0];
+
+            if (!OrderStatusService.canTransition(order.status, toStatus)) {
+                const allowed = OrderStatusService.getNextStatuses(order.status);
+                const error = new Error(
+                    allowed.length > 0
+                        ? `Cannot change order from ${order.status} to ${toStatus}. Allowed: ${allowed.join(', ')}`
+                        : `Cannot change order from ${order.status}; it is final`
+                );
+                error.statusCode = 400;
+                throw error;
+            }
+
+            let extraSet = '';
+            const params = [toStatus];
+
+            if (toStatus === 'confirmed') {
+                extraSet = ', confirmed_at = NOW(), expected_prep_minutes = ?';
+                params.push(await KitchenService.getExpectedPrepMinutes(orderId, connection));
+            } else if (toStatus === 'preparing') {
+                extraSet = ', prep_started_at = NOW()';
+            } else if (toStatus === 'ready') {
+                extraSet = ', ready_at = NOW(), actual_prep_minutes = TIMESTAMPDIFF(MINUTE, COALESCE(confirmed_at, created_at), NOW())';
+            } else if (toStatus === 'out_for_delivery') {
+                // Use the delivery zone's ride time, then the restaurant's measured delivery time
+                extraSet = `, estimated_delivery_time = COALESCE(estimated_delivery_time, DATE_ADD(NOW(), INTERVAL
+                    COALESCE(delivery_minutes, (SELECT avg_delivery_minutes FROM restaurants WHERE id = orders.restaurant_id), 30) MINUTE))`;
+            } else if (toStatus === 'delivered') {
+                extraSet = ', actual_delivery_time = NOW()';
+            } else if (toStatus === 'cancelled') {
+                extraSet = ', cancellation_reason = ?';
+                params.push(options.reason || null);
+            }
+
+            params.push(orderId);
+
+            await connection.query(
+                `UPDATE orders SET status = ?${extraSet}, updated_at = NOW() WHERE id = ?`,
+                params
+            );
+
+            await connection.query(
+                `INSERT INTO order_status_history
+                (order_id, from_status, to_status, changed_by, changed_by_role, reason)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    orderId,
+                    order.status,
+                    toStatus,
+                    options.changedBy || null,
+                    options.role || 'system',
+                    options.reason || null
+                ]
+            );
+
+            // Let callers update related rows atomically with the status change
+            if (typeof options.beforeCommit === 'function') {
+                await options.beforeCommit(connection, order);
+            }
+
+            // Close or advance any open driver assignment
+            await Driver.syncAssignmentWithOrderStatus(orderId, toStatus, connection);
+
+            // A cancelled order gives its coupon use and stock back
+            if (toStatus === 'cancelled') {
+                await Promotion.reverseRedemption(orderId, connection);
+                await InventoryService.restoreForOrder(connection, orderId);
+            }
+
+            // The kitchen accepted the pre-order, so it is released even if stock ran short
+            if (order.status === 'scheduled' && toStatus === 'pending') {
+                stockAlerts = await InventoryService.consumeForOrder(connection, orderId, { strict: false });
+            }
+
+            return {
+                order_id: parseInt(orderId),
+                from_status: order.status,
+                to_status: toStatus
+            };
+        });
+
+        InventoryService.notifyInBackground(stockAlerts);
+
+        // Ready orders are offered to the nearest available driver
+        if (toStatus === 'ready') {
+            DispatchService.dispatchInBackground(orderId);
+        }
+
+        // New prep or delivery timings feed the restaurant's estimate
+        if (toStatus === 'ready' || toStatus === 'delivered') {
+            KitchenService.refreshInBackground(orderId);
+        }
+
+        RealtimeService.publishOrderStatus(change);
+
+        return change;
+    }
+
+    /**
+     * Get recorded status history for an order
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Array>} - History entries, oldest first
+     */
+    static async getTimeline(orderId) {
+        try {
+            const entries = await db.query(
+                `SELECT
+                    h.id,
+                    h.from_status,
+                    h.to_status,
+                    h.changed_by,
+                    h.changed_by_role,
+                    u.name as changed_by_name,
+                    h.reason,
+                    h.created_at
+                FROM order_status_history h
+                LEFT JOIN users u ON h.changed_by = u.id
+                WHERE h.order_id = ?
+                ORDER BY h.created_at ASC, h.id ASC`,
+                [orderId]
+            );
+
+            return entries;
+        } catch (error) {
+            console.error('OrderStatusService.getTimeline Error:', error);
+            throw error;
+        }
+    }
+}
+
+OrderStatusService.TRANSITIONS = TRANSITIONS;
+OrderStatusService.STATUSES = STATUSES;
+
+module.exports = OrderStatusService;
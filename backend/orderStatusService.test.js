@@ -0,0 +1,145 @@
+// ============================================
+// 🍔 FOOD EXPRESS - ORDER STATUS SERVICE TESTS
+// ============================================
+
+jest.mock('../config/database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Driver', () => ({
+    syncAssignmentWithOrderStatus: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Promotion', () => ({
+    reverseRedemption: jest.fn()
+}), { virtual: true });
+
+jest.mock('./dispatchService', () => ({ dispatchInBackground: jest.fn() }));
+jest.mock('./realtimeService', () => ({ publishOrderStatus: jest.fn() }));
+jest.mock('./kitchenService', () => ({
+    getExpectedPrepMinutes: jest.fn(async () => 25),
+    refreshInBackground: jest.fn()
+}));
+jest.mock('./inventoryService', () => ({
+    restoreForOrder: jest.fn(),
+    consumeForOrder: jest.fn(async () => []),
+    notifyInBackground: jest.fn()
+}));
+
+const db = require('../config/database');
+const Driver = require('../models/Driver');
+const Promotion = require('../models/Promotion');
+const DispatchService = require('./dispatchService');
+const RealtimeService = require('./realtimeService');
+const InventoryService = require('./inventoryService');
+const OrderStatusService = require('./orderStatusService');
+
+// The locked order row changeStatus reads (null = no such order)
+let order;
+let connection;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    order = { id: 7, status: 'pending' };
+
+    connection = {
+        query: jest.fn(async (sql) => {
+            if (sql.includes('FOR UPDATE')) {
+                return [order ? [{ ...order }] : []];
+            }
+
+            return [{ affectedRows: 1 }];
+        })
+    };
+
+    db.transaction.mockImplementation(async (callback) => callback(connection));
+});
+
+const statements = () => connection.query.mock.calls.map(([sql, params]) => ({ sql: sql.trim(), params }));
+const updates = () => statements().filter(({ sql }) => sql.startsWith('UPDATE orders'));
+
+describe('OrderStatusService.canTransition', () => {
+    it.each([
+        ['scheduled', 'pending'],
+        ['pending', 'confirmed'],
+        ['confirmed', 'preparing'],
+        ['preparing', 'ready'],
+        ['ready', 'out_for_delivery'],
+        ['out_for_delivery', 'delivered'],
+        ['delivered', 'refunded'],
+        ['pending', 'cancelled'],
+        ['cancelled', 'refunded']
+    ])('allows %s -> %s', (from, to) => {
+        expect(OrderStatusService.canTransition(from, to)).toBe(true);
+    });
+
+    it.each([
+        ['pending', 'delivered'],
+        ['ready', 'preparing'],
+        ['delivered', 'cancelled'],
+        ['refunded', 'pending'],
+        ['unknown', 'pending']
+    ])('refuses %s -> %s', (from, to) => {
+        expect(OrderStatusService.canTransition(from, to)).toBe(false);
+    });
+
+    it('treats refunded as final', () => {
+        expect(OrderStatusService.getNextStatuses('refunded')).toEqual([]);
+    });
+});
+
+describe('OrderStatusService.changeStatus', () => {
+    it('refuses unknown statuses before opening a transaction', async () => {
+        await expect(OrderStatusService.changeStatus(7, 'lost')).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a missing order', async () => {
+        order = null;
+
+        await expect(OrderStatusService.changeStatus(7, 'confirmed')).rejects.toMatchObject({ statusCode: 404 });
+        expect(updates()).toHaveLength(0);
+    });
+
+    it('refuses moves TRANSITIONS does not allow and writes nothing', async () => {
+        await expect(OrderStatusService.changeStatus(7, 'delivered')).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'Cannot change order from pending to delivered. Allowed: confirmed, cancelled'
+        });
+        expect(updates()).toHaveLength(0);
+        expect(RealtimeService.publishOrderStatus).not.toHaveBeenCalled();
+    });
+
+    it('records the change in the history and syncs the driver assignment', async () => {
+        const change = await OrderStatusService.changeStatus('7', 'confirmed', { changedBy: 3, role: 'restaurant' });
+
+        expect(change).toEqual({ order_id: 7, from_status: 'pending', to_status: 'confirmed' });
+        expect(updates()[0].params).toEqual(['confirmed', 25, '7']);
+
+        const history = statements().find(({ sql }) => sql.startsWith('INSERT INTO order_status_history'));
+        expect(history.params).toEqual(['7', 'pending', 'confirmed', 3, 'restaurant', null]);
+
+        expect(Driver.syncAssignmentWithOrderStatus).toHaveBeenCalledWith('7', 'confirmed', connection);
+        expect(RealtimeService.publishOrderStatus).toHaveBeenCalledWith(change);
+    });
+
+    it('gives back the coupon use and stock of a cancelled order', async () => {
+        order.status = 'preparing';
+
+        await OrderStatusService.changeStatus(7, 'cancelled', { reason: 'Out of gas' });
+
+        expect(updates()[0].params).toEqual(['cancelled', 'Out of gas', 7]);
+        expect(Promotion.reverseRedemption).toHaveBeenCalledWith(7, connection);
+        expect(InventoryService.restoreForOrder).toHaveBeenCalledWith(connection, 7);
+    });
+
+    it('hands ready orders to dispatch', async () => {
+        order.status = 'preparing';
+
+        await OrderStatusService.changeStatus(7, 'ready');
+
+        expect(DispatchService.dispatchInBackground).toHaveBeenCalledWith(7);
+        expect(Promotion.reverseRedemption).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,1509 @@
+/**
+ * Partner Controller
+ * Handles the restaurant owner portal (own restaurants, menu, categories and orders)
+ *
+ * Routes with :id are scoped by ownedRestaurantParam, so handlers can trust
+ * req.restaurant belongs to the logged-in owner.
+ */
+
+const db = require('../config/database');
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const MenuOption = require('../models/MenuOption');
+const Combo = require('../models/Combo');
+const Ingredient = require('../models/Ingredient');
+const OrderItem = require('../models/OrderItem');
+const OrderStatusService = require('../services/orderStatusService');
+const KitchenService = require('../services/kitchenService');
+const OpeningHoursService = require('../services/openingHoursService');
+const InventoryService = require('../services/inventoryService');
+const DeliveryZoneService = require('../services/deliveryZoneService');
+
+// Statuses a partner may move an order to, and the statuses it may come from
+const PARTNER_TRANSITIONS = {
+    confirmed: ['pending'],
+    preparing: ['confirmed'],
+    ready: ['preparing'],
+    cancelled: ['scheduled', 'pending', 'confirmed']
+};
+
+const RESTAURANT_FIELDS = [
+    'name', 'description', 'description_sw', 'phone', 'email', 'address', 'location',
+    'latitude', 'longitude', 'delivery_fee', 'min_order_amount', 'estimated_delivery_time'
+];
+
+const CATEGORY_FIELDS = ['name', 'name_sw', 'description', 'description_sw', 'icon', 'is_active', 'sort_order'];
+
+const MENU_ITEM_FIELDS = [
+    'name', 'name_sw', 'description', 'description_sw', 'price', 'discounted_price', 'category_id', 'image_url',
+    'ingredients', 'nutritional_info', 'is_vegetarian', 'is_vegan', 'is_gluten_free', 'is_spicy',
+    'is_featured', 'is_available', 'preparation_time', 'calories', 'sort_order',
+    'min_quantity_per_order', 'max_quantity_per_order'
+];
+
+const OPTION_GROUP_FIELDS = ['name', 'min_select', 'max_select', 'sort_order'];
+
+const OPTION_FIELDS = ['name', 'price_delta', 'is_default', 'is_available', 'sort_order'];
+
+const COMBO_FIELDS = ['name', 'description', 'image_url', 'price', 'is_available', 'sort_order'];
+
+const INGREDIENT_FIELDS = ['name', 'unit', 'low_stock_threshold'];
+
+const pick = (body, fields) => {
+    const data = {};
+
+    for (const field of fields) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+
+    return data;
+};
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const sendError = (res, error, label, message) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    console.error(`${label} Error:`, error);
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+};
+
+class PartnerController {
+    // ==================== RESTAURANTS ====================
+
+    /**
+     * Get restaurants owned by the partner
+     */
+    static async getRestaurants(req, res) {
+        try {
+            const restaurants = await db.query(
+                `SELECT
+                    r.*,
+                    (SELECT COUNT(*) FROM orders o
+                     WHERE o.restaurant_id = r.id AND o.status IN ('pending', 'confirmed', 'preparing', 'ready')) as active_orders,
+                    (SELECT COUNT(*) FROM orders o
+                     WHERE o.restaurant_id = r.id AND DATE(o.created_at) = CURDATE()) as orders_today
+                FROM restaurants r
+                WHERE r.owner_id = ?
+                ORDER BY r.name`,
+                [req.user.id]
+            );
+
+            res.status(200).json({
+                success: true,
+                data: restaurants
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Restaurants', 'Failed to get restaurants');
+        }
+    }
+
+    /**
+     * Get one owned restaurant with statistics
+     */
+    static async getRestaurant(req, res) {
+        try {
+            const statistics = await Restaurant.getStatistics(req.restaurant.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    ...req.restaurant,
+                    statistics
+                }
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Restaurant', 'Failed to get restaurant');
+        }
+    }
+
+    /**
+     * Update restaurant details
+     */
+    static async updateRestaurant(req, res) {
+        try {
+            const updateData = pick(req.body, RESTAURANT_FIELDS);
+
+            if (Object.keys(updateData).length === 0) {
+                throw badRequest(`Nothing to update. Allowed fields: ${RESTAURANT_FIELDS.join(', ')}`);
+            }
+
+            if (updateData.name !== undefined && !String(updateData.name).trim()) {
+                throw badRequest('Restaurant name cannot be empty');
+            }
+
+            for (const field of ['delivery_fee', 'min_order_amount']) {
+                if (updateData[field] !== undefined) {
+                    const amount = parseFloat(updateData[field]);
+                    if (isNaN(amount) || amount < 0) {
+                        throw badRequest(`${field} must be a number of 0 or more`);
+                    }
+                    updateData[field] = amount;
+                }
+            }
+
+            await Restaurant.update(req.restaurant.id, updateData);
+
+            res.status(200).json({
+                success: true,
+                message: 'Restaurant updated successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Restaurant', 'Failed to update restaurant');
+        }
+    }
+
+    /**
+     * Get weekly hours, holidays and open status
+     */
+    static async getHours(req, res) {
+        try {
+            const schedule = await OpeningHoursService.getSchedule(req.restaurant.id);
+
+            res.status(200).json({
+                success: true,
+                data: schedule
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Hours', 'Failed to get opening hours');
+        }
+    }
+
+    /**
+     * Replace weekly hours (several shifts per day allowed)
+     */
+    static async updateHours(req, res) {
+        try {
+            const { hours, timezone } = req.body;
+
+            const schedule = await OpeningHoursService.setWeeklyHours(req.restaurant.id, hours, timezone);
+
+            res.status(200).json({
+                success: true,
+                message: 'Opening hours updated',
+                data: schedule
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Hours', 'Failed to update opening hours');
+        }
+    }
+
+    /**
+     * Add a holiday closure
+     */
+    static async addHoliday(req, res) {
+        try {
+            const holidayId = await OpeningHoursService.addHoliday(req.restaurant.id, req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Holiday added',
+                data: { holiday_id: holidayId }
+            });
+        } catch (error) {
+            sendError(res, error, 'Add Partner Holiday', 'Failed to add holiday');
+        }
+    }
+
+    /**
+     * Remove a holiday closure
+     */
+    static async removeHoliday(req, res) {
+        try {
+            await OpeningHoursService.removeHoliday(req.restaurant.id, req.params.holidayId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Holiday removed'
+            });
+        } catch (error) {
+            sendError(res, error, 'Remove Partner Holiday', 'Failed to remove holiday');
+        }
+    }
+
+    // ==================== DELIVERY ZONES ====================
+
+    /**
+     * Get delivery zones in the order they are checked
+     */
+    static async getDeliveryZones(req, res) {
+        try {
+            const zones = await DeliveryZoneService.getZones(req.restaurant.id);
+
+            res.status(200).json({
+                success: true,
+                data: zones
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Delivery Zones', 'Failed to get delivery zones');
+        }
+    }
+
+    /**
+     * Add a radius band or polygon delivery zone
+     */
+    static async createDeliveryZone(req, res) {
+        try {
+            const zoneId = await DeliveryZoneService.createZone(req.restaurant, req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Delivery zone created',
+                data: { zone_id: zoneId }
+            });
+        } catch (error) {
+            sendError(res, error, 'Create Partner Delivery Zone', 'Failed to create delivery zone');
+        }
+    }
+
+    /**
+     * Update a delivery zone
+     */
+    static async updateDeliveryZone(req, res) {
+        try {
+            const zone = await DeliveryZoneService.updateZone(req.restaurant, req.params.zoneId, req.body);
+
+            res.status(200).json({
+                success: true,
+                message: 'Delivery zone updated',
+                data: zone
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Delivery Zone', 'Failed to update delivery zone');
+        }
+    }
+
+    /**
+     * Delete a delivery zone (the restaurant delivers anywhere again once none are left)
+     */
+    static async deleteDeliveryZone(req, res) {
+        try {
+            await DeliveryZoneService.deleteZone(req.restaurant.id, req.params.zoneId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Delivery zone deleted'
+            });
+        } catch (error) {
+            sendError(res, error, 'Delete Partner Delivery Zone', 'Failed to delete delivery zone');
+        }
+    }
+
+    // ==================== CATEGORIES ====================
+
+    /**
+     * Get restaurant categories
+     */
+    static async getCategories(req, res) {
+        try {
+            const categories = await db.query(
+                `SELECT c.*, COUNT(mi.id) as item_count
+                FROM categories c
+                LEFT JOIN menu_items mi ON mi.category_id = c.id
+                WHERE c.restaurant_id = ?
+                GROUP BY c.id
+                ORDER BY c.sort_order, c.name`,
+                [req.restaurant.id]
+            );
+
+            res.status(200).json({
+                success: true,
+                data: categories
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Categories', 'Failed to get categories');
+        }
+    }
+
+    /**
+     * Create category
+     */
+    static async createCategory(req, res) {
+        try {
+            const data = pick(req.body, CATEGORY_FIELDS);
+
+            if (!data.name || !String(data.name).trim()) {
+                throw badRequest('Category name is required');
+            }
+
+            data.name = String(data.name).trim();
+            data.restaurant_id = req.restaurant.id;
+
+            // SET ? and IN (?) expand only in the text protocol, so these go through the pool
+            const [result] = await db.pool.query('INSERT INTO categories SET ?', [data]);
+
+            res.status(201).json({
+                success: true,
+                message: 'Category created successfully',
+                data: { category_id: result.insertId }
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                error = badRequest('A category with this name already exists', 409);
+            }
+            sendError(res, error, 'Create Partner Category', 'Failed to create category');
+        }
+    }
+
+    /**
+     * Update category
+     */
+    static async updateCategory(req, res) {
+        try {
+            const data = pick(req.body, CATEGORY_FIELDS);
+
+            if (Object.keys(data).length === 0) {
+                throw badRequest(`Nothing to update. Allowed fields: ${CATEGORY_FIELDS.join(', ')}`);
+            }
+
+            const [result] = await db.pool.query(
+                'UPDATE categories SET ? WHERE id = ? AND restaurant_id = ?',
+                [data, req.params.categoryId, req.restaurant.id]
+            );
+
+            if (result.affectedRows === 0) {
+                throw badRequest('Category not found', 404);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Category updated successfully'
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                error = badRequest('A category with this name already exists', 409);
+            }
+            sendError(res, error, 'Update Partner Category', 'Failed to update category');
+        }
+    }
+
+    /**
+     * Delete category (must be empty)
+     */
+    static async deleteCategory(req, res) {
+        try {
+            const items = await db.query(
+                'SELECT COUNT(*) as count FROM menu_items WHERE category_id = ? AND restaurant_id = ?',
+                [req.params.categoryId, req.restaurant.id]
+            );
+
+            if (items[0].count > 0) {
+                throw badRequest('Cannot delete a category that has menu items. Move the items first.', 409);
+            }
+
+            const result = await db.query(
+                'DELETE FROM categories WHERE id = ? AND restaurant_id = ?',
+                [req.params.categoryId, req.restaurant.id]
+            );
+
+            if (result.affectedRows === 0) {
+                throw badRequest('Category not found', 404);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Category deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Delete Partner Category', 'Failed to delete category');
+        }
+    }
+
+    // ==================== MENU ITEMS ====================
+
+    /**
+     * Get restaurant menu items (including unavailable ones)
+     */
+    static async getMenuItems(req, res) {
+        try {
+            let sql = `SELECT mi.*, c.name as category_name
+                FROM menu_items mi
+                LEFT JOIN categories c ON mi.category_id = c.id
+                WHERE mi.restaurant_id = ?`;
+            const params = [req.restaurant.id];
+
+            if (req.query.category_id) {
+                sql += ' AND mi.category_id = ?';
+                params.push(req.query.category_id);
+            }
+
+            if (req.query.is_available !== undefined) {
+                sql += ' AND mi.is_available = ?';
+                params.push(req.query.is_available === 'true');
+            }
+
+            sql += ' ORDER BY mi.sort_order, mi.name';
+
+            const items = await db.query(sql, params);
+            await MenuItem.attachAllergens(items);
+
+            res.status(200).json({
+                success: true,
+                data: items
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Menu Items', 'Failed to get menu items');
+        }
+    }
+
+    /**
+     * Check menu item input against the restaurant
+     * @param {Object} restaurant - Owned restaurant
+     * @param {Object} data - Menu item fields
+     * @param {Object} existing - Current menu item when updating
+     */
+    static async validateMenuItem(restaurant, data, existing = null) {
+        if (data.name !== undefined && !String(data.name).trim()) {
+            throw badRequest('Menu item name cannot be empty');
+        }
+
+        if (data.price !== undefined) {
+            data.price = parseFloat(data.price);
+            if (isNaN(data.price) || data.price <= 0) {
+                throw badRequest('Price must be greater than 0');
+            }
+        }
+
+        if (data.discounted_price !== undefined && data.discounted_price !== null) {
+            const price = data.price !== undefined ? data.price : parseFloat(existing.price);
+            data.discounted_price = parseFloat(data.discounted_price);
+
+            if (isNaN(data.discounted_price) || data.discounted_price <= 0 || data.discounted_price >= price) {
+                throw badRequest('Discounted price must be greater than 0 and below the price');
+            }
+        }
+
+        if (data.category_id) {
+            const categories = await db.query(
+                'SELECT id FROM categories WHERE id = ? AND (restaurant_id = ? OR restaurant_id IS NULL)',
+                [data.category_id, restaurant.id]
+            );
+
+            if (categories.length === 0) {
+                throw badRequest('Category not found for this restaurant');
+            }
+        }
+
+        MenuItem.parseQuantityLimits(data, existing);
+
+        if (Array.isArray(data.ingredients)) {
+            data.ingredients = JSON.stringify(data.ingredients);
+        }
+
+        if (data.nutritional_info && typeof data.nutritional_info === 'object') {
+            data.nutritional_info = JSON.stringify(data.nutritional_info);
+        }
+    }
+
+    /**
+     * Read the allergen list from the request body
+     * @param {Object} body - Request body
+     * @returns {Array<string>|undefined} - Allergens, or undefined when not sent
+     */
+    static parseAllergens(body) {
+        if (body.allergens === undefined) {
+            return undefined;
+        }
+
+        return MenuItem.parseDietaryFilters({ allergens: body.allergens }).allergens || [];
+    }
+
+    /**
+     * Create menu item
+     */
+    static async createMenuItem(req, res) {
+        try {
+            const data = pick(req.body, MENU_ITEM_FIELDS);
+            const allergens = PartnerController.parseAllergens(req.body);
+
+            if (!data.name || data.price === undefined) {
+                throw badRequest('Name and price are required');
+            }
+
+            await PartnerController.validateMenuItem(req.restaurant, data);
+
+            data.name = String(data.name).trim();
+            data.restaurant_id = req.restaurant.id;
+
+            const [result] = await db.pool.query('INSERT INTO menu_items SET ?', [data]);
+
+            if (allergens && allergens.length > 0) {
+                await MenuItem.setAllergens(result.insertId, allergens);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Menu item created successfully',
+                data: { menu_item_id: result.insertId }
+            });
+        } catch (error) {
+            sendError(res, error, 'Create Partner Menu Item', 'Failed to create menu item');
+        }
+    }
+
+    /**
+     * Update menu item
+     */
+    static async updateMenuItem(req, res) {
+        try {
+            const items = await db.query(
+                'SELECT * FROM menu_items WHERE id = ? AND restaurant_id = ?',
+                [req.params.itemId, req.restaurant.id]
+            );
+
+            if (items.length === 0) {
+                throw badRequest('Menu item not found', 404);
+            }
+
+            const data = pick(req.body, MENU_ITEM_FIELDS);
+            const allergens = PartnerController.parseAllergens(req.body);
+
+            if (Object.keys(data).length === 0 && !allergens) {
+                throw badRequest(`Nothing to update. Allowed fields: ${MENU_ITEM_FIELDS.join(', ')}, allergens`);
+            }
+
+            await PartnerController.validateMenuItem(req.restaurant, data, items[0]);
+
+            if (Object.keys(data).length > 0) {
+                await db.pool.query(
+                    'UPDATE menu_items SET ? WHERE id = ?',
+                    [data, items[0].id]
+                );
+            }
+
+            if (allergens) {
+                await MenuItem.setAllergens(items[0].id, allergens);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Menu item updated successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Menu Item', 'Failed to update menu item');
+        }
+    }
+
+    /**
+     * Mark menu item available or sold out
+     */
+    static async updateMenuItemAvailability(req, res) {
+        try {
+            const { is_available } = req.body;
+
+            if (typeof is_available !== 'boolean') {
+                throw badRequest('is_available must be a boolean value');
+            }
+
+            const result = await db.query(
+                'UPDATE menu_items SET is_available = ?, sold_out_by_stock = FALSE WHERE id = ? AND restaurant_id = ?',
+                [is_available, req.params.itemId, req.restaurant.id]
+            );
+
+            if (result.affectedRows === 0) {
+                throw badRequest('Menu item not found', 404);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: is_available ? 'Menu item is available' : 'Menu item marked as unavailable'
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Menu Item Availability', 'Failed to update availability');
+        }
+    }
+
+    /**
+     * Delete menu item (items that were ordered or are in combos are only hidden)
+     */
+    static async deleteMenuItem(req, res) {
+        try {
+            const items = await db.query(
+                'SELECT id FROM menu_items WHERE id = ? AND restaurant_id = ?',
+                [req.params.itemId, req.restaurant.id]
+            );
+
+            if (items.length === 0) {
+                throw badRequest('Menu item not found', 404);
+            }
+
+            await MenuItem.delete(items[0].id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Menu item deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Delete Partner Menu Item', 'Failed to delete menu item');
+        }
+    }
+
+    // ==================== OPTION GROUPS ====================
+
+    /**
+     * Find an option group on one of the restaurant's items
+     * @param {Object} restaurant - Owned restaurant
+     * @param {number} groupId - Group ID
+     * @returns {Promise<Object>} - Option group
+     */
+    static async findOwnedGroup(restaurant, groupId) {
+        const group = await MenuOption.getGroupById(groupId);
+
+        if (!group || group.restaurant_id !== restaurant.id) {
+            throw badRequest('Option group not found', 404);
+        }
+
+        return group;
+    }
+
+    /**
+     * Check option group input (min_select/max_select rules)
+     * @param {Object} data - Group fields
+     * @param {Object} existing - Current group when updating
+     */
+    static validateOptionGroup(data, existing = {}) {
+        if (data.name !== undefined && !String(data.name).trim()) {
+            throw badRequest('Option group name cannot be empty');
+        }
+
+        const min = parseInt(data.min_select !== undefined ? data.min_select : existing.min_select || 0);
+        const max = parseInt(data.max_select !== undefined ? data.max_select : existing.max_select || 1);
+
+        if (isNaN(min) || isNaN(max) || min < 0 || max < 1 || max < min) {
+            throw badRequest('min_select must be 0 or more and max_select at least 1 and not below min_select');
+        }
+    }
+
+    /**
+     * Check option input
+     * @param {Object} data - Option fields
+     */
+    static validateOption(data) {
+        if (data.name !== undefined && !String(data.name).trim()) {
+            throw badRequest('Option name cannot be empty');
+        }
+
+        if (data.price_delta !== undefined) {
+            data.price_delta = parseFloat(data.price_delta);
+            if (isNaN(data.price_delta)) {
+                throw badRequest('price_delta must be a number');
+            }
+        }
+    }
+
+    /**
+     * Get a menu item's option groups (including unavailable options)
+     */
+    static async getOptionGroups(req, res) {
+        try {
+            const items = await db.query(
+                'SELECT id FROM menu_items WHERE id = ? AND restaurant_id = ?',
+                [req.params.itemId, req.restaurant.id]
+            );
+
+            if (items.length === 0) {
+                throw badRequest('Menu item not found', 404);
+            }
+
+            const groups = await MenuOption.getGroupsForItem(items[0].id, { include_unavailable: true });
+
+            res.status(200).json({
+                success: true,
+                data: groups
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Option Groups', 'Failed to get option groups');
+        }
+    }
+
+    /**
+     * Create option group (optionally with its options)
+     */
+    static async createOptionGroup(req, res) {
+        try {
+            const items = await db.query(
+                'SELECT id FROM menu_items WHERE id = ? AND restaurant_id = ?',
+                [req.params.itemId, req.restaurant.id]
+            );
+
+            if (items.length === 0) {
+                throw badRequest('Menu item not found', 404);
+            }
+
+            const data = pick(req.body, OPTION_GROUP_FIELDS);
+            const options = Array.isArray(req.body.options) ? req.body.options.map(option => pick(option, OPTION_FIELDS)) : [];
+
+            if (!data.name) {
+                throw badRequest('Option group name is required');
+            }
+
+            PartnerController.validateOptionGroup(data);
+
+            for (const option of options) {
+                if (!option.name) {
+                    throw badRequest('Every option needs a name');
+                }
+                PartnerController.validateOption(option);
+            }
+
+            const groupId = await MenuOption.createGroup(items[0].id, data);
+
+            for (const option of options) {
+                await MenuOption.createOption(groupId, option);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Option group created successfully',
+                data: { group_id: groupId }
+            });
+        } catch (error) {
+            sendError(res, error, 'Create Partner Option Group', 'Failed to create option group');
+        }
+    }
+
+    /**
+     * Update option group
+     */
+    static async updateOptionGroup(req, res) {
+        try {
+            const group = await PartnerController.findOwnedGroup(req.restaurant, req.params.groupId);
+            const data = pick(req.body, OPTION_GROUP_FIELDS);
+
+            if (Object.keys(data).length === 0) {
+                throw badRequest(`Nothing to update. Allowed fields: ${OPTION_GROUP_FIELDS.join(', ')}`);
+            }
+
+            PartnerController.validateOptionGroup(data, group);
+
+            await MenuOption.updateGroup(group.id, data);
+
+            res.status(200).json({
+                success: true,
+                message: 'Option group updated successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Option Group', 'Failed to update option group');
+        }
+    }
+
+    /**
+     * Delete option group and its options
+     */
+    static async deleteOptionGroup(req, res) {
+        try {
+            const group = await PartnerController.findOwnedGroup(req.restaurant, req.params.groupId);
+
+            await MenuOption.deleteGroup(group.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Option group deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Delete Partner Option Group', 'Failed to delete option group');
+        }
+    }
+
+    /**
+     * Add option to a group
+     */
+    static async createOption(req, res) {
+        try {
+            const group = await PartnerController.findOwnedGroup(req.restaurant, req.params.groupId);
+            const data = pick(req.body, OPTION_FIELDS);
+
+            if (!data.name) {
+                throw badRequest('Option name is required');
+            }
+
+            PartnerController.validateOption(data);
+
+            const optionId = await MenuOption.createOption(group.id, data);
+
+            res.status(201).json({
+                success: true,
+                message: 'Option created successfully',
+                data: { option_id: optionId }
+            });
+        } catch (error) {
+            sendError(res, error, 'Create Partner Option', 'Failed to create option');
+        }
+    }
+
+    /**
+     * Update option (price, availability, default)
+     */
+    static async updateOption(req, res) {
+        try {
+            const option = await MenuOption.getOptionById(req.params.optionId);
+
+            if (!option || option.restaurant_id !== req.restaurant.id) {
+                throw badRequest('Option not found', 404);
+            }
+
+            const data = pick(req.body, OPTION_FIELDS);
+
+            if (Object.keys(data).length === 0) {
+                throw badRequest(`Nothing to update. Allowed fields: ${OPTION_FIELDS.join(', ')}`);
+            }
+
+            PartnerController.validateOption(data);
+
+            await MenuOption.updateOption(option.id, data);
+
+            res.status(200).json({
+                success: true,
+                message: 'Option updated successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Option', 'Failed to update option');
+        }
+    }
+
+    /**
+     * Delete option (past orders keep their snapshot)
+     */
+    static async deleteOption(req, res) {
+        try {
+            const option = await MenuOption.getOptionById(req.params.optionId);
+
+            if (!option || option.restaurant_id !== req.restaurant.id) {
+                throw badRequest('Option not found', 404);
+            }
+
+            await MenuOption.deleteOption(option.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Option deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Delete Partner Option', 'Failed to delete option');
+        }
+    }
+
+    // ==================== COMBOS ====================
+
+    /**
+     * Find a combo of the restaurant
+     * @param {Object} restaurant - Owned restaurant
+     * @param {number} comboId - Combo ID
+     * @returns {Promise<Object>} - Combo with items
+     */
+    static async findOwnedCombo(restaurant, comboId) {
+        const combo = await Combo.getById(comboId);
+
+        if (!combo || combo.restaurant_id !== restaurant.id) {
+            throw badRequest('Combo not found', 404);
+        }
+
+        return combo;
+    }
+
+    /**
+     * Check combo input
+     * @param {Object} data - Combo fields
+     */
+    static validateCombo(data) {
+        if (data.name !== undefined && !String(data.name).trim()) {
+            throw badRequest('Combo name cannot be empty');
+        }
+
+        if (data.price !== undefined) {
+            data.price = parseFloat(data.price);
+            if (isNaN(data.price) || data.price <= 0) {
+                throw badRequest('Price must be greater than 0');
+            }
+        }
+    }
+
+    /**
+     * Check combo components; every item and substitute must be on the restaurant's menu
+     * @param {Object} restaurant - Owned restaurant
+     * @param {Array<Object>} items - [{ menu_item_id, quantity, substitutes: [{ menu_item_id, price_delta }] }]
+     * @returns {Promise<Array>} - Cleaned components
+     */
+    static async validateComboItems(restaurant, items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw badRequest('A combo needs at least one item ({ menu_item_id, quantity, substitutes })');
+        }
+
+        const cleaned = items.map((item) => {
+            const menuItemId = parseInt(item.menu_item_id);
+            const quantity = parseInt(item.quantity || 1);
+
+            if (!menuItemId || !quantity || quantity < 1) {
+                throw badRequest('Every combo item needs a menu_item_id and a quantity of at least 1');
+            }
+
+            if (item.substitutes !== undefined && !Array.isArray(item.substitutes)) {
+                throw badRequest('substitutes must be an array of { menu_item_id, price_delta }');
+            }
+
+            const substitutes = (item.substitutes || []).map((substitute) => {
+                const substituteId = parseInt(substitute.menu_item_id);
+                const priceDelta = parseFloat(substitute.price_delta || 0);
+
+                if (!substituteId || substituteId === menuItemId || isNaN(priceDelta)) {
+                    throw badRequest('Every substitute needs another menu_item_id and a numeric price_delta');
+                }
+
+                return { menu_item_id: substituteId, price_delta: priceDelta };
+            });
+
+            if (new Set(substitutes.map(substitute => substitute.menu_item_id)).size !== substitutes.length) {
+                throw badRequest('A substitute is listed twice for the same combo item');
+            }
+
+            return { menu_item_id: menuItemId, quantity, substitutes };
+        });
+
+        const ids = [...new Set(cleaned.flatMap(item => [
+            item.menu_item_id,
+            ...item.substitutes.map(substitute => substitute.menu_item_id)
+        ]))];
+
+        const [found] = await db.pool.query(
+            'SELECT id FROM menu_items WHERE id IN (?) AND restaurant_id = ?',
+            [ids, restaurant.id]
+        );
+
+        if (found.length !== ids.length) {
+            const missing = ids.filter(id => !found.some(row => row.id === id));
+            throw badRequest(`Menu items not found for this restaurant: ${missing.join(', ')}`);
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * Get restaurant combos (including unavailable ones)
+     */
+    static async getCombos(req, res) {
+        try {
+            const combos = await Combo.getByRestaurant(req.restaurant.id, { include_unavailable: true });
+
+            res.status(200).json({
+                success: true,
+                data: combos
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Combos', 'Failed to get combos');
+        }
+    }
+
+    /**
+     * Create combo with its items
+     */
+    static async createCombo(req, res) {
+        try {
+            const data = pick(req.body, COMBO_FIELDS);
+
+            if (!data.name || data.price === undefined) {
+                throw badRequest('Name and price are required');
+            }
+
+            PartnerController.validateCombo(data);
+            const items = await PartnerController.validateComboItems(req.restaurant, req.body.items);
+
+            data.name = String(data.name).trim();
+
+            const comboId = await Combo.create(req.restaurant.id, data, items);
+
+            res.status(201).json({
+                success: true,
+                message: 'Combo created successfully',
+                data: { combo_id: comboId }
+            });
+        } catch (error) {
+            sendError(res, error, 'Create Partner Combo', 'Failed to create combo');
+        }
+    }
+
+    /**
+     * Update combo (items, when sent, replace the current ones)
+     */
+    static async updateCombo(req, res) {
+        try {
+            const combo = await PartnerController.findOwnedCombo(req.restaurant, req.params.comboId);
+            const data = pick(req.body, COMBO_FIELDS);
+            const items = req.body.items !== undefined
+                ? await PartnerController.validateComboItems(req.restaurant, req.body.items)
+                : null;
+
+            if (Object.keys(data).length === 0 && !items) {
+                throw badRequest(`Nothing to update. Allowed fields: ${COMBO_FIELDS.join(', ')}, items`);
+            }
+
+            PartnerController.validateCombo(data);
+
+            await Combo.update(combo.id, data, items);
+
+            res.status(200).json({
+                success: true,
+                message: 'Combo updated successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Combo', 'Failed to update combo');
+        }
+    }
+
+    /**
+     * Delete combo (past orders keep their snapshot)
+     */
+    static async deleteCombo(req, res) {
+        try {
+            const combo = await PartnerController.findOwnedCombo(req.restaurant, req.params.comboId);
+
+            await Combo.delete(combo.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Combo deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Delete Partner Combo', 'Failed to delete combo');
+        }
+    }
+
+    // ==================== INVENTORY ====================
+
+    /**
+     * Get today's item counts, recipes and ingredient stock
+     */
+    static async getInventory(req, res) {
+        try {
+            const inventory = await InventoryService.getInventory(req.restaurant.id);
+
+            res.status(200).json({
+                success: true,
+                data: inventory
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Inventory', 'Failed to get inventory');
+        }
+    }
+
+    /**
+     * Set a menu item's daily count, today's remaining count or alert threshold
+     */
+    static async updateItemStock(req, res) {
+        try {
+            const stock = await InventoryService.setItemStock(
+                req.restaurant.id,
+                req.params.itemId,
+                pick(req.body, ['daily_stock', 'stock_remaining', 'low_stock_threshold']),
+                req.user.id
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Stock updated successfully',
+                data: stock
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Item Stock', 'Failed to update stock');
+        }
+    }
+
+    /**
+     * Replace a menu item's recipe ({ ingredients: [{ ingredient_id, quantity }] })
+     */
+    static async updateRecipe(req, res) {
+        try {
+            const items = await db.query(
+                'SELECT id FROM menu_items WHERE id = ? AND restaurant_id = ?',
+                [req.params.itemId, req.restaurant.id]
+            );
+
+            if (items.length === 0) {
+                throw badRequest('Menu item not found', 404);
+            }
+
+            if (!Array.isArray(req.body.ingredients)) {
+                throw badRequest('ingredients must be an array of { ingredient_id, quantity }');
+            }
+
+            const lines = req.body.ingredients.map((line) => {
+                const ingredientId = parseInt(line.ingredient_id);
+                const quantity = parseFloat(line.quantity);
+
+                if (!ingredientId || isNaN(quantity) || quantity <= 0) {
+                    throw badRequest('Every recipe line needs an ingredient_id and a quantity greater than 0');
+                }
+
+                return { ingredient_id: ingredientId, quantity };
+            });
+
+            const ids = [...new Set(lines.map(line => line.ingredient_id))];
+
+            if (ids.length !== lines.length) {
+                throw badRequest('An ingredient is listed twice in the recipe');
+            }
+
+            if (ids.length > 0) {
+                const [found] = await db.pool.query(
+                    'SELECT id FROM ingredients WHERE id IN (?) AND restaurant_id = ?',
+                    [ids, req.restaurant.id]
+                );
+
+                if (found.length !== ids.length) {
+                    throw badRequest('Ingredient not found for this restaurant');
+                }
+            }
+
+            await Ingredient.setRecipe(items[0].id, lines);
+            await InventoryService.refreshItems(req.restaurant.id, [items[0].id]);
+
+            res.status(200).json({
+                success: true,
+                message: 'Recipe updated successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Recipe', 'Failed to update recipe');
+        }
+    }
+
+    /**
+     * Find an ingredient of the restaurant
+     * @param {Object} restaurant - Owned restaurant
+     * @param {number} ingredientId - Ingredient ID
+     * @returns {Promise<Object>} - Ingredient
+     */
+    static async findOwnedIngredient(restaurant, ingredientId) {
+        const ingredient = await Ingredient.getById(ingredientId);
+
+        if (!ingredient || ingredient.restaurant_id !== restaurant.id) {
+            throw badRequest('Ingredient not found', 404);
+        }
+
+        return ingredient;
+    }
+
+    /**
+     * Check ingredient input
+     * @param {Object} data - Ingredient fields
+     */
+    static validateIngredient(data) {
+        if (data.name !== undefined && !String(data.name).trim()) {
+            throw badRequest('Ingredient name cannot be empty');
+        }
+
+        if (data.unit !== undefined && !String(data.unit).trim()) {
+            throw badRequest('Unit cannot be empty');
+        }
+
+        if (data.low_stock_threshold !== undefined) {
+            data.low_stock_threshold = parseFloat(data.low_stock_threshold);
+            if (isNaN(data.low_stock_threshold) || data.low_stock_threshold < 0) {
+                throw badRequest('low_stock_threshold must be a number of 0 or more');
+            }
+        }
+    }
+
+    /**
+     * Create ingredient (optionally with its opening stock_quantity)
+     */
+    static async createIngredient(req, res) {
+        try {
+            const data = pick(req.body, INGREDIENT_FIELDS);
+
+            if (!data.name) {
+                throw badRequest('Ingredient name is required');
+            }
+
+            PartnerController.validateIngredient(data);
+
+            const openingStock = parseFloat(req.body.stock_quantity || 0);
+
+            if (isNaN(openingStock) || openingStock < 0) {
+                throw badRequest('stock_quantity must be a number of 0 or more');
+            }
+
+            data.name = String(data.name).trim();
+
+            const ingredientId = await Ingredient.create(req.restaurant.id, data);
+
+            // Logged as a restock so the ledger starts from the opening count
+            if (openingStock > 0) {
+                await InventoryService.changeIngredientStock(
+                    req.restaurant.id, ingredientId, { quantity: openingStock }, req.user.id);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Ingredient created successfully',
+                data: { ingredient_id: ingredientId }
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                error = badRequest('An ingredient with this name already exists', 409);
+            }
+            sendError(res, error, 'Create Partner Ingredient', 'Failed to create ingredient');
+        }
+    }
+
+    /**
+     * Update ingredient details
+     */
+    static async updateIngredient(req, res) {
+        try {
+            const ingredient = await PartnerController.findOwnedIngredient(req.restaurant, req.params.ingredientId);
+            const data = pick(req.body, INGREDIENT_FIELDS);
+
+            if (Object.keys(data).length === 0) {
+                throw badRequest(`Nothing to update. Allowed fields: ${INGREDIENT_FIELDS.join(', ')}`);
+            }
+
+            PartnerController.validateIngredient(data);
+
+            await Ingredient.update(ingredient.id, data);
+
+            res.status(200).json({
+                success: true,
+                message: 'Ingredient updated successfully'
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                error = badRequest('An ingredient with this name already exists', 409);
+            }
+            sendError(res, error, 'Update Partner Ingredient', 'Failed to update ingredient');
+        }
+    }
+
+    /**
+     * Restock an ingredient ({ quantity } is added) or correct its count ({ stock_quantity })
+     */
+    static async updateIngredientStock(req, res) {
+        try {
+            const ingredient = await PartnerController.findOwnedIngredient(req.restaurant, req.params.ingredientId);
+
+            const stock = await InventoryService.changeIngredientStock(
+                req.restaurant.id,
+                ingredient.id,
+                pick(req.body, ['quantity', 'stock_quantity']),
+                req.user.id
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Ingredient stock updated successfully',
+                data: stock
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Ingredient Stock', 'Failed to update ingredient stock');
+        }
+    }
+
+    /**
+     * Delete ingredient (it is removed from recipes)
+     */
+    static async deleteIngredient(req, res) {
+        try {
+            const ingredient = await PartnerController.findOwnedIngredient(req.restaurant, req.params.ingredientId);
+
+            const menuItemIds = await Ingredient.delete(ingredient.id);
+            await InventoryService.refreshItems(req.restaurant.id, menuItemIds);
+
+            res.status(200).json({
+                success: true,
+                message: 'Ingredient deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Delete Partner Ingredient', 'Failed to delete ingredient');
+        }
+    }
+
+    // ==================== KITCHEN ====================
+
+    /**
+     * Get the kitchen display queue (active orders with items, expected ready times and late flags)
+     */
+    static async getKitchenQueue(req, res) {
+        try {
+            const queue = await KitchenService.getQueue(req.restaurant.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    ...queue,
+                    avg_prep_minutes: req.restaurant.avg_prep_minutes,
+                    generated_at: new Date()
+                }
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Kitchen Queue', 'Failed to get kitchen queue');
+        }
+    }
+
+    // ==================== ORDERS ====================
+
+    /**
+     * Get orders for the partner's restaurants
+     */
+    static async getOrders(req, res) {
+        try {
+            const { status, restaurant_id, page = 1, limit = 20 } = req.query;
+            const offset = (parseInt(page) - 1) * parseInt(limit);
+
+            let where = 'WHERE r.owner_id = ?';
+            const params = [req.user.id];
+
+            if (restaurant_id) {
+                where += ' AND o.restaurant_id = ?';
+                params.push(restaurant_id);
+            }
+
+            if (status) {
+                const statuses = String(status).split(',');
+                where += ` AND o.status IN (${statuses.map(() => '?').join(', ')})`;
+                params.push(...statuses);
+            }
+
+            const orders = await db.query(
+                `SELECT
+                    o.id, o.order_number, o.restaurant_id, r.name as restaurant_name,
+                    o.status, o.payment_method, o.payment_status, o.total_amount,
+                    o.customer_name, o.customer_phone, o.delivery_address,
+                    o.delivery_instructions, o.notes, o.created_at,
+                    (SELECT SUM(quantity) FROM order_items WHERE order_id = o.id) as item_count
+                FROM orders o
+                INNER JOIN restaurants r ON o.restaurant_id = r.id
+                ${where}
+                ORDER BY o.created_at DESC
+                LIMIT ? OFFSET ?`,
+                [...params, parseInt(limit), offset]
+            );
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) as total
+                FROM orders o
+                INNER JOIN restaurants r ON o.restaurant_id = r.id
+                ${where}`,
+                params
+            );
+
+            const total = countResult[0].total;
+
+            res.status(200).json({
+                success: true,
+                data: orders,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Orders', 'Failed to get orders');
+        }
+    }
+
+    /**
+     * Get an order placed at one of the partner's restaurants
+     * @param {number} ownerId - Partner user ID
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Object>} - Order row
+     */
+    static async findOwnedOrder(ownerId, orderId) {
+        const orders = await db.query(
+            `SELECT o.*, r.name as restaurant_name
+            FROM orders o
+            INNER JOIN restaurants r ON o.restaurant_id = r.id
+            WHERE o.id = ? AND r.owner_id = ?`,
+            [orderId, ownerId]
+        );
+
+        if (orders.length === 0) {
+            throw badRequest('Order not found', 404);
+        }
+
+        return orders[0];
+    }
+
+    /**
+     * Get order details with items
+     */
+    static async getOrder(req, res) {
+        try {
+            const order = await PartnerController.findOwnedOrder(req.user.id, req.params.orderId);
+
+            const items = await OrderItem.getByOrderId(order.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    ...order,
+                    items,
+                    next_statuses: Object.keys(PARTNER_TRANSITIONS)
+                        .filter(status => PARTNER_TRANSITIONS[status].includes(order.status))
+                }
+            });
+        } catch (error) {
+            sendError(res, error, 'Get Partner Order', 'Failed to get order');
+        }
+    }
+
+    /**
+     * Move an order through confirmed -> preparing -> ready (or reject it)
+     */
+    static async updateOrderStatus(req, res) {
+        try {
+            const { status, reason } = req.body;
+
+            if (!PARTNER_TRANSITIONS[status]) {
+                throw badRequest(`Status must be one of: ${Object.keys(PARTNER_TRANSITIONS).join(', ')}`);
+            }
+
+            const order = await PartnerController.findOwnedOrder(req.user.id, req.params.orderId);
+
+            if (!PARTNER_TRANSITIONS[status].includes(order.status)) {
+                throw badRequest(`Cannot change order from ${order.status} to ${status}`);
+            }
+
+            if (status === 'cancelled' && !reason) {
+                throw badRequest('A reason is required to reject an order');
+            }
+
+            const change = await OrderStatusService.changeStatus(order.id, status, {
+                changedBy: req.user.id,
+                role: req.user.role,
+                reason,
+                // Re-check against the locked row in case the order moved meanwhile
+                beforeCommit: async (connection, locked) => {
+                    if (!PARTNER_TRANSITIONS[status].includes(locked.status)) {
+                        throw badRequest(`Cannot change order from ${locked.status} to ${status}`);
+                    }
+                }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: `Order status updated to ${status}`,
+                data: change
+            });
+        } catch (error) {
+            sendError(res, error, 'Update Partner Order Status', 'Failed to update order status');
+        }
+    }
+}
+
+module.exports = PartnerController;
@@ -0,0 +1,96 @@
+/**
+ * Partner Middleware
+ * Verifies restaurant owner accounts and restaurant ownership
+ */
+
+const db = require('../config/database');
+
+/**
+ * Require an active restaurant owner account
+ */
+exports.partnerMiddleware = async (req, res, next) => {
+    try {
+        // Check if user exists in request (from authMiddleware)
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (req.user.role !== 'restaurant') {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. Restaurant partner account required.'
+            });
+        }
+
+        // The token does not carry account status, so check it here
+        const user = await db.getOne(
+            'SELECT status FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (!user || user.status !== 'active') {
+            return res.status(403).json({
+                success: false,
+                error: 'Your partner account is not active'
+            });
+        }
+
+        req.user.status = user.status;
+
+        next();
+    } catch (error) {
+        console.error('Partner Middleware Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error in partner verification'
+        });
+    }
+};
+
+/**
+ * Load a restaurant the partner owns into req.restaurant
+ * Used with router.param so every :id route is scoped to owned restaurants
+ */
+exports.ownedRestaurantParam = async (req, res, next, id) => {
+    try {
+        const restaurant = await db.getOne(
+            'SELECT * FROM restaurants WHERE id = ? AND owner_id = ?',
+            [id, req.user.id]
+        );
+
+        // Someone else's restaurant looks the same as a missing one
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                error: 'Restaurant not found'
+            });
+        }
+
+        req.restaurant = restaurant;
+
+        next();
+    } catch (error) {
+        console.error('Partner Restaurant Check Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error in restaurant verification'
+        });
+    }
+};
+
+/**
+ * Require restaurant owner or admin (for the shared /api/restaurants routes)
+ */
+exports.restaurantManagerMiddleware = (req, res, next) => {
+    if (!req.user || !['restaurant', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Access denied. Restaurant partner or admin account required.'
+        });
+    }
+
+    next();
+};
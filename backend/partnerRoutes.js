@@ -0,0 +1,280 @@
+/**
+ * Partner Routes
+ * Restaurant owner portal - every :id route is limited to restaurants the owner owns
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const PartnerController = require('../controllers/partnerController');
+const RestaurantController = require('../controllers/restaurantController');
+
+// Import middleware
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { partnerMiddleware, ownedRestaurantParam } = require('../middleware/partnerMiddleware');
+
+// All partner routes require an active restaurant owner account
+router.use(authMiddleware);
+router.use(partnerMiddleware);
+
+// Loads req.restaurant, or 404s when the owner doesn't own it
+router.param('id', ownedRestaurantParam);
+
+// ============================================
+// RESTAURANTS
+// ============================================
+
+// @route   GET /api/partner/restaurants
+// @desc    Get restaurants owned by the partner
+// @access  Private/Restaurant
+router.get('/restaurants', PartnerController.getRestaurants);
+
+// @route   GET /api/partner/restaurants/:id
+// @desc    Get owned restaurant with statistics
+// @access  Private/Restaurant
+router.get('/restaurants/:id', PartnerController.getRestaurant);
+
+// @route   PUT /api/partner/restaurants/:id
+// @desc    Update restaurant details
+// @access  Private/Restaurant
+router.put('/restaurants/:id', PartnerController.updateRestaurant);
+
+// @route   GET /api/partner/restaurants/:id/hours
+// @desc    Get weekly hours, holidays and open status
+// @access  Private/Restaurant
+router.get('/restaurants/:id/hours', PartnerController.getHours);
+
+// @route   PUT /api/partner/restaurants/:id/hours
+// @desc    Replace weekly hours ({ timezone, hours: [{ day_of_week, open_time, close_time }] })
+// @access  Private/Restaurant
+router.put('/restaurants/:id/hours', PartnerController.updateHours);
+
+// @route   POST /api/partner/restaurants/:id/holidays
+// @desc    Close the restaurant on a date
+// @access  Private/Restaurant
+router.post('/restaurants/:id/holidays', PartnerController.addHoliday);
+
+// @route   DELETE /api/partner/restaurants/:id/holidays/:holidayId
+// @desc    Remove a holiday closure
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/holidays/:holidayId', PartnerController.removeHoliday);
+
+// @route   PUT /api/partner/restaurants/:id/open-status
+// @desc    Pause or resume taking orders (the schedule still applies)
+// @access  Private/Restaurant
+router.put('/restaurants/:id/open-status', RestaurantController.updateRestaurantOpenStatus);
+
+// @route   GET /api/partner/restaurants/:id/statistics
+// @desc    Get sales and order statistics
+// @access  Private/Restaurant
+router.get('/restaurants/:id/statistics', RestaurantController.getRestaurantStatistics);
+
+// ============================================
+// DELIVERY ZONES
+// ============================================
+
+// @route   GET /api/partner/restaurants/:id/delivery-zones
+// @desc    Get delivery zones (checked in sort_order, first match wins)
+// @access  Private/Restaurant
+router.get('/restaurants/:id/delivery-zones', PartnerController.getDeliveryZones);
+
+// @route   POST /api/partner/restaurants/:id/delivery-zones
+// @desc    Add zone ({ name, zone_type: radius|polygon, min_distance_km, max_distance_km, polygon, delivery_fee, min_order_amount, estimated_delivery_minutes })
+// @access  Private/Restaurant
+router.post('/restaurants/:id/delivery-zones', PartnerController.createDeliveryZone);
+
+// @route   PUT /api/partner/restaurants/:id/delivery-zones/:zoneId
+// @desc    Update delivery zone
+// @access  Private/Restaurant
+router.put('/restaurants/:id/delivery-zones/:zoneId', PartnerController.updateDeliveryZone);
+
+// @route   DELETE /api/partner/restaurants/:id/delivery-zones/:zoneId
+// @desc    Delete delivery zone
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/delivery-zones/:zoneId', PartnerController.deleteDeliveryZone);
+
+// ============================================
+// CATEGORIES
+// ============================================
+
+// @route   GET /api/partner/restaurants/:id/categories
+// @desc    Get restaurant categories
+// @access  Private/Restaurant
+router.get('/restaurants/:id/categories', PartnerController.getCategories);
+
+// @route   POST /api/partner/restaurants/:id/categories
+// @desc    Create category
+// @access  Private/Restaurant
+router.post('/restaurants/:id/categories', PartnerController.createCategory);
+
+// @route   PUT /api/partner/restaurants/:id/categories/:categoryId
+// @desc    Update category
+// @access  Private/Restaurant
+router.put('/restaurants/:id/categories/:categoryId', PartnerController.updateCategory);
+
+// @route   DELETE /api/partner/restaurants/:id/categories/:categoryId
+// @desc    Delete empty category
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/categories/:categoryId', PartnerController.deleteCategory);
+
+// ============================================
+// MENU ITEMS
+// ============================================
+
+// @route   GET /api/partner/restaurants/:id/menu
+// @desc    Get all menu items (including unavailable)
+// @access  Private/Restaurant
+router.get('/restaurants/:id/menu', PartnerController.getMenuItems);
+
+// @route   POST /api/partner/restaurants/:id/menu
+// @desc    Create menu item
+// @access  Private/Restaurant
+router.post('/restaurants/:id/menu', PartnerController.createMenuItem);
+
+// @route   PUT /api/partner/restaurants/:id/menu/:itemId
+// @desc    Update menu item
+// @access  Private/Restaurant
+router.put('/restaurants/:id/menu/:itemId', PartnerController.updateMenuItem);
+
+// @route   PATCH /api/partner/restaurants/:id/menu/:itemId/availability
+// @desc    Mark menu item available or sold out
+// @access  Private/Restaurant
+router.patch('/restaurants/:id/menu/:itemId/availability', PartnerController.updateMenuItemAvailability);
+
+// @route   DELETE /api/partner/restaurants/:id/menu/:itemId
+// @desc    Delete menu item (hidden if it was ever ordered or is in a combo)
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/menu/:itemId', PartnerController.deleteMenuItem);
+
+// ============================================
+// OPTION GROUPS (sizes, extras, add-ons)
+// ============================================
+
+// @route   GET /api/partner/restaurants/:id/menu/:itemId/option-groups
+// @desc    Get a menu item's option groups
+// @access  Private/Restaurant
+router.get('/restaurants/:id/menu/:itemId/option-groups', PartnerController.getOptionGroups);
+
+// @route   POST /api/partner/restaurants/:id/menu/:itemId/option-groups
+// @desc    Create option group ({ name, min_select, max_select, options: [...] })
+// @access  Private/Restaurant
+router.post('/restaurants/:id/menu/:itemId/option-groups', PartnerController.createOptionGroup);
+
+// @route   PUT /api/partner/restaurants/:id/option-groups/:groupId
+// @desc    Update option group
+// @access  Private/Restaurant
+router.put('/restaurants/:id/option-groups/:groupId', PartnerController.updateOptionGroup);
+
+// @route   DELETE /api/partner/restaurants/:id/option-groups/:groupId
+// @desc    Delete option group
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/option-groups/:groupId', PartnerController.deleteOptionGroup);
+
+// @route   POST /api/partner/restaurants/:id/option-groups/:groupId/options
+// @desc    Add option ({ name, price_delta, is_default })
+// @access  Private/Restaurant
+router.post('/restaurants/:id/option-groups/:groupId/options', PartnerController.createOption);
+
+// @route   PUT /api/partner/restaurants/:id/options/:optionId
+// @desc    Update option
+// @access  Private/Restaurant
+router.put('/restaurants/:id/options/:optionId', PartnerController.updateOption);
+
+// @route   DELETE /api/partner/restaurants/:id/options/:optionId
+// @desc    Delete option
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/options/:optionId', PartnerController.deleteOption);
+
+// ============================================
+// COMBOS
+// ============================================
+
+// @route   GET /api/partner/restaurants/:id/combos
+// @desc    Get combos (including unavailable)
+// @access  Private/Restaurant
+router.get('/restaurants/:id/combos', PartnerController.getCombos);
+
+// @route   POST /api/partner/restaurants/:id/combos
+// @desc    Create combo ({ name, price, items: [{ menu_item_id, quantity, substitutes: [{ menu_item_id, price_delta }] }] })
+// @access  Private/Restaurant
+router.post('/restaurants/:id/combos', PartnerController.createCombo);
+
+// @route   PUT /api/partner/restaurants/:id/combos/:comboId
+// @desc    Update combo (items replace the current ones)
+// @access  Private/Restaurant
+router.put('/restaurants/:id/combos/:comboId', PartnerController.updateCombo);
+
+// @route   DELETE /api/partner/restaurants/:id/combos/:comboId
+// @desc    Delete combo
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/combos/:comboId', PartnerController.deleteCombo);
+
+// ============================================
+// INVENTORY
+// ============================================
+
+// @route   GET /api/partner/restaurants/:id/inventory
+// @desc    Get today's item counts, recipes and ingredient stock
+// @access  Private/Restaurant
+router.get('/restaurants/:id/inventory', PartnerController.getInventory);
+
+// @route   PUT /api/partner/restaurants/:id/menu/:itemId/stock
+// @desc    Set daily_stock (null stops counting), stock_remaining for today or low_stock_threshold
+// @access  Private/Restaurant
+router.put('/restaurants/:id/menu/:itemId/stock', PartnerController.updateItemStock);
+
+// @route   PUT /api/partner/restaurants/:id/menu/:itemId/recipe
+// @desc    Replace recipe ({ ingredients: [{ ingredient_id, quantity }] })
+// @access  Private/Restaurant
+router.put('/restaurants/:id/menu/:itemId/recipe', PartnerController.updateRecipe);
+
+// @route   POST /api/partner/restaurants/:id/ingredients
+// @desc    Create ingredient ({ name, unit, low_stock_threshold, stock_quantity })
+// @access  Private/Restaurant
+router.post('/restaurants/:id/ingredients', PartnerController.createIngredient);
+
+// @route   PUT /api/partner/restaurants/:id/ingredients/:ingredientId
+// @desc    Update ingredient details
+// @access  Private/Restaurant
+router.put('/restaurants/:id/ingredients/:ingredientId', PartnerController.updateIngredient);
+
+// @route   POST /api/partner/restaurants/:id/ingredients/:ingredientId/stock
+// @desc    Restock ({ quantity }) or correct the count ({ stock_quantity })
+// @access  Private/Restaurant
+router.post('/restaurants/:id/ingredients/:ingredientId/stock', PartnerController.updateIngredientStock);
+
+// @route   DELETE /api/partner/restaurants/:id/ingredients/:ingredientId
+// @desc    Delete ingredient
+// @access  Private/Restaurant
+router.delete('/restaurants/:id/ingredients/:ingredientId', PartnerController.deleteIngredient);
+
+// ============================================
+// KITCHEN
+// ============================================
+
+// @route   GET /api/partner/restaurants/:id/kitchen
+// @desc    Kitchen display queue with expected ready times and late flags
+// @access  Private/Restaurant
+router.get('/restaurants/:id/kitchen', PartnerController.getKitchenQueue);
+
+// ============================================
+// ORDERS
+// ============================================
+
+// @route   GET /api/partner/orders
+// @desc    Get orders for owned restaurants (?status=pending,confirmed&restaurant_id=)
+// @access  Private/Restaurant
+router.get('/orders', PartnerController.getOrders);
+
+// @route   GET /api/partner/orders/:orderId
+// @desc    Get order details
+// @access  Private/Restaurant
+router.get('/orders/:orderId', PartnerController.getOrder);
+
+// @route   PUT /api/partner/orders/:orderId/status
+// @desc    Confirm, start preparing, mark ready, or reject an order
+// @access  Private/Restaurant
+router.put('/orders/:orderId/status', PartnerController.updateOrderStatus);
+
+module.exports = router;
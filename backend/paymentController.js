@@ -0,0 +1,179 @@
+/**
+ * Payment Controller
+ * Handles online payments for orders (mobile money, card, bank transfer)
+ */
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const PaymentService = require('../services/paymentService');
+
+class PaymentController {
+    /**
+     * Start payment for an order
+     */
+    static async initiatePayment(req, res) {
+        try {
+            const order = await Order.getOrderDetails(
+                req.params.orderId,
+                req.user.role === 'admin' ? null : req.user.id
+            );
+
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            const { payment, message } = await PaymentService.initiatePayment(order, {
+                phone_number: req.body.phone_number
+            });
+
+            res.status(payment.status === 'failed' ? 402 : 201).json({
+                success: payment.status !== 'failed',
+                message: message || `Payment ${payment.status}`,
+                data: payment
+            });
+        } catch (error) {
+            console.error('Initiate Payment Error:', error);
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to start payment'
+            });
+        }
+    }
+
+    /**
+     * Get payments and refunds for an order
+     */
+    static async getOrderPayments(req, res) {
+        try {
+            const order = await Order.getOrderDetails(
+                req.params.orderId,
+                req.user.role === 'admin' ? null : req.user.id
+            );
+
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            const payments = await Payment.getByOrderId(order.id);
+            const refunds = await Refund.getByOrderId(order.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    payment_status: order.payment_status,
+                    payments,
+                    refunds
+                }
+            });
+        } catch (error) {
+            console.error('Get Order Payments Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get payments'
+            });
+        }
+    }
+
+    /**
+     * Get payment status (checks the provider while still pending)
+     */
+    static async getPaymentStatus(req, res) {
+        try {
+            const existing = await Payment.getById(req.params.id);
+
+            if (!existing || (req.user.role !== 'admin' && existing.user_id !== req.user.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Payment not found'
+                });
+            }
+
+            const payment = await PaymentService.refreshStatus(existing.id);
+
+            res.status(200).json({
+                success: true,
+                data: payment
+            });
+        } catch (error) {
+            console.error('Get Payment Status Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get payment status'
+            });
+        }
+    }
+
+    /**
+     * Receive a payment provider callback
+     */
+    static async handleWebhook(req, res) {
+        try {
+            const providerName = req.params.provider;
+
+            if (!PaymentService.getProvider(providerName)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Unknown payment provider'
+                });
+            }
+
+            if (!PaymentService.verifyWebhook(providerName, {
+                rawBody: req.rawBody,
+                signature: req.get('X-Webhook-Signature'),
+                token: req.query.token
+            })) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid webhook signature'
+                });
+            }
+
+            const { updated, matched } = await PaymentService.handleWebhook(providerName, req.body);
+
+            if (!matched) {
+                // Acknowledge so the provider stops retrying a callback we cannot match
+                console.error(`Payment webhook: no ${providerName} payment for callback`, req.body);
+                return res.status(200).json({
+                    success: true,
+                    message: 'Unknown transaction ignored'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: updated ? 'Callback processed' : 'Callback already processed'
+            });
+        } catch (error) {
+            console.error('Payment Webhook Error:', error);
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to process webhook'
+            });
+        }
+    }
+}
+
+module.exports = PaymentController;
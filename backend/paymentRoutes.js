@@ -0,0 +1,43 @@
+/**
+ * Payment Routes
+ * Handles online payments for orders
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const PaymentController = require('../controllers/paymentController');
+
+// Import middleware
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// ============================================
+// PROVIDER CALLBACKS
+// ============================================
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Payment result callback (HMAC-signed X-Webhook-Signature; M-Pesa: ?token= in the callback URL)
+// @access  Public (signature or token checked)
+router.post('/webhook/:provider', PaymentController.handleWebhook);
+
+// ============================================
+// ORDER PAYMENTS
+// ============================================
+
+// @route   POST /api/payments/orders/:orderId/pay
+// @desc    Start payment for an order (e.g. send STK push)
+// @access  Private (order owner or admin)
+router.post('/orders/:orderId/pay', authMiddleware, PaymentController.initiatePayment);
+
+// @route   GET /api/payments/orders/:orderId
+// @desc    Get payments and refunds for an order
+// @access  Private (order owner or admin)
+router.get('/orders/:orderId', authMiddleware, PaymentController.getOrderPayments);
+
+// @route   GET /api/payments/:id/status
+// @desc    Get payment status (polls the provider while pending)
+// @access  Private (order owner or admin)
+router.get('/:id/status', authMiddleware, PaymentController.getPaymentStatus);
+
+module.exports = router;
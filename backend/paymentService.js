@@ -0,0 +1,556 @@
+/**
+ * Payment Service
+ * Routes online payments to the configured payment provider
+ *
+ * A provider is a plain object with:
+ * - name: stored in payments.provider
+ * - methods: payment methods it can take (orders.payment_method values)
+ * - initiatePayment({ payment, order, phone_number })
+ *     -> { transaction_id, status: pending|completed|failed, message, provider_receipt, failure_reason }
+ * - queryStatus(payment)
+ *     -> { status: pending|completed|failed, provider_receipt, failure_reason }
+ * - refund(payment, { refund, amount, reason })
+ *     -> { refund_id, status: pending|completed|failed, failure_reason }
+ * - parseWebhook(body)
+ *     -> { transaction_id, status: completed|failed, provider_receipt, failure_reason },
+ *        { type: 'refund', refund_id, status, failure_reason } or null
+ * - simulated: true for providers that never move real money
+ * - verifyWebhook({ rawBody, signature, token }, secret) (optional)
+ *     -> boolean, for gateways that can't sign callbacks (see verifyWebhook)
+ *
+ * Which provider handles a method is set with PAYMENT_<METHOD>_PROVIDER
+ * (e.g. PAYMENT_MOBILE_MONEY_PROVIDER=mpesa). Outside production everything
+ * defaults to the simulator.
+ *
+ * Webhooks are signed with HMAC-SHA256 over the raw request body, sent as
+ * hex in the X-Webhook-Signature header, unless the provider checks them
+ * itself (M-Pesa sends the secret back as a token in the callback URL). The secret is
+ * <PROVIDER>_WEBHOOK_SECRET (e.g. MPESA_WEBHOOK_SECRET); only simulated
+ * providers fall back to the shared PAYMENT_WEBHOOK_SECRET. A callback only
+ * settles payments and refunds made through the provider it was sent to.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Notification = require('../models/Notification');
+const OrderStatusService = require('./orderStatusService');
+const simulatorProvider = require('./simulatorProvider');
+const mobileMoneyProvider = require('./mobileMoneyProvider');
+
+const providers = new Map();
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const defaultProvider = (method) => {
+    if (process.env.NODE_ENV !== 'production') {
+        return 'simulator';
+    }
+
+    return method === 'mobile_money' ? 'mpesa' : null;
+};
+
+class PaymentService {
+    /**
+     * Register a payment provider
+     * @param {Object} provider - Provider implementation
+     */
+    static registerProvider(provider) {
+        providers.set(provider.name, provider);
+    }
+
+    /**
+     * Get a provider by name
+     * @param {string} name - Provider name
+     * @returns {Object|null} - Provider or null
+     */
+    static getProvider(name) {
+        return providers.get(name) || null;
+    }
+
+    /**
+     * Get the provider configured for a payment method
+     * @param {string} method - Payment method
+     * @returns {Object|null} - Provider or null when the method is not available
+     */
+    static getProviderForMethod(method) {
+        const name = process.env[`PAYMENT_${String(method).toUpperCase()}_PROVIDER`] ||
+            defaultProvider(method);
+        const provider = PaymentService.getProvider(name);
+
+        if (!provider || !provider.methods.includes(method)) {
+            return null;
+        }
+
+        return provider;
+    }
+
+    /**
+     * Start an online payment for an order
+     * @param {Object} order - Order row
+     * @param {Object} options - phone_number (defaults to the order's phone)
+     * @returns {Promise<Object>} - { payment, message }
+     */
+    static async initiatePayment(order, options = {}) {
+        if (order.payment_method === 'cash_on_delivery') {
+            const error = new Error('Cash on delivery orders are paid to the driver');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (order.payment_status !== 'pending' && order.payment_status !== 'failed') {
+            const error = new Error(`Order payment is already ${order.payment_status}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        if (['cancelled', 'refunded'].includes(order.status)) {
+            const error = new Error(`Cannot pay for a ${order.status} order`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const provider = PaymentService.getProviderForMethod(order.payment_method);
+
+        if (!provider) {
+            const error = new Error(`Payment method ${order.payment_method} is not available`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const phoneNumber = options.phone_number || order.customer_phone;
+
+        if (order.payment_method === 'mobile_money' && !phoneNumber) {
+            const error = new Error('Phone number is required for mobile money');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        // Only one attempt may be waiting on the customer at a time
+        const previous = await Payment.getByOrderId(order.id);
+        if (previous.some(payment => payment.status === 'pending')) {
+            const error = new Error('A payment for this order is already in progress');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        // A new attempt after a failure puts the order back to pending
+        if (order.payment_status === 'failed') {
+            await db.query(
+                `UPDATE orders SET payment_status = 'pending', updated_at = NOW()
+                WHERE id = ? AND payment_status = 'failed'`,
+                [order.id]
+            );
+        }
+
+        const paymentId = await Payment.create({
+            order_id: order.id,
+            amount: order.total_amount,
+            payment_method: order.payment_method,
+            provider: provider.name,
+            phone_number: phoneNumber || null
+        });
+
+        let result;
+        try {
+            result = await provider.initiatePayment({
+                payment: { id: paymentId, amount: order.total_amount },
+                order,
+                phone_number: phoneNumber
+            });
+        } catch (error) {
+            console.error(`Payment provider ${provider.name} Error:`, error);
+            result = { status: 'failed', failure_reason: 'Payment provider unavailable' };
+        }
+
+        if (result.transaction_id) {
+            await Payment.setTransactionId(paymentId, result.transaction_id);
+        }
+
+        if (result.status !== 'pending') {
+            await Payment.settle(paymentId, result);
+        }
+
+        return {
+            payment: await Payment.getById(paymentId),
+            message: result.message || result.failure_reason || null
+        };
+    }
+
+    /**
+     * Ask the provider for the latest state of a pending payment
+     * @param {number} paymentId - Payment ID
+     * @returns {Promise<Object|null>} - Payment or null
+     */
+    static async refreshStatus(paymentId) {
+        const payment = await Payment.getById(paymentId);
+
+        if (!payment || payment.status !== 'pending' || !payment.transaction_id) {
+            return payment;
+        }
+
+        const provider = PaymentService.getProvider(payment.provider);
+        if (!provider) {
+            return payment;
+        }
+
+        const result = await provider.queryStatus(payment);
+
+        if (result.status !== 'pending') {
+            await Payment.settle(payment.id, result);
+            return Payment.getById(payment.id);
+        }
+
+        return payment;
+    }
+
+    /**
+     * Refund a paid order, fully or by order_items lines
+     *
+     * Line amounts are the item's share of what the customer actually paid
+     * for food (total minus delivery fee), so discounts and tax are refunded
+     * proportionally. A full refund also returns the delivery fee and moves
+     * the order to refunded.
+     * @param {number} orderId - Order ID
+     * @param {Object} options - reason, items [{ order_item_id, quantity }] (omit for full),
+     *     payment_id, refundedBy, role
+     * @returns {Promise<Object>} - Refund with items
+     */
+    static async refundOrder(orderId, options = {}) {
+        const reason = options.reason ? String(options.reason).trim() : '';
+
+        if (!reason) {
+            const error = new Error('Refund reason is required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const { refundId, amount, payment } = await db.transaction(async (connection) => {
+            const [orders] = await connection.query(
+                'SELECT * FROM orders WHERE id = ? FOR UPDATE',
+                [orderId]
+            );
+
+            const order = orders[0];
+
+            if (!order) {
+                const error = new Error('Order not found');
+                error.statusCode = 404;
+                throw error;
+            }
+
+            if (order.payment_status === 'refunded') {
+                const error = new Error('Order is already fully refunded');
+                error.statusCode = 409;
+                throw error;
+            }
+
+            if (order.payment_status !== 'paid') {
+                const error = new Error('Only paid orders can be refunded');
+                error.statusCode = 400;
+                throw error;
+            }
+
+            let paymentSql = `SELECT * FROM payments WHERE order_id = ? AND status = 'completed'`;
+            const paymentParams = [order.id];
+
+            if (options.payment_id) {
+                paymentSql += ' AND id = ?';
+                paymentParams.push(options.payment_id);
+            }
+
+            const [payments] = await connection.query(
+                `${paymentSql} ORDER BY completed_at DESC, id DESC LIMIT 1 FOR UPDATE`,
+                paymentParams
+            );
+
+            if (options.payment_id && !payments[0]) {
+                const error = new Error('Only completed payments can be refunded');
+                error.statusCode = 409;
+                throw error;
+            }
+
+            const [orderItems] = await connection.query(
+                'SELECT * FROM order_items WHERE order_id = ? FOR UPDATE',
+                [order.id]
+            );
+
+            const remaining = roundMoney(
+                parseFloat(order.total_amount) - await Refund.getRefundedTotal(order.id, connection)
+            );
+
+            if (remaining <= 0) {
+                const error = new Error('Nothing left to refund on this order');
+                error.statusCode = 409;
+                throw error;
+            }
+
+            // Share of the amount paid for food per unit of item subtotal
+            const subtotal = parseFloat(order.subtotal);
+            const paidForItems = parseFloat(order.total_amount) - parseFloat(order.delivery_fee || 0);
+            const factor = subtotal > 0 ? Math.max(paidForItems, 0) / subtotal : 0;
+
+            const lines = [];
+            let refundAmount;
+
+            if (Array.isArray(options.items) && options.items.length > 0) {
+                const requested = new Map();
+
+                for (const item of options.items) {
+                    const itemId = parseInt(item.order_item_id);
+                    const quantity = parseInt(item.quantity);
+
+                    if (!itemId || !quantity || quantity <= 0) {
+                        const error = new Error('Each refund item needs an order_item_id and a positive quantity');
+                        error.statusCode = 400;
+                        throw error;
+                    }
+
+                    requested.set(itemId, (requested.get(itemId) || 0) + quantity);
+                }
+
+                for (const [itemId, quantity] of requested) {
+                    const orderItem = orderItems.find(line => line.id === itemId);
+
+                    if (!orderItem) {
+                        const error = new Error(`Order item ${itemId} does not belong to this order`);
+                        error.statusCode = 400;
+                        throw error;
+                    }
+
+                    // Components are priced on their combo line
+                    if (orderItem.parent_item_id) {
+                        const error = new Error(`${orderItem.menu_item_name} is part of a combo. Refund the combo line instead.`);
+                        error.statusCode = 400;
+                        throw error;
+                    }
+
+                    const refundable = orderItem.quantity - orderItem.refunded_quantity;
+
+                    if (quantity > refundable) {
+                        const error = new Error(`Only ${refundable} of ${orderItem.menu_item_name} can still be refunded`);
+                        error.statusCode = 400;
+                        throw error;
+                    }
+
+                    lines.push({
+                        order_item_id: itemId,
+                        quantity,
+                        amount: roundMoney(parseFloat(orderItem.menu_item_price) * quantity * factor)
+                    });
+                }
+
+                refundAmount = Math.min(
+                    roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+                    remaining
+                );
+            } else {
+                for (const orderItem of orderItems) {
+                    const quantity = orderItem.quantity - orderItem.refunded_quantity;
+
+                    if (quantity > 0) {
+                        lines.push({
+                            order_item_id: orderItem.id,
+                            quantity,
+                            amount: roundMoney(parseFloat(orderItem.menu_item_price) * quantity * factor)
+                        });
+                    }
+                }
+
+                refundAmount = remaining;
+            }
+
+            if (refundAmount <= 0) {
+                const error = new Error('Refund amount must be greater than zero');
+                error.statusCode = 400;
+                throw error;
+            }
+
+            const type = refundAmount >= remaining ? 'full' : 'partial';
+
+            if (type === 'full' && !OrderStatusService.canTransition(order.status, 'refunded')) {
+                const error = new Error(`A ${order.status} order cannot be fully refunded; cancel it first`);
+                error.statusCode = 400;
+                throw error;
+            }
+
+            const payment = payments[0] || null;
+
+            const newRefundId = await Refund.create(connection, {
+                order_id: order.id,
+                payment_id: payment ? payment.id : null,
+                amount: refundAmount,
+                type,
+                reason,
+                provider: payment ? payment.provider : null,
+                refunded_by: options.refundedBy || null,
+                items: lines
+            });
+
+            return { refundId: newRefundId, amount: refundAmount, payment };
+        });
+
+        let result;
+        const provider = payment ? PaymentService.getProvider(payment.provider) : null;
+
+        if (!provider || typeof provider.refund !== 'function') {
+            // No online payment to reverse (e.g. paid in cash); the refund is handed over manually
+            result = { status: 'completed' };
+        } else {
+            try {
+                result = await provider.refund(payment, {
+                    refund: { id: refundId },
+                    amount,
+                    reason
+                });
+            } catch (error) {
+                console.error(`Payment provider ${provider.name} Refund Error:`, error);
+                result = { status: 'failed', failure_reason: 'Payment provider unavailable' };
+            }
+        }
+
+        if (result.refund_id) {
+            await Refund.setProviderRefundId(refundId, result.refund_id);
+        }
+
+        if (result.status === 'pending') {
+            const refund = await Refund.getById(refundId);
+            await Notification.notifyOrderCustomer(
+                refund.order_id,
+                'Refund in progress',
+                `A refund of ${refund.amount} is being processed. Reason: ${reason}`
+            );
+            return refund;
+        }
+
+        await PaymentService.finishRefund(await Refund.settle(refundId, result), options);
+
+        return Refund.getById(refundId);
+    }
+
+    /**
+     * Follow-up once a refund settles: notify the customer and close the order
+     * @param {Object} settlement - Result of Refund.settle
+     * @param {Object} options - refundedBy, role
+     */
+    static async finishRefund({ updated, refund, fully_refunded }, options = {}) {
+        if (!updated) {
+            return;
+        }
+
+        if (refund.status === 'failed') {
+            console.error(`Refund ${refund.id} for order ${refund.order_id} failed`);
+            return;
+        }
+
+        await Notification.notifyOrderCustomer(
+            refund.order_id,
+            'Refund completed',
+            `${refund.amount} has been refunded${refund.type === 'partial' ? ' for part of your order' : ''}. Reason: ${refund.reason}`
+        );
+
+        if (fully_refunded) {
+            try {
+                await OrderStatusService.changeStatus(refund.order_id, 'refunded', {
+                    changedBy: options.refundedBy || refund.refunded_by || null,
+                    role: options.role || 'system',
+                    reason: refund.reason
+                });
+            } catch (error) {
+                // The order may have moved on or already be refunded
+                console.error('Refund Order Status Error:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Webhook secret for a provider
+     * Providers that can settle real money need their own secret, so a leaked
+     * or default shared secret can't be used to confirm their payments
+     * @param {string} providerName - Provider name
+     * @returns {string|null} - Secret, or null when none is configured
+     */
+    static getWebhookSecret(providerName) {
+        const provider = PaymentService.getProvider(providerName);
+        const secret = process.env[`${String(providerName).toUpperCase()}_WEBHOOK_SECRET`];
+
+        if (secret) {
+            return secret;
+        }
+
+        return provider && provider.simulated ? process.env.PAYMENT_WEBHOOK_SECRET || null : null;
+    }
+
+    /**
+     * Check a webhook signature
+     * @param {string} providerName - Provider name
+     * @param {Buffer} rawBody - Raw request body
+     * @param {string} signature - Hex signature (optionally prefixed with "sha256=")
+     * @returns {boolean} - True when the signature matches
+     */
+    static verifyWebhookSignature(providerName, rawBody, signature) {
+        const secret = PaymentService.getWebhookSecret(providerName);
+
+        if (!secret || !rawBody || !signature) {
+            return false;
+        }
+
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+        const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    /**
+     * Authenticate a provider callback
+     * @param {string} providerName - Provider name
+     * @param {Object} request - rawBody, signature (X-Webhook-Signature), token (?token=)
+     * @returns {boolean} - True when the callback comes from the provider
+     */
+    static verifyWebhook(providerName, { rawBody, signature, token }) {
+        const provider = PaymentService.getProvider(providerName);
+
+        if (provider && provider.verifyWebhook) {
+            return provider.verifyWebhook(
+                { rawBody, signature, token },
+                PaymentService.getWebhookSecret(providerName)
+            );
+        }
+
+        return PaymentService.verifyWebhookSignature(providerName, rawBody, signature);
+    }
+
+    /**
+     * Handle a verified provider callback
+     * @param {string} providerName - Provider name
+     * @param {Object} body - Parsed callback payload
+     * @returns {Promise<Object>} - { updated, matched }
+     */
+    static async handleWebhook(providerName, body) {
+        const provider = PaymentService.getProvider(providerName);
+        const result = provider.parseWebhook(body);
+
+        if (!result) {
+            const error = new Error('Unrecognised webhook payload');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (result.type === 'refund') {
+            const settlement = await Refund.settleByProviderRefundId(result.refund_id, provider.name, result);
+            await PaymentService.finishRefund(settlement);
+
+            return { updated: settlement.updated, matched: Boolean(settlement.refund) };
+        }
+
+        const { updated, payment } = await Payment.settleByTransactionId(result.transaction_id, provider.name, result);
+
+        return { updated, matched: Boolean(payment) };
+    }
+}
+
+PaymentService.registerProvider(simulatorProvider);
+PaymentService.registerProvider(mobileMoneyProvider);
+
+module.exports = PaymentService;
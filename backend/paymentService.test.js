@@ -0,0 +1,191 @@
+// ============================================
+// 🍔 FOOD EXPRESS - PAYMENT SERVICE REFUND TESTS
+// ============================================
+
+jest.mock('../config/database', () => ({
+    transaction: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Payment', () => ({}), { virtual: true });
+
+jest.mock('../models/Refund', () => ({
+    create: jest.fn(async () => 31),
+    getRefundedTotal: jest.fn(),
+    setProviderRefundId: jest.fn(),
+    settle: jest.fn(),
+    getById: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Notification', () => ({
+    notifyOrderCustomer: jest.fn()
+}), { virtual: true });
+
+jest.mock('./orderStatusService', () => ({
+    canTransition: jest.fn((from, to) => ['delivered', 'cancelled'].includes(from) && to === 'refunded'),
+    changeStatus: jest.fn()
+}));
+
+jest.mock('./simulatorProvider', () => ({
+    name: 'simulator',
+    simulated: true,
+    methods: ['mobile_money', 'credit_card', 'bank_transfer'],
+    refund: jest.fn()
+}));
+
+jest.mock('./mobileMoneyProvider', () => ({
+    name: 'mpesa',
+    methods: ['mobile_money'],
+    refund: jest.fn()
+}));
+
+const db = require('../config/database');
+const Refund = require('../models/Refund');
+const Notification = require('../models/Notification');
+const OrderStatusService = require('./orderStatusService');
+const simulatorProvider = require('./simulatorProvider');
+const mobileMoneyProvider = require('./mobileMoneyProvider');
+const PaymentService = require('./paymentService');
+
+// subtotal 1000 - discount 150 + tax 180 + delivery 100 = 1130, so the
+// customer paid 1030 for 1000 worth of food (1.03 per shilling of items)
+let order;
+let payment;
+let orderItems;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    order = {
+        id: 12,
+        status: 'delivered',
+        payment_status: 'paid',
+        subtotal: '1000.00',
+        delivery_fee: '100.00',
+        total_amount: '1130.00'
+    };
+    payment = { id: 4, order_id: 12, provider: 'simulator', status: 'completed' };
+    orderItems = [
+        { id: 1, menu_item_name: 'Pilau', menu_item_price: '300.00', quantity: 2, refunded_quantity: 0, parent_item_id: null },
+        { id: 2, menu_item_name: 'Mandazi Combo', menu_item_price: '400.00', quantity: 1, refunded_quantity: 0, parent_item_id: null },
+        { id: 3, menu_item_name: 'Mandazi', menu_item_price: '0.00', quantity: 2, refunded_quantity: 0, parent_item_id: 2 }
+    ];
+
+    const connection = {
+        query: jest.fn(async (sql) => {
+            if (sql.includes('FROM orders')) {
+                return [order ? [{ ...order }] : []];
+            }
+
+            if (sql.includes('FROM payments')) {
+                return [payment ? [{ ...payment }] : []];
+            }
+
+            return [orderItems.map(item => ({ ...item }))];
+        })
+    };
+
+    db.transaction.mockImplementation(async (callback) => callback(connection));
+    Refund.getRefundedTotal.mockResolvedValue(0);
+    Refund.getById.mockImplementation(async (id) => ({ id, order_id: order.id, amount: '0.00' }));
+    Refund.settle.mockImplementation(async (id, result) => ({
+        updated: true,
+        refund: { id, order_id: order.id, status: result.status, amount: '0.00', reason: 'Cold food' },
+        fully_refunded: Refund.create.mock.calls[0][1].type === 'full'
+    }));
+    simulatorProvider.refund.mockImplementation(async (paid, { refund }) => ({ refund_id: `SIM-R-${refund.id}`, status: 'completed' }));
+    mobileMoneyProvider.refund.mockResolvedValue({ refund_id: 'MP-R-9', status: 'pending' });
+});
+
+const createdRefund = () => Refund.create.mock.calls[0][1];
+
+describe('PaymentService.refundOrder', () => {
+    it('requires a reason', async () => {
+        await expect(PaymentService.refundOrder(12, { reason: '  ' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('refunds lines at their share of what the customer paid', async () => {
+        await PaymentService.refundOrder(12, { reason: 'Cold food', items: [{ order_item_id: 1, quantity: 1 }] });
+
+        expect(createdRefund()).toMatchObject({
+            order_id: 12,
+            payment_id: 4,
+            amount: 309,
+            type: 'partial',
+            provider: 'simulator',
+            items: [{ order_item_id: 1, quantity: 1, amount: 309 }]
+        });
+        expect(simulatorProvider.refund).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 4 }),
+            { refund: { id: 31 }, amount: 309, reason: 'Cold food' }
+        );
+        expect(Refund.setProviderRefundId).toHaveBeenCalledWith(31, 'SIM-R-31');
+        expect(Refund.settle).toHaveBeenCalledWith(31, { refund_id: 'SIM-R-31', status: 'completed' });
+        expect(OrderStatusService.changeStatus).not.toHaveBeenCalled();
+    });
+
+    it('refunds whatever is left, delivery fee included, and closes the order on a full refund', async () => {
+        Refund.getRefundedTotal.mockResolvedValue(309);
+        orderItems[0].refunded_quantity = 1;
+
+        await PaymentService.refundOrder(12, { reason: 'Cold food', refundedBy: 2, role: 'admin' });
+
+        expect(createdRefund()).toMatchObject({
+            amount: 821,
+            type: 'full',
+            items: [
+                { order_item_id: 1, quantity: 1, amount: 309 },
+                { order_item_id: 2, quantity: 1, amount: 412 },
+                { order_item_id: 3, quantity: 2, amount: 0 }
+            ]
+        });
+        expect(OrderStatusService.changeStatus).toHaveBeenCalledWith(12, 'refunded', {
+            changedBy: 2,
+            role: 'admin',
+            reason: 'Cold food'
+        });
+    });
+
+    it('refuses more than is left to refund of a line', async () => {
+        orderItems[0].refunded_quantity = 1;
+
+        await expect(PaymentService.refundOrder(12, { reason: 'Cold food', items: [{ order_item_id: 1, quantity: 2 }] }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Only 1 of Pilau can still be refunded' });
+        expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it('refunds combo components through their combo line', async () => {
+        await expect(PaymentService.refundOrder(12, { reason: 'Cold food', items: [{ order_item_id: 3, quantity: 1 }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it('only refunds paid orders', async () => {
+        order.payment_status = 'pending';
+        await expect(PaymentService.refundOrder(12, { reason: 'Cold food' })).rejects.toMatchObject({ statusCode: 400 });
+
+        order.payment_status = 'refunded';
+        await expect(PaymentService.refundOrder(12, { reason: 'Cold food' })).rejects.toMatchObject({ statusCode: 409 });
+        expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a full refund of an order that is still being prepared', async () => {
+        order.status = 'preparing';
+
+        await expect(PaymentService.refundOrder(12, { reason: 'Cold food' })).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'A preparing order cannot be fully refunded; cancel it first'
+        });
+        expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it('leaves refunds the provider is still processing pending', async () => {
+        payment.provider = 'mpesa';
+
+        await PaymentService.refundOrder(12, { reason: 'Cold food', items: [{ order_item_id: 2, quantity: 1 }] });
+
+        expect(Refund.setProviderRefundId).toHaveBeenCalledWith(31, 'MP-R-9');
+        expect(Refund.settle).not.toHaveBeenCalled();
+        expect(Notification.notifyOrderCustomer).toHaveBeenCalledWith(12, 'Refund in progress', expect.any(String));
+    });
+});
@@ -0,0 +1,491 @@
+/**
+ * Pricing Service
+ * Computes order totals on the server (clients only send item IDs and quantities)
+ *
+ * total = subtotal + delivery_fee - discount + tax
+ * - subtotal uses each item's current price (discounted_price when set) plus
+ *   the price deltas of its chosen options; combos use the bundle price plus
+ *   the deltas of any substitutes chosen
+ * - delivery_fee and the minimum order come from the delivery zone the address
+ *   falls in (see deliveryZoneService); restaurants without zones use their own
+ *   fee, or the default fee when they have none. The fee is waived once the
+ *   subtotal reaches the free delivery threshold
+ * - tax is charged on the subtotal after discount (plus the delivery fee when
+ *   tax.apply_to_delivery_fee is on)
+ * - each menu item's min/max_quantity_per_order applies to its total quantity
+ *   in the order, across option variants
+ */
+
+const MenuItem = require('../models/MenuItem');
+const Combo = require('../models/Combo');
+const MenuOption = require('../models/MenuOption');
+const Restaurant = require('../models/Restaurant');
+const Promotion = require('../models/Promotion');
+const Setting = require('../models/Setting');
+const DeliveryZoneService = require('./deliveryZoneService');
+
+const DEFAULT_SETTINGS = {
+    tax: {
+        enabled: true,
+        rate: 18,
+        label: 'VAT',
+        apply_to_delivery_fee: false
+    },
+    delivery: {
+        default_fee: 0,
+        free_delivery_threshold: 0,
+        enforce_min_order: true
+    }
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const readBoolean = (value, field) => {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+
+    throw badRequest(`${field} must be true or false`);
+};
+
+const readAmount = (value, field, max = Infinity) => {
+    const amount = parseFloat(value);
+
+    if (isNaN(amount) || amount < 0 || amount > max) {
+        throw badRequest(max === Infinity
+            ? `${field} must be a number of 0 or more`
+            : `${field} must be between 0 and ${max}`);
+    }
+
+    return amount;
+};
+
+class PricingService {
+    /**
+     * Get tax settings
+     * @returns {Promise<Object>} - enabled, rate (percent), label, apply_to_delivery_fee
+     */
+    static async getTaxSettings() {
+        return { ...DEFAULT_SETTINGS.tax, ...await Setting.getGroup('tax') };
+    }
+
+    /**
+     * Get delivery pricing settings
+     * @returns {Promise<Object>} - default_fee, free_delivery_threshold, enforce_min_order
+     */
+    static async getDeliverySettings() {
+        return { ...DEFAULT_SETTINGS.delivery, ...await Setting.getGroup('delivery') };
+    }
+
+    /**
+     * Update tax settings (only the fields given)
+     * @param {Object} input - enabled, rate, label, apply_to_delivery_fee
+     * @param {number} updatedBy - Admin user ID
+     * @returns {Promise<Object>} - Saved tax settings
+     */
+    static async updateTaxSettings(input, updatedBy) {
+        const values = {};
+
+        if (input.enabled !== undefined) {
+            values.enabled = readBoolean(input.enabled, 'enabled');
+        }
+
+        if (input.rate !== undefined) {
+            values.rate = readAmount(input.rate, 'rate', 100);
+        }
+
+        if (input.label !== undefined) {
+            values.label = String(input.label).trim().slice(0, 50);
+        }
+
+        if (input.apply_to_delivery_fee !== undefined) {
+            values.apply_to_delivery_fee = readBoolean(input.apply_to_delivery_fee, 'apply_to_delivery_fee');
+        }
+
+        if (Object.keys(values).length === 0) {
+            throw badRequest('No tax settings to update');
+        }
+
+        await Setting.setGroup('tax', values, updatedBy);
+
+        return PricingService.getTaxSettings();
+    }
+
+    /**
+     * Update delivery pricing settings (only the fields given)
+     * @param {Object} input - default_fee, free_delivery_threshold, enforce_min_order
+     * @param {number} updatedBy - Admin user ID
+     * @returns {Promise<Object>} - Saved delivery settings
+     */
+    static async updateDeliverySettings(input, updatedBy) {
+        const values = {};
+
+        if (input.default_fee !== undefined) {
+            values.default_fee = readAmount(input.default_fee, 'default_fee');
+        }
+
+        if (input.free_delivery_threshold !== undefined) {
+            values.free_delivery_threshold = readAmount(input.free_delivery_threshold, 'free_delivery_threshold');
+        }
+
+        if (input.enforce_min_order !== undefined) {
+            values.enforce_min_order = readBoolean(input.enforce_min_order, 'enforce_min_order');
+        }
+
+        if (Object.keys(values).length === 0) {
+            throw badRequest('No delivery settings to update');
+        }
+
+        await Setting.setGroup('delivery', values, updatedBy);
+
+        return PricingService.getDeliverySettings();
+    }
+
+    /**
+     * Delivery fee, minimum order and ETA for delivering to a location
+     * @param {Object} restaurant - Restaurant row
+     * @param {Object} location - { latitude, longitude }; undefined when the address isn't
+     *     known yet (cart previews), which skips the zone check and quotes the flat fee
+     * @param {Object} deliverySettings - Delivery settings (loaded when not given)
+     * @returns {Promise<Object>} - zone, distance_km, delivery_fee, min_order_amount,
+     *     free_delivery_threshold, delivery_minutes, estimated_minutes (prep + delivery)
+     * @throws {Error} - statusCode 400 when the restaurant has zones and the location is in none of them
+     */
+    static async quoteDelivery(restaurant, location, deliverySettings = null) {
+        const settings = deliverySettings || await PricingService.getDeliverySettings();
+        const zones = location !== undefined
+            ? await DeliveryZoneService.getZones(restaurant.id, true)
+            : [];
+
+        let quote = {
+            zone: null,
+            distance_km: null,
+            delivery_fee: restaurant.delivery_fee !== null && restaurant.delivery_fee !== undefined
+                ? parseFloat(restaurant.delivery_fee)
+                : parseFloat(settings.default_fee) || 0,
+            min_order_amount: parseFloat(restaurant.min_order_amount) || 0,
+            delivery_minutes: restaurant.avg_delivery_minutes || null
+        };
+
+        if (zones.length > 0) {
+            const hasLocation = location && location.latitude !== null && location.latitude !== undefined
+                && location.longitude !== null && location.longitude !== undefined;
+
+            if (!hasLocation) {
+                throw badRequest(`${restaurant.name} only delivers within its delivery zones. Choose a saved address with a map location.`);
+            }
+
+            const match = DeliveryZoneService.matchZone(
+                restaurant, zones, parseFloat(location.latitude), parseFloat(location.longitude));
+
+            if (!match) {
+                throw badRequest(`This address is outside ${restaurant.name}'s delivery area`);
+            }
+
+            const { zone } = match;
+
+            quote = {
+                zone: { id: zone.id, name: zone.name, zone_type: zone.zone_type },
+                distance_km: match.distance_km,
+                delivery_fee: parseFloat(zone.delivery_fee),
+                min_order_amount: zone.min_order_amount !== null
+                    ? parseFloat(zone.min_order_amount)
+                    : quote.min_order_amount,
+                delivery_minutes: zone.estimated_delivery_minutes || quote.delivery_minutes
+            };
+        }
+
+        return {
+            ...quote,
+            free_delivery_threshold: parseFloat(settings.free_delivery_threshold) || 0,
+            estimated_minutes: quote.delivery_minutes !== null
+                ? (restaurant.avg_prep_minutes || 0) + quote.delivery_minutes
+                : null
+        };
+    }
+
+    /**
+     * Price one combo line
+     * @param {Object} item - combo_id, substitutions, special_instructions
+     * @param {number} quantity - Number of combos
+     * @returns {Promise<Object>} - { restaurant_id, line } where line.components are the
+     *     menu items to cook (stored as price-0 order lines under the combo line)
+     */
+    static async priceCombo(item, quantity) {
+        const combo = await Combo.getById(item.combo_id);
+
+        if (!combo) {
+            throw badRequest(`Combo with ID ${item.combo_id} not found`, 404);
+        }
+
+        if (!combo.is_available) {
+            throw badRequest(`Combo "${combo.name}" is not available`);
+        }
+
+        const selection = Combo.resolveSelection(combo, item.substitutions);
+        const price = roundMoney(parseFloat(combo.price) + selection.price_delta);
+
+        return {
+            restaurant_id: combo.restaurant_id,
+            line: {
+                menu_item_id: null,
+                combo_id: combo.id,
+                category_id: null,
+                menu_item_name: combo.name,
+                menu_item_price: price,
+                options_price: selection.price_delta,
+                selected_options: [],
+                quantity,
+                subtotal: roundMoney(price * quantity),
+                special_instructions: item.special_instructions || null,
+                components: selection.components.map(component => ({
+                    menu_item_id: component.menu_item_id,
+                    menu_item_name: component.menu_item_name,
+                    quantity: component.quantity * quantity
+                }))
+            }
+        };
+    }
+
+    /**
+     * Price an order from item IDs and quantities
+     * @param {Object} request - user_id, items [{ id, quantity, options, special_instructions }
+     *     or { combo_id, quantity, substitutions, special_instructions }], coupon_code,
+     *     delivery ({ latitude, longitude } of the address; see quoteDelivery)
+     * @returns {Promise<Object>} - restaurant, items, promotion, subtotal, delivery_fee, delivery
+     *     (the quote), discount_amount, eligible_subtotal, tax_amount, tax_rate, tax_label, total_amount
+     */
+    static async priceOrder({ user_id, items, coupon_code, delivery }) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw badRequest('Order items are required');
+        }
+
+        let subtotal = 0;
+        let restaurantId = null;
+        const orderItems = [];
+        const itemQuantities = new Map();
+
+        for (const item of items) {
+            const quantity = parseInt(item.quantity);
+
+            if ((!item.id && !item.combo_id) || !quantity || quantity <= 0) {
+                throw badRequest('Invalid item format. Each item needs id (or combo_id) and quantity');
+            }
+
+            if (item.combo_id) {
+                const comboItem = await PricingService.priceCombo(item, quantity);
+
+                if (restaurantId && comboItem.restaurant_id !== restaurantId) {
+                    throw badRequest('All items in an order must come from the same restaurant');
+                }
+                restaurantId = comboItem.restaurant_id;
+
+                subtotal += comboItem.line.subtotal;
+                orderItems.push(comboItem.line);
+                continue;
+            }
+
+            const menuItem = await MenuItem.getById(item.id);
+
+            if (!menuItem) {
+                throw badRequest(`Menu item with ID ${item.id} not found`, 404);
+            }
+
+            if (!menuItem.is_available) {
+                throw badRequest(`Menu item "${menuItem.name}" is not available`);
+            }
+
+            // One order = one restaurant
+            if (restaurantId && menuItem.restaurant_id !== restaurantId) {
+                throw badRequest('All items in an order must come from the same restaurant');
+            }
+            restaurantId = menuItem.restaurant_id;
+
+            const counted = itemQuantities.get(menuItem.id) || { menuItem, quantity: 0 };
+            counted.quantity += quantity;
+            itemQuantities.set(menuItem.id, counted);
+
+            const selection = await MenuOption.resolveSelection(menuItem, item.options);
+            const price = roundMoney(await MenuItem.getCurrentPrice(menuItem.id) + selection.price_delta);
+            const itemSubtotal = roundMoney(price * quantity);
+            subtotal += itemSubtotal;
+
+            orderItems.push({
+                menu_item_id: menuItem.id,
+                category_id: menuItem.category_id,
+                menu_item_name: menuItem.name,
+                menu_item_price: price,
+                options_price: selection.price_delta,
+                selected_options: selection.options,
+                quantity,
+                subtotal: itemSubtotal,
+                special_instructions: item.special_instructions || null
+            });
+        }
+
+        for (const { menuItem, quantity } of itemQuantities.values()) {
+            MenuItem.checkOrderQuantity(menuItem, quantity);
+        }
+
+        subtotal = roundMoney(subtotal);
+
+        const restaurant = await Restaurant.getById(restaurantId);
+
+        if (!restaurant) {
+            throw badRequest('Restaurant is not accepting orders');
+        }
+
+        const [taxSettings, deliverySettings] = await Promise.all([
+            PricingService.getTaxSettings(),
+            PricingService.getDeliverySettings()
+        ]);
+
+        const deliveryQuote = await PricingService.quoteDelivery(restaurant, delivery, deliverySettings);
+        const minOrderAmount = deliveryQuote.min_order_amount;
+
+        if (deliverySettings.enforce_min_order && subtotal < minOrderAmount) {
+            throw badRequest(`Minimum order for ${restaurant.name} is ${minOrderAmount}. Add ${roundMoney(minOrderAmount - subtotal)} more.`);
+        }
+
+        let deliveryFee = deliveryQuote.delivery_fee;
+        const freeThreshold = deliveryQuote.free_delivery_threshold;
+
+        if (freeThreshold > 0 && subtotal >= freeThreshold) {
+            deliveryFee = 0;
+        }
+
+        // Coupon is validated here; the usage count is taken in the order transaction
+        let promotion = null;
+        let discountAmount = 0;
+        let eligibleSubtotal = null;
+
+        if (coupon_code) {
+            const result = await Promotion.validate(coupon_code, {
+                user_id,
+                restaurant_id: restaurantId,
+                subtotal,
+                delivery_fee: deliveryFee,
+                items: orderItems
+            });
+
+            promotion = result.promotion;
+            discountAmount = roundMoney(result.discount_amount);
+            eligibleSubtotal = result.eligible_subtotal;
+        }
+
+        const taxRate = taxSettings.enabled ? parseFloat(taxSettings.rate) || 0 : 0;
+        const taxableAmount = Math.max(
+            subtotal + (taxSettings.apply_to_delivery_fee ? deliveryFee : 0) - discountAmount,
+            0
+        );
+        const taxAmount = roundMoney(taxableAmount * taxRate / 100);
+
+        return {
+            restaurant,
+            items: orderItems,
+            promotion,
+            subtotal,
+            delivery_fee: deliveryFee,
+            delivery: deliveryQuote,
+            discount_amount: discountAmount,
+            eligible_subtotal: eligibleSubtotal,
+            tax_amount: taxAmount,
+            tax_rate: taxRate,
+            tax_label: taxSettings.label,
+            total_amount: roundMoney(Math.max(subtotal + deliveryFee - discountAmount, 0) + taxAmount)
+        };
+    }
+
+    /**
+     * Estimate totals for cart lines before checkout (nothing is enforced here;
+     * see Cart.findIssues for what would stop checkout)
+     * @param {Array<Object>} lines - Cart.getCart / Cart.getGroupCart rows
+     * @param {Object} location - { latitude, longitude } of the delivery address, or undefined
+     *     to quote the flat fee (see quoteDelivery)
+     * @returns {Promise<Object>} - restaurant, subtotal (available lines only), delivery_fee,
+     *     delivery (the quote), delivery_error (address outside the zones), tax_amount, tax_rate,
+     *     tax_label, estimated_total, min_order_amount, min_order_shortfall, meets_min_order,
+     *     free_delivery_remaining
+     */
+    static async summarizeCart(lines, location) {
+        const available = lines.filter(line => line.is_available);
+        const subtotal = roundMoney(available.reduce((sum, line) => sum + line.line_total, 0));
+        const restaurant = lines.length > 0 ? await Restaurant.getById(lines[0].restaurant_id) : null;
+
+        if (!restaurant) {
+            return {
+                restaurant: null,
+                subtotal,
+                delivery_fee: 0,
+                delivery: null,
+                delivery_error: null,
+                tax_amount: 0,
+                tax_rate: 0,
+                tax_label: null,
+                estimated_total: subtotal,
+                min_order_amount: 0,
+                min_order_shortfall: 0,
+                meets_min_order: true,
+                free_delivery_remaining: null
+            };
+        }
+
+        const [taxSettings, deliverySettings] = await Promise.all([
+            PricingService.getTaxSettings(),
+            PricingService.getDeliverySettings()
+        ]);
+
+        let deliveryQuote;
+        let deliveryError = null;
+
+        try {
+            deliveryQuote = await PricingService.quoteDelivery(restaurant, location, deliverySettings);
+        } catch (error) {
+            if (!error.statusCode) {
+                throw error;
+            }
+
+            // Show the flat fee and say why checkout to this address will fail
+            deliveryError = error.message;
+            deliveryQuote = await PricingService.quoteDelivery(restaurant, undefined, deliverySettings);
+        }
+
+        const freeThreshold = deliveryQuote.free_delivery_threshold;
+        const deliveryFee = freeThreshold > 0 && subtotal >= freeThreshold ? 0 : deliveryQuote.delivery_fee;
+        const minOrderAmount = deliverySettings.enforce_min_order ? deliveryQuote.min_order_amount : 0;
+        const shortfall = roundMoney(Math.max(minOrderAmount - subtotal, 0));
+
+        const taxRate = taxSettings.enabled ? parseFloat(taxSettings.rate) || 0 : 0;
+        const taxAmount = roundMoney(
+            (subtotal + (taxSettings.apply_to_delivery_fee ? deliveryFee : 0)) * taxRate / 100
+        );
+
+        return {
+            restaurant: { id: restaurant.id, name: restaurant.name },
+            subtotal,
+            delivery_fee: deliveryFee,
+            delivery: deliveryQuote,
+            delivery_error: deliveryError,
+            tax_amount: taxAmount,
+            tax_rate: taxRate,
+            tax_label: taxSettings.label,
+            estimated_total: roundMoney(subtotal + deliveryFee + taxAmount),
+            min_order_amount: minOrderAmount,
+            min_order_shortfall: shortfall,
+            meets_min_order: shortfall === 0,
+            free_delivery_remaining: freeThreshold > 0 ? roundMoney(Math.max(freeThreshold - subtotal, 0)) : null
+        };
+    }
+}
+
+module.exports = PricingService;
@@ -0,0 +1,163 @@
+// ============================================
+// 🍔 FOOD EXPRESS - PRICING SERVICE TESTS
+// ============================================
+
+jest.mock('../models/MenuItem', () => ({
+    getById: jest.fn(),
+    getCurrentPrice: jest.fn(),
+    checkOrderQuantity: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Combo', () => ({}), { virtual: true });
+
+jest.mock('../models/MenuOption', () => ({
+    resolveSelection: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Restaurant', () => ({
+    getById: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Promotion', () => ({
+    validate: jest.fn()
+}), { virtual: true });
+
+jest.mock('../models/Setting', () => ({
+    getGroup: jest.fn()
+}), { virtual: true });
+
+jest.mock('./deliveryZoneService', () => ({
+    getZones: jest.fn(async () => []),
+    matchZone: jest.fn()
+}));
+
+const MenuItem = require('../models/MenuItem');
+const MenuOption = require('../models/MenuOption');
+const Restaurant = require('../models/Restaurant');
+const Promotion = require('../models/Promotion');
+const Setting = require('../models/Setting');
+const PricingService = require('./pricingService');
+
+const MENU = {
+    1: { id: 1, name: 'Pilau', restaurant_id: 4, category_id: 2, is_available: true, price: 450 },
+    2: { id: 2, name: 'Kachumbari', restaurant_id: 4, category_id: 3, is_available: true, price: 300 },
+    3: { id: 3, name: 'Nyama Choma', restaurant_id: 9, category_id: 2, is_available: true, price: 900 }
+};
+
+const EXTRA_MEAT = { id: 11, name: 'Extra meat', price_delta: 50 };
+
+let restaurant;
+let settings;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    restaurant = { id: 4, name: 'Pwani Kitchen', delivery_fee: '150.00', min_order_amount: '0.00' };
+    settings = { tax: {}, delivery: {} };
+
+    MenuItem.getById.mockImplementation(async (id) => MENU[id] ? { ...MENU[id] } : null);
+    MenuItem.getCurrentPrice.mockImplementation(async (id) => MENU[id].price);
+    MenuOption.resolveSelection.mockImplementation(async (menuItem, optionIds = []) => optionIds.includes(EXTRA_MEAT.id)
+        ? { price_delta: EXTRA_MEAT.price_delta, options: [EXTRA_MEAT] }
+        : { price_delta: 0, options: [] });
+    Restaurant.getById.mockImplementation(async () => restaurant);
+    Setting.getGroup.mockImplementation(async (group) => settings[group]);
+});
+
+// 2 x (450 + 50) + 1 x 300
+const ITEMS = [
+    { id: 1, quantity: 2, options: [EXTRA_MEAT.id], price: 1 },
+    { id: 2, quantity: 1 }
+];
+
+describe('PricingService.priceOrder', () => {
+    it('prices items and options on the server and adds delivery and tax', async () => {
+        const order = await PricingService.priceOrder({ user_id: 8, items: ITEMS });
+
+        expect(order.items.map(item => [item.menu_item_price, item.subtotal])).toEqual([[500, 1000], [300, 300]]);
+        expect(order).toMatchObject({
+            subtotal: 1300,
+            delivery_fee: 150,
+            discount_amount: 0,
+            tax_rate: 18,
+            tax_label: 'VAT',
+            tax_amount: 234,
+            total_amount: 1684
+        });
+    });
+
+    it('taxes the subtotal after the coupon discount', async () => {
+        Promotion.validate.mockResolvedValue({
+            promotion: { id: 3, code: 'KARIBU' },
+            discount_amount: 100,
+            eligible_subtotal: 1300
+        });
+
+        const order = await PricingService.priceOrder({ user_id: 8, items: ITEMS, coupon_code: 'KARIBU' });
+
+        expect(Promotion.validate).toHaveBeenCalledWith('KARIBU', expect.objectContaining({
+            user_id: 8,
+            restaurant_id: 4,
+            subtotal: 1300,
+            delivery_fee: 150
+        }));
+        expect(order).toMatchObject({ discount_amount: 100, tax_amount: 216, total_amount: 1566 });
+    });
+
+    it('taxes the delivery fee when the setting asks for it', async () => {
+        settings.tax = { rate: '16', apply_to_delivery_fee: true };
+
+        const order = await PricingService.priceOrder({ user_id: 8, items: ITEMS });
+
+        expect(order).toMatchObject({ tax_rate: 16, tax_amount: 232, total_amount: 1682 });
+    });
+
+    it('charges no tax when it is disabled', async () => {
+        settings.tax = { enabled: false };
+
+        const order = await PricingService.priceOrder({ user_id: 8, items: ITEMS });
+
+        expect(order).toMatchObject({ tax_amount: 0, total_amount: 1450 });
+    });
+
+    it('waives delivery once the subtotal reaches the free delivery threshold', async () => {
+        settings.delivery = { free_delivery_threshold: '1000' };
+
+        const order = await PricingService.priceOrder({ user_id: 8, items: ITEMS });
+
+        expect(order).toMatchObject({ delivery_fee: 0, total_amount: 1534 });
+    });
+
+    it('falls back to the default fee for restaurants without their own', async () => {
+        restaurant.delivery_fee = null;
+        settings.delivery = { default_fee: '80' };
+
+        const order = await PricingService.priceOrder({ user_id: 8, items: ITEMS });
+
+        expect(order.delivery_fee).toBe(80);
+    });
+
+    it("enforces the restaurant's minimum order", async () => {
+        restaurant.min_order_amount = '2000.00';
+
+        await expect(PricingService.priceOrder({ user_id: 8, items: ITEMS })).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'Minimum order for Pwani Kitchen is 2000. Add 700 more.'
+        });
+    });
+
+    it('refuses items from more than one restaurant', async () => {
+        await expect(PricingService.priceOrder({ user_id: 8, items: [{ id: 1, quantity: 1 }, { id: 3, quantity: 1 }] }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'All items in an order must come from the same restaurant' });
+    });
+
+    it('checks quantity limits against the total of every variant of an item', async () => {
+        await PricingService.priceOrder({
+            user_id: 8,
+            items: [{ id: 1, quantity: 2, options: [EXTRA_MEAT.id] }, { id: 1, quantity: 3 }]
+        });
+
+        expect(MenuItem.checkOrderQuantity).toHaveBeenCalledTimes(1);
+        expect(MenuItem.checkOrderQuantity).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), 5);
+    });
+});
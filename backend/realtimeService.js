@@ -0,0 +1,224 @@
+/**
+ * Realtime Service
+ * Pushes order events to browsers over Server-Sent Events (SSE)
+ *
+ * Who receives what:
+ * - customers: order_status for their own orders
+ * - restaurant owners: new_order and order_status for restaurants they own
+ * - admins: every order event
+ *
+ * Connections are held in this process's memory. Running several instances
+ * would need a shared broker (e.g. Redis pub/sub) feeding publish().
+ */
+
+const db = require('../config/database');
+
+const config = {
+    heartbeatSeconds: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25,
+    retryMs: parseInt(process.env.REALTIME_RETRY_MS) || 5000
+};
+
+// Open connections: id -> { res, user, restaurantIds }
+const clients = new Map();
+
+let nextClientId = 1;
+let heartbeatTimer = null;
+
+class RealtimeService {
+    /**
+     * Open an event stream for the authenticated user
+     * @param {Object} req - Express request (req.user set by authMiddleware)
+     * @param {Object} res - Express response
+     */
+    static async subscribe(req, res) {
+        const user = req.user;
+        let restaurantIds = [];
+
+        if (user.role === 'restaurant') {
+            restaurantIds = await RealtimeService.getOwnedRestaurantIds(user.id);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.write(`retry: ${config.retryMs}\n\n`);
+
+        const clientId = nextClientId++;
+        const client = { res, user, restaurantIds };
+        clients.set(clientId, client);
+
+        RealtimeService.send(client, 'connected', {
+            user_id: user.id,
+            role: user.role,
+            restaurant_ids: restaurantIds
+        });
+
+        req.on('close', () => {
+            clients.delete(clientId);
+        });
+    }
+
+    /**
+     * Get IDs of restaurants owned by a user
+     * @param {number} userId - Owner user ID
+     * @returns {Promise<Array<number>>} - Restaurant IDs
+     */
+    static async getOwnedRestaurantIds(userId) {
+        const restaurants = await db.query(
+            'SELECT id FROM restaurants WHERE owner_id = ?',
+            [userId]
+        );
+
+        return restaurants.map(restaurant => restaurant.id);
+    }
+
+    /**
+     * Write one event to a client
+     * @param {Object} client - Connected client
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     */
+    static send(client, event, data) {
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Send an event to every client matching a filter
+     * @param {Function} filter - (client) => boolean
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     * @returns {number} - Number of clients reached
+     */
+    static publish(filter, event, data) {
+        let sent = 0;
+
+        for (const client of clients.values()) {
+            if (filter(client)) {
+                RealtimeService.send(client, event, data);
+                sent++;
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Send an order event to the customer, the restaurant's owners and admins
+     * @param {string} event - Event name
+     * @param {Object} order - id, user_id, restaurant_id and event fields
+     * @returns {number} - Number of clients reached
+     */
+    static publishOrderEvent(event, order) {
+        const restaurantId = order.restaurant_id;
+
+        return RealtimeService.publish(
+            ({ user, restaurantIds }) =>
+                user.role === 'admin' ||
+                user.id === order.user_id ||
+                (restaurantId && restaurantIds.includes(restaurantId)),
+            event,
+            order
+        );
+    }
+
+    /**
+     * Announce an order status change
+     * Never throws; a failed push must not fail the status change
+     * @param {Object} change - order_id, from_status, to_status
+     */
+    static async publishOrderStatus(change) {
+        try {
+            if (clients.size === 0) {
+                return;
+            }
+
+            const order = await RealtimeService.getOrderSummary(change.order_id);
+
+            if (order) {
+                RealtimeService.publishOrderEvent('order_status', {
+                    ...order,
+                    from_status: change.from_status,
+                    status: change.to_status,
+                    changed_at: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.error('Realtime publishOrderStatus Error:', error);
+        }
+    }
+
+    /**
+     * Announce a newly placed order to its restaurant
+     * Never throws; a failed push must not fail the order
+     * @param {number} orderId - Order ID
+     */
+    static async publishNewOrder(orderId) {
+        try {
+            if (clients.size === 0) {
+                return;
+            }
+
+            const order = await RealtimeService.getOrderSummary(orderId);
+
+            if (order) {
+                RealtimeService.publishOrderEvent('new_order', order);
+            }
+        } catch (error) {
+            console.error('Realtime publishNewOrder Error:', error);
+        }
+    }
+
+    /**
+     * Order fields sent with events
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Object|null>} - Order summary or null
+     */
+    static async getOrderSummary(orderId) {
+        return db.getOne(
+            `SELECT id as order_id, order_number, user_id, restaurant_id, status,
+                payment_status, total_amount, estimated_delivery_time, created_at
+            FROM orders
+            WHERE id = ?`,
+            [orderId]
+        );
+    }
+
+    /**
+     * Start heartbeats that keep idle connections open through proxies
+     */
+    static start() {
+        if (heartbeatTimer) {
+            return;
+        }
+
+        heartbeatTimer = setInterval(() => {
+            for (const client of clients.values()) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, config.heartbeatSeconds * 1000);
+
+        // Don't keep the process alive just for heartbeats
+        heartbeatTimer.unref();
+    }
+
+    /**
+     * Stop heartbeats and close all streams (graceful shutdown)
+     */
+    static stop() {
+        if (heartbeatTimer) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+
+        for (const client of clients.values()) {
+            client.res.end();
+        }
+
+        clients.clear();
+    }
+}
+
+module.exports = RealtimeService;
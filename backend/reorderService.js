@@ -0,0 +1,262 @@
+/**
+ * Reorder Service
+ * Rebuilds a customer's cart from one of their past orders
+ *
+ * - each top-level order line (menu item or combo) is added back with the same
+ *   quantity, options, combo swaps and special instructions
+ * - lines that can't be ordered any more are reported instead of added:
+ *   deleted (menu_item_id/combo_id set NULL), unavailable, whose options or
+ *   swaps are no longer offered, or whose quantity is now outside the item's
+ *   per-order limits
+ * - merging into a cart that holds another restaurant's items is refused
+ *   (a cart only holds one restaurant's items)
+ * - every added line is compared with the snapshotted menu_item_price so the
+ *   customer can confirm price changes before checkout
+ * - combo swaps aren't snapshotted; they are read back from the component lines
+ */
+
+const db = require('../config/database');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const MenuItem = require('../models/MenuItem');
+const Combo = require('../models/Combo');
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class ReorderService {
+    /**
+     * Rebuild the cart from a past order
+     * @param {number} userId - Customer ID
+     * @param {number} orderId - Order ID (must belong to the customer)
+     * @param {Object} options - merge (keep what is already in the cart; default replaces it)
+     * @returns {Promise<Object>} - { order, restaurant, added, unavailable, price_changes, totals, requires_confirmation }
+     * @throws {Error} - statusCode 404 for someone else's order, 409 when the restaurant stopped trading
+     *     or when merging into a cart from another restaurant
+     */
+    static async rebuildCart(userId, orderId, options = {}) {
+        const order = await Order.getOrderDetails(orderId, userId);
+
+        if (!order) {
+            throw badRequest('Order not found or access denied', 404);
+        }
+
+        const restaurants = await db.query(
+            'SELECT id, name, status, is_open FROM restaurants WHERE id = ?',
+            [order.restaurant_id]
+        );
+
+        if (restaurants.length === 0 || restaurants[0].status !== 'active') {
+            throw badRequest('This restaurant is no longer taking orders', 409);
+        }
+
+        const lines = order.items.filter(item => !item.parent_item_id);
+        const itemIds = lines.filter(line => line.menu_item_id && !line.combo_id).map(line => line.menu_item_id);
+
+        // IN (?) lists only expand in the text protocol, so this skips db.query
+        const [menuItems] = itemIds.length > 0
+            ? await db.pool.query(
+                'SELECT id, name, restaurant_id, is_available, min_quantity_per_order, max_quantity_per_order FROM menu_items WHERE id IN (?)',
+                [itemIds]
+            )
+            : [[]];
+
+        const combos = await Combo.getByIds(lines.filter(line => line.combo_id).map(line => line.combo_id));
+
+        // Keep the current cart when nothing could be added back anyway
+        const anyOrderable = lines.some(line => line.combo_id
+            ? combos.some(combo => combo.id === line.combo_id && combo.is_available)
+            : menuItems.some(item => item.id === line.menu_item_id && item.is_available));
+
+        if (!anyOrderable) {
+            throw badRequest('None of the items from this order are available any more', 409);
+        }
+
+        if (!options.merge) {
+            await Cart.clearCart(userId);
+        } else {
+            const current = await Cart.getCart(userId);
+            const other = current.find(row => row.restaurant_id !== order.restaurant_id);
+
+            if (other) {
+                throw badRequest(`Your cart has items from ${other.restaurant_name}. Reorder without merging to replace them.`, 409);
+            }
+        }
+
+        const added = [];
+        const unavailable = [];
+
+        for (const line of lines) {
+            const quantity = line.quantity;
+            const report = { order_item_id: line.id, name: line.menu_item_name, quantity };
+
+            try {
+                let result;
+
+                // A deleted combo leaves both IDs NULL; addItem reports it as deleted
+                if (line.combo_id) {
+                    result = await ReorderService.addCombo(userId, line, order.items, combos);
+                } else {
+                    result = await ReorderService.addItem(userId, line, menuItems);
+                }
+
+                added.push({ ...report, cart_item_id: result.id, old_price: parseFloat(line.menu_item_price) });
+            } catch (error) {
+                if (!error.statusCode) {
+                    throw error;
+                }
+
+                unavailable.push({ ...report, reason: error.reason || 'options_changed', message: error.message });
+            }
+        }
+
+        // Price each added line as the cart does now
+        const cart = await Cart.getCart(userId);
+        const priceChanges = [];
+
+        for (const line of added) {
+            const cartLine = cart.find(row => row.id === line.cart_item_id);
+            line.new_price = cartLine ? cartLine.unit_price : line.old_price;
+            line.price_changed = line.new_price !== line.old_price;
+
+            if (line.price_changed) {
+                priceChanges.push({
+                    order_item_id: line.order_item_id,
+                    name: line.name,
+                    quantity: line.quantity,
+                    old_price: line.old_price,
+                    new_price: line.new_price,
+                    difference: round(line.new_price - line.old_price)
+                });
+            }
+        }
+
+        const oldSubtotal = round(added.reduce((sum, line) => sum + line.old_price * line.quantity, 0));
+        const newSubtotal = round(added.reduce((sum, line) => sum + line.new_price * line.quantity, 0));
+
+        return {
+            order: {
+                id: order.id,
+                order_number: order.order_number,
+                created_at: order.created_at
+            },
+            restaurant: {
+                id: restaurants[0].id,
+                name: restaurants[0].name,
+                is_open: !!restaurants[0].is_open
+            },
+            added,
+            unavailable,
+            price_changes: priceChanges,
+            totals: {
+                old_subtotal: oldSubtotal,
+                new_subtotal: newSubtotal,
+                difference: round(newSubtotal - oldSubtotal)
+            },
+            requires_confirmation: unavailable.length > 0 || priceChanges.length > 0
+        };
+    }
+
+    /**
+     * Add a past menu item line back to the cart
+     * @param {number} userId - Customer ID
+     * @param {Object} line - Order item
+     * @param {Array<Object>} menuItems - Current menu items of the order
+     * @returns {Promise<Object>} - Cart.addItem result
+     * @throws {Error} - statusCode 400 with reason when it can't be ordered
+     */
+    static async addItem(userId, line, menuItems) {
+        const menuItem = menuItems.find(item => item.id === line.menu_item_id);
+
+        if (!menuItem) {
+            throw ReorderService.notOrderable('deleted', `"${line.menu_item_name}" is no longer on the menu`);
+        }
+
+        if (!menuItem.is_available) {
+            throw ReorderService.notOrderable('unavailable', `"${menuItem.name}" is not available right now`);
+        }
+
+        try {
+            MenuItem.checkOrderQuantity(menuItem, line.quantity);
+        } catch (error) {
+            throw ReorderService.notOrderable('quantity', error.message);
+        }
+
+        const optionIds = line.selected_options.map(option => option.option_id);
+
+        return Cart.addItem(userId, menuItem.id, line.quantity, optionIds, line.special_instructions);
+    }
+
+    /**
+     * Add a past combo line back to the cart with the same swaps
+     * @param {number} userId - Customer ID
+     * @param {Object} line - Combo order item
+     * @param {Array<Object>} orderItems - All lines of the order (for the components)
+     * @param {Array<Object>} combos - Current combos of the order
+     * @returns {Promise<Object>} - Cart.addCombo result
+     * @throws {Error} - statusCode 400 with reason when it can't be ordered
+     */
+    static async addCombo(userId, line, orderItems, combos) {
+        const combo = combos.find(item => item.id === line.combo_id);
+
+        if (!combo) {
+            throw ReorderService.notOrderable('deleted', `"${line.menu_item_name}" is no longer on the menu`);
+        }
+
+        if (!combo.is_available) {
+            throw ReorderService.notOrderable('unavailable', `"${combo.name}" is not available right now`);
+        }
+
+        const components = orderItems
+            .filter(item => item.parent_item_id === line.id && item.menu_item_id)
+            .map(item => item.menu_item_id);
+
+        // A component that isn't a slot's standard item was a swap offered for that slot
+        const substitutions = {};
+
+        for (const slot of combo.items) {
+            const standard = components.indexOf(slot.menu_item_id);
+
+            if (standard !== -1) {
+                components.splice(standard, 1);
+                continue;
+            }
+
+            const swap = components.findIndex(menuItemId =>
+                slot.substitutes.some(substitute => substitute.menu_item_id === menuItemId));
+
+            if (swap !== -1) {
+                substitutions[slot.id] = components[swap];
+                components.splice(swap, 1);
+            }
+        }
+
+        try {
+            return await Cart.addCombo(userId, combo.id, line.quantity, substitutions, line.special_instructions);
+        } catch (error) {
+            if (error.statusCode) {
+                error.reason = 'unavailable';
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Error for a line that can't be added back
+     * @param {string} reason - 'deleted', 'unavailable' or 'quantity'
+     * @param {string} message - Customer-facing message
+     * @returns {Error} - statusCode 400 error carrying the reason
+     */
+    static notOrderable(reason, message) {
+        const error = badRequest(message);
+        error.reason = reason;
+        return error;
+    }
+}
+
+module.exports = ReorderService;
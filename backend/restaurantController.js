@@ -6,6 +6,12 @@
 const db = require('../config/database');
 const { uploadConfig } = require('../config/uploadConfig');
 const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const MenuOption = require('../models/MenuOption');
+const Combo = require('../models/Combo');
+const DeliveryAddress = require('../models/DeliveryAddress');
+const OpeningHoursService = require('../services/openingHoursService');
+const PricingService = require('../services/pricingService');
 
 class RestaurantController {
     /**
@@ -31,6 +37,7 @@ class RestaurantController {
                 search: search || undefined,
                 min_rating: min_rating || undefined,
                 sort_by: sort_by || undefined,
+                language: req.language,
                 limit: parseInt(limit),
                 offset: (parseInt(page) - 1) * parseInt(limit)
             };
@@ -59,12 +66,12 @@ class RestaurantController {
             }
             
             if (filters.search) {
-                countSql += ' AND (r.name LIKE ? OR r.description LIKE ? OR r.address LIKE ?)';
+                countSql += ' AND (r.name LIKE ? OR r.description LIKE ? OR r.description_sw LIKE ? OR r.address LIKE ?)';
                 const searchTerm = `%${filters.search}%`;
-                countParams.push(searchTerm, searchTerm, searchTerm);
+                countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
             }
             
-            const [countResult] = await db.query(countSql, countParams);
+            const countResult = await db.query(countSql, countParams);
             const total = countResult[0].total;
             const totalPages = Math.ceil(total / limit);
             
@@ -112,7 +119,7 @@ class RestaurantController {
         try {
             const { id } = req.params;
             
-            const restaurant = await Restaurant.getById(id);
+            const restaurant = await Restaurant.getById(id, req.language);
             
             if (!restaurant) {
                 return res.status(404).json({
@@ -134,11 +141,12 @@ class RestaurantController {
             };
             
             // Get restaurant menu categories
-            const categories = await Restaurant.getCategories(id);
+            const categories = await Restaurant.getCategories(id, req.language);
             
             // Get featured menu items
             const featuredItems = await Restaurant.getMenu(id, { 
                 is_featured: true,
+                language: req.language,
                 limit: 6 
             });
             
@@ -187,7 +195,7 @@ class RestaurantController {
             } = req.query;
             
             // Check if restaurant exists and is open
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, name, is_open FROM restaurants WHERE id = ? AND status = "active"',
                 [id]
             );
@@ -206,7 +214,11 @@ class RestaurantController {
                 });
             }
             
+            // Explicit diet/allergen parameters, else the user's saved preferences
+            const dietary = await MenuItem.resolveDietaryFilters(req.query, req.user ? req.user.id : null);
+            
             const filters = {
+                ...dietary.filters,
                 category_id: category_id || undefined,
                 is_vegetarian: is_vegetarian ? is_vegetarian === 'true' : undefined,
                 is_spicy: is_spicy ? is_spicy === 'true' : undefined,
@@ -214,14 +226,17 @@ class RestaurantController {
                 search: search || undefined,
                 sort_by: sort_by || undefined,
                 min_price: min_price ? parseFloat(min_price) : undefined,
-                max_price: max_price ? parseFloat(max_price) : undefined
+                max_price: max_price ? parseFloat(max_price) : undefined,
+                language: req.language
             };
             
             const menuItems = await Restaurant.getMenu(id, filters);
+            const optionGroups = await MenuOption.getGroupsForItems(menuItems.map(item => item.id));
             
             // Format response with image URLs
             const formattedMenuItems = menuItems.map(item => ({
                 ...item,
+                option_groups: optionGroups[item.id] || [],
                 image_url: item.image_url 
                     ? uploadConfig.getFileUrl(item.image_url, 'menu')
                     : null,
@@ -229,8 +244,15 @@ class RestaurantController {
                 final_price: item.discounted_price || item.price
             }));
             
+            const combos = (await Combo.getByRestaurant(id)).map(combo => ({
+                ...combo,
+                image_url: combo.image_url
+                    ? uploadConfig.getFileUrl(combo.image_url, 'menu')
+                    : null
+            }));
+            
             // Get categories for filter
-            const categories = await Restaurant.getCategories(id);
+            const categories = await Restaurant.getCategories(id, req.language);
             
             res.status(200).json({
                 success: true,
@@ -240,11 +262,17 @@ class RestaurantController {
                         name: restaurant[0].name
                     },
                     menu_items: formattedMenuItems,
+                    combos,
                     categories,
                     filters: {
                         available: categories.length > 0,
                         vegetarian: menuItems.some(item => item.is_vegetarian),
+                        vegan: menuItems.some(item => item.is_vegan),
+                        gluten_free: menuItems.some(item => item.is_gluten_free),
                         spicy: menuItems.some(item => item.is_spicy),
+                        allergens: [...new Set(menuItems.flatMap(item => item.allergens))].sort(),
+                        dietary: dietary.filters,
+                        dietary_source: dietary.source,
                         price_range: {
                             min: menuItems.length > 0 ? Math.min(...menuItems.map(item => item.discounted_price || item.price)) : 0,
                             max: menuItems.length > 0 ? Math.max(...menuItems.map(item => item.discounted_price || item.price)) : 0
@@ -253,6 +281,13 @@ class RestaurantController {
                 }
             });
         } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
             console.error('Get Restaurant Menu Error:', error);
             res.status(500).json({
                 success: false,
@@ -261,6 +296,98 @@ class RestaurantController {
         }
     }
 
+    /**
+     * Get restaurant opening hours, holidays and whether it is open now
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static async getRestaurantHours(req, res) {
+        try {
+            const schedule = await OpeningHoursService.getSchedule(req.params.id);
+            
+            res.status(200).json({
+                success: true,
+                data: schedule
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Get Restaurant Hours Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get opening hours'
+            });
+        }
+    }
+
+    /**
+     * Quote delivery fee, minimum order and ETA to one of the customer's saved addresses
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static async getDeliveryQuote(req, res) {
+        try {
+            const { address_id } = req.query;
+            
+            if (!address_id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'address_id is required'
+                });
+            }
+            
+            const restaurant = await Restaurant.getById(req.params.id, req.language);
+            
+            if (!restaurant) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Restaurant not found'
+                });
+            }
+            
+            const address = await DeliveryAddress.getById(address_id, req.user.id);
+            
+            if (!address) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery address not found'
+                });
+            }
+            
+            const quote = await PricingService.quoteDelivery(restaurant, {
+                latitude: address.latitude,
+                longitude: address.longitude
+            });
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    restaurant_id: restaurant.id,
+                    address_id: address.id,
+                    ...quote
+                }
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Get Delivery Quote Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get delivery quote'
+            });
+        }
+    }
+
     /**
      * Get restaurant reviews
      * @param {Object} req - Express request object
@@ -272,7 +399,7 @@ class RestaurantController {
             const { page = 1, limit = 10 } = req.query;
             
             // Check if restaurant exists
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, name FROM restaurants WHERE id = ?',
                 [id]
             );
@@ -345,7 +472,7 @@ class RestaurantController {
             }
             
             // Check if restaurant exists
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id FROM restaurants WHERE id = ? AND status = "active"',
                 [id]
             );
@@ -359,7 +486,7 @@ class RestaurantController {
             
             // Check if user has ordered from this restaurant
             if (order_id) {
-                const [order] = await db.query(
+                const order = await db.query(
                     'SELECT id FROM orders WHERE id = ? AND user_id = ? AND restaurant_id = ? AND status = "delivered"',
                     [order_id, userId, id]
                 );
@@ -372,7 +499,7 @@ class RestaurantController {
                 }
                 
                 // Check if review already exists for this order
-                const [existingReview] = await db.query(
+                const existingReview = await db.query(
                     'SELECT id FROM reviews WHERE order_id = ?',
                     [order_id]
                 );
@@ -386,7 +513,7 @@ class RestaurantController {
             }
             
             // Check if user has already reviewed this restaurant (without order_id)
-            const [existingRestaurantReview] = await db.query(
+            const existingRestaurantReview = await db.query(
                 'SELECT id FROM reviews WHERE user_id = ? AND restaurant_id = ? AND order_id IS NULL',
                 [userId, id]
             );
@@ -411,7 +538,8 @@ class RestaurantController {
                 status: 'pending' // Will be approved by admin
             };
             
-            const [result] = await db.query(
+            // SET ? expands the object only in the text protocol, so this skips db.query
+            const [result] = await db.pool.query(
                 'INSERT INTO reviews SET ?',
                 [reviewData]
             );
@@ -456,7 +584,8 @@ class RestaurantController {
             
             const restaurants = await Restaurant.search(q.trim(), {
                 category_id: category_id || undefined,
-                limit: parseInt(limit)
+                limit: parseInt(limit),
+                language: req.language
             });
             
             // Format response with image URLs
@@ -552,7 +681,7 @@ class RestaurantController {
             const { id } = req.params;
             
             // Check if user owns this restaurant
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, name, owner_id FROM restaurants WHERE id = ?',
                 [id]
             );
@@ -574,7 +703,7 @@ class RestaurantController {
             const statistics = await Restaurant.getStatistics(id);
             
             // Get recent orders
-            const [recentOrders] = await db.query(
+            const recentOrders = await db.query(
                 `SELECT 
                     o.id,
                     o.order_number,
@@ -635,8 +764,8 @@ class RestaurantController {
                     })),
                     charts: {
                         // You can add chart data here for daily/weekly sales
-                        daily_sales: await this.getDailySalesData(id, 7),
-                        order_status_distribution: await this.getOrderStatusDistribution(id)
+                        daily_sales: await RestaurantController.getDailySalesData(id, 7),
+                        order_status_distribution: await RestaurantController.getOrderStatusDistribution(id)
                     }
                 }
             };
@@ -659,7 +788,7 @@ class RestaurantController {
      */
     static async getDailySalesData(restaurantId, days = 7) {
         try {
-            const [salesData] = await db.query(
+            const salesData = await db.query(
                 `SELECT 
                     DATE(created_at) as date,
                     COUNT(*) as order_count,
@@ -688,7 +817,7 @@ class RestaurantController {
      */
     static async getOrderStatusDistribution(restaurantId) {
         try {
-            const [distribution] = await db.query(
+            const distribution = await db.query(
                 `SELECT 
                     status,
                     COUNT(*) as count
@@ -788,7 +917,7 @@ class RestaurantController {
             const updateData = req.body;
             
             // Check if restaurant exists and user has permission
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, owner_id FROM restaurants WHERE id = ?',
                 [id]
             );
@@ -854,7 +983,7 @@ class RestaurantController {
             }
             
             // Check if restaurant exists and user has permission
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, owner_id, logo_url FROM restaurants WHERE id = ?',
                 [id]
             );
@@ -881,7 +1010,7 @@ class RestaurantController {
             }
             
             // Update restaurant with new logo
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE restaurants SET logo_url = ?, updated_at = NOW() WHERE id = ?',
                 [req.file.filename, id]
             );
@@ -936,7 +1065,7 @@ class RestaurantController {
             }
             
             // Check if restaurant exists and user has permission
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, owner_id, cover_image_url FROM restaurants WHERE id = ?',
                 [id]
             );
@@ -963,7 +1092,7 @@ class RestaurantController {
             }
             
             // Update restaurant with new cover
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE restaurants SET cover_image_url = ?, updated_at = NOW() WHERE id = ?',
                 [req.file.filename, id]
             );
@@ -1065,7 +1194,7 @@ class RestaurantController {
             }
             
             // Check if restaurant exists and user has permission
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, owner_id FROM restaurants WHERE id = ?',
                 [id]
             );
@@ -1084,18 +1213,16 @@ class RestaurantController {
                 });
             }
             
-            const success = await Restaurant.updateOpenStatus(id, is_open);
-            
-            if (!success) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Restaurant not found'
-                });
-            }
+            // Closing pauses the restaurant; opening lifts the pause and the
+            // weekly schedule decides again
+            const status = await OpeningHoursService.setPaused(id, !is_open);
             
             res.status(200).json({
                 success: true,
-                message: `Restaurant is now ${is_open ? 'open' : 'closed'}`
+                message: is_open && !status.is_open
+                    ? 'Restaurant resumed, but it is outside its opening hours'
+                    : `Restaurant is now ${status.is_open ? 'open' : 'closed'}`,
+                data: status
             });
         } catch (error) {
             console.error('Update Restaurant Open Status Error:', error);
@@ -1117,7 +1244,7 @@ class RestaurantController {
             const { id } = req.params;
             
             // Check if restaurant exists and user has permission
-            const [restaurant] = await db.query(
+            const restaurant = await db.query(
                 'SELECT id, owner_id, logo_url, cover_image_url FROM restaurants WHERE id = ?',
                 [id]
             );
@@ -1183,7 +1310,8 @@ class RestaurantController {
             const Category = require('../models/Category');
             const categories = await Category.getAll({
                 restaurant_id: restaurant_id || undefined,
-                is_active: is_active === 'true'
+                is_active: is_active === 'true',
+                language: req.language
             });
             
             // Format response with icon URLs
@@ -0,0 +1,279 @@
+/**
+ * Scheduled Order Service
+ * Pre-orders for a requested delivery slot
+ *
+ * A scheduled order is stored with status 'scheduled' and stays off the
+ * kitchen queue until release_at, when a periodic sweep moves it to 'pending':
+ *
+ *   release_at = scheduled_for - delivery minutes - prep minutes - buffer
+ *
+ * prep minutes is the slowest item's preparation_time and delivery minutes is
+ * the restaurant's measured avg_delivery_minutes (30 until there is data).
+ * The kitchen must be open from release to ready time, and each slot takes at
+ * most scheduled_slot_capacity orders (SCHEDULED_SLOT_CAPACITY by default).
+ */
+
+const db = require('../config/database');
+const KitchenService = require('./kitchenService');
+const OpeningHoursService = require('./openingHoursService');
+const OrderStatusService = require('./orderStatusService');
+const RealtimeService = require('./realtimeService');
+
+const config = {
+    slotMinutes: parseInt(process.env.SCHEDULED_SLOT_MINUTES) || 30,
+    minLeadMinutes: parseInt(process.env.SCHEDULED_MIN_LEAD_MINUTES) || 60,
+    maxDaysAhead: parseInt(process.env.SCHEDULED_MAX_DAYS_AHEAD) || 7,
+    slotCapacity: parseInt(process.env.SCHEDULED_SLOT_CAPACITY) || 10,
+    releaseBufferMinutes: parseInt(process.env.SCHEDULED_RELEASE_BUFFER_MINUTES) || 10,
+    sweepIntervalSeconds: parseInt(process.env.SCHEDULED_RELEASE_INTERVAL_SECONDS) || 60
+};
+
+const DEFAULT_DELIVERY_MINUTES = 30;
+const MINUTE = 60 * 1000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+const badRequest = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class ScheduledOrderService {
+    /**
+     * Work out release and ready times for a slot
+     * @param {Object} schedule - Restaurant schedule from OpeningHoursService.loadSchedules
+     * @param {Date} scheduledFor - Requested delivery time
+     * @param {number} prepMinutes - Expected prep minutes
+     * @param {number} deliveryMinutes - Expected delivery minutes
+     * @returns {Object} - { release_at, ready_at, kitchen_open }
+     */
+    static plan(schedule, scheduledFor, prepMinutes, deliveryMinutes) {
+        const readyAt = new Date(scheduledFor.getTime() - deliveryMinutes * MINUTE);
+        const releaseAt = new Date(readyAt.getTime() - (prepMinutes + config.releaseBufferMinutes) * MINUTE);
+
+        // Pausing only affects orders placed for now
+        const future = { ...schedule, is_paused: false };
+        const kitchenOpen = OpeningHoursService.evaluate(future, releaseAt).is_open &&
+            OpeningHoursService.evaluate(future, readyAt).is_open;
+
+        return { release_at: releaseAt, ready_at: readyAt, kitchen_open: kitchenOpen };
+    }
+
+    /**
+     * Validate a requested delivery slot for an order
+     * @param {Object} restaurant - Restaurant row (id, name, avg_delivery_minutes, scheduled_slot_capacity)
+     * @param {string} value - Requested delivery time (ISO 8601)
+     * @param {Array<Object>} items - Priced items ({ menu_item_id } or combo lines with components)
+     * @returns {Promise<Object>} - { scheduled_for, release_at, capacity }
+     */
+    static async planOrder(restaurant, value, items) {
+        const scheduledFor = new Date(value);
+
+        if (isNaN(scheduledFor.getTime())) {
+            throw badRequest('scheduled_for must be a date and time (ISO 8601)');
+        }
+
+        if (scheduledFor.getTime() % (config.slotMinutes * MINUTE) !== 0) {
+            throw badRequest(`scheduled_for must be on a ${config.slotMinutes}-minute slot (e.g. 19:00, 19:${String(config.slotMinutes).padStart(2, '0')})`);
+        }
+
+        const prepMinutes = await KitchenService.getExpectedPrepMinutesForItems(
+            items.flatMap(item => item.components
+                ? item.components.map(component => component.menu_item_id)
+                : [item.menu_item_id])
+        );
+        const deliveryMinutes = restaurant.avg_delivery_minutes || DEFAULT_DELIVERY_MINUTES;
+
+        const now = Date.now();
+        const earliest = now + Math.max(
+            config.minLeadMinutes,
+            prepMinutes + deliveryMinutes + config.releaseBufferMinutes
+        ) * MINUTE;
+
+        if (scheduledFor.getTime() < earliest) {
+            throw badRequest(`Scheduled orders need at least ${Math.ceil((earliest - now) / MINUTE)} minutes notice`);
+        }
+
+        if (scheduledFor.getTime() > now + config.maxDaysAhead * 24 * 60 * MINUTE) {
+            throw badRequest(`Orders can be scheduled up to ${config.maxDaysAhead} days ahead`);
+        }
+
+        const [schedule] = await OpeningHoursService.loadSchedules([restaurant.id]);
+        const plan = ScheduledOrderService.plan(schedule, scheduledFor, prepMinutes, deliveryMinutes);
+
+        if (!plan.kitchen_open) {
+            throw badRequest(`${restaurant.name} is closed at that time. Please pick another slot.`);
+        }
+
+        return {
+            scheduled_for: scheduledFor,
+            release_at: plan.release_at,
+            capacity: restaurant.scheduled_slot_capacity || config.slotCapacity
+        };
+    }
+
+    /**
+     * Check slot capacity inside the order transaction (call after inserting the order)
+     * @param {Object} connection - Transaction connection
+     * @param {number} restaurantId - Restaurant ID
+     * @param {Date} scheduledFor - Slot time
+     * @param {number} capacity - Orders allowed in the slot
+     * @throws {Error} - statusCode 409 when the slot is full
+     */
+    static async reserveSlot(connection, restaurantId, scheduledFor, capacity) {
+        // Serialise bookings per restaurant so two customers can't take the last place
+        await connection.query(
+            'SELECT id FROM restaurants WHERE id = ? FOR UPDATE',
+            [restaurantId]
+        );
+
+        const [rows] = await connection.query(
+            `SELECT COUNT(*) as count FROM orders
+            WHERE restaurant_id = ? AND scheduled_for = ? AND status NOT IN ('cancelled', 'refunded')`,
+            [restaurantId, scheduledFor]
+        );
+
+        if (rows[0].count > capacity) {
+            throw badRequest('That delivery slot is fully booked. Please pick another time.', 409);
+        }
+    }
+
+    /**
+     * List upcoming slots with remaining capacity
+     * @param {number} restaurantId - Restaurant ID
+     * @param {number} days - How many days ahead to list (max SCHEDULED_MAX_DAYS_AHEAD)
+     * @returns {Promise<Object>} - { slot_minutes, timezone, slots: [{ scheduled_for, remaining }] }
+     */
+    static async getAvailableSlots(restaurantId, days = 1) {
+        const restaurants = await db.query(
+            `SELECT id, avg_prep_minutes, avg_delivery_minutes, scheduled_slot_capacity
+            FROM restaurants WHERE id = ? AND status = 'active'`,
+            [restaurantId]
+        );
+
+        if (restaurants.length === 0) {
+            throw badRequest('Restaurant not found', 404);
+        }
+
+        const restaurant = restaurants[0];
+        const [schedule] = await OpeningHoursService.loadSchedules([restaurant.id]);
+
+        // No items yet, so use the restaurant's measured prep time
+        const prepMinutes = restaurant.avg_prep_minutes || KitchenService.config.defaultPrepMinutes;
+        const deliveryMinutes = restaurant.avg_delivery_minutes || DEFAULT_DELIVERY_MINUTES;
+        const capacity = restaurant.scheduled_slot_capacity || config.slotCapacity;
+        const slotMs = config.slotMinutes * MINUTE;
+
+        const now = Date.now();
+        const leadMinutes = Math.max(config.minLeadMinutes, prepMinutes + deliveryMinutes + config.releaseBufferMinutes);
+        const from = Math.ceil((now + leadMinutes * MINUTE) / slotMs) * slotMs;
+        const to = now + Math.min(Math.max(parseInt(days) || 1, 1), config.maxDaysAhead) * 24 * 60 * MINUTE;
+
+        const booked = await db.query(
+            `SELECT scheduled_for, COUNT(*) as count FROM orders
+            WHERE restaurant_id = ? AND scheduled_for BETWEEN ? AND ?
+                AND status NOT IN ('cancelled', 'refunded')
+            GROUP BY scheduled_for`,
+            [restaurant.id, new Date(from), new Date(to)]
+        );
+
+        const bookedBySlot = new Map(booked.map(row => [new Date(row.scheduled_for).getTime(), row.count]));
+        const slots = [];
+
+        for (let time = from; time <= to; time += slotMs) {
+            const slot = new Date(time);
+
+            if (!ScheduledOrderService.plan(schedule, slot, prepMinutes, deliveryMinutes).kitchen_open) {
+                continue;
+            }
+
+            const remaining = capacity - (bookedBySlot.get(time) || 0);
+
+            if (remaining > 0) {
+                slots.push({ scheduled_for: slot, remaining });
+            }
+        }
+
+        return {
+            slot_minutes: config.slotMinutes,
+            timezone: schedule.timezone,
+            slots
+        };
+    }
+
+    /**
+     * Release scheduled orders whose lead time has come to the kitchen
+     * @returns {Promise<number>} - Number of orders released
+     */
+    static async releaseDue() {
+        if (sweeping) {
+            return 0;
+        }
+
+        sweeping = true;
+
+        try {
+            const orders = await db.query(
+                `SELECT id FROM orders
+                WHERE status = 'scheduled' AND release_at <= NOW()
+                ORDER BY release_at`
+            );
+
+            let released = 0;
+
+            for (const order of orders) {
+                try {
+                    await OrderStatusService.changeStatus(order.id, 'pending', {
+                        role: 'system',
+                        reason: 'Scheduled order released to the kitchen'
+                    });
+
+                    RealtimeService.publishNewOrder(order.id);
+                    released++;
+                } catch (error) {
+                    // Cancelled in the meantime, or a transient failure the next sweep retries
+                    console.error(`ScheduledOrderService release ${order.id} Error:`, error.message);
+                }
+            }
+
+            return released;
+        } catch (error) {
+            console.error('ScheduledOrderService.releaseDue Error:', error);
+            return 0;
+        } finally {
+            sweeping = false;
+        }
+    }
+
+    /**
+     * Start the periodic release sweep
+     */
+    static start() {
+        if (sweepTimer) {
+            return;
+        }
+
+        sweepTimer = setInterval(() => {
+            ScheduledOrderService.releaseDue();
+        }, config.sweepIntervalSeconds * 1000);
+
+        // Do not keep the process alive just for this
+        sweepTimer.unref();
+    }
+
+    /**
+     * Stop the periodic release sweep
+     */
+    static stop() {
+        if (sweepTimer) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    }
+}
+
+ScheduledOrderService.config = config;
+
+module.exports = ScheduledOrderService;
@@ -14,6 +14,20 @@ const cartRoutes = require('./routes/cartRoutes');
 const userRoutes = require('./routes/userRoutes');
 const restaurantRoutes = require('./routes/restaurantRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const driverRoutes = require('./routes/driverRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const partnerRoutes = require('./routes/partnerRoutes');
+
+// Import middleware
+const languageMiddleware = require('./middleware/languageMiddleware');
+
+// Import services
+const DispatchService = require('./services/dispatchService');
+const RealtimeService = require('./services/realtimeService');
+const OpeningHoursService = require('./services/openingHoursService');
+const ScheduledOrderService = require('./services/scheduledOrderService');
+const InventoryService = require('./services/inventoryService');
 
 // Load environment variables
 dotenv.config();
@@ -70,7 +84,15 @@ if (NODE_ENV === 'development') {
 }
 
 // Body parsers
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ============================================
@@ -89,6 +111,9 @@ app.use('/public', express.static(path.join(__dirname, 'public')));
 // 🔥 API ROUTES
 // ============================================
 
+// Menu content language (?lang= or Accept-Language, default English)
+app.use('/api', languageMiddleware);
+
 app.use('/api/auth', authRoutes);
 app.use('/api/menu', menuRoutes);
 app.use('/api/orders', orderRoutes);
@@ -96,6 +121,10 @@ app.use('/api/cart', cartRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/restaurants', restaurantRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/driver', driverRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/partner', partnerRoutes);
 
 // ============================================
 // 🔥 ROOT ENDPOINTS
@@ -116,7 +145,11 @@ app.get('/api', (req, res) => {
             cart: '/api/cart',
             users: '/api/users',
             restaurants: '/api/restaurants',
-            admin: '/api/admin'
+            admin: '/api/admin',
+            driver: '/api/driver',
+            payments: '/api/payments',
+            events: '/api/events/stream',
+            partner: '/api/partner'
         }
     });
 });
@@ -242,6 +275,21 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`   - Menu: http://localhost:${PORT}/api/menu`);
     console.log(`   - Orders: http://localhost:${PORT}/api/orders`);
     console.log('='.repeat(60));
+
+    // Start auto-dispatch sweep for ready orders
+    DispatchService.start();
+
+    // Keep order event streams alive
+    RealtimeService.start();
+
+    // Keep restaurants.is_open in line with opening hours
+    OpeningHoursService.start();
+
+    // Send scheduled orders to the kitchen at their lead time
+    ScheduledOrderService.start();
+
+    // Start each day's menu item counts from daily_stock
+    InventoryService.start();
 });
 
 // ============================================
@@ -270,6 +318,12 @@ process.on('unhandledRejection', (reason, promise) => {
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
     console.log(`\n${signal} received. Starting graceful shutdown...`);
+    DispatchService.stop();
+    OpeningHoursService.stop();
+    ScheduledOrderService.stop();
+    InventoryService.stop();
+    // Open event streams would otherwise keep server.close() waiting
+    RealtimeService.stop();
     server.close(() => {
         console.log('✅ HTTP server closed');
         console.log('👋 Goodbye!');
@@ -0,0 +1,119 @@
+/**
+ * Simulator Payment Provider
+ * Local stand-in for real gateways (development and tests)
+ *
+ * Outcome rules:
+ * - phone numbers ending in 0000 fail ("Insufficient funds")
+ * - everything else succeeds
+ * Results settle PAYMENT_SIMULATOR_DELAY_SECONDS after the request
+ * (0 = settle immediately). The outcome and request time are encoded in
+ * the transaction ID, so nothing is kept in memory between restarts.
+ */
+
+const crypto = require('crypto');
+
+const delaySeconds = () => {
+    const value = parseInt(process.env.PAYMENT_SIMULATOR_DELAY_SECONDS);
+    return isNaN(value) ? 5 : value;
+};
+
+const simulator = {
+    name: 'simulator',
+
+    simulated: true,
+
+    methods: ['mobile_money', 'credit_card', 'bank_transfer'],
+
+    /**
+     * Start a simulated payment
+     * @param {Object} request - payment, order, phone_number
+     * @returns {Promise<Object>} - { transaction_id, status, message }
+     */
+    async initiatePayment({ phone_number }) {
+        const outcome = String(phone_number || '').endsWith('0000') ? 'F' : 'S';
+        const transactionId = `SIM-${Date.now()}-${outcome}-${crypto.randomBytes(4).toString('hex')}`;
+
+        if (delaySeconds() === 0) {
+            return {
+                transaction_id: transactionId,
+                ...simulator.resultFor(transactionId)
+            };
+        }
+
+        return {
+            transaction_id: transactionId,
+            status: 'pending',
+            message: 'Simulated payment request sent. Confirm on your phone.'
+        };
+    },
+
+    /**
+     * Check a simulated payment
+     * @param {Object} payment - Payment row
+     * @returns {Promise<Object>} - { status, provider_receipt, failure_reason }
+     */
+    async queryStatus(payment) {
+        const [, requestedAt] = String(payment.transaction_id).split('-');
+
+        if (Date.now() - parseInt(requestedAt) < delaySeconds() * 1000) {
+            return { status: 'pending' };
+        }
+
+        return simulator.resultFor(payment.transaction_id);
+    },
+
+    /**
+     * Final result encoded in a simulator transaction ID
+     * @param {string} transactionId - Simulator transaction ID
+     * @returns {Object} - { status, provider_receipt, failure_reason }
+     */
+    resultFor(transactionId) {
+        const [, , outcome, suffix] = String(transactionId).split('-');
+
+        if (outcome === 'F') {
+            return {
+                status: 'failed',
+                failure_reason: 'Insufficient funds (simulated)'
+            };
+        }
+
+        return {
+            status: 'completed',
+            provider_receipt: `SIMRCPT${String(suffix || '').toUpperCase()}`
+        };
+    },
+
+    /**
+     * Refund a simulated payment (always succeeds immediately)
+     * @param {Object} payment - Payment row
+     * @param {Object} request - refund, amount, reason
+     * @returns {Promise<Object>} - { refund_id, status }
+     */
+    async refund(payment, { refund }) {
+        return {
+            refund_id: `SIMREF-${refund.id}-${crypto.randomBytes(4).toString('hex')}`,
+            status: 'completed'
+        };
+    },
+
+    /**
+     * Read a simulator callback
+     * Payload: { transaction_id, status, receipt, failure_reason }
+     * @param {Object} body - Callback payload
+     * @returns {Object|null} - { transaction_id, status, provider_receipt, failure_reason }
+     */
+    parseWebhook(body) {
+        if (!body || !body.transaction_id || !['completed', 'failed'].includes(body.status)) {
+            return null;
+        }
+
+        return {
+            transaction_id: body.transaction_id,
+            status: body.status,
+            provider_receipt: body.receipt || null,
+            failure_reason: body.failure_reason || null
+        };
+    }
+};
+
+module.exports = simulator;
@@ -6,6 +6,12 @@
 const db = require('../config/database');
 const bcrypt = require('bcryptjs');
 const { uploadConfig } = require('../config/uploadConfig');
+const User = require('../models/User');
+const MenuItem = require('../models/MenuItem');
+const DeliveryAddress = require('../models/DeliveryAddress');
+
+// Saved preference keys (a positive allergens filter makes no sense as a default)
+const DIETARY_PREFERENCE_FIELDS = ['diet', 'exclude_diet', 'exclude_allergens'];
 
 class UserController {
     /**
@@ -17,7 +23,7 @@ class UserController {
         try {
             const userId = req.user.id;
             
-            const [users] = await db.query(
+            const users = await db.query(
                 `SELECT 
                     id, name, email, phone, address, 
                     profile_picture, role, status,
@@ -38,7 +44,7 @@ class UserController {
             const user = users[0];
             
             // Get user statistics
-            const [stats] = await db.query(
+            const stats = await db.query(
                 `SELECT 
                     (SELECT COUNT(*) FROM orders WHERE user_id = ?) as total_orders,
                     (SELECT COUNT(*) FROM orders WHERE user_id = ? AND status = 'delivered') as completed_orders,
@@ -49,7 +55,7 @@ class UserController {
             );
             
             // Get recent orders
-            const [recentOrders] = await db.query(
+            const recentOrders = await db.query(
                 `SELECT 
                     id, order_number, total_amount, status,
                     created_at, delivery_address
@@ -60,12 +66,15 @@ class UserController {
                 [userId]
             );
             
+            const dietaryPreferences = await User.getDietaryPreferences(userId);
+            
             // Format response
             const response = {
                 success: true,
                 data: {
                     user: {
                         ...user,
+                        dietary_preferences: dietaryPreferences,
                         profile_picture_url: user.profile_picture 
                             ? uploadConfig.getFileUrl(user.profile_picture, 'profile')
                             : null
@@ -116,7 +125,8 @@ class UserController {
             if (phone) updateData.phone = phone.trim();
             if (address) updateData.address = address.trim();
             
-            const [result] = await db.query(
+            // SET ? expands the object only in the text protocol, so this skips db.query
+            const [result] = await db.pool.query(
                 'UPDATE users SET ? WHERE id = ?',
                 [updateData, userId]
             );
@@ -129,7 +139,7 @@ class UserController {
             }
             
             // Get updated user
-            const [users] = await db.query(
+            const users = await db.query(
                 'SELECT id, name, email, phone, address, profile_picture, role FROM users WHERE id = ?',
                 [userId]
             );
@@ -153,6 +163,81 @@ class UserController {
         }
     }
 
+    /**
+     * Get saved dietary preferences and the values they can take
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static async getDietaryPreferences(req, res) {
+        try {
+            const preferences = await User.getDietaryPreferences(req.user.id);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    preferences,
+                    options: {
+                        diets: Object.keys(MenuItem.DIETS),
+                        allergens: MenuItem.ALLERGENS
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get Dietary Preferences Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get dietary preferences'
+            });
+        }
+    }
+
+    /**
+     * Replace dietary preferences (applied to menu browsing unless a request sets its own)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static async updateDietaryPreferences(req, res) {
+        try {
+            const input = {};
+            DIETARY_PREFERENCE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    input[field] = req.body[field];
+                }
+            });
+            
+            // Throws a 400 for unknown diets or allergens
+            const preferences = MenuItem.parseDietaryFilters(input);
+            
+            // Drop empty lists so clearing every field clears the preferences
+            Object.keys(preferences).forEach(field => {
+                if (preferences[field].length === 0) {
+                    delete preferences[field];
+                }
+            });
+            
+            await User.setDietaryPreferences(req.user.id, preferences);
+            
+            res.status(200).json({
+                success: true,
+                message: 'Dietary preferences updated successfully',
+                data: { preferences }
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Update Dietary Preferences Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update dietary preferences'
+            });
+        }
+    }
+
     /**
      * Upload profile picture
      * @param {Object} req - Express request object
@@ -170,7 +255,7 @@ class UserController {
             }
             
             // Delete old profile picture if exists
-            const [user] = await db.query(
+            const user = await db.query(
                 'SELECT profile_picture FROM users WHERE id = ?',
                 [userId]
             );
@@ -182,7 +267,7 @@ class UserController {
             }
             
             // Update user with new profile picture
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE users SET profile_picture = ?, updated_at = NOW() WHERE id = ?',
                 [req.file.filename, userId]
             );
@@ -253,7 +338,7 @@ class UserController {
             sql += ' GROUP BY o.id ORDER BY o.created_at DESC LIMIT ? OFFSET ?';
             params.push(parseInt(limit), offset);
             
-            const [orders] = await db.query(sql, params);
+            const orders = await db.query(sql, params);
             
             // Get total count for pagination
             let countSql = 'SELECT COUNT(*) as total FROM orders WHERE user_id = ?';
@@ -264,14 +349,14 @@ class UserController {
                 countParams.push(status);
             }
             
-            const [countResult] = await db.query(countSql, countParams);
+            const countResult = await db.query(countSql, countParams);
             const total = countResult[0].total;
             const totalPages = Math.ceil(total / limit);
             
             // Format orders with item details
             const formattedOrders = await Promise.all(
                 orders.map(async (order) => {
-                    const [items] = await db.query(
+                    const items = await db.query(
                         'SELECT * FROM order_items WHERE order_id = ?',
                         [order.id]
                     );
@@ -320,7 +405,7 @@ class UserController {
             const { orderId } = req.params;
             
             // Get order with restaurant details
-            const [orders] = await db.query(
+            const orders = await db.query(
                 `SELECT 
                     o.*,
                     r.name as restaurant_name,
@@ -343,7 +428,7 @@ class UserController {
             const order = orders[0];
             
             // Get order items
-            const [items] = await db.query(
+            const items = await db.query(
                 `SELECT 
                     oi.*,
                     mi.image_url,
@@ -557,7 +642,7 @@ class UserController {
             }
             
             // Get current user with password
-            const [users] = await db.query(
+            const users = await db.query(
                 'SELECT id, password FROM users WHERE id = ?',
                 [userId]
             );
@@ -586,7 +671,7 @@ class UserController {
             const hashedPassword = await bcrypt.hash(new_password, salt);
             
             // Update password
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE users SET password = ?, updated_at = NOW() WHERE id = ?',
                 [hashedPassword, userId]
             );
@@ -621,7 +706,7 @@ class UserController {
             const userId = req.user.id;
             
             // Get favorite restaurants
-            const [favoriteRestaurants] = await db.query(
+            const favoriteRestaurants = await db.query(
                 `SELECT 
                     r.*,
                     AVG(rev.rating) as avg_rating,
@@ -637,7 +722,7 @@ class UserController {
             );
             
             // Get favorite menu items
-            const [favoriteMenuItems] = await db.query(
+            const favoriteMenuItems = await db.query(
                 `SELECT 
                     mi.*,
                     r.name as restaurant_name,
@@ -712,7 +797,7 @@ class UserController {
             }
             
             // Check if already favorited
-            const [existing] = await db.query(
+            const existing = await db.query(
                 'SELECT id FROM favorites WHERE user_id = ? AND (restaurant_id = ? OR menu_item_id = ?)',
                 [userId, restaurant_id || null, menu_item_id || null]
             );
@@ -725,7 +810,7 @@ class UserController {
             }
             
             // Add to favorites
-            const [result] = await db.query(
+            const result = await db.query(
                 'INSERT INTO favorites (user_id, restaurant_id, menu_item_id) VALUES (?, ?, ?)',
                 [userId, restaurant_id || null, menu_item_id || null]
             );
@@ -763,7 +848,7 @@ class UserController {
             const userId = req.user.id;
             const { favorite_id } = req.params;
             
-            const [result] = await db.query(
+            const result = await db.query(
                 'DELETE FROM favorites WHERE id = ? AND user_id = ?',
                 [favorite_id, userId]
             );
@@ -795,14 +880,7 @@ class UserController {
      */
     static async getAddresses(req, res) {
         try {
-            const userId = req.user.id;
-            
-            const [addresses] = await db.query(
-                `SELECT * FROM delivery_addresses 
-                WHERE user_id = ? 
-                ORDER BY is_default DESC, created_at DESC`,
-                [userId]
-            );
+            const addresses = await DeliveryAddress.getByUser(req.user.id);
             
             res.status(200).json({
                 success: true,
@@ -821,69 +899,32 @@ class UserController {
     }
 
     /**
-     * Add new address
+     * Add new address (the first address becomes the default)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
     static async addAddress(req, res) {
         try {
-            const userId = req.user.id;
-            const {
-                label,
-                address_line1,
-                address_line2,
-                city,
-                state,
-                postal_code,
-                country,
-                latitude,
-                longitude,
-                is_default
-            } = req.body;
-            
-            // Validate required fields
-            if (!label || !address_line1 || !city) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Label, address line 1, and city are required'
-                });
-            }
-            
-            // If setting as default, unset other defaults
-            if (is_default) {
-                await db.query(
-                    'UPDATE delivery_addresses SET is_default = FALSE WHERE user_id = ?',
-                    [userId]
-                );
-            }
+            const addressData = DeliveryAddress.parse(req.body);
             
-            const addressData = {
-                user_id: userId,
-                label,
-                address_line1,
-                address_line2: address_line2 || null,
-                city,
-                state: state || null,
-                postal_code: postal_code || null,
-                country: country || 'Tanzania',
-                latitude: latitude || null,
-                longitude: longitude || null,
-                is_default: is_default ? 1 : 0
-            };
-            
-            const [result] = await db.query(
-                'INSERT INTO delivery_addresses SET ?',
-                [addressData]
-            );
+            const address = await DeliveryAddress.create(req.user.id, addressData, !!req.body.is_default);
             
             res.status(201).json({
                 success: true,
                 message: 'Address added successfully',
                 data: {
-                    address_id: result.insertId
+                    address_id: address.id,
+                    is_default: address.is_default
                 }
             });
         } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
             console.error('Add Address Error:', error);
             res.status(500).json({
                 success: false,
@@ -901,35 +942,61 @@ class UserController {
         try {
             const userId = req.user.id;
             const { address_id } = req.params;
-            const updateData = req.body;
+            const { is_default } = req.body;
             
-            // Check if address belongs to user
-            const [address] = await db.query(
-                'SELECT id FROM delivery_addresses WHERE id = ? AND user_id = ?',
-                [address_id, userId]
-            );
+            const address = await DeliveryAddress.getById(address_id, userId);
             
-            if (address.length === 0) {
+            if (!address) {
                 return res.status(404).json({
                     success: false,
                     error: 'Address not found'
                 });
             }
             
-            // If setting as default, unset other defaults
-            if (updateData.is_default) {
-                await db.query(
-                    'UPDATE delivery_addresses SET is_default = FALSE WHERE user_id = ? AND id != ?',
-                    [userId, address_id]
-                );
+            // The default can only move to another address, never disappear
+            if (is_default !== undefined && !is_default && address.is_default) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Set another address as default instead'
+                });
             }
             
-            const [result] = await db.query(
-                'UPDATE delivery_addresses SET ? WHERE id = ? AND user_id = ?',
-                [updateData, address_id, userId]
-            );
+            await DeliveryAddress.update(address_id, userId, DeliveryAddress.parse(req.body, true));
             
-            if (result.affectedRows === 0) {
+            if (is_default && !address.is_default) {
+                await DeliveryAddress.setDefault(address_id, userId);
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: 'Address updated successfully'
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            
+            console.error('Update Address Error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update address'
+            });
+        }
+    }
+
+    /**
+     * Make an address the default
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static async setDefaultAddress(req, res) {
+        try {
+            const found = await DeliveryAddress.setDefault(req.params.address_id, req.user.id);
+            
+            if (!found) {
                 return res.status(404).json({
                     success: false,
                     error: 'Address not found'
@@ -938,33 +1005,27 @@ class UserController {
             
             res.status(200).json({
                 success: true,
-                message: 'Address updated successfully'
+                message: 'Default address updated'
             });
         } catch (error) {
-            console.error('Update Address Error:', error);
+            console.error('Set Default Address Error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to update address'
+                error: 'Failed to set default address'
             });
         }
     }
 
     /**
-     * Delete address
+     * Delete address (deleting the default promotes the newest remaining address)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
     static async deleteAddress(req, res) {
         try {
-            const userId = req.user.id;
-            const { address_id } = req.params;
+            const result = await DeliveryAddress.delete(req.params.address_id, req.user.id);
             
-            const [result] = await db.query(
-                'DELETE FROM delivery_addresses WHERE id = ? AND user_id = ?',
-                [address_id, userId]
-            );
-            
-            if (result.affectedRows === 0) {
+            if (!result) {
                 return res.status(404).json({
                     success: false,
                     error: 'Address not found'
@@ -973,7 +1034,8 @@ class UserController {
             
             res.status(200).json({
                 success: true,
-                message: 'Address deleted successfully'
+                message: 'Address deleted successfully',
+                data: result
             });
         } catch (error) {
             console.error('Delete Address Error:', error);
@@ -1008,7 +1070,7 @@ class UserController {
             sql += ' ORDER BY created_at DESC LIMIT ?';
             params.push(parseInt(limit));
             
-            const [notifications] = await db.query(sql, params);
+            const notifications = await db.query(sql, params);
             
             // Mark as read if specified
             if (req.query.mark_as_read === 'true') {
@@ -1019,7 +1081,7 @@ class UserController {
             }
             
             // Get unread count
-            const [unreadCount] = await db.query(
+            const unreadCount = await db.query(
                 'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE',
                 [userId]
             );
@@ -1050,7 +1112,7 @@ class UserController {
             const userId = req.user.id;
             const { notification_id } = req.params;
             
-            const [result] = await db.query(
+            const result = await db.query(
                 'UPDATE notifications SET is_read = TRUE WHERE id = ? AND user_id = ?',
                 [notification_id, userId]
             );
@@ -1085,7 +1147,7 @@ class UserController {
             const userId = req.user.id;
             const { notification_id } = req.params;
             
-            const [result] = await db.query(
+            const result = await db.query(
                 'DELETE FROM notifications WHERE id = ? AND user_id = ?',
                 [notification_id, userId]
             );
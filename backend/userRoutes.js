@@ -17,6 +17,16 @@ router.get('/profile', userController.getProfile);
 // @access  Private
 router.put('/profile', userController.updateProfile);
 
+// @route   GET /api/users/dietary-preferences
+// @desc    Get saved diet and allergen preferences
+// @access  Private
+router.get('/dietary-preferences', userController.getDietaryPreferences);
+
+// @route   PUT /api/users/dietary-preferences
+// @desc    Save diet and allergen preferences (applied to menus by default)
+// @access  Private
+router.put('/dietary-preferences', userController.updateDietaryPreferences);
+
 // @route   POST /api/users/profile/upload
 // @desc    Upload profile picture
 // @access  Private
@@ -27,6 +37,31 @@ router.post('/profile/upload', uploadMiddleware.single('avatar'), userController
 // @access  Private
 router.get('/orders', userController.getUserOrders);
 
+// @route   GET /api/users/addresses
+// @desc    Get saved delivery addresses (default first)
+// @access  Private
+router.get('/addresses', userController.getAddresses);
+
+// @route   POST /api/users/addresses
+// @desc    Add delivery address (the first one becomes the default)
+// @access  Private
+router.post('/addresses', userController.addAddress);
+
+// @route   PUT /api/users/addresses/:address_id
+// @desc    Update delivery address
+// @access  Private
+router.put('/addresses/:address_id', userController.updateAddress);
+
+// @route   DELETE /api/users/addresses/:address_id
+// @desc    Delete delivery address
+// @access  Private
+router.delete('/addresses/:address_id', userController.deleteAddress);
+
+// @route   POST /api/users/addresses/:address_id/default
+// @desc    Make an address the default
+// @access  Private
+router.post('/addresses/:address_id/default', userController.setDefaultAddress);
+
 // @route   PUT /api/users/change-password
 // @desc    Change password
 // @access  Private
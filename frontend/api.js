@@ -172,8 +172,10 @@ const authAPI = {
 
 const menuAPI = {
     // GET /api/menu
-    getAll: async () => {
-        return await apiRequest('/menu');
+    // filters: { diet: 'vegan', exclude_allergens: 'nuts,dairy', ... }
+    getAll: async (filters = {}) => {
+        const query = new URLSearchParams(filters).toString();
+        return await apiRequest(`/menu${query ? `?${query}` : ''}`);
     },
     
     // GET /api/menu/:id
@@ -229,9 +231,15 @@ const orderAPI = {
         });
     },
     
-    // GET /api/orders (requires auth)
+    // GET /api/orders/my-orders (requires auth)
+    // Returns data (placed orders) and scheduled.data (upcoming pre-orders)
     getUserOrders: async () => {
-        return await apiRequest('/orders');
+        return await apiRequest('/orders/my-orders');
+    },
+    
+    // GET /api/orders/schedule-slots - open delivery slots for pre-orders
+    getScheduleSlots: async (restaurantId, days = 1) => {
+        return await apiRequest(`/orders/schedule-slots?restaurant_id=${restaurantId}&days=${days}`);
     },
     
     // GET /api/orders/:id (requires auth)
@@ -265,11 +273,15 @@ const orderAPI = {
 
 const cartAPI = {
     // GET /api/cart (requires auth)
-    getCart: async () => {
-        return await apiRequest('/cart');
+    // data.summary has the delivery fee, min_order_shortfall, issues and can_checkout
+    getCart: async (addressId = null) => {
+        return await apiRequest(addressId ? `/cart?address_id=${addressId}` : '/cart');
     },
     
     // POST /api/cart/add (requires auth)
+    // item: { menu_item_id, quantity, options: [optionId, ...], special_instructions }
+    //    or { combo_id, quantity, substitutions: { comboItemId: menuItemId }, special_instructions }
+    // A 409 means the cart has another restaurant's items; resend with replace_cart: true to start over
     addToCart: async (item) => {
         return await apiRequest('/cart/add', {
             method: 'POST',
@@ -297,6 +309,80 @@ const cartAPI = {
         return await apiRequest('/cart', {
             method: 'DELETE'
         });
+    },
+    
+    // POST /api/cart/preview-discount (requires auth)
+    previewDiscount: async (couponCode) => {
+        return await apiRequest('/cart/preview-discount', {
+            method: 'POST',
+            body: JSON.stringify({ coupon_code: couponCode })
+        });
+    },
+
+    // POST /api/cart/groups (requires auth) - returns invite_code and invite_url
+    createGroup: async (restaurantId, name) => {
+        return await apiRequest('/cart/groups', {
+            method: 'POST',
+            body: JSON.stringify({ restaurant_id: restaurantId, name })
+        });
+    },
+
+    // POST /api/cart/groups/join/:inviteCode (requires auth)
+    joinGroup: async (inviteCode) => {
+        return await apiRequest(`/cart/groups/join/${encodeURIComponent(inviteCode)}`, {
+            method: 'POST'
+        });
+    },
+
+    // GET /api/cart/groups/:groupId (requires auth)
+    getGroup: async (groupId) => {
+        return await apiRequest(`/cart/groups/${groupId}`);
+    },
+
+    // POST /api/cart/groups/:groupId/items (requires auth) - same item format as addToCart
+    addToGroup: async (groupId, item) => {
+        return await apiRequest(`/cart/groups/${groupId}/items`, {
+            method: 'POST',
+            body: JSON.stringify(item)
+        });
+    },
+
+    // DELETE /api/cart/groups/:groupId/items/:itemId (requires auth)
+    removeFromGroup: async (groupId, itemId) => {
+        return await apiRequest(`/cart/groups/${groupId}/items/${itemId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // POST /api/cart/groups/:groupId/lock (host) - then check out with orderAPI and group_cart_id
+    lockGroup: async (groupId) => {
+        return await apiRequest(`/cart/groups/${groupId}/lock`, {
+            method: 'POST'
+        });
+    }
+};
+
+// ============================================
+// 🔥 PAYMENT API CALLS (paymentRoutes.js)
+// ============================================
+
+const paymentAPI = {
+    // POST /api/payments/orders/:orderId/pay (requires auth)
+    pay: async (orderId, phoneNumber) => {
+        return await apiRequest(`/payments/orders/${orderId}/pay`, {
+            method: 'POST',
+            body: JSON.stringify({ phone_number: phoneNumber })
+        });
+    },
+    
+    // GET /api/payments/orders/:orderId (requires auth)
+    getOrderPayments: async (orderId) => {
+        return await apiRequest(`/payments/orders/${orderId}`);
+    },
+    
+    // GET /api/payments/:id/status (requires auth)
+    getStatus: async (paymentId) => {
+        return await apiRequest(`/payments/${paymentId}/status`);
     }
 };
 
@@ -318,6 +404,20 @@ const userAPI = {
         });
     },
     
+    // GET /api/users/dietary-preferences (requires auth)
+    getDietaryPreferences: async () => {
+        return await apiRequest('/users/dietary-preferences');
+    },
+    
+    // PUT /api/users/dietary-preferences (requires auth)
+    // { diet: ['vegetarian'], exclude_diet: ['spicy'], exclude_allergens: ['nuts'] }
+    updateDietaryPreferences: async (preferences) => {
+        return await apiRequest('/users/dietary-preferences', {
+            method: 'PUT',
+            body: JSON.stringify(preferences)
+        });
+    },
+    
     // GET /api/users/addresses (requires auth)
     getAddresses: async () => {
         return await apiRequest('/users/addresses');
@@ -369,11 +469,17 @@ const restaurantAPI = {
         return await apiRequest(`/restaurants/${id}`);
     },
     
-    // GET /api/restaurants/:id/menu
-    getMenu: async (id) => {
-        return await apiRequest(`/restaurants/${id}/menu`);
+    // GET /api/restaurants/:id/menu (same diet/allergen filters as menuAPI.getAll)
+    getMenu: async (id, filters = {}) => {
+        const query = new URLSearchParams(filters).toString();
+        return await apiRequest(`/restaurants/${id}/menu${query ? `?${query}` : ''}`);
     },
-    
+
+    // GET /api/restaurants/:id/delivery-quote (requires auth)
+    getDeliveryQuote: async (id, addressId) => {
+        return await apiRequest(`/restaurants/${id}/delivery-quote?address_id=${encodeURIComponent(addressId)}`);
+    },
+
     // GET /api/restaurants/search
     search: async (query) => {
         return await apiRequest(`/restaurants/search?q=${encodeURIComponent(query)}`);
@@ -388,6 +494,43 @@ const restaurantAPI = {
     }
 };
 
+// ============================================
+// 🔥 LIVE ORDER EVENTS (eventRoutes.js)
+// ============================================
+
+// Human-readable order status labels
+const ORDER_STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    preparing: 'Preparing',
+    ready: 'Ready',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    refunded: 'Refunded'
+};
+
+// GET /api/events/stream (requires auth)
+// handlers: { order_status: (data) => {}, new_order: (data) => {} }
+// Returns the EventSource (call .close() to stop) or null when not logged in
+const subscribeToOrderEvents = (handlers = {}) => {
+    const token = getToken();
+    
+    if (!token || typeof EventSource === 'undefined') {
+        return null;
+    }
+    
+    // EventSource can't send an Authorization header, so the token goes in the URL
+    const source = new EventSource(`${API_BASE_URL}/events/stream?token=${encodeURIComponent(token)}`);
+    
+    Object.entries(handlers).forEach(([event, handler]) => {
+        source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+    });
+    
+    return source;
+};
+
 // ============================================
 // EXPORT ALL APIs
 // ============================================
@@ -397,8 +540,11 @@ window.FoodExpressAPI = {
     menu: menuAPI,
     order: orderAPI,
     cart: cartAPI,
+    payment: paymentAPI,
     user: userAPI,
     restaurant: restaurantAPI,
+    subscribeToOrderEvents,
+    ORDER_STATUS_LABELS,
     getToken,
     setToken,
     getUser,